@@ -0,0 +1,88 @@
+// Shows appointment reminders while the app is closed, where the browser lets
+// it (see src/reminders.js; most do not). The app posts its full schedule here
+// whenever it changes; reminders that are no longer in it (the booking was
+// cancelled or moved) are withdrawn.
+
+const CACHE_NAME = 'appointment-reminders';
+const STATE_URL = '/reminder-sw/state.json';
+const PERIODIC_SYNC_TAG = 'appointment-reminders';
+const TAG_PREFIX = 'reminder:';
+
+// Notification triggers let the browser show a notification at a set time
+// without the worker running; elsewhere periodic sync checks what is due.
+const supportsTriggers = typeof TimestampTrigger !== 'undefined';
+
+const readState = async () => {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await cache.match(STATE_URL);
+  return response ? response.json() : { reminders: [], sent: [] };
+};
+
+const writeState = async (state) => {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(STATE_URL, new Response(JSON.stringify(state), { headers: { 'Content-Type': 'application/json' } }));
+};
+
+const showReminder = (reminder, scheduled = false) => self.registration.showNotification(reminder.title, {
+  body: reminder.body,
+  tag: `${TAG_PREFIX}${reminder.id}`,
+  data: { url: reminder.url },
+  ...(scheduled && { showTrigger: new TimestampTrigger(reminder.at) })
+});
+
+const replaceSchedule = async ({ reminders, sent }) => {
+  const ids = new Set(reminders.map(reminder => reminder.id));
+  const notifications = await self.registration.getNotifications(supportsTriggers ? { includeTriggered: true } : {});
+  notifications
+    .filter(notification => notification.tag.startsWith(TAG_PREFIX) && !ids.has(notification.tag.slice(TAG_PREFIX.length)))
+    .forEach(notification => notification.close());
+
+  const previous = await readState();
+  const done = new Set([...previous.sent, ...sent].filter(id => ids.has(id)));
+  if (supportsTriggers) {
+    // The browser shows these itself from now on
+    const upcoming = reminders.filter(reminder => !done.has(reminder.id) && reminder.at > Date.now());
+    await Promise.all(upcoming.map(reminder => showReminder(reminder, true)));
+    upcoming.forEach(reminder => done.add(reminder.id));
+  }
+  await writeState({ reminders, sent: [...done] });
+};
+
+// Reminders that are due for appointments that have not started yet
+const showDueReminders = async () => {
+  const state = await readState();
+  const now = Date.now();
+  const due = state.reminders.filter(reminder => (
+    reminder.at <= now && now < reminder.startAt && !state.sent.includes(reminder.id)
+  ));
+  await Promise.all(due.map(reminder => showReminder(reminder)));
+  await writeState({ ...state, sent: [...state.sent, ...due.map(reminder => reminder.id)] });
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'reminders') {
+    event.waitUntil(replaceSchedule(event.data));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    const client = clients.find(c => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      return client.focus().then(focused => (focused.navigate ? focused.navigate(url) : focused));
+    }
+    return self.clients.openWindow(url);
+  }));
+});
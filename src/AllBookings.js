@@ -0,0 +1,544 @@
+// The staff bookings table with its filters and booking actions.
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { apiRequest } from './api';
+import { can, getOwnProviderId } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { LIVE_REFRESH_DEBOUNCE_MS, useLiveUpdates } from './liveUpdates';
+import { ConfirmDialog, LoadingSpinner, Pagination, TimeRange } from './components';
+import { SLOT_DIMENSIONS, SlotDimensionSelects, SlotDimensions, useScopedCatalog } from './SlotDimensions';
+import { getBookingStatus } from './slots';
+import {
+  BOOKING_STATUSES,
+  DEFAULT_BOOKING_SORT,
+  SEARCH_DEBOUNCE_MS,
+  applyBookingFilters,
+  fetchAllBookingPages,
+  getBookingFilterParams,
+  getDefaultSortOrder,
+  groupBookings,
+  hasBookingFilters,
+  matchesBookingFilters,
+  readBookingFilters,
+  supportsBookingFilters
+} from './bookings';
+import { BookingIntake } from './BookingDialog';
+import { SlotPicker } from './MyBookings';
+import { BookingsExport } from './BookingsExport';
+
+const SortableHeader = ({ column, filters, onSort }) => {
+  const { t } = useI18n();
+  const active = filters.sort === column;
+  const ariaSort = filters.order === 'asc' ? 'ascending' : 'descending';
+
+  return (
+    <th aria-sort={active ? ariaSort : undefined}>
+      <button onClick={() => onSort(column)} className={`sort-button ${active ? 'active' : ''}`}>
+        {t(`admin.columns.${column}`)}
+        <span className="sort-indicator" aria-hidden="true">
+          {active ? (filters.order === 'asc' ? '▲' : '▼') : '↕'}
+        </span>
+      </button>
+    </th>
+  );
+};
+
+export const AllBookings = () => {
+  const [bookings, setBookings] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [actionInput, setActionInput] = useState({ reason: '', notes: '', slot: null });
+  const [expandedBooking, setExpandedBooking] = useState(null);
+  const { notify } = useNotifications();
+  const { user } = useAuth();
+  const { query, setQuery, navigate } = useRouter();
+  const { timeZone } = useTimezone();
+  const { t, formatDate, formatDateTime } = useI18n();
+  const ownProviderId = getOwnProviderId(user);
+  const catalog = useScopedCatalog(ownProviderId);
+  const canManage = can(user, 'manageBookings');
+  const currentPage = Math.max(1, parseInt(query.get('page'), 10) || 1);
+  const filters = useMemo(() => readBookingFilters(query), [query]);
+  const [searchInput, setSearchInput] = useState(filters.search);
+  // Whether the backend applies the filters, learned from the first response
+  // while the table is open; null until then
+  const filtersSupportedRef = useRef(null);
+
+  // Live refreshes are silent: no spinner, and errors wait for the next one
+  const fetchAllBookings = useCallback(async (page = 1, silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      let response = null;
+      if (filtersSupportedRef.current !== false) {
+        const params = new URLSearchParams({ ...getBookingFilterParams(filters, timeZone), page, limit: pagination.limit });
+        response = await apiRequest(`/all-bookings?${params}`);
+        filtersSupportedRef.current = supportsBookingFilters(response);
+      }
+
+      if (filtersSupportedRef.current) {
+        setBookings(response.bookings);
+        setPagination(prev => ({ ...prev, ...response.pagination }));
+      } else {
+        // The backend ignores the filters, or is on the older unpaginated
+        // format: collect every booking and filter, sort and page them here.
+        const all = Array.isArray(response) ? response : await fetchAllBookingPages();
+        const matching = applyBookingFilters(all, filters, timeZone);
+        setBookings(matching.slice((page - 1) * pagination.limit, page * pagination.limit));
+        setPagination(prev => ({
+          ...prev,
+          page,
+          total: matching.length,
+          totalPages: Math.ceil(matching.length / prev.limit)
+        }));
+      }
+    } catch (err) {
+      if (!silent) notify(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [filters, timeZone, pagination.limit, notify]);
+
+  useEffect(() => {
+    fetchAllBookings(currentPage);
+  }, [fetchAllBookings, currentPage]);
+
+  const refreshTimerRef = useRef(null);
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(() => fetchAllBookings(currentPage, true), LIVE_REFRESH_DEBOUNCE_MS);
+  };
+
+  useEffect(() => () => clearTimeout(refreshTimerRef.current), []);
+
+  // Reload the page in place whenever a booking that belongs on it changes, so
+  // new bookings show up without a manual refresh. Bursts of events share one
+  // reload, which matters when the table has to fetch every booking itself.
+  useLiveUpdates((event) => {
+    if (!event.booking) return;
+    if (ownProviderId !== null && event.slot?.providerId !== ownProviderId) return;
+    const { createdAt, updatedAt } = event.booking;
+    // A reschedule also books a slot, but its booking has been updated since
+    if (event.type === 'slot.booked' && (!updatedAt || updatedAt === createdAt)) {
+      notify(t('admin.newBooking', {
+        name: event.booking.user.name,
+        time: formatDateTime(event.slot.startAt)
+      }), 'info');
+    }
+    const booking = { ...event.booking, slot: event.booking.slot || event.slot };
+    const onPage = bookings.some(b => b.id === booking.id);
+    if (onPage) {
+      setBookings(prev => prev.map(b => (b.id === booking.id ? { ...b, ...booking } : b)));
+    }
+    if (onPage || matchesBookingFilters(booking, filters, timeZone)) scheduleRefresh();
+  }, scheduleRefresh);
+
+  // Follow the URL when it changes underneath the search box (back/forward)
+  useEffect(() => {
+    setSearchInput(filters.search);
+  }, [filters.search]);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (searchInput.trim() === filters.search) return undefined;
+    const timer = setTimeout(() => {
+      setQuery({ q: searchInput.trim(), page: null }, { replace: true });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, filters.search, setQuery]);
+
+  const handlePageChange = (newPage) => {
+    setQuery({ page: newPage > 1 ? newPage : null });
+  };
+
+  // Any filter change starts again from the first page
+  const updateFilters = (changes) => {
+    setQuery({ ...changes, page: null }, { replace: true });
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    updateFilters({ q: null, from: null, to: null, status: null, provider: null, service: null, location: null });
+  };
+
+  // Clicking the sorted column flips the order; the URL only carries values
+  // that differ from the defaults.
+  const handleSort = (sort) => {
+    const order = sort === filters.sort
+      ? (filters.order === 'asc' ? 'desc' : 'asc')
+      : getDefaultSortOrder(sort);
+    updateFilters({
+      sort: sort === DEFAULT_BOOKING_SORT ? null : sort,
+      order: order === getDefaultSortOrder(sort) ? null : order
+    });
+  };
+
+  const closeAction = () => {
+    setPendingAction(null);
+    setActionInput({ reason: '', notes: '', slot: null });
+  };
+
+  const openAction = (type, booking) => {
+    setPendingAction({ type, booking });
+    setActionInput({ reason: '', notes: booking.notes || '', slot: null });
+  };
+
+  // Apply the change to the table immediately and put the original row back
+  // if the server rejects it. undoRequest, if given, reverses the saved change
+  // from the success toast's Undo button, once the server's response says the
+  // change can be restored.
+  const applyOptimistically = async (booking, changes, request, successMessage, undoRequest = null) => {
+    closeAction();
+    setBookings(prev => prev.map(b => (b.id === booking.id ? { ...b, ...changes } : b)));
+    try {
+      const updated = await request();
+      if (updated && updated.id === booking.id) {
+        setBookings(prev => prev.map(b => (b.id === booking.id ? { ...b, ...updated } : b)));
+      }
+      notify(successMessage, 'success', {
+        undo: undoRequest && updated?.canRestore && (async () => {
+          const restored = await undoRequest();
+          setBookings(prev => prev.map(b => (b.id === booking.id ? { ...booking, ...restored } : b)));
+        })
+      });
+    } catch (err) {
+      setBookings(prev => prev.map(b => (b.id === booking.id ? booking : b)));
+      notify(t('admin.changeReverted', { error: err.message }));
+    }
+  };
+
+  const handleConfirmAction = () => {
+    const { type, booking } = pendingAction;
+
+    if (type === 'cancel') {
+      applyOptimistically(
+        booking,
+        { status: 'cancelled', cancelReason: actionInput.reason },
+        () => apiRequest(`/bookings/${booking.id}/cancel`, {
+          method: 'POST',
+          body: JSON.stringify({ reason: actionInput.reason })
+        }),
+        t('bookings.cancelSuccess'),
+        () => apiRequest(`/bookings/${booking.id}/restore`, { method: 'POST' })
+      );
+    } else if (type === 'reschedule') {
+      const newSlot = actionInput.slot;
+      applyOptimistically(
+        booking,
+        { slot: newSlot },
+        () => apiRequest(`/bookings/${booking.id}/reschedule`, {
+          method: 'POST',
+          body: JSON.stringify({ slotId: newSlot.id })
+        }),
+        t('admin.rescheduleSuccess')
+      );
+    } else if (type === 'notes') {
+      applyOptimistically(
+        booking,
+        { notes: actionInput.notes },
+        () => apiRequest(`/bookings/${booking.id}/notes`, {
+          method: 'PUT',
+          body: JSON.stringify({ notes: actionInput.notes })
+        }),
+        t('admin.notesSuccess')
+      );
+    }
+  };
+
+  // Grouping applies to the current page, keeping the table's sort order
+  // within each group
+  const bookingGroups = filters.group
+    ? groupBookings(bookings, filters.group)
+    : [{ key: 'all', bookings }];
+
+  const renderBookingRow = (booking) => {
+    const status = getBookingStatus(booking);
+    const expanded = expandedBooking === booking.id;
+    return (
+      <React.Fragment key={booking.id}>
+        <tr className={`${status === 'upcoming' ? 'upcoming' : 'past'}-booking`}>
+          <td>
+            <div className="patient-info">
+              {can(user, 'viewPatients') ? (
+                <button
+                  onClick={() => navigate(`/admin/patients/${booking.user.id}`)}
+                  className="link-button patient-link"
+                  title={t('patients.open')}
+                >
+                  {booking.user.name}
+                </button>
+              ) : (
+                <strong>{booking.user.name}</strong>
+              )}
+              {booking.reason && <span className="reason-indicator">{booking.reason}</span>}
+              {booking.notes && (
+                <span className="notes-indicator" title={booking.notes}>📝 {t('admin.note')}</span>
+              )}
+            </div>
+          </td>
+          <td>{booking.user.email}</td>
+          <td>{formatDate(booking.slot.startAt)}</td>
+          <td className="time-cell">
+            <TimeRange startAt={booking.slot.startAt} endAt={booking.slot.endAt} />
+          </td>
+          <td>
+            <SlotDimensions slot={booking.slot} />
+          </td>
+          <td>
+            {formatDateTime(booking.createdAt)}
+            {booking.createdBy && (
+              <span className="booked-by">🛎️ {t('admin.bookedBy', { name: booking.createdBy.name })}</span>
+            )}
+          </td>
+          <td>
+            <span className={`status-badge ${status}`} title={booking.cancelReason || undefined}>
+              {t(`status.${status}`)}
+            </span>
+          </td>
+          <td>
+            <div className="row-actions">
+              {canManage && status === 'upcoming' && (
+                <>
+                  <button onClick={() => openAction('reschedule', booking)} className="link-button">
+                    {t('bookings.reschedule')}
+                  </button>
+                  <button onClick={() => openAction('cancel', booking)} className="link-button danger">
+                    {t('common.cancel')}
+                  </button>
+                </>
+              )}
+              {canManage && (
+                <button onClick={() => openAction('notes', booking)} className="link-button">
+                  {t('admin.notes')}
+                </button>
+              )}
+              <button
+                onClick={() => setExpandedBooking(expanded ? null : booking.id)}
+                className="link-button"
+                aria-expanded={expanded}
+                aria-controls={`booking-detail-${booking.id}`}
+              >
+                {t('admin.details')}
+              </button>
+            </div>
+          </td>
+        </tr>
+        {expanded && (
+          <tr id={`booking-detail-${booking.id}`} className="booking-detail-row">
+            <td colSpan={8}>
+              {booking.reason || booking.patientNotes || booking.intake?.length > 0 ? (
+                <BookingIntake booking={booking} />
+              ) : (
+                <p className="picker-empty">{t('intake.noDetails')}</p>
+              )}
+              {booking.notes && (
+                <dl className="booking-intake">
+                  <dt>{t('admin.notes')}</dt>
+                  <dd>{booking.notes}</dd>
+                </dl>
+              )}
+            </td>
+          </tr>
+        )}
+      </React.Fragment>
+    );
+  };
+
+  return (
+    <div className="admin-dashboard">
+      <div className="section-header">
+        <h3>{t('admin.title')}</h3>
+        <div className="admin-stats">
+          <div className="stat-card">
+            <span className="stat-number">{loading ? '–' : pagination.total}</span>
+            <span className="stat-label">{hasBookingFilters(filters) ? t('admin.matching') : t('admin.total')}</span>
+          </div>
+          {can(user, 'viewAnalytics') && (
+            <button onClick={() => navigate('/admin/analytics')} className="link-button">
+              📈 {t('admin.viewAnalytics')}
+            </button>
+          )}
+        </div>
+        <div className="header-actions">
+          {canManage && (
+            <button onClick={() => navigate('/admin/bookings/new')} className="primary-button">
+              + {t('newBooking.button')}
+            </button>
+          )}
+          <BookingsExport filters={filters} />
+          <button onClick={() => fetchAllBookings(pagination.page)} className="refresh-button">
+            {t('common.refresh')}
+          </button>
+        </div>
+      </div>
+
+      <div className="bookings-filters">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder={t('admin.searchPlaceholder')}
+          aria-label={t('admin.search')}
+        />
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => updateFilters({ from: e.target.value })}
+          aria-label={t('common.fromDate')}
+        />
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => updateFilters({ to: e.target.value })}
+          aria-label={t('common.toDate')}
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+          aria-label={t('admin.statusFilter')}
+        >
+          <option value="">{t('admin.allStatuses')}</option>
+          {BOOKING_STATUSES.map(status => (
+            <option key={status} value={status}>{t(`status.${status}`)}</option>
+          ))}
+        </select>
+        <SlotDimensionSelects catalog={catalog} filters={filters} onChange={updateFilters} />
+        <select
+          value={filters.group}
+          onChange={(e) => setQuery({ group: e.target.value || null }, { replace: true })}
+          aria-label={t('providers.groupBy')}
+        >
+          <option value="">{t('providers.noGrouping')}</option>
+          {SLOT_DIMENSIONS.map(dimension => (
+            <option key={dimension} value={dimension}>{t(`providers.groupByOption.${dimension}`)}</option>
+          ))}
+        </select>
+        {hasBookingFilters(filters) && (
+          <button onClick={clearFilters} className="link-button">
+            {t('admin.clearFilters')}
+          </button>
+        )}
+      </div>
+      
+      {loading ? (
+        <LoadingSpinner message={t('admin.loading')} />
+      ) : bookings.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">📊</div>
+          <h4>{hasBookingFilters(filters) ? t('admin.noMatchesTitle') : t('admin.emptyTitle')}</h4>
+          <p>{hasBookingFilters(filters) ? t('admin.noMatchesHint') : t('admin.emptyHint')}</p>
+        </div>
+      ) : (
+        <>
+          <div className="bookings-table">
+            <table>
+              <thead>
+                <tr>
+                  <SortableHeader column="patient" filters={filters} onSort={handleSort} />
+                  <SortableHeader column="email" filters={filters} onSort={handleSort} />
+                  <SortableHeader column="date" filters={filters} onSort={handleSort} />
+                  <th>{t('admin.columns.time')}</th>
+                  <th>{t('admin.columns.service')}</th>
+                  <SortableHeader column="bookedOn" filters={filters} onSort={handleSort} />
+                  <SortableHeader column="status" filters={filters} onSort={handleSort} />
+                  <th>{t('admin.columns.actions')}</th>
+                </tr>
+              </thead>
+              {bookingGroups.map(group => (
+                <tbody key={group.key}>
+                  {filters.group && (
+                    <tr className="group-row">
+                      <th colSpan={8} scope="rowgroup">
+                        {group.name || t(`providers.unassigned.${filters.group}`)}
+                        <span className="group-count">{t('admin.totalCount', { count: group.bookings.length })}</span>
+                      </th>
+                    </tr>
+                  )}
+                  {group.bookings.map(renderBookingRow)}
+                </tbody>
+              ))}
+            </table>
+          </div>
+
+          <Pagination pagination={pagination} onPageChange={handlePageChange} />
+        </>
+      )}
+
+      {pendingAction?.type === 'cancel' && (
+        <ConfirmDialog
+          title={t('admin.cancelTitle')}
+          confirmLabel={t('bookings.cancelBooking')}
+          danger
+          confirmDisabled={!actionInput.reason.trim()}
+          onConfirm={handleConfirmAction}
+          onCancel={closeAction}
+        >
+          <p>
+            <strong>{pendingAction.booking.user.name}</strong>{' '}
+            {t('admin.bookingOn', { time: formatDateTime(pendingAction.booking.slot.startAt) })}
+          </p>
+          <label className="dialog-field">
+            {t('admin.cancelReason')}
+            <textarea
+              value={actionInput.reason}
+              onChange={(e) => setActionInput(prev => ({ ...prev, reason: e.target.value }))}
+              rows={3}
+              required
+            />
+          </label>
+        </ConfirmDialog>
+      )}
+
+      {pendingAction?.type === 'reschedule' && (
+        <ConfirmDialog
+          title={t('admin.rescheduleTitle')}
+          confirmLabel={t('admin.moveBooking')}
+          wide
+          confirmDisabled={!actionInput.slot}
+          onConfirm={handleConfirmAction}
+          onCancel={closeAction}
+        >
+          <p>
+            <strong>{pendingAction.booking.user.name}</strong>{' '}
+            {t('admin.bookedFor', { time: formatDateTime(pendingAction.booking.slot.startAt) })}
+          </p>
+          <SlotPicker
+            selectedSlotId={actionInput.slot?.id}
+            excludeSlotId={pendingAction.booking.slot.id}
+            onSelect={(slot) => setActionInput(prev => ({ ...prev, slot }))}
+          />
+          {actionInput.slot && (
+            <p className="reschedule-summary">
+              {t('admin.moveTo')} <strong>{formatDateTime(actionInput.slot.startAt)}</strong>
+            </p>
+          )}
+        </ConfirmDialog>
+      )}
+
+      {pendingAction?.type === 'notes' && (
+        <ConfirmDialog
+          title={t('admin.notesTitle')}
+          confirmLabel={t('admin.saveNotes')}
+          onConfirm={handleConfirmAction}
+          onCancel={closeAction}
+        >
+          <p>{t('admin.notesHint')}</p>
+          <label className="dialog-field">
+            {t('admin.notesFor', { name: pendingAction.booking.user.name })}
+            <textarea
+              value={actionInput.notes}
+              onChange={(e) => setActionInput(prev => ({ ...prev, notes: e.target.value }))}
+              rows={4}
+            />
+          </label>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
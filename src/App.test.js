@@ -1,8 +1,1325 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, waitFor, fireEvent, act } from '@testing-library/react';
 import App from './App';
+import { configureMockApi, resetMockApi, simulateMockError, getMockDb, mockFetch } from './mockApi';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const renderAt = (path) => {
+  window.history.pushState(null, '', path);
+  return render(<App />);
+};
+
+// Follows a link from outside the app, e.g. one in an email
+const visit = (path) => {
+  window.history.pushState(null, '', path);
+  act(() => {
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+};
+
+// Collects the files offered for download instead of navigating to them
+const captureDownloads = () => {
+  const files = [];
+  URL.createObjectURL = jest.fn(blob => {
+    files.push(blob);
+    return 'blob:download';
+  });
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  return files;
+};
+
+// Reading happens inside act() so the app can finish rendering meanwhile
+const readFile = (blob) => act(() => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+}));
+
+// Sends a request as Jane Cooper, as if from another browser
+const requestAsAnotherPatient = async (endpoint, options = {}) => {
+  const login = await mockFetch('/login', {
+    method: 'POST',
+    body: JSON.stringify({ email: 'jane@example.com', password: 'Passw0rd!' })
+  });
+  const { token } = await login.json();
+  return mockFetch(endpoint, { ...options, headers: { Authorization: `Bearer ${token}` } });
+};
+
+const bookAsAnotherPatient = (slotId) => requestAsAnotherPatient('/book', {
+  method: 'POST',
+  body: JSON.stringify({ slotId })
+});
+
+// The first slot the patient's default list shows
+const getFirstOpenSlot = () => {
+  const { slots, bookings } = getMockDb();
+  const bookedIds = bookings.filter(b => b.status !== 'cancelled').map(b => b.slotId);
+  return slots
+    .filter(slot => new Date(slot.startAt) > new Date() && !bookedIds.includes(slot.id))
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt))[0];
+};
+
+// Fills in the booking dialog's required fields and books
+// The value a datetime-local input shows for a moment; the clinic runs on
+// the test machine's zone
+const toLocalInputValue = (dateStr) => {
+  const date = new Date(dateStr);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// The schedule's Delete button for an open slot. Rows are in start order, so
+// the n-th enabled button belongs to the n-th open slot from today on.
+const getDeleteButton = (slot) => {
+  const { slots, bookings } = getMockDb();
+  const bookedIds = bookings.filter(b => b.status !== 'cancelled').map(b => b.slotId);
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const openSlots = slots
+    .filter(s => new Date(s.startAt) >= startOfToday && !bookedIds.includes(s.id))
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+  const buttons = screen.getAllByRole('button', { name: 'Delete' }).filter(button => !button.disabled);
+  return buttons[openSlots.indexOf(slot)];
+};
+
+const confirmBooking = async () => {
+  const dialog = await screen.findByRole('dialog', { name: 'Confirm booking' });
+  fireEvent.change(within(dialog).getByLabelText(/Reason for visit/), { target: { value: 'Check-up' } });
+  fireEvent.click(await within(dialog).findByRole('radio', { name: 'No' }));
+  fireEvent.click(within(dialog).getByRole('button', { name: 'Book appointment' }));
+};
+
+const loginAs = async (type) => {
+  const role = `${type[0].toUpperCase()}${type.slice(1)}`;
+  fireEvent.click(await screen.findByRole('button', { name: `Try as ${role}` }));
+  fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+};
+
+// Signs in through the mock and stores the session the way the app does, with
+// the access token swapped for one that expires expiresIn seconds from now
+const storeSession = async (email, expiresIn, { refresh = true } = {}) => {
+  const response = await mockFetch('/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password: 'Passw0rd!' })
+  });
+  const { user, role, refreshToken } = await response.json();
+  const payload = btoa(JSON.stringify({ sub: user.id, role, exp: Math.floor(Date.now() / 1000) + expiresIn }));
+  localStorage.setItem('token', `e30.${payload}.mock`);
+  if (refresh) localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify({ ...user, role }));
+};
+
+beforeEach(() => {
+  resetMockApi();
+  configureMockApi({ enabled: true, latency: 0 });
+  localStorage.clear();
+});
+
+describe('authentication', () => {
+  test('redirects to login and back to the requested page', async () => {
+    renderAt('/bookings');
+
+    expect(await screen.findByText('Login to Your Account')).toBeInTheDocument();
+    expect(window.location.pathname).toBe('/login');
+
+    await loginAs('patient');
+
+    expect(await screen.findByText('My Appointments')).toBeInTheDocument();
+    expect(window.location.pathname).toBe('/bookings');
+  });
+
+  test('shows an error for invalid credentials', async () => {
+    renderAt('/login');
+
+    fireEvent.change(await screen.findByPlaceholderText('Email address'), { target: { value: 'patient@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+    expect(await screen.findByText('Invalid email or password')).toBeInTheDocument();
+  });
+
+  test('drops an expired session it cannot refresh without asking the server', async () => {
+    await storeSession('patient@example.com', -60, { refresh: false });
+    const consoleError = jest.spyOn(console, 'error');
+
+    renderAt('/bookings');
+
+    expect(await screen.findByText('Login to Your Account')).toBeInTheDocument();
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(consoleError).not.toHaveBeenCalledWith('Invalid token:', expect.anything());
+    consoleError.mockRestore();
+  });
+
+  test('registers a new patient', async () => {
+    renderAt('/register');
+
+    fireEvent.change(await screen.findByPlaceholderText('Full name'), { target: { value: 'New Patient' } });
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'new@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'Str0ng!Pass' } });
+    fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: 'Str0ng!Pass' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByText('Registration successful! Please log in.')).toBeInTheDocument();
+    expect(getMockDb().users.some(u => u.email === 'new@example.com')).toBe(true);
+  });
+
+  test('verifies a new patient email and onboards them before they can book', async () => {
+    renderAt('/register');
+    fireEvent.change(await screen.findByPlaceholderText('Full name'), { target: { value: 'New Patient' } });
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'new@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'Str0ng!Pass' } });
+    fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: 'Str0ng!Pass' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByText(/We sent a verification link to new@example.com/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Resend Verification Email' }));
+    expect(await screen.findByText('A new verification link is on its way to new@example.com.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Resend in \d+ seconds/ })).toBeDisabled();
+    const { outbox } = getMockDb();
+    expect(outbox).toHaveLength(2);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Continue to Sign In' }));
+    fireEvent.change(await screen.findByPlaceholderText('Email address'), { target: { value: 'new@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'Str0ng!Pass' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+
+    // Onboarding comes first
+    expect(await screen.findByText('Welcome, New Patient!')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Phone'), { target: { value: '+1 555 0177' } });
+    fireEvent.change(screen.getByLabelText('Date of birth'), { target: { value: '1990-02-03' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    const finish = screen.getByRole('button', { name: 'Finish' });
+    fireEvent.click(screen.getByRole('checkbox', { name: /terms of service/ }));
+    expect(finish).toBeDisabled();
+    fireEvent.click(screen.getByRole('checkbox', { name: /privacy policy/ }));
+    fireEvent.click(finish);
+
+    // Booking waits for the email to be verified
+    expect(await screen.findByText(/Please verify your email address/)).toBeInTheDocument();
+    expect(getMockDb().users.at(-1)).toMatchObject({ phone: '+1 555 0177', dateOfBirth: '1990-02-03' });
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+    bookButtons.forEach(button => expect(button).toBeDisabled());
+
+    // Only the newest link works
+    visit(outbox[0].link);
+    expect(await screen.findByText('Link Not Valid')).toBeInTheDocument();
+
+    visit(outbox[1].link);
+    expect(await screen.findByText('Email Verified')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Continue' }));
+
+    expect((await screen.findAllByRole('button', { name: 'Book Slot' }))[0]).toBeEnabled();
+    expect(screen.queryByText(/Please verify your email address/)).not.toBeInTheDocument();
+  });
+
+  test('resets a forgotten password from the emailed link', async () => {
+    renderAt('/login');
+    fireEvent.click(await screen.findByRole('button', { name: 'Forgot password?' }));
+    expect(window.location.pathname).toBe('/forgot-password');
+
+    fireEvent.change(screen.getByPlaceholderText('Email address'), { target: { value: 'patient@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send Reset Link' }));
+
+    expect(await screen.findByText(/we have sent it a link/)).toBeInTheDocument();
+    // Another request has to wait for the cooldown
+    expect(screen.getByRole('button', { name: /Resend in \d+ seconds/ })).toBeDisabled();
+
+    const [email] = getMockDb().outbox;
+    expect(email.to).toBe('patient@example.com');
+    visit(email.link);
+
+    expect(await screen.findByText('Choose a New Password')).toBeInTheDocument();
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'weakpass' } });
+    fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: 'weakpass' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Password' }));
+    expect(await screen.findByText(/Password must contain at least 8 characters/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'N3w!Passw0rd' } });
+    fireEvent.change(screen.getByPlaceholderText('Confirm password'), { target: { value: 'N3w!Passw0rd' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Reset Password' }));
+
+    expect(await screen.findByText(/Your password has been reset/)).toBeInTheDocument();
+    expect(getMockDb().users[0].password).toBe('N3w!Passw0rd');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+    expect(await screen.findByText('Login to Your Account')).toBeInTheDocument();
+
+    // The link only works once
+    visit(email.link);
+    expect(await screen.findByText('Link Not Valid')).toBeInTheDocument();
+  });
+
+  test('explains when a reset link has expired', async () => {
+    await mockFetch('/password-reset', { method: 'POST', body: JSON.stringify({ email: 'patient@example.com' }) });
+    const [reset] = getMockDb().passwordResets;
+    reset.expiresAt = new Date(Date.now() - 1000).toISOString();
+
+    renderAt(getMockDb().outbox[0].link);
+
+    expect(await screen.findByText('Link Expired')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Request a New Link' }));
+    expect(await screen.findByText('Reset Your Password')).toBeInTheDocument();
+  });
+
+  test('signs out to the login page', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Sign Out' }));
+
+    expect(await screen.findByText('Login to Your Account')).toBeInTheDocument();
+    expect(localStorage.getItem('token')).toBeNull();
+  });
+
+  test('shows a 404 view for unknown routes', async () => {
+    renderAt('/does-not-exist');
+
+    expect(await screen.findByText('Page not found')).toBeInTheDocument();
+  });
+});
+
+describe('session', () => {
+  test('refreshes an expired token once and retries the requests that hit it', async () => {
+    await storeSession('patient@example.com', 3600);
+    const refreshToken = localStorage.getItem('refreshToken');
+    // The server has stopped accepting the token before its stated expiry
+    simulateMockError({ method: 'GET', status: 401, message: 'Invalid or expired token' });
+    simulateMockError({ method: 'GET', status: 401, message: 'Invalid or expired token' });
+
+    renderAt('/bookings');
+
+    expect(await screen.findByText('Upcoming Appointments (1)')).toBeInTheDocument();
+    expect(localStorage.getItem('token')).not.toBeNull();
+    expect(localStorage.getItem('refreshToken')).not.toBe(refreshToken);
+    expect(screen.getByRole('button', { name: 'Sign Out' })).toBeInTheDocument();
+  });
+
+  test('warns before the session runs out and extends it on request', async () => {
+    // Two minutes left, and the silent refresh fails
+    await storeSession('patient@example.com', 120);
+    simulateMockError({ endpoint: '/refresh', status: 500, message: 'Unavailable' });
+
+    renderAt('/bookings');
+
+    const warning = await screen.findByText(/Your session expires in/);
+    fireEvent.click(screen.getByRole('button', { name: 'Stay signed in' }));
+    await waitFor(() => expect(warning).not.toBeInTheDocument());
+    expect(JSON.parse(atob(localStorage.getItem('token').split('.')[1])).exp * 1000).toBeGreaterThan(Date.now() + 10 * 60 * 1000);
+    expect(await screen.findByText('Upcoming Appointments (1)')).toBeInTheDocument();
+  });
+
+  test('signs out when another tab does', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: 'token', oldValue: 'token', newValue: null }));
+    });
+
+    expect(await screen.findByText('You signed out in another tab.')).toBeInTheDocument();
+    expect(screen.getByText('Login to Your Account')).toBeInTheDocument();
+  });
+});
+
+describe('patient flow', () => {
+  test('books a slot, sees it in My Bookings and cancels it', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+    const slotCount = bookButtons.length;
+    fireEvent.click(bookButtons[0]);
+    await confirmBooking();
+
+    expect(await screen.findByText('Slot booked successfully!')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Book Slot' })).toHaveLength(slotCount - 1);
+
+    fireEvent.click(screen.getByRole('button', { name: /My Bookings/ }));
+
+    expect(await screen.findByText('Upcoming Appointments (2)')).toBeInTheDocument();
+    fireEvent.click(screen.getAllByRole('button', { name: 'Cancel Booking' })[0]);
+
+    expect(await screen.findByText('Booking cancelled successfully!')).toBeInTheDocument();
+    expect(screen.getByText('Upcoming Appointments (1)')).toBeInTheDocument();
+  });
+
+  test('offers the nearest alternatives when a slot was taken in the meantime', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+    simulateMockError({ endpoint: '/book', status: 409, message: 'This slot has already been booked' });
+    fireEvent.click(bookButtons[0]);
+    await confirmBooking();
+
+    const notice = await screen.findByRole('alert');
+    expect(notice).toHaveTextContent(/was just taken by someone else/);
+    expect(screen.getByRole('button', { name: 'Just taken' })).toBeDisabled();
+
+    const alternatives = within(notice).getAllByRole('button', { name: /^Book / });
+    expect(alternatives).toHaveLength(3);
+    fireEvent.click(alternatives[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Confirm booking' });
+    expect(within(dialog).getByLabelText(/Reason for visit/)).toHaveValue('Check-up');
+    expect(await within(dialog).findByRole('radio', { name: 'No' })).toBeChecked();
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Book appointment' }));
+
+    expect(await screen.findByText('Slot booked successfully!')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('asks for a reason and intake answers before booking', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Book Slot' }))[0]);
+
+    const dialog = await screen.findByRole('dialog', { name: 'Confirm booking' });
+    await within(dialog).findByText('How long have you had these symptoms?');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Book appointment' }));
+    expect(within(dialog).getByRole('alert')).toHaveTextContent('Please enter a reason for your visit.');
+
+    fireEvent.change(within(dialog).getByLabelText(/Reason for visit/), { target: { value: 'Persistent cough' } });
+    fireEvent.change(within(dialog).getByLabelText('Notes for the clinic'), { target: { value: 'Mornings are worse' } });
+    fireEvent.change(within(dialog).getByLabelText('How long have you had these symptoms?'), { target: { value: '1-4 weeks' } });
+    expect(within(dialog).getByRole('alert')).toHaveTextContent('Please answer "Is this your first visit?".');
+    fireEvent.click(within(dialog).getByRole('radio', { name: 'Yes' }));
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Book appointment' }));
+
+    expect(await screen.findByText('Slot booked successfully!')).toBeInTheDocument();
+    const booking = getMockDb().bookings[getMockDb().bookings.length - 1];
+    expect(booking.reason).toBe('Persistent cough');
+    expect(booking.intake).toEqual([
+      { questionId: 'first-visit', question: 'Is this your first visit?', answer: true },
+      { questionId: 'symptom-duration', question: 'How long have you had these symptoms?', answer: '1-4 weeks' }
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: /My Bookings/ }));
+    expect(await screen.findByText('Persistent cough')).toBeInTheDocument();
+    expect(screen.getByText('Mornings are worse')).toBeInTheDocument();
+    expect(screen.getByText('1-4 weeks')).toBeInTheDocument();
+  });
+
+  test('filters slots by provider from their profile', async () => {
+    renderAt('/slots');
+    await loginAs('patient');
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Liam Chen' }))[0]);
+    const dialog = screen.getByRole('dialog', { name: 'Provider profile' });
+    expect(within(dialog).getByText('Physiotherapist')).toBeInTheDocument();
+    expect(within(dialog).getByRole('list', { name: 'Specialties' })).toHaveTextContent('Sports injuries');
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Show their times' }));
+
+    await waitFor(() => expect(window.location.search).toBe('?provider=liam-chen'));
+    expect(screen.getByLabelText('Filter by provider')).toHaveValue('liam-chen');
+    expect(screen.getByRole('region', { name: 'Liam Chen' })).toHaveTextContent('Post-operative rehabilitation');
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+    expect(screen.queryByRole('button', { name: 'Dr. Amara Okafor' })).not.toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Liam Chen' })).toHaveLength(bookButtons.length);
+    expect(screen.getAllByText(/Physiotherapy session · 60 min/)).not.toHaveLength(0);
+  });
+
+  test('marks slots taken by other patients as it happens', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+
+    await bookAsAnotherPatient(getFirstOpenSlot().id);
+
+    expect(await screen.findByRole('button', { name: 'Just taken' })).toBeDisabled();
+    expect(screen.getAllByRole('button', { name: 'Book Slot' })).toHaveLength(bookButtons.length - 1);
+  });
+
+  test('reschedules a booking in one step', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click(await screen.findByRole('button', { name: /My Bookings/ }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Reschedule' }));
+    const dialog = await screen.findByRole('dialog', { name: 'Reschedule appointment' });
+    const options = await within(dialog).findAllByRole('button', { pressed: false });
+    fireEvent.click(options.find(option => option.className.includes('slot-option')));
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Confirm New Time' }));
+
+    expect(await screen.findByText(/Appointment moved to/)).toBeInTheDocument();
+  });
+
+  test('remembers the calendar view and drills into a day', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Month' }));
+    expect(localStorage.getItem('slotsView')).toBe('month');
+
+    await screen.findByText('Sun');
+    let days = screen.queryAllByRole('button', { name: /: [1-9]\d* available slots?$/ });
+    if (days.length === 0) {
+      fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+      days = await screen.findAllByRole('button', { name: /: [1-9]\d* available slots?$/ });
+    }
+    fireEvent.click(days[0]);
+
+    expect(screen.getAllByRole('button', { name: 'Book Slot' }).length).toBeGreaterThan(0);
+  });
+
+  test('reports a refused request without signing the patient out', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+
+    const bookButtons = await screen.findAllByRole('button', { name: 'Book Slot' });
+    // The address was changed and not yet confirmed in another tab
+    getMockDb().users.find(u => u.email === 'patient@example.com').emailVerified = false;
+    fireEvent.click(bookButtons[0]);
+    await confirmBooking();
+
+    expect(await screen.findByText('Verify your email address before booking')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign Out' })).toBeInTheDocument();
+    expect(localStorage.getItem('token')).not.toBeNull();
+  });
+
+  test('sends reminders once turned on and withdraws them when a booking is cancelled', async () => {
+    const db = getMockDb();
+    const [patient] = db.users;
+    const addBooking = (id, minutesAhead, status = 'confirmed') => {
+      const startAt = new Date(Date.now() + minutesAhead * 60 * 1000);
+      db.slots.push({ id, startAt: startAt.toISOString(), endAt: new Date(startAt.getTime() + 30 * 60 * 1000).toISOString() });
+      db.bookings.push({
+        id, userId: patient.id, slotId: id, status, notes: '', reason: '', patientNotes: '', intake: [], createdAt: new Date().toISOString()
+      });
+      return startAt.getTime();
+    };
+    const soon = addBooking(9001, 30);
+    const later = addBooking(9002, 90);
+    addBooking(9003, 20, 'cancelled');
+    localStorage.setItem(`reminders:${patient.id}`, JSON.stringify({ enabled: false, leadMinutes: [60] }));
+
+    // A browser with notifications and a service worker
+    window.Notification = { permission: 'default' };
+    window.Notification.requestPermission = jest.fn(async () => {
+      window.Notification.permission = 'granted';
+      return 'granted';
+    });
+    const worker = { postMessage: jest.fn() };
+    const registration = { active: worker, showNotification: jest.fn(() => Promise.resolve()) };
+    Object.defineProperty(navigator, 'serviceWorker', {
+      configurable: true,
+      value: {
+        register: jest.fn(() => Promise.resolve(registration)),
+        ready: Promise.resolve(registration),
+        getRegistration: jest.fn(() => Promise.resolve(registration))
+      }
+    });
+    const scheduledBookingIds = () => worker.postMessage.mock.calls.at(-1)[0].reminders.map(reminder => reminder.bookingId);
+
+    try {
+      renderAt('/bookings');
+      await loginAs('patient');
+
+      fireEvent.click(await screen.findByRole('checkbox', { name: /Remind me before my appointments/ }));
+
+      await waitFor(() => expect(registration.showNotification).toHaveBeenCalledTimes(1));
+      expect(registration.showNotification).toHaveBeenCalledWith('Appointment reminder', expect.objectContaining({
+        tag: `reminder:9001:${soon}:60`
+      }));
+      expect(screen.getByRole('checkbox', { name: '1 hour before' })).toBeChecked();
+      expect(JSON.parse(localStorage.getItem(`reminders:${patient.id}`))).toEqual({ enabled: true, leadMinutes: [60] });
+      await waitFor(() => expect(scheduledBookingIds()).toEqual(expect.arrayContaining([9001, 9002])));
+      expect(worker.postMessage.mock.calls.at(-1)[0].reminders).toContainEqual(expect.objectContaining({
+        id: `9002:${later}:60`, url: '/bookings'
+      }));
+
+      // Cancelled from another device
+      await mockFetch('/bookings/9002', {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      await waitFor(() => expect(scheduledBookingIds()).not.toContain(9002));
+      expect(registration.showNotification).toHaveBeenCalledTimes(1);
+    } finally {
+      delete window.Notification;
+      delete navigator.serviceWorker;
+    }
+  });
+
+  test('exports a booking to a calendar and cancels it under the same UID', async () => {
+    const files = captureDownloads();
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click(await screen.findByRole('button', { name: /My Bookings/ }));
+
+    fireEvent.click(await screen.findByRole('button', { name: /Add to calendar/ }));
+    const added = await readFile(files[0]);
+    const uid = added.match(/^UID:(.+)$/m)[1];
+    expect(added).toMatch(/^METHOD:PUBLISH/m);
+    expect(added).toMatch(/^STATUS:CONFIRMED/m);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Booking' }));
+    fireEvent.click(await screen.findByRole('button', { name: /Remove from calendar/ }));
+    const cancelled = await readFile(files[1]);
+    expect(cancelled).toMatch(/^METHOD:CANCEL/m);
+    expect(cancelled).toMatch(/^STATUS:CANCELLED/m);
+    expect(cancelled).toContain(`UID:${uid}`);
+    // The booking's own change counter, not a timestamp
+    expect(added).toMatch(/^SEQUENCE:0\r?$/m);
+    expect(cancelled).toMatch(/^SEQUENCE:1\r?$/m);
+  });
+
+  test('shows clinic time alongside a different preferred time zone', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+    expect(screen.queryByText(/at the clinic/)).not.toBeInTheDocument();
+
+    const clinicZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const otherZone = clinicZone === 'Asia/Tokyo' ? 'America/New_York' : 'Asia/Tokyo';
+    fireEvent.change(screen.getByLabelText('Time zone'), { target: { value: otherZone } });
+
+    expect((await screen.findAllByText(/at the clinic/)).length).toBeGreaterThan(0);
+    expect(localStorage.getItem('timezone')).toBe(otherZone);
+  });
+
+  test('switches to a right-to-left language with localized plurals', async () => {
+    renderAt('/login');
+
+    fireEvent.change(await screen.findByLabelText('Language'), { target: { value: 'ar' } });
+    expect(await screen.findByText('تسجيل الدخول إلى حسابك')).toBeInTheDocument();
+    expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+
+    fireEvent.click(screen.getByRole('button', { name: 'تجربة كمريض' }));
+    fireEvent.click(screen.getByRole('button', { name: 'تسجيل الدخول' }));
+    fireEvent.click(await screen.findByRole('button', { name: /حجوزاتي/ }));
+
+    expect(await screen.findByText('الموعد القادم (١)')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('preferences')).language).toBe('ar');
+  });
+
+  test('joins the waitlist when no slots are available', async () => {
+    renderAt('/slots?from=2031-01-06&to=2031-01-10');
+    await loginAs('patient');
+
+    fireEvent.click(await screen.findByRole('button', { name: /Join the waitlist/ }));
+    const dialog = screen.getByRole('dialog', { name: 'Join the waitlist' });
+    expect(within(dialog).getByLabelText('From')).toHaveValue('2031-01-06');
+    fireEvent.change(within(dialog).getByLabelText('Earliest start (optional)'), { target: { value: '14:00' } });
+    fireEvent.change(within(dialog).getByLabelText('Latest start (optional)'), { target: { value: '10:00' } });
+    expect(within(dialog).getByRole('alert')).toHaveTextContent('The latest start must be after the earliest start.');
+    fireEvent.change(within(dialog).getByLabelText('Latest start (optional)'), { target: { value: '' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Join the waitlist' }));
+
+    expect(await screen.findByText(/You're on the waitlist/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'View waitlist' }));
+
+    expect(await screen.findByText(/^Starting at 02:00\sPM or later$/)).toBeInTheDocument();
+    expect(window.location.pathname).toBe('/waitlist');
+    fireEvent.click(screen.getByRole('button', { name: 'Leave waitlist' }));
+    expect(await screen.findByText("You're not on the waitlist")).toBeInTheDocument();
+  });
+
+  test('offers a cancelled slot to the waitlist and claims it', async () => {
+    const db = getMockDb();
+    const [patient, , jane] = db.users;
+    db.waitlist.push({
+      id: 'waiting',
+      userId: patient.id,
+      from: '2000-01-01',
+      to: '',
+      startTime: '',
+      endTime: '',
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      status: 'waiting',
+      offer: null,
+      passedSlotIds: [],
+      createdAt: new Date().toISOString()
+    });
+    const janesBooking = db.bookings.find(b => (
+      b.userId === jane.id && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+
+    await requestAsAnotherPatient(`/bookings/${janesBooking.id}`, { method: 'DELETE' });
+
+    const notice = await screen.findByRole('status');
+    expect(notice).toHaveTextContent(/A slot you were waiting for is free on .+\. Claim it within 1[45]:\d\d\./);
+    fireEvent.click(within(notice).getByRole('button', { name: 'View offer' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Claim slot' }));
+    expect(await screen.findByText(/^Booked for .+!$/)).toBeInTheDocument();
+    expect(getMockDb().waitlist.some(entry => entry.id === 'waiting')).toBe(false);
+    expect(getMockDb().bookings.some(b => b.userId === patient.id && b.slotId === janesBooking.slotId)).toBe(true);
+  });
+
+  test('refuses to reschedule into a slot held for the waitlist or to move a cancelled booking', async () => {
+    const db = getMockDb();
+    const [patient, , jane] = db.users;
+    const slot = getFirstOpenSlot();
+    db.waitlist.push({
+      id: 'holding',
+      userId: patient.id,
+      from: '2000-01-01',
+      to: '',
+      startTime: '',
+      endTime: '',
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      status: 'offered',
+      offer: { slotId: slot.id, expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString() },
+      passedSlotIds: [],
+      createdAt: new Date().toISOString()
+    });
+    const janesBooking = db.bookings.find(b => (
+      b.userId === jane.id && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+    const previousSlotId = janesBooking.slotId;
+    const reschedule = (slotId) => requestAsAnotherPatient(`/bookings/${janesBooking.id}/reschedule`, {
+      method: 'POST',
+      body: JSON.stringify({ slotId })
+    });
+
+    expect((await reschedule(slot.id)).status).toBe(409);
+    expect(janesBooking.slotId).toBe(previousSlotId);
+
+    await requestAsAnotherPatient(`/bookings/${janesBooking.id}`, { method: 'DELETE' });
+    const freeSlot = db.slots.find(s => (
+      s.id !== slot.id && s.id !== previousSlotId && new Date(s.startAt) > new Date()
+      && !db.bookings.some(b => b.slotId === s.id && b.status !== 'cancelled')
+    ));
+    expect((await reschedule(freeSlot.id)).status).toBe(409);
+    expect(janesBooking.slotId).toBe(previousSlotId);
+  });
+
+  test('cannot open admin pages', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    await screen.findByText('Available Appointments');
+
+    visit('/admin/bookings');
+
+    expect(await screen.findByText('Access denied')).toBeInTheDocument();
+  });
+});
+
+describe('admin flow', () => {
+  test('lists all bookings and cancels one with a reason', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+
+    expect(await screen.findByText('All Bookings Management')).toBeInTheDocument();
+    expect((await screen.findAllByText('Jane Cooper')).length).toBeGreaterThan(0);
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Cancel' })[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Cancel booking?' });
+    fireEvent.change(within(dialog).getByRole('textbox'), { target: { value: 'Doctor unavailable' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Cancel Booking' }));
+
+    expect(await screen.findByText('Booking cancelled successfully!')).toBeInTheDocument();
+    expect(getMockDb().bookings.some(b => b.cancelReason === 'Doctor unavailable')).toBe(true);
+  });
+
+  test('deletes a slot whose booking was cancelled and keeps the booking on record', async () => {
+    const db = getMockDb();
+    const jane = db.users.find(user => user.email === 'jane@example.com');
+    const booking = db.bookings.find(b => (
+      b.userId === jane.id && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+    await requestAsAnotherPatient(`/bookings/${booking.id}`, { method: 'DELETE' });
+    const slot = db.slots.find(s => s.id === booking.slotId);
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    await screen.findAllByRole('button', { name: 'Delete' });
+    fireEvent.click(getDeleteButton(slot));
+    const dialog = await screen.findByRole('dialog', { name: 'Delete slot?' });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Delete Slot' }));
+
+    expect(await screen.findByText('Slot deleted successfully!')).toBeInTheDocument();
+    expect(getMockDb().slots.some(s => s.id === slot.id)).toBe(false);
+
+    // Neither the patient's record nor undoing the cancellation trips over it
+    visit(`/admin/patients/${jane.id}`);
+    expect(await screen.findByRole('heading', { name: 'Jane Cooper' })).toBeInTheDocument();
+    expect(within(screen.getByRole('group', { name: 'Total bookings' })).getByText('2')).toBeInTheDocument();
+    const restore = await requestAsAnotherPatient(`/bookings/${booking.id}/restore`, { method: 'POST' });
+    expect(restore.status).toBe(409);
+  });
+
+  test('shows the reason and intake answers in the booking detail', async () => {
+    renderAt('/admin/bookings');
+    await loginAs('admin');
+
+    const [row] = await screen.findAllByRole('row', { name: /Annual check-up/ });
+    fireEvent.click(within(row).getByRole('button', { name: 'Details' }));
+
+    expect(within(row).getByRole('button', { name: 'Details' })).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('Is this your first visit?')).toBeInTheDocument();
+    expect(screen.getByText('Not applicable')).toBeInTheDocument();
+  });
+
+  test('rolls back an optimistic update when the request fails', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Notes' }))[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Internal notes' });
+    fireEvent.change(within(dialog).getByRole('textbox'), { target: { value: 'Prefers mornings' } });
+    simulateMockError({ method: 'PUT', status: 500, message: 'Notes service unavailable' });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Save Notes' }));
+
+    expect(await screen.findByText(/Notes service unavailable/)).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByText('📝 Note')).not.toBeInTheDocument());
+  });
+
+  test('shows new bookings as they arrive', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findAllByText('Jane Cooper');
+    expect(screen.getAllByRole('row')).toHaveLength(5);
+
+    await bookAsAnotherPatient(getFirstOpenSlot().id);
+
+    expect(await screen.findByText(/New booking: Jane Cooper/)).toBeInTheDocument();
+    await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(6));
+  });
+
+  test('opens a bookmarked filtered view and keeps sort and search in the URL', async () => {
+    renderAt('/admin/bookings?q=jane&status=upcoming');
+    await loginAs('admin');
+
+    await screen.findByText('All Bookings Management');
+    let rows = await screen.findAllByRole('row');
+    expect(rows).toHaveLength(2);
+    expect(within(rows[1]).getByText('Jane Cooper')).toBeInTheDocument();
+    expect(screen.getByLabelText('Search bookings')).toHaveValue('jane');
+    expect(screen.getByLabelText('Filter by status')).toHaveValue('upcoming');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+    await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(5));
+
+    fireEvent.click(within(screen.getAllByRole('row')[0]).getByRole('button', { name: /Patient/ }));
+    await waitFor(() => expect(window.location.search).toBe('?sort=patient'));
+    rows = await screen.findAllByRole('row');
+    expect(within(rows[1]).getByText('Demo Patient')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search bookings'), { target: { value: 'jane@' } });
+    await waitFor(() => expect(window.location.search).toBe('?sort=patient&q=jane%40'));
+    await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(3));
+  });
+
+  test('filters on the client when the backend ignores the parameters', async () => {
+    configureMockApi({ bookingFilters: false });
+    renderAt('/admin/bookings?status=completed&sort=patient&order=desc');
+    await loginAs('admin');
+
+    await screen.findByText('All Bookings Management');
+    const rows = await screen.findAllByRole('row');
+    expect(rows).toHaveLength(3);
+    expect(within(rows[1]).getByText('Jane Cooper')).toBeInTheDocument();
+    expect(within(rows[2]).getByText('Demo Patient')).toBeInTheDocument();
+    expect(screen.getAllByText('Completed')).not.toHaveLength(0);
+  });
+
+  test('updates live when the backend ignores the parameters', async () => {
+    configureMockApi({ bookingFilters: false });
+    const db = getMockDb();
+    const jane = db.users.find(user => user.email === 'jane@example.com');
+    const janesBooking = db.bookings.find(b => (
+      b.userId === jane.id && b.status !== 'cancelled' && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findAllByText('Jane Cooper');
+    const cancelled = screen.queryAllByText('Cancelled').length;
+
+    await requestAsAnotherPatient(`/bookings/${janesBooking.id}`, { method: 'DELETE' });
+
+    await waitFor(() => expect(screen.getAllByText('Cancelled')).toHaveLength(cancelled + 1));
+
+    const rows = screen.getAllByRole('row').length;
+    await bookAsAnotherPatient(getFirstOpenSlot().id);
+
+    expect(await screen.findByText(/New booking: Jane Cooper/)).toBeInTheDocument();
+    await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(rows + 1));
+  });
+
+  test('groups and filters bookings by provider', async () => {
+    const db = getMockDb();
+    const providerIds = new Set(db.bookings.map(booking => db.slots.find(slot => slot.id === booking.slotId).providerId));
+    renderAt('/admin/bookings?group=provider');
+    await loginAs('admin');
+
+    await screen.findByText('All Bookings Management');
+    await screen.findAllByText('Jane Cooper');
+    expect(screen.getByLabelText('Group by')).toHaveValue('provider');
+    // The header row group plus one per provider
+    expect(screen.getAllByRole('rowgroup')).toHaveLength(providerIds.size + 1);
+
+    const [providerId] = providerIds;
+    fireEvent.change(screen.getByLabelText('Filter by provider'), { target: { value: providerId } });
+    await waitFor(() => expect(screen.getAllByRole('rowgroup')).toHaveLength(2));
+    expect(window.location.search).toContain(`provider=${providerId}`);
+    const count = db.bookings.filter(booking => db.slots.find(slot => slot.id === booking.slotId).providerId === providerId).length;
+    expect(screen.getAllByRole('row')).toHaveLength(count + 2);
+  });
+
+  test('exports every page of bookings as CSV with the chosen columns', async () => {
+    const files = captureDownloads();
+    const db = getMockDb();
+    const [seeded] = db.bookings;
+    for (let i = 0; i < 116; i++) {
+      db.bookings.push({ ...seeded, id: `extra-${i}`, notes: i === 0 ? '=HYPERLINK("x")' : '' });
+    }
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Export/ }));
+    const dialog = await screen.findByRole('dialog', { name: 'Export bookings' });
+    fireEvent.click(within(dialog).getByRole('checkbox', { name: 'Booked On' }));
+    fireEvent.click(within(dialog).getByRole('checkbox', { name: 'Notes' }));
+    fireEvent.change(within(dialog).getByLabelText('Date format'), { target: { value: 'iso' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Download' }));
+
+    expect(await screen.findByText('Exported 120 bookings.')).toBeInTheDocument();
+    const lines = (await readFile(files[0])).trim().split('\r\n');
+    expect(lines[0]).toBe('Patient,Email,Appointment Date,Time Slot,Status,Notes');
+    expect(lines).toHaveLength(121);
+    expect(lines.some(line => line.endsWith(`,"'=HYPERLINK(""x"")"`))).toBe(true);
+    expect(lines[1]).toMatch(/^[^,]+,[^,]+,\d{4}-\d{2}-\d{2},\d{2}:\d{2} - \d{2}:\d{2},/);
+  });
+
+  test('shows analytics computed from every booking in the range', async () => {
+    const db = getMockDb();
+    db.bookings[1].status = 'cancelled';
+    renderAt('/admin/analytics');
+    await loginAs('admin');
+
+    expect(await screen.findByText('Booking Analytics')).toBeInTheDocument();
+    const card = (label) => screen.getByRole('group', { name: label });
+    await waitFor(() => expect(within(card('Bookings')).getByText('4')).toBeInTheDocument());
+    expect(within(card('Cancellation rate')).getByText('25%')).toBeInTheDocument();
+    expect(within(card('Slot utilization')).getByText(/^3 of \d+ slots booked$/)).toBeInTheDocument();
+
+    const perDay = screen.getByRole('list', { name: 'Bookings per day' });
+    expect(within(perDay).getAllByRole('listitem')).toHaveLength(61);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Week' }));
+    const perWeek = await screen.findByRole('list', { name: 'Bookings per week' });
+    expect(within(perWeek).getAllByRole('listitem').length).toBeLessThan(11);
+    expect(window.location.search).toBe('?group=week');
+  });
+
+  test('shows which days and times waitlisted patients are asking for', async () => {
+    renderAt('/admin/waitlist');
+    await loginAs('admin');
+
+    expect(await screen.findByText('Waitlist Demand')).toBeInTheDocument();
+    expect(within(await screen.findByRole('group', { name: 'Waitlist entries' })).getByText('1')).toBeInTheDocument();
+    expect(screen.getByText('Jane Cooper')).toBeInTheDocument();
+    expect(screen.getByText(/^09:00\sAM – 12:00\sPM$/)).toBeInTheDocument();
+
+    const perDay = screen.getByRole('list', { name: 'Entries waiting per day' });
+    expect(within(perDay).getAllByRole('listitem')).toHaveLength(28);
+    expect(within(perDay).getAllByRole('listitem', { name: /: 1$/ })).toHaveLength(7);
+    const perHour = screen.getByRole('list', { name: 'Entries waiting per start hour' });
+    expect(within(perHour).getAllByRole('listitem')).toHaveLength(3);
+  });
+
+  test('creates a slot from the schedule view', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    fireEvent.click(await screen.findByRole('button', { name: '+ New Slot' }));
+
+    const slotCount = getMockDb().slots.length;
+    fireEvent.change(screen.getByLabelText('Starts'), { target: { value: '2030-01-07T08:00' } });
+    fireEvent.change(screen.getByLabelText('Ends'), { target: { value: '2030-01-07T08:30' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create Slot' }));
+
+    expect(await screen.findByText('Slot created successfully!')).toBeInTheDocument();
+    expect(getMockDb().slots).toHaveLength(slotCount + 1);
+  });
+
+  test('warns when a new slot overlaps an existing one', async () => {
+    const slot = getFirstOpenSlot();
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    fireEvent.click(await screen.findByRole('button', { name: '+ New Slot' }));
+    await screen.findAllByRole('button', { name: 'Delete' });
+
+    fireEvent.change(screen.getByLabelText('Starts'), { target: { value: toLocalInputValue(slot.startAt) } });
+    fireEvent.change(screen.getByLabelText('Ends'), { target: { value: toLocalInputValue(slot.endAt) } });
+
+    expect(screen.getByText(/Overlaps 1 existing slot:/)).toBeInTheDocument();
+  });
+
+  test('previews recurring slots before generating them', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Generate Recurring Slots' }));
+    await screen.findAllByRole('button', { name: 'Delete' });
+
+    // Monday and Tuesday, four half-hour slots each
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2030-01-07' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '2030-01-08' } });
+    fireEvent.change(screen.getByLabelText('Day starts'), { target: { value: '09:00' } });
+    fireEvent.change(screen.getByLabelText('Day ends'), { target: { value: '11:00' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+    expect(screen.getByText('8 slots will be created')).toBeInTheDocument();
+    expect(screen.queryByText(/overlap existing slots/)).not.toBeInTheDocument();
+
+    // Changing the template hides the preview until it is asked for again
+    fireEvent.change(screen.getByLabelText('Day ends'), { target: { value: '10:00' } });
+    expect(screen.queryByText(/slots will be created/)).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    expect(screen.getByText('4 slots will be created')).toBeInTheDocument();
+
+    const slotCount = getMockDb().slots.length;
+    fireEvent.click(screen.getByRole('button', { name: 'Create 4 Slots' }));
+
+    expect(await screen.findByText('4 slots created successfully!')).toBeInTheDocument();
+    expect(getMockDb().slots).toHaveLength(slotCount + 4);
+    await waitFor(() => expect(screen.queryByText('Loading schedule...')).not.toBeInTheDocument());
+  });
+
+  test('refuses to delete a slot that has been booked', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findByText('All Bookings Management');
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    const deleteButtons = await screen.findAllByRole('button', { name: 'Delete' });
+    expect(deleteButtons.some(button => button.disabled && button.title === 'Booked slots cannot be deleted')).toBe(true);
+
+    const slot = getFirstOpenSlot();
+    fireEvent.click(getDeleteButton(slot));
+    const dialog = await screen.findByRole('dialog', { name: 'Delete slot?' });
+
+    // Someone books it while the dialog is open
+    await bookAsAnotherPatient(slot.id);
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Delete Slot' }));
+
+    expect(await screen.findByText('Booked slots cannot be deleted')).toBeInTheDocument();
+    expect(getMockDb().slots.some(s => s.id === slot.id)).toBe(true);
+  });
+});
+
+describe('staff roles', () => {
+  test('lets a receptionist manage bookings but not slots', async () => {
+    renderAt('/login');
+    await loginAs('receptionist');
+
+    expect(await screen.findByText('All Bookings Management')).toBeInTheDocument();
+    await screen.findAllByText('Jane Cooper');
+    expect(screen.queryByRole('button', { name: /Analytics/ })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Users/ })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Cancel' })[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Cancel booking?' });
+    fireEvent.change(within(dialog).getByRole('textbox'), { target: { value: 'Patient called' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Cancel Booking' }));
+    expect(await screen.findByText('Booking cancelled successfully!')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    await screen.findByText('Schedule Management');
+    await screen.findAllByRole('button', { name: /Export day/ });
+    expect(screen.queryByRole('button', { name: '+ New Slot' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+
+    visit('/admin/analytics');
+    expect(await screen.findByText('Access denied')).toBeInTheDocument();
+  });
+
+  test('shows a provider only their own schedule, read-only', async () => {
+    const db = getMockDb();
+    const jane = db.users.find(user => user.email === 'jane@example.com');
+    db.bookings.forEach(booking => {
+      db.slots.find(slot => slot.id === booking.slotId).providerId = booking.userId === jane.id ? 'amara-okafor' : 'liam-chen';
+    });
+    renderAt('/login');
+    await loginAs('provider');
+
+    expect(await screen.findByText('All Bookings Management')).toBeInTheDocument();
+    await screen.findAllByText('Jane Cooper');
+    expect(screen.queryByText('Demo Patient')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Cancel' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Notes' })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Schedule/ }));
+    expect(await screen.findByText('Showing only your own schedule')).toBeInTheDocument();
+    expect(await screen.findAllByText('Booked')).toHaveLength(1);
+    expect(screen.queryByRole('button', { name: '+ New Slot' })).not.toBeInTheDocument();
+  });
+
+  test('books a phone appointment on behalf of an existing patient', async () => {
+    const slot = getFirstOpenSlot();
+    renderAt('/login');
+    await loginAs('receptionist');
+
+    fireEvent.click(await screen.findByRole('button', { name: '+ New Booking' }));
+    fireEvent.change(await screen.findByLabelText('Search patients'), { target: { value: '555 0142' } });
+    const choice = await screen.findByRole('button', { name: 'Book for Jane Cooper' });
+    expect(screen.queryByRole('button', { name: 'Book for Demo Patient' })).not.toBeInTheDocument();
+    fireEvent.click(choice);
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Book Slot' }))[0]);
+    expect(await screen.findByText('For Jane Cooper')).toBeInTheDocument();
+    await confirmBooking();
+
+    expect(await screen.findByText(/Appointment booked/)).toBeInTheDocument();
+    const booking = getMockDb().bookings.find(b => b.slotId === slot.id && b.status !== 'cancelled');
+    const jane = getMockDb().users.find(user => user.email === 'jane@example.com');
+    expect(booking).toMatchObject({ userId: jane.id, reason: 'Check-up', createdBy: { name: 'Front Desk', role: 'receptionist' } });
+
+    fireEvent.click(screen.getByRole('button', { name: 'View All Bookings' }));
+    expect(await screen.findByText(/by Front Desk/)).toBeInTheDocument();
+  });
+
+  test('adds a walk-in patient and books them without waiting for email verification', async () => {
+    renderAt('/admin/bookings/new');
+    await loginAs('admin');
+
+    fireEvent.change(await screen.findByLabelText('Search patients'), { target: { value: 'Walk In' } });
+    expect(await screen.findByText('No patients match. Add them as a new patient.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: '+ New Patient' }));
+    expect(screen.getByLabelText('Full name')).toHaveValue('Walk In');
+    fireEvent.change(screen.getByLabelText('Email'), { target: { value: 'walk.in@example.com' } });
+    fireEvent.change(screen.getByLabelText('Phone'), { target: { value: '+1 555 0199' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Patient' }));
+
+    expect(await screen.findByRole('button', { name: 'Change patient' })).toBeInTheDocument();
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Book Slot' }))[0]);
+    await confirmBooking();
+    expect(await screen.findByText(/Appointment booked/)).toBeInTheDocument();
+
+    const { users, bookings, outbox } = getMockDb();
+    const patient = users.find(user => user.email === 'walk.in@example.com');
+    expect(patient).toMatchObject({ role: 'patient', emailVerified: false, phone: '+1 555 0199' });
+    expect(bookings.some(b => b.userId === patient.id && b.createdBy?.name === 'Demo Admin')).toBe(true);
+    expect(outbox.map(email => email.to)).toContain('walk.in@example.com');
+  });
+
+  test('lets an admin change a user role', async () => {
+    renderAt('/admin/users');
+    await loginAs('admin');
+
+    expect(await screen.findByLabelText('Role for Demo Admin')).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Role for Jane Cooper'), { target: { value: 'provider' } });
+
+    expect(await screen.findByText("Jane Cooper's role is now Provider")).toBeInTheDocument();
+    expect(screen.getByLabelText('Provider for Jane Cooper')).toHaveValue('amara-okafor');
+    const jane = getMockDb().users.find(user => user.email === 'jane@example.com');
+    expect(jane).toMatchObject({ role: 'provider', providerId: 'amara-okafor' });
+  });
+});
+
+describe('patient directory', () => {
+  test('opens a patient record from the bookings table', async () => {
+    renderAt('/login');
+    await loginAs('admin');
+
+    fireEvent.click((await screen.findAllByRole('button', { name: 'Jane Cooper' }))[0]);
+    expect(await screen.findByRole('heading', { name: 'Jane Cooper' })).toBeInTheDocument();
+    expect(within(screen.getByRole('group', { name: 'Total bookings' })).getByText('2')).toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Upcoming Appointments' })).getAllByRole('row')).toHaveLength(2);
+
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Prefers morning appointments' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Notes' }));
+    expect(await screen.findByText('Notes saved')).toBeInTheDocument();
+    const jane = getMockDb().users.find(user => user.email === 'jane@example.com');
+    expect(jane.staffNotes).toBe('Prefers morning appointments');
+
+    fireEvent.click(screen.getByRole('button', { name: /Send Message/ }));
+    const dialog = await screen.findByRole('dialog', { name: 'Message Jane Cooper' });
+    fireEvent.change(within(dialog).getByLabelText('Subject'), { target: { value: 'Your results' } });
+    fireEvent.change(within(dialog).getByLabelText('Message'), { target: { value: 'Please call us back.' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Send' }));
+    expect(await screen.findByText('Message sent to jane@example.com')).toBeInTheDocument();
+    expect(getMockDb().outbox).toContainEqual(expect.objectContaining({ to: 'jane@example.com', subject: 'Your results' }));
+
+    fireEvent.click(screen.getByRole('button', { name: '+ Book Appointment' }));
+    expect(await screen.findByRole('button', { name: 'Change patient' })).toBeInTheDocument();
+    expect(screen.getByText('Jane Cooper')).toBeInTheDocument();
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+  });
+
+  test('searches patients and deactivates one', async () => {
+    renderAt('/admin/patients');
+    await loginAs('admin');
+
+    await screen.findByRole('button', { name: 'Demo Patient' });
+    fireEvent.change(screen.getByLabelText('Search patients'), { target: { value: 'jane' } });
+    await waitFor(() => expect(window.location.search).toBe('?q=jane'));
+    // The header and a single match
+    await waitFor(() => expect(screen.getAllByRole('row')).toHaveLength(2));
+    expect(screen.queryByRole('button', { name: 'Demo Patient' })).not.toBeInTheDocument();
+    const result = screen.getByRole('button', { name: 'Jane Cooper' });
+
+    fireEvent.click(result);
+    fireEvent.click(await screen.findByRole('button', { name: 'Deactivate' }));
+    const dialog = await screen.findByRole('dialog', { name: 'Deactivate Jane Cooper?' });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Deactivate' }));
+
+    expect(await screen.findByText("Jane Cooper's account has been deactivated")).toBeInTheDocument();
+    expect(screen.getByText('Deactivated')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '+ Book Appointment' })).toBeDisabled();
+    const login = await mockFetch('/login', {
+      method: 'POST',
+      body: JSON.stringify({ email: 'jane@example.com', password: 'Passw0rd!' })
+    });
+    expect(login.status).toBe(403);
+  });
+});
+
+describe('notifications', () => {
+  test('keeps toasts across views and folds repeats into one', async () => {
+    renderAt('/login');
+    fireEvent.change(await screen.findByPlaceholderText('Email address'), { target: { value: 'patient@example.com' } });
+    fireEvent.change(screen.getByPlaceholderText('Password'), { target: { value: 'wrong password' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+    await screen.findByText('Invalid email or password');
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+    expect(await screen.findByText('×2')).toBeInTheDocument();
+    expect(screen.getAllByText('Invalid email or password')).toHaveLength(1);
+
+    await loginAs('patient');
+    await screen.findAllByRole('button', { name: 'Book Slot' });
+    const toasts = screen.getByRole('list', { name: 'Notifications' });
+    expect(within(toasts).getByText('Login successful!')).toBeInTheDocument();
+    expect(within(toasts).getByText('Invalid email or password')).toBeInTheDocument();
+  });
+
+  test('undoes a cancellation and lists it in the history panel', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click(await screen.findByRole('button', { name: /My Bookings/ }));
+    expect(await screen.findByText('Upcoming Appointments (1)')).toBeInTheDocument();
+    const db = getMockDb();
+    const patient = db.users.find(u => u.email === 'patient@example.com');
+    const booking = db.bookings.find(b => (
+      b.userId === patient.id && b.status !== 'cancelled' && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Booking' }));
+    await waitFor(() => expect(booking.status).toBe('cancelled'));
+    fireEvent.click(await screen.findByRole('button', { name: 'Undo' }));
+    expect(await screen.findByText('Upcoming Appointments (1)')).toBeInTheDocument();
+    expect(booking.status).toBe('confirmed');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show recent notifications, 2 unread' }));
+    const history = await screen.findByRole('list', { name: 'Recent notifications' });
+    const entries = within(history).getAllByRole('listitem');
+    expect(entries[0]).toHaveTextContent('Booking cancelled successfully! (undone)');
+    expect(entries[1]).toHaveTextContent('Login successful!');
+    fireEvent.click(screen.getByRole('button', { name: 'Show recent notifications' }));
+    expect(screen.queryByRole('heading', { name: 'Recent notifications' })).not.toBeInTheDocument();
+  });
+
+  test('offers no undo when the backend cannot restore a cancellation', async () => {
+    configureMockApi({ bookingRestore: false });
+    renderAt('/login');
+    await loginAs('admin');
+    await screen.findAllByText('Jane Cooper');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Cancel' })[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Cancel booking?' });
+    fireEvent.change(within(dialog).getByRole('textbox'), { target: { value: 'Clinic closed' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Cancel Booking' }));
+
+    expect(await screen.findByText('Booking cancelled successfully!')).toBeInTheDocument();
+    const toasts = screen.getByRole('list', { name: 'Notifications' });
+    expect(within(toasts).queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument();
+  });
+
+  test('cannot undo a cancellation once someone else has booked the slot', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click(await screen.findByRole('button', { name: /My Bookings/ }));
+    expect(await screen.findByText('Upcoming Appointments (1)')).toBeInTheDocument();
+    const db = getMockDb();
+    const patient = db.users.find(u => u.email === 'patient@example.com');
+    const booking = db.bookings.find(b => (
+      b.userId === patient.id && b.status !== 'cancelled' && new Date(db.slots.find(s => s.id === b.slotId).startAt) > new Date()
+    ));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Booking' }));
+    const undo = await screen.findByRole('button', { name: 'Undo' });
+    expect(booking.status).toBe('cancelled');
+    await bookAsAnotherPatient(booking.slotId);
+    fireEvent.click(undo);
+
+    expect(await screen.findByText(/cannot be restored/)).toBeInTheDocument();
+    expect(booking.status).toBe('cancelled');
+    expect(screen.queryByRole('button', { name: 'Cancel Booking' })).not.toBeInTheDocument();
+  });
+});
+
+describe('profile', () => {
+  test('updates details and password and keeps the signed-in user in sync', async () => {
+    renderAt('/login');
+    await loginAs('patient');
+    fireEvent.click(await screen.findByRole('button', { name: /Profile/ }));
+    expect(window.location.pathname).toBe('/profile');
+
+    const name = await screen.findByLabelText('Full name');
+    fireEvent.change(name, { target: { value: 'Dana Patient' } });
+    fireEvent.change(screen.getByLabelText('Phone'), { target: { value: '+1 555 0199' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(await screen.findByText('Your details have been saved.')).toBeInTheDocument();
+    expect(screen.getByText(/Dana Patient/)).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('user'))).toMatchObject({ name: 'Dana Patient', phone: '+1 555 0199' });
+
+    const changePassword = screen.getByRole('button', { name: 'Change Password' });
+    fireEvent.change(screen.getByLabelText('Current password'), { target: { value: 'Passw0rd!' } });
+    fireEvent.change(screen.getByLabelText('New password'), { target: { value: 'weakpass' } });
+    fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: 'weakpass' } });
+    expect(changePassword).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('New password'), { target: { value: 'N3w!Passw0rd' } });
+    fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: 'N3w!Passw0rd' } });
+    fireEvent.click(changePassword);
+
+    expect(await screen.findByText('Your password has been changed.')).toBeInTheDocument();
+    const login = await mockFetch('/login', {
+      method: 'POST',
+      body: JSON.stringify({ email: 'patient@example.com', password: 'N3w!Passw0rd' })
+    });
+    expect(login.ok).toBe(true);
+  });
+
+  test('deletes the account after the password is confirmed', async () => {
+    const [patient] = getMockDb().users;
+    renderAt('/profile');
+    await loginAs('patient');
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete Account' }));
+    const dialog = await screen.findByRole('dialog', { name: 'Delete account' });
+    fireEvent.change(within(dialog).getByLabelText(/Enter your password/), { target: { value: 'wrong' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Delete Account' }));
+    expect(await within(dialog).findByText('Password is incorrect')).toBeInTheDocument();
+
+    fireEvent.change(within(dialog).getByLabelText(/Enter your password/), { target: { value: 'Passw0rd!' } });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Delete Account' }));
+
+    expect(await screen.findByText('Your account has been deleted.')).toBeInTheDocument();
+    expect(window.location.pathname).toBe('/login');
+    expect(getMockDb().users.some(user => user.id === patient.id)).toBe(false);
+    expect(getMockDb().bookings.some(booking => booking.userId === patient.id)).toBe(false);
+  });
 });
@@ -0,0 +1,284 @@
+// Sign-in, registration and the password and verification pages reached
+// while signed out.
+
+import { useState } from 'react';
+import { apiRequest } from './api';
+import { useAuth } from './AuthProvider';
+import { VERIFY_EMAIL_PATH, useRouter } from './router';
+import { useI18n } from './I18nProvider';
+import { LanguageSelect } from './PreferenceSelects';
+import { useNotifications } from './NotificationsProvider';
+import { ResendVerification, VerifyEmailPage } from './EmailVerification';
+import { ForgotPasswordForm, NewPasswordFields, ResetPasswordForm, getNewPasswordError } from './PasswordReset';
+
+// One seeded account per role, all sharing a password
+const DEMO_PASSWORD = 'Passw0rd!';
+const DEMO_ACCOUNTS = [
+  { role: 'patient', email: 'patient@example.com', tryKey: 'auth.tryAsPatient', labelKey: 'auth.patientLabel' },
+  { role: 'receptionist', email: 'reception@example.com', tryKey: 'auth.tryAsReceptionist', labelKey: 'auth.receptionistLabel' },
+  { role: 'provider', email: 'provider@example.com', tryKey: 'auth.tryAsProvider', labelKey: 'auth.providerLabel' },
+  { role: 'admin', email: 'admin@example.com', tryKey: 'auth.tryAsAdmin', labelKey: 'auth.adminLabel' }
+];
+
+const LoginForm = ({ onSwitchToRegister, onForgotPassword }) => {
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const { notify } = useNotifications();
+  const { login } = useAuth();
+  const { t } = useI18n();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await apiRequest('/login', {
+        method: 'POST',
+        body: JSON.stringify(formData)
+      });
+      
+      login(response.token, response.user, response.role, response.refreshToken);
+      notify(t('auth.loginSuccess'), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fillTestCredentials = (account) => {
+    setFormData({ email: account.email, password: DEMO_PASSWORD });
+  };
+
+  return (
+    <div className="auth-form">
+      <h2>{t('auth.loginTitle')}</h2>
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <input
+            type="email"
+            placeholder={t('auth.emailPlaceholder')}
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            required
+            autoComplete="email"
+          />
+        </div>
+        <div className="form-group">
+          <input
+            type="password"
+            placeholder={t('auth.passwordPlaceholder')}
+            value={formData.password}
+            onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+            required
+            autoComplete="current-password"
+          />
+          <div className="forgot-password">
+            <button type="button" className="link-button" onClick={onForgotPassword}>
+              {t('auth.forgotPassword')}
+            </button>
+          </div>
+        </div>
+        <button type="submit" disabled={loading} className="submit-button">
+          {loading ? (
+            <>
+              <span className="button-spinner"></span>
+              {t('auth.loggingIn')}
+            </>
+          ) : (
+            t('auth.signIn')
+          )}
+        </button>
+      </form>
+      
+      <div className="auth-footer">
+        <p>
+          {t('auth.noAccount')}{' '}
+          <button className="link-button" onClick={onSwitchToRegister}>
+            {t('auth.createAccountLink')}
+          </button>
+        </p>
+      </div>
+
+      <div className="test-credentials">
+        <h4>{t('auth.demoCredentials')}</h4>
+        <div className="credentials-buttons">
+          {DEMO_ACCOUNTS.map(account => (
+            <button
+              key={account.role}
+              type="button"
+              className={`credential-button ${account.role}`}
+              onClick={() => fillTestCredentials(account)}
+            >
+              {t(account.tryKey)}
+            </button>
+          ))}
+        </div>
+        <div className="credentials-info">
+          {DEMO_ACCOUNTS.map(account => (
+            <p key={account.role}><strong>{t(account.labelKey)}</strong> {account.email}</p>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const RegisterForm = ({ onSwitchToLogin }) => {
+  const [formData, setFormData] = useState({ name: '', email: '', password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  // Where the verification email went, once the account exists
+  const [registeredEmail, setRegisteredEmail] = useState(null);
+  const { notify } = useNotifications();
+  const { t } = useI18n();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordError = getNewPasswordError(formData.password, formData.confirmPassword);
+    if (passwordError) {
+      notify(t(passwordError));
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await apiRequest('/register', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: formData.name,
+          email: formData.email,
+          password: formData.password
+        })
+      });
+      
+      notify(t('auth.registerSuccess'), 'success');
+      setRegisteredEmail(formData.email.trim());
+      setFormData({ name: '', email: '', password: '', confirmPassword: '' });
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (registeredEmail) {
+    return (
+      <div className="auth-form">
+        <h2>{t('verify.checkInboxTitle')}</h2>
+        <p className="auth-intro">{t('verify.checkInbox', { email: registeredEmail })}</p>
+        <ResendVerification email={registeredEmail} />
+        <button className="submit-button" onClick={onSwitchToLogin}>
+          {t('verify.continueToSignIn')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-form">
+      <h2>{t('auth.registerTitle')}</h2>
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <input
+            type="text"
+            placeholder={t('auth.namePlaceholder')}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+            autoComplete="name"
+          />
+        </div>
+        <div className="form-group">
+          <input
+            type="email"
+            placeholder={t('auth.emailPlaceholder')}
+            value={formData.email}
+            onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+            required
+            autoComplete="email"
+          />
+        </div>
+        <NewPasswordFields
+          password={formData.password}
+          confirmPassword={formData.confirmPassword}
+          onChange={(changes) => setFormData({ ...formData, ...changes })}
+        />
+        <button type="submit" disabled={loading} className="submit-button">
+          {loading ? (
+            <>
+              <span className="button-spinner"></span>
+              {t('auth.creatingAccount')}
+            </>
+          ) : (
+            t('auth.createAccount')
+          )}
+        </button>
+      </form>
+      
+      <div className="auth-footer">
+        <p>
+          {t('auth.haveAccount')}{' '}
+          <button className="link-button" onClick={onSwitchToLogin}>
+            {t('auth.signInLink')}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export const AuthPage = () => {
+  const { location, query, navigate } = useRouter();
+  const { sessionNotice } = useAuth();
+  const { t } = useI18n();
+  // Keeps ?redirect= so signing in still returns to the page that was asked for
+  const switchTo = (pathname) => navigate(`${pathname}${location.search}`);
+
+  const renderForm = () => {
+    switch (location.pathname) {
+      case '/register':
+        return <RegisterForm onSwitchToLogin={() => switchTo('/login')} />;
+      case '/forgot-password':
+        return <ForgotPasswordForm onSwitchToLogin={() => switchTo('/login')} />;
+      case VERIFY_EMAIL_PATH:
+        return <VerifyEmailPage token={query.get('token')} />;
+      case '/reset-password':
+        return (
+          <ResetPasswordForm
+            token={query.get('token')}
+            onSwitchToLogin={() => navigate('/login')}
+            onRequestNewLink={() => navigate('/forgot-password')}
+          />
+        );
+      default:
+        return (
+          <LoginForm
+            onSwitchToRegister={() => switchTo('/register')}
+            onForgotPassword={() => switchTo('/forgot-password')}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>{t('app.title')}</h1>
+          <p>{t('app.tagline')}</p>
+          <div className="auth-preferences">
+            <LanguageSelect />
+          </div>
+        </div>
+        {sessionNotice && (
+          <div className="message info-message session-notice">{sessionNotice}</div>
+        )}
+        {renderForm()}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,181 @@
+// The signed-in user, kept in step with the session in api.js.
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { translateActive } from './i18n';
+import {
+  MAX_TIMER_DELAY_MS,
+  SESSION_WARNING_MS,
+  canRefreshSession,
+  clearSessionStorage,
+  endSession,
+  getTokenExpiry,
+  refreshSession,
+  subscribeToSession
+} from './api';
+
+const AuthContext = React.createContext();
+
+export const useAuth = () => {
+  const context = React.useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [tokenVersion, setTokenVersion] = useState(0);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const userRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  useEffect(() => {
+    const restoreSession = async () => {
+      const token = localStorage.getItem('token');
+      const userData = localStorage.getItem('user');
+
+      if (token && userData) {
+        try {
+          // Verify token is not expired
+          const expiresAt = getTokenExpiry(token);
+          if (!expiresAt) {
+            throw new Error('Missing expiry');
+          }
+          if (expiresAt <= Date.now()) {
+            // Without a refresh token there is nothing to renew it with
+            if (!canRefreshSession()) {
+              clearSessionStorage();
+              setLoading(false);
+              return;
+            }
+            await refreshSession();
+          }
+          setUser(JSON.parse(userData));
+        } catch (error) {
+          console.error('Invalid token:', error);
+          clearSessionStorage();
+        }
+      }
+      setLoading(false);
+    };
+
+    restoreSession();
+  }, []);
+
+  useEffect(() => {
+    return subscribeToSession((type, detail) => {
+      if (type === 'ended') {
+        setUser(null);
+        setSessionExpiresAt(null);
+        setSessionNotice(detail.message);
+      } else if (type === 'refreshed') {
+        setSessionExpiresAt(null);
+        setTokenVersion(v => v + 1);
+      }
+    });
+  }, []);
+
+  // Keep tabs in sync: signing out (or in) in one tab applies to all of them,
+  // and so do profile changes.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'user') {
+        if (event.newValue && localStorage.getItem('token')) setUser(JSON.parse(event.newValue));
+        return;
+      }
+      if (event.key !== 'token' && event.key !== null) return;
+
+      if (!localStorage.getItem('token')) {
+        if (userRef.current) {
+          setSessionNotice(translateActive('session.signedOutElsewhere'));
+        }
+        setUser(null);
+        setSessionExpiresAt(null);
+      } else {
+        const userData = localStorage.getItem('user');
+        if (userData) {
+          setUser(JSON.parse(userData));
+          setSessionNotice(null);
+        }
+        setSessionExpiresAt(null);
+        setTokenVersion(v => v + 1);
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Refresh silently ahead of expiry when possible; otherwise warn the user
+  // and end the session once the token actually expires.
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const expiresAt = getTokenExpiry(localStorage.getItem('token'));
+    if (!expiresAt) return undefined;
+
+    const timers = [];
+    const schedule = (callback, at) => {
+      const delay = Math.max(0, at - Date.now());
+      if (delay <= MAX_TIMER_DELAY_MS) {
+        timers.push(setTimeout(callback, delay));
+      }
+    };
+    const warn = () => setSessionExpiresAt(expiresAt);
+
+    if (canRefreshSession()) {
+      schedule(() => refreshSession().catch(warn), expiresAt - SESSION_WARNING_MS);
+    } else {
+      schedule(warn, expiresAt - SESSION_WARNING_MS);
+    }
+    schedule(() => endSession(), expiresAt);
+
+    return () => timers.forEach(clearTimeout);
+  }, [user, tokenVersion]);
+
+  const login = (token, userData, role, refreshToken) => {
+    localStorage.setItem('token', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+    localStorage.setItem('user', JSON.stringify({ ...userData, role }));
+    setUser({ ...userData, role });
+    setSessionNotice(null);
+  };
+
+  const logout = useCallback((message = null) => {
+    clearSessionStorage();
+    setUser(null);
+    setSessionExpiresAt(null);
+    setSessionNotice(message);
+  }, []);
+
+  const extendSession = useCallback(async () => {
+    await refreshSession();
+  }, []);
+
+  // Applies profile changes the server has accepted to the stored user; the
+  // role is never taken from them
+  const updateUser = useCallback((changes) => {
+    const current = userRef.current;
+    if (!current) return;
+    const next = { ...current, ...changes, role: current.role };
+    localStorage.setItem('user', JSON.stringify(next));
+    userRef.current = next;
+    setUser(next);
+  }, []);
+
+  return (
+    <AuthContext.Provider
+      value={{ user, login, logout, loading, sessionExpiresAt, sessionNotice, extendSession, updateUser }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
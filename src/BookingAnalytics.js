@@ -0,0 +1,284 @@
+// Booking analytics over a date range.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  addDaysToKey,
+  dateKeyToDate,
+  getDateKey,
+  getTimeZoneLabel,
+  getTodayKey,
+  getZonedParts,
+  startOfWeekKey
+} from './dates';
+import { apiRequest } from './api';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { BarChart, LoadingSpinner } from './components';
+import { getBookingStatus, isSlotBooked } from './slots';
+import { DATE_KEY_PATTERN, fetchAllBookingPages } from './bookings';
+
+const ANALYTICS_GROUPINGS = ['day', 'week'];
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 366;
+export const DAY_HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const HOUR_MS = 60 * 60 * 1000;
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const countDaysInRange = (from, to) => Math.round((dateKeyToDate(to) - dateKeyToDate(from)) / (24 * HOUR_MS)) + 1;
+
+// Everything is bucketed by the appointment's day and hour in timeZone, over
+// the bookings and slots whose start falls inside [from, to]. Cancelled
+// bookings count towards the cancellation rate only.
+const computeBookingAnalytics = (bookings, slots, { from, to }, timeZone) => {
+  const inRange = (dateStr) => {
+    const day = getDateKey(dateStr, timeZone);
+    return day >= from && day <= to;
+  };
+  const rangeBookings = bookings.filter(booking => inRange(booking.slot.startAt));
+  const rangeSlots = slots.filter(slot => inRange(slot.startAt));
+  const counts = { upcoming: 0, completed: 0, cancelled: 0 };
+  const perDay = {};
+  const perHour = Array(24).fill(0);
+  const offeredPerHour = Array(24).fill(0);
+  const leadTimes = [];
+
+  for (let day = from; day <= to; day = addDaysToKey(day, 1)) {
+    perDay[day] = 0;
+  }
+
+  rangeBookings.forEach(booking => {
+    const status = getBookingStatus(booking);
+    counts[status] += 1;
+    if (status === 'cancelled') return;
+
+    perDay[getDateKey(booking.slot.startAt, timeZone)] += 1;
+    perHour[getZonedParts(booking.slot.startAt, timeZone).hour] += 1;
+    const leadTime = new Date(booking.slot.startAt) - new Date(booking.createdAt);
+    if (leadTime >= 0) leadTimes.push(leadTime);
+  });
+
+  rangeSlots.forEach(slot => {
+    offeredPerHour[getZonedParts(slot.startAt, timeZone).hour] += 1;
+  });
+
+  const perWeek = {};
+  Object.entries(perDay).forEach(([day, count]) => {
+    const week = startOfWeekKey(day);
+    perWeek[week] = (perWeek[week] || 0) + count;
+  });
+
+  const bookedSlots = rangeSlots.filter(isSlotBooked).length;
+  const busiest = Math.max(...perHour);
+
+  return {
+    total: rangeBookings.length,
+    ...counts,
+    cancellationRate: rangeBookings.length ? counts.cancelled / rangeBookings.length : null,
+    offeredSlots: rangeSlots.length,
+    bookedSlots,
+    utilization: rangeSlots.length ? bookedSlots / rangeSlots.length : null,
+    perDay,
+    perWeek,
+    perHour,
+    offeredPerHour,
+    peakHour: busiest > 0 ? perHour.indexOf(busiest) : null,
+    averageLeadTime: leadTimes.length ? leadTimes.reduce((sum, ms) => sum + ms, 0) / leadTimes.length : null,
+    medianLeadTime: median(leadTimes)
+  };
+};
+
+// Lead times under two days read better in hours
+export const formatDuration = (ms, locale) => {
+  const hours = ms / HOUR_MS;
+  const [value, unit] = hours < 48 ? [hours, 'hour'] : [hours / 24, 'day'];
+  return new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long', maximumFractionDigits: 1 }).format(value);
+};
+
+const formatPercent = (ratio, locale) => {
+  return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 }).format(ratio);
+};
+
+// Totals and trends over a date range, computed from every booking and slot
+// in it rather than from one page of the bookings table
+export const BookingAnalytics = () => {
+  const { clinicTimeZone } = useTimezone();
+  const { query, setQuery } = useRouter();
+  const { t, locale, formatDateKey, formatHour } = useI18n();
+  const [data, setData] = useState({ bookings: [], slots: [] });
+  const [loading, setLoading] = useState(true);
+  const { notify } = useNotifications();
+
+  const today = getTodayKey(clinicTimeZone);
+  const fromParam = query.get('from') || '';
+  const toParam = query.get('to') || '';
+  const from = DATE_KEY_PATTERN.test(fromParam) ? fromParam : addDaysToKey(today, -DEFAULT_ANALYTICS_DAYS);
+  const to = DATE_KEY_PATTERN.test(toParam) ? toParam : addDaysToKey(today, DEFAULT_ANALYTICS_DAYS);
+  const grouping = ANALYTICS_GROUPINGS.includes(query.get('group')) ? query.get('group') : 'day';
+  const rangeError = from > to
+    ? t('analytics.rangeOrder')
+    : countDaysInRange(from, to) > MAX_ANALYTICS_DAYS ? t('analytics.rangeTooLong', { count: MAX_ANALYTICS_DAYS }) : '';
+
+  const fetchAnalytics = useCallback(async () => {
+    if (rangeError) return;
+    setLoading(true);
+    try {
+      const [bookings, slots] = await Promise.all([
+        fetchAllBookingPages({ from, to, timeZone: clinicTimeZone }),
+        apiRequest(`/admin/slots?from=${addDaysToKey(from, -1)}&to=${addDaysToKey(to, 1)}`)
+      ]);
+      setData({ bookings, slots });
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to, clinicTimeZone, rangeError, notify]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const analytics = useMemo(() => {
+    return rangeError ? null : computeBookingAnalytics(data.bookings, data.slots, { from, to }, clinicTimeZone);
+  }, [data, from, to, clinicTimeZone, rangeError]);
+
+  const shortDate = (key) => dateKeyToDate(key).toLocaleDateString(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  const trend = analytics
+    ? Object.entries(grouping === 'week' ? analytics.perWeek : analytics.perDay).map(([key, value]) => ({
+      key,
+      value,
+      label: grouping === 'week' ? t('analytics.weekOf', { date: formatDateKey(key) }) : formatDateKey(key),
+      shortLabel: shortDate(key)
+    }))
+    : [];
+
+  // Only the hours the clinic is open, or had bookings in, are charted
+  const hours = analytics
+    ? DAY_HOURS.filter(hour => analytics.offeredPerHour[hour] > 0 || analytics.perHour[hour] > 0)
+    : [];
+  const peakHours = hours.map(hour => ({
+    key: hour,
+    value: analytics.perHour[hour],
+    label: formatHour(hour)
+  }));
+
+  const stats = analytics && [
+    { key: 'total', value: analytics.total, label: t('analytics.totalBookings') },
+    { key: 'upcoming', value: analytics.upcoming, label: t('status.upcoming') },
+    { key: 'completed', value: analytics.completed, label: t('status.completed') },
+    {
+      key: 'cancellationRate',
+      value: analytics.cancellationRate === null ? '–' : formatPercent(analytics.cancellationRate, locale),
+      label: t('analytics.cancellationRate'),
+      detail: t('analytics.cancelledCount', { count: analytics.cancelled })
+    },
+    {
+      key: 'utilization',
+      value: analytics.utilization === null ? '–' : formatPercent(analytics.utilization, locale),
+      label: t('analytics.utilization'),
+      detail: t('analytics.bookedOfOffered', { booked: analytics.bookedSlots, count: analytics.offeredSlots })
+    },
+    {
+      key: 'leadTime',
+      value: analytics.medianLeadTime === null ? '–' : formatDuration(analytics.medianLeadTime, locale),
+      label: t('analytics.medianLeadTime'),
+      detail: analytics.averageLeadTime === null
+        ? null
+        : t('analytics.averageLeadTime', { time: formatDuration(analytics.averageLeadTime, locale) })
+    },
+    {
+      key: 'peakHour',
+      value: analytics.peakHour === null ? '–' : formatHour(analytics.peakHour),
+      label: t('analytics.peakHour')
+    }
+  ];
+
+  return (
+    <div className="analytics">
+      <div className="section-header">
+        <div>
+          <h3>{t('analytics.title')}</h3>
+          <span className="zone-note">
+            {t('schedule.zoneNote', { zone: clinicTimeZone, label: getTimeZoneLabel(clinicTimeZone) })}
+          </span>
+        </div>
+        <div className="date-filters">
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setQuery({ from: e.target.value }, { replace: true })}
+            aria-label={t('common.fromDate')}
+          />
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setQuery({ to: e.target.value }, { replace: true })}
+            aria-label={t('common.toDate')}
+          />
+          <button onClick={fetchAnalytics} disabled={Boolean(rangeError)} className="refresh-button">
+            {t('common.refresh')}
+          </button>
+        </div>
+      </div>
+
+      {rangeError ? (
+        <div className="message error-message" role="alert">{rangeError}</div>
+      ) : loading ? (
+        <LoadingSpinner message={t('analytics.loading')} />
+      ) : (
+        <>
+          <div className="analytics-stats">
+            {stats.map(stat => (
+              <div key={stat.key} className="stat-card" role="group" aria-label={stat.label}>
+                <span className="stat-number">{stat.value}</span>
+                <span className="stat-label">{stat.label}</span>
+                {stat.detail && <span className="stat-detail">{stat.detail}</span>}
+              </div>
+            ))}
+          </div>
+
+          <div className="analytics-charts">
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>{t('analytics.bookingsOverTime')}</h4>
+                <div className="view-switcher" role="group" aria-label={t('analytics.groupBy')}>
+                  {ANALYTICS_GROUPINGS.map(option => (
+                    <button
+                      key={option}
+                      className={grouping === option ? 'active' : ''}
+                      onClick={() => setQuery({ group: option === 'day' ? null : option }, { replace: true })}
+                      aria-pressed={grouping === option}
+                    >
+                      {t(`analytics.groupings.${option}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <BarChart title={t(`analytics.per.${grouping}`)} data={trend} />
+            </div>
+
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>{t('analytics.peakHours')}</h4>
+              </div>
+              {peakHours.length === 0 ? (
+                <p className="picker-empty">{t('analytics.noBookings')}</p>
+              ) : (
+                <BarChart title={t('analytics.bookingsByHour')} data={peakHours} />
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
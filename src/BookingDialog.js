@@ -0,0 +1,222 @@
+// Booking confirmation with the reason for the visit, notes and intake
+// questions.
+
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from './api';
+import { useI18n } from './I18nProvider';
+import { ConfirmDialog, TimeRange } from './components';
+import { SlotDimensions } from './SlotDimensions';
+
+const REASON_MAX_LENGTH = 200;
+const PATIENT_NOTES_MAX_LENGTH = 1000;
+
+const INTAKE_TYPES = ['text', 'choice', 'yesno'];
+export const EMPTY_BOOKING_DRAFT = { reason: '', notes: '', answers: {} };
+
+const isAnswered = (answer) => answer !== undefined && answer !== null && answer !== '';
+
+// The first problem with a booking draft as [i18n key, params], or null
+const validateBookingDraft = ({ reason, answers }, questions) => {
+  if (!reason.trim()) return ['intake.reasonRequired'];
+  const unanswered = questions.find(question => question.required && !isAnswered(
+    typeof answers[question.id] === 'string' ? answers[question.id].trim() : answers[question.id]
+  ));
+  return unanswered ? ['intake.answerRequired', { question: unanswered.label }] : null;
+};
+
+// Fields sent to /book alongside the slot. Each answer carries its question's
+// label so the booking still reads correctly after the questions change.
+const getBookingDetails = ({ reason, notes, answers }, questions) => ({
+  reason: reason.trim(),
+  patientNotes: notes.trim(),
+  intake: questions
+    .map(question => {
+      const answer = answers[question.id];
+      return { questionId: question.id, question: question.label, answer: typeof answer === 'string' ? answer.trim() : answer };
+    })
+    .filter(({ answer }) => isAnswered(answer))
+});
+
+// The clinic's intake questionnaire, each question { id, label, type,
+// options, required }. Questions of a type this app doesn't know are skipped.
+const fetchIntakeQuestions = async () => {
+  const questions = await apiRequest('/intake-questions');
+  return (questions || []).filter(question => INTAKE_TYPES.includes(question.type));
+};
+
+// One intake question as a form control; answers are strings, except yes/no
+// questions which answer true or false
+const IntakeQuestion = ({ question, answer, onAnswer }) => {
+  const { t } = useI18n();
+  const label = (
+    <>
+      {question.label}
+      {question.required && <span className="required-mark" aria-hidden="true"> *</span>}
+    </>
+  );
+
+  if (question.type === 'yesno') {
+    return (
+      <fieldset className="intake-yesno">
+        <legend>{label}</legend>
+        {[true, false].map(value => (
+          <label key={String(value)}>
+            <input
+              type="radio"
+              name={`intake-${question.id}`}
+              checked={answer === value}
+              onChange={() => onAnswer(value)}
+              required={question.required}
+            />
+            {t(value ? 'intake.yes' : 'intake.no')}
+          </label>
+        ))}
+      </fieldset>
+    );
+  }
+
+  return (
+    <label className="dialog-field">
+      <span>{label}</span>
+      {question.type === 'choice' ? (
+        <select value={answer || ''} onChange={(e) => onAnswer(e.target.value)} required={question.required}>
+          <option value="">{t('intake.selectOption')}</option>
+          {question.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type="text"
+          value={answer || ''}
+          onChange={(e) => onAnswer(e.target.value)}
+          required={question.required}
+        />
+      )}
+    </label>
+  );
+};
+
+// Confirms a slot before booking it, collecting the reason for the visit,
+// notes and the clinic's intake questions. Problems are only pointed out once
+// the patient tries to book. Staff booking for someone else pass the patient.
+export const BookingDialog = ({ slot, patient = null, draft, onChange, error, busy, onConfirm, onCancel }) => {
+  const { t, formatDate } = useI18n();
+  const [questions, setQuestions] = useState(null);
+  const [attempted, setAttempted] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Without the questionnaire the booking can still go ahead
+    fetchIntakeQuestions()
+      .catch(() => [])
+      .then(result => {
+        if (!cancelled) setQuestions(result);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const problem = questions ? validateBookingDraft(draft, questions) : null;
+
+  const updateDraft = (changes) => onChange(prev => ({ ...prev, ...changes }));
+
+  const handleConfirm = () => {
+    setAttempted(true);
+    if (!problem) onConfirm(getBookingDetails(draft, questions));
+  };
+
+  return (
+    <ConfirmDialog
+      title={t('intake.title')}
+      confirmLabel={t('intake.book')}
+      wide
+      busy={busy}
+      confirmDisabled={questions === null}
+      onConfirm={handleConfirm}
+      onCancel={onCancel}
+    >
+      <div className="booking-summary">
+        {patient && <span className="booking-for">{t('newBooking.bookingFor', { name: patient.name })}</span>}
+        <strong>{formatDate(slot.startAt)}</strong>
+        <TimeRange startAt={slot.startAt} endAt={slot.endAt} />
+        <SlotDimensions slot={slot} />
+      </div>
+      <label className="dialog-field">
+        <span>
+          {t('intake.reason')}
+          <span className="required-mark" aria-hidden="true"> *</span>
+        </span>
+        <input
+          type="text"
+          value={draft.reason}
+          onChange={(e) => updateDraft({ reason: e.target.value })}
+          maxLength={REASON_MAX_LENGTH}
+          required
+        />
+      </label>
+      <label className="dialog-field">
+        <span>{t('intake.notes')}</span>
+        <textarea
+          value={draft.notes}
+          onChange={(e) => updateDraft({ notes: e.target.value })}
+          maxLength={PATIENT_NOTES_MAX_LENGTH}
+          rows={3}
+        />
+      </label>
+      {questions === null ? (
+        <p className="picker-empty">{t('intake.loadingQuestions')}</p>
+      ) : questions.length > 0 && (
+        <div className="intake-questions">
+          <h5>{t('intake.questionsTitle')}</h5>
+          {questions.map(question => (
+            <IntakeQuestion
+              key={question.id}
+              question={question}
+              answer={draft.answers[question.id]}
+              onAnswer={(answer) => updateDraft({ answers: { ...draft.answers, [question.id]: answer } })}
+            />
+          ))}
+        </div>
+      )}
+      {((attempted && problem) || error) && (
+        <div className="message error-message" role="alert">
+          {attempted && problem ? t(...problem) : error}
+        </div>
+      )}
+    </ConfirmDialog>
+  );
+};
+
+// What the patient told the clinic when booking
+export const BookingIntake = ({ booking }) => {
+  const { t } = useI18n();
+  const intake = booking.intake || [];
+  if (!booking.reason && !booking.patientNotes && intake.length === 0) return null;
+
+  const formatAnswer = (answer) => (typeof answer === 'boolean' ? t(answer ? 'intake.yes' : 'intake.no') : answer);
+
+  return (
+    <dl className="booking-intake">
+      {booking.reason && (
+        <>
+          <dt>{t('intake.reason')}</dt>
+          <dd>{booking.reason}</dd>
+        </>
+      )}
+      {booking.patientNotes && (
+        <>
+          <dt>{t('intake.notes')}</dt>
+          <dd>{booking.patientNotes}</dd>
+        </>
+      )}
+      {intake.map(({ questionId, question, answer }) => (
+        <React.Fragment key={questionId}>
+          <dt>{question}</dt>
+          <dd>{formatAnswer(answer)}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+};
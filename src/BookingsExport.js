@@ -0,0 +1,215 @@
+// CSV and Excel export of the admin bookings list with its filters applied.
+
+import { useState, useEffect, useRef } from 'react';
+import { CSV_TYPE, XLSX_TYPE, createCsv, createXlsx, downloadFile } from './export';
+import { getTodayKey, getZonedParts, pad } from './dates';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { ConfirmDialog } from './components';
+import { getBookingStatus } from './slots';
+import { applyBookingFilters, fetchAllBookingPages, getBookingFilterParams } from './bookings';
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_COLUMNS = [
+  'patient', 'email', 'date', 'time', 'service', 'provider', 'location', 'bookedOn', 'bookedBy', 'status', 'notes',
+  'cancelReason'
+];
+const DEFAULT_EXPORT_COLUMNS = ['patient', 'email', 'date', 'time', 'bookedOn', 'status'];
+const EXPORT_DATE_FORMATS = ['locale', 'iso', 'us', 'eu'];
+
+// Apart from 'locale', formats ignore the language so a file parses the same
+// way whoever exported it. Times are always in the exporting user's zone.
+const formatExportDate = (dateStr, format, { timeZone, locale }) => {
+  if (format === 'locale') {
+    return new Date(dateStr).toLocaleDateString(locale, { dateStyle: 'short', timeZone });
+  }
+  const { year, month, day } = getZonedParts(dateStr, timeZone);
+  if (format === 'us') return `${pad(month)}/${pad(day)}/${year}`;
+  if (format === 'eu') return `${pad(day)}/${pad(month)}/${year}`;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const formatExportTime = (dateStr, format, { timeZone, locale, hour12 }) => {
+  if (format === 'locale') {
+    return new Date(dateStr).toLocaleTimeString(locale, { timeStyle: 'short', hour12, timeZone });
+  }
+  const { hour, minute } = getZonedParts(dateStr, timeZone);
+  if (format === 'us') return `${hour % 12 || 12}:${pad(minute)} ${hour < 12 ? 'AM' : 'PM'}`;
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+const getExportCell = (booking, column, format, options, t) => {
+  switch (column) {
+    case 'patient':
+      return booking.user.name;
+    case 'email':
+      return booking.user.email;
+    case 'date':
+      return formatExportDate(booking.slot.startAt, format, options);
+    case 'time':
+      return `${formatExportTime(booking.slot.startAt, format, options)} - ${formatExportTime(booking.slot.endAt, format, options)}`;
+    case 'bookedOn':
+      return `${formatExportDate(booking.createdAt, format, options)} ${formatExportTime(booking.createdAt, format, options)}`;
+    case 'bookedBy':
+      return booking.createdBy?.name || '';
+    case 'status':
+      return t(`status.${getBookingStatus(booking)}`);
+    case 'service':
+    case 'provider':
+    case 'location':
+      return booking.slot[column]?.name || '';
+    default:
+      return booking[column] || '';
+  }
+};
+
+const createBookingsExport = (bookings, { columns, fileFormat, dateFormat, ...options }, t) => {
+  const rows = [
+    columns.map(column => t(`admin.columns.${column}`)),
+    ...bookings.map(booking => columns.map(column => getExportCell(booking, column, dateFormat, options, t)))
+  ];
+  return fileFormat === 'xlsx'
+    ? createXlsx(rows, { sheetName: t('export.sheetName') })
+    : createCsv(rows);
+};
+
+// Every page of the bookings table, with the current filters, as a CSV or
+// Excel file
+export const BookingsExport = ({ filters }) => {
+  const { notify } = useNotifications();
+  const { timeZone } = useTimezone();
+  const { t, locale, hourCycle } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [options, setOptions] = useState({
+    fileFormat: 'csv',
+    columns: DEFAULT_EXPORT_COLUMNS,
+    dateFormat: 'locale'
+  });
+  const [progress, setProgress] = useState(null);
+  const cancelledRef = useRef(false);
+
+  useEffect(() => () => {
+    cancelledRef.current = true;
+  }, []);
+
+  const toggleColumn = (column) => {
+    setOptions(prev => ({
+      ...prev,
+      // Keep the file's column order fixed whatever order they were ticked in
+      columns: prev.columns.includes(column)
+        ? prev.columns.filter(c => c !== column)
+        : EXPORT_COLUMNS.filter(c => c === column || prev.columns.includes(c))
+    }));
+  };
+
+  const close = () => {
+    cancelledRef.current = true;
+    setProgress(null);
+    setOpen(false);
+  };
+
+  const handleExport = async () => {
+    cancelledRef.current = false;
+    setProgress({ page: 0, totalPages: 0, fetched: 0, total: 0 });
+    try {
+      const pages = await fetchAllBookingPages(getBookingFilterParams(filters, timeZone), {
+        onProgress: setProgress,
+        isCancelled: () => cancelledRef.current
+      });
+      if (!pages) return;
+      // Repeated here in case the backend ignored the filters
+      const bookings = applyBookingFilters(pages, filters, timeZone);
+      if (bookings.length === 0) {
+        notify(t('export.empty'), 'info');
+      } else {
+        const hour12 = hourCycle === 'auto' ? undefined : hourCycle === 'h12';
+        const content = createBookingsExport(bookings, { ...options, timeZone, locale, hour12 }, t);
+        downloadFile(
+          `bookings-${getTodayKey(timeZone)}.${options.fileFormat}`,
+          content,
+          options.fileFormat === 'xlsx' ? XLSX_TYPE : CSV_TYPE
+        );
+        notify(t('export.success', { count: bookings.length }), 'success');
+      }
+      setOpen(false);
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const exporting = progress !== null;
+
+  return (
+    <>
+      <button onClick={() => setOpen(true)} className="secondary-button">
+        ⬇ {t('export.button')}
+      </button>
+
+      {open && (
+        <ConfirmDialog
+          title={t('export.title')}
+          confirmLabel={exporting ? t('calendar.exporting') : t('export.download')}
+          confirmDisabled={exporting || options.columns.length === 0}
+          onConfirm={handleExport}
+          onCancel={close}
+        >
+          <p>{t('export.hint')}</p>
+          <label className="dialog-field">
+            {t('export.fileFormat')}
+            <select
+              value={options.fileFormat}
+              onChange={(e) => setOptions(prev => ({ ...prev, fileFormat: e.target.value }))}
+              disabled={exporting}
+            >
+              {EXPORT_FORMATS.map(format => (
+                <option key={format} value={format}>{t(`export.formats.${format}`)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="dialog-field">
+            {t('export.dateFormat')}
+            <select
+              value={options.dateFormat}
+              onChange={(e) => setOptions(prev => ({ ...prev, dateFormat: e.target.value }))}
+              disabled={exporting}
+            >
+              {EXPORT_DATE_FORMATS.map(format => (
+                <option key={format} value={format}>{t(`export.dateFormats.${format}`)}</option>
+              ))}
+            </select>
+          </label>
+          <fieldset className="export-columns" disabled={exporting}>
+            <legend>{t('export.columns')}</legend>
+            {EXPORT_COLUMNS.map(column => (
+              <label key={column}>
+                <input
+                  type="checkbox"
+                  checked={options.columns.includes(column)}
+                  onChange={() => toggleColumn(column)}
+                />
+                {t(`admin.columns.${column}`)}
+              </label>
+            ))}
+          </fieldset>
+          {exporting && (
+            <div className="export-progress">
+              <progress
+                value={progress.fetched}
+                max={progress.total || 1}
+                aria-label={t('export.progressLabel')}
+              />
+              <span>
+                {progress.totalPages > 0
+                  ? t('export.progress', { ...progress, count: progress.total })
+                  : t('export.starting')}
+              </span>
+            </div>
+          )}
+        </ConfirmDialog>
+      )}
+    </>
+  );
+};
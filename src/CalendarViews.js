@@ -0,0 +1,141 @@
+// Week and month calendars of available slots.
+
+import { useMemo } from 'react';
+import { addDaysToKey, addMonthsToKey, getTodayKey, getWeekdayOfKey, getZonedParts, startOfWeekKey } from './dates';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { groupSlotsByDate, isSlotInPast } from './slots';
+
+// Date range shown by a calendar view, as <input type="date"> values.
+export const getCalendarRange = (view, anchorKey) => {
+  if (view === 'week') {
+    const start = startOfWeekKey(anchorKey);
+    return { from: start, to: addDaysToKey(start, 6) };
+  }
+  const first = `${anchorKey.slice(0, 7)}-01`;
+  return { from: first, to: addDaysToKey(addMonthsToKey(first, 1), -1) };
+};
+
+export const SLOT_VIEWS = ['list', 'week', 'month'];
+
+export const WeekView = ({ slots, anchor, onBook, bookingSlot, selectedDay, onSelectDay, bookingBlocked = false }) => {
+  const { timeZone } = useTimezone();
+  const { t, formatTime, formatDateTime, formatHour, weekdayNames } = useI18n();
+
+  const days = useMemo(() => {
+    const start = startOfWeekKey(anchor);
+    return Array.from({ length: 7 }, (_, i) => addDaysToKey(start, i));
+  }, [anchor]);
+
+  const slotsByDay = useMemo(() => groupSlotsByDate(slots, timeZone), [slots, timeZone]);
+
+  // Show the working day by default, widened to fit any earlier or later slots
+  const hours = useMemo(() => {
+    const slotHours = slots.map(slot => getZonedParts(slot.startAt, timeZone).hour);
+    const first = Math.min(8, ...slotHours);
+    const last = Math.max(17, ...slotHours);
+    return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+  }, [slots, timeZone]);
+
+  const todayKey = getTodayKey(timeZone);
+
+  return (
+    <div className="week-view" role="grid">
+      <div className="week-row week-header" role="row">
+        <div className="week-hour" />
+        {days.map(key => (
+          <button
+            key={key}
+            role="columnheader"
+            className={`week-day-header ${key === todayKey ? 'today' : ''} ${key === selectedDay ? 'selected' : ''}`}
+            onClick={() => onSelectDay(key)}
+          >
+            <span>{weekdayNames[getWeekdayOfKey(key)]}</span>
+            <strong>{Number(key.slice(8))}</strong>
+          </button>
+        ))}
+      </div>
+      {hours.map(hour => (
+        <div key={hour} className="week-row" role="row">
+          <div className="week-hour">{formatHour(hour)}</div>
+          {days.map(key => {
+            const cellSlots = (slotsByDay[key] || []).filter(slot => getZonedParts(slot.startAt, timeZone).hour === hour);
+            return (
+              <div key={key} className="week-cell" role="gridcell">
+                {cellSlots.map(slot => {
+                  const isPast = isSlotInPast(slot.startAt);
+                  return (
+                    <button
+                      key={slot.id}
+                      className="week-slot"
+                      onClick={() => onBook(slot.id)}
+                      disabled={isPast || bookingSlot === slot.id || bookingBlocked}
+                      title={t('slots.bookAt', { time: formatDateTime(slot.startAt) })}
+                    >
+                      {bookingSlot === slot.id ? '...' : formatTime(slot.startAt)}
+                    </button>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const MonthView = ({ slots, anchor, selectedDay, onSelectDay }) => {
+  const { timeZone } = useTimezone();
+  const { t, formatDateKey, weekdayNames } = useI18n();
+  const month = anchor.slice(0, 7);
+
+  const weeks = useMemo(() => {
+    const { from, to } = getCalendarRange('month', anchor);
+    const result = [];
+    for (let weekStart = startOfWeekKey(from); weekStart <= to; weekStart = addDaysToKey(weekStart, 7)) {
+      const start = weekStart;
+      result.push(Array.from({ length: 7 }, (_, i) => addDaysToKey(start, i)));
+    }
+    return result;
+  }, [anchor]);
+
+  const slotsByDay = useMemo(() => groupSlotsByDate(slots, timeZone), [slots, timeZone]);
+  const todayKey = getTodayKey(timeZone);
+
+  return (
+    <div className="month-view">
+      <div className="month-weekdays">
+        {weekdayNames.map(label => <div key={label}>{label}</div>)}
+      </div>
+      {weeks.map(week => (
+        <div key={week[0]} className="month-week">
+          {week.map(key => {
+            const count = (slotsByDay[key] || []).length;
+            const inMonth = key.startsWith(month);
+            return (
+              <button
+                key={key}
+                className={[
+                  'month-day',
+                  inMonth ? '' : 'outside',
+                  key === todayKey ? 'today' : '',
+                  key === selectedDay ? 'selected' : '',
+                  count > 0 ? 'has-slots' : ''
+                ].join(' ')}
+                onClick={() => onSelectDay(key)}
+                disabled={!inMonth}
+                aria-label={t('slots.dayAvailability', { date: formatDateKey(key), count })}
+              >
+                <span className="month-day-number">{Number(key.slice(8))}</span>
+                {inMonth && count > 0 && (
+                  <span className="month-day-count">{t('slots.count', { count })}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
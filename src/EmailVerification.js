@@ -0,0 +1,168 @@
+// Email verification: the link landing page, the banner shown until the
+// address is verified and the button that sends another link.
+
+import { useState, useEffect } from 'react';
+import { apiRequest } from './api';
+import { useCooldown } from './hooks';
+import { useAuth } from './AuthProvider';
+import { getHomePath, useRouter } from './router';
+import { useI18n } from './I18nProvider';
+import { LoadingSpinner } from './components';
+
+// Emails a user can ask for again only after a wait
+export const EMAIL_COOLDOWN_SECONDS = 60;
+
+// Sends the verification email again, then waits before allowing another
+export const ResendVerification = ({ email }) => {
+  const [sending, setSending] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [secondsLeft, startCooldown] = useCooldown('verification-requested-at', EMAIL_COOLDOWN_SECONDS);
+  const { t } = useI18n();
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await apiRequest('/verify-email/resend', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+      });
+      startCooldown();
+      setStatus({ type: 'success', text: t('verify.resent', { email }) });
+    } catch (err) {
+      setStatus({ type: 'error', text: err.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="resend-verification">
+      <button type="button" onClick={handleResend} disabled={sending || secondsLeft > 0} className="secondary-button">
+        {secondsLeft > 0 ? t('auth.resendIn', { count: secondsLeft }) : t('verify.resend')}
+      </button>
+      {status && (
+        <p className={`resend-status ${status.type}`} role={status.type === 'error' ? 'alert' : 'status'}>
+          {status.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Where the link in the verification email lands, signed in or not
+export const VerifyEmailPage = ({ token }) => {
+  // checking, verified, invalid, expired or failed
+  const [status, setStatus] = useState(token ? 'checking' : 'invalid');
+  const [verifiedUserId, setVerifiedUserId] = useState(null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const { user, updateUser } = useAuth();
+  const { navigate } = useRouter();
+  const { t } = useI18n();
+
+  useEffect(() => {
+    if (!token) return undefined;
+    let active = true;
+    setStatus('checking');
+    apiRequest(`/verify-email/${encodeURIComponent(token)}`, { method: 'POST' })
+      .then(response => {
+        if (!active) return;
+        setVerifiedUserId(response?.user?.id ?? null);
+        setStatus('verified');
+      })
+      .catch(err => {
+        if (!active) return;
+        setError(err.message);
+        setStatus(err.status === 410 ? 'expired' : err.status === 404 ? 'invalid' : 'failed');
+      });
+    return () => {
+      active = false;
+    };
+  }, [token, attempt]);
+
+  // Lift the booking block straight away if this is the signed-in account
+  useEffect(() => {
+    if (status === 'verified' && user && user.emailVerified === false && verifiedUserId === user.id) {
+      updateUser({ emailVerified: true });
+    }
+  }, [status, user, verifiedUserId, updateUser]);
+
+  if (status === 'checking') {
+    return (
+      <div className="auth-form">
+        <LoadingSpinner message={t('verify.checking')} />
+      </div>
+    );
+  }
+
+  if (status === 'verified') {
+    return (
+      <div className="auth-form">
+        <h2>{t('verify.verifiedTitle')}</h2>
+        <div className="message success-message auth-status" role="status">{t('verify.verified')}</div>
+        <button className="submit-button" onClick={() => navigate(user ? getHomePath(user) : '/login')}>
+          {user ? t('verify.continue') : t('auth.signIn')}
+        </button>
+      </div>
+    );
+  }
+
+  if (status === 'failed') {
+    return (
+      <div className="auth-form">
+        <h2>{t('verify.failedTitle')}</h2>
+        <div className="message error-message auth-status" role="alert">{error}</div>
+        <button className="submit-button" onClick={() => setAttempt(n => n + 1)}>
+          {t('verify.tryAgain')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-form">
+      <h2>{t(`verify.link.${status}Title`)}</h2>
+      <div className="message error-message auth-status" role="alert">{t(`verify.link.${status}`)}</div>
+      {user && user.emailVerified === false && <ResendVerification email={user.email} />}
+      {!user && (
+        <>
+          <p className="auth-intro">{t('verify.signInToResend')}</p>
+          <button className="submit-button" onClick={() => navigate('/login')}>
+            {t('auth.signIn')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Shown to patients who have not confirmed their email, who cannot book yet
+export const EmailVerificationBanner = () => {
+  const { user, updateUser } = useAuth();
+  const { t } = useI18n();
+
+  // The link may have been opened on another device since signing in
+  useEffect(() => {
+    let active = true;
+    apiRequest('/me')
+      .then(profile => {
+        if (active && profile?.emailVerified) updateUser({ emailVerified: true });
+      })
+      .catch(() => {
+        // The banner stays until the next check
+      });
+    return () => {
+      active = false;
+    };
+  }, [updateUser]);
+
+  return (
+    <div className="verification-banner" role="alert">
+      <div>
+        <strong>✉️ {t('verify.bannerTitle')}</strong>
+        <p>{t('verify.bannerText', { email: user.email })}</p>
+      </div>
+      <ResendVerification email={user.email} />
+    </div>
+  );
+};
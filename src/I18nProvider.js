@@ -0,0 +1,112 @@
+// Language and hour-cycle preferences, and the formatters that follow them.
+// The translations themselves live in i18n.js.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { LANGUAGES, detectLanguage, isSupportedLanguage, setActiveLanguage, translate } from './i18n';
+import {
+  WEEKDAYS,
+  addDaysToKey,
+  dateKeyToDate,
+  formatDate,
+  formatDateKey,
+  formatDateTime,
+  formatHour,
+  formatTime,
+  formatTimeOfDay
+} from './dates';
+import { useAuth } from './AuthProvider';
+import { useTimezone } from './TimezoneProvider';
+
+const I18nContext = React.createContext();
+
+export const useI18n = () => {
+  const context = React.useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+};
+
+export const HOUR_CYCLES = ['auto', 'h12', 'h24'];
+const PREFERENCES_KEY = 'preferences';
+
+// Preferences are kept per user, with a device-wide copy so the sign-in page
+// opens in the language that was used last.
+const getPreferencesKey = (userId) => (userId ? `${PREFERENCES_KEY}:${userId}` : PREFERENCES_KEY);
+
+const readPreferences = (userId) => {
+  const read = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+      return {};
+    }
+  };
+  const device = read(PREFERENCES_KEY);
+  return userId ? { ...device, ...read(getPreferencesKey(userId)) } : device;
+};
+
+const writePreferences = (userId, preferences) => {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  if (userId) {
+    localStorage.setItem(getPreferencesKey(userId), JSON.stringify(preferences));
+  }
+};
+
+export const I18nProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { timeZone: userTimeZone } = useTimezone();
+  const userId = user ? user.id || user.email : null;
+  const [preferences, setPreferences] = useState(() => readPreferences(null));
+
+  useEffect(() => {
+    setPreferences(readPreferences(userId));
+  }, [userId]);
+
+  const language = isSupportedLanguage(preferences.language) ? preferences.language : detectLanguage();
+  const hourCycle = HOUR_CYCLES.includes(preferences.hourCycle) ? preferences.hourCycle : 'auto';
+  const { locale, dir } = LANGUAGES[language];
+
+  useEffect(() => {
+    setActiveLanguage(language);
+    document.documentElement.lang = language;
+    document.documentElement.dir = dir;
+  }, [language, dir]);
+
+  const updatePreferences = useCallback((changes) => {
+    const next = { ...readPreferences(userId), ...changes };
+    writePreferences(userId, next);
+    setPreferences(next);
+  }, [userId]);
+
+  const value = useMemo(() => {
+    const hour12 = hourCycle === 'auto' ? undefined : hourCycle === 'h12';
+
+    return {
+      language,
+      setLanguage: (value) => updatePreferences({ language: value }),
+      hourCycle,
+      setHourCycle: (value) => updatePreferences({ hourCycle: value }),
+      locale,
+      dir,
+      t: (key, params) => translate(language, key, params),
+      formatDate: (dateStr, timeZone = userTimeZone) => formatDate(dateStr, { timeZone, locale }),
+      formatTime: (dateStr, timeZone = userTimeZone) => formatTime(dateStr, { timeZone, locale, hour12 }),
+      formatDateTime: (dateStr, timeZone = userTimeZone) => formatDateTime(dateStr, { timeZone, locale, hour12 }),
+      formatDateKey: (key) => formatDateKey(key, { locale }),
+      formatHour: (hour) => formatHour(hour, { locale, hour12 }),
+      formatTimeOfDay: (value) => formatTimeOfDay(value, { locale, hour12 }),
+      formatMonth: (key) => dateKeyToDate(key).toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      // 2000-01-02 was a Sunday
+      weekdayNames: WEEKDAYS.map(day => (
+        dateKeyToDate(addDaysToKey('2000-01-02', day)).toLocaleDateString(locale, { weekday: 'short', timeZone: 'UTC' })
+      ))
+    };
+  }, [language, hourCycle, locale, dir, userTimeZone, updatePreferences]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
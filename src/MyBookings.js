@@ -0,0 +1,384 @@
+// The patient's bookings, with cancel, reschedule and reminders.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { createCalendar, downloadCalendar } from './ics';
+import { apiRequest } from './api';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { ConfirmDialog, LoadingSpinner, TimeRange } from './components';
+import { SlotDimensions } from './SlotDimensions';
+import { fetchAvailableSlots, getBookingStatus, groupSlotsByDate, isSlotInPast } from './slots';
+import { createBookingEvent, downloadBookingCalendar } from './calendarEvents';
+import { ReminderSettings, useReminders } from './RemindersProvider';
+import { BookingIntake } from './BookingDialog';
+
+export const SlotPicker = ({ selectedSlotId, onSelect, excludeSlotId, reloadKey = 0 }) => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const { timeZone } = useTimezone();
+  const { t, formatDateKey, formatTime } = useI18n();
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+    fetchAvailableSlots(dateRange, timeZone)
+      .then(response => {
+        if (active) setSlots(response.filter(slot => slot.id !== excludeSlotId && !isSlotInPast(slot.startAt)));
+      })
+      .catch(err => {
+        if (active) setError(err.message);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [dateRange, excludeSlotId, reloadKey, timeZone]);
+
+  const groupedSlots = useMemo(() => groupSlotsByDate(slots, timeZone), [slots, timeZone]);
+
+  return (
+    <div className="slot-picker">
+      <div className="date-filters">
+        <input
+          type="date"
+          value={dateRange.from}
+          onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+          aria-label={t('common.fromDate')}
+        />
+        <input
+          type="date"
+          value={dateRange.to}
+          onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+          aria-label={t('common.toDate')}
+        />
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message={t('slots.loading')} />
+      ) : error ? (
+        <div className="message error-message">{error}</div>
+      ) : slots.length === 0 ? (
+        <p className="picker-empty">{t('slots.noneInRange')}</p>
+      ) : (
+        <div className="picker-days">
+          {Object.entries(groupedSlots).map(([date, daySlots]) => (
+            <div key={date} className="picker-day">
+              <div className="picker-day-header">{formatDateKey(date)}</div>
+              <div className="picker-options">
+                {daySlots.map(slot => (
+                  <button
+                    key={slot.id}
+                    type="button"
+                    className={`slot-option ${selectedSlotId === slot.id ? 'selected' : ''}`}
+                    onClick={() => onSelect(slot)}
+                    aria-pressed={selectedSlotId === slot.id}
+                  >
+                    {formatTime(slot.startAt)}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BookingCard = React.memo(({ booking, onCancel, onReschedule, isCancelling }) => {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const status = getBookingStatus(booking);
+  const isPast = isSlotInPast(booking.slot.startAt);
+  const canCancel = status === 'upcoming' && !isCancelling;
+
+  return (
+    <div className={`booking-card ${status === 'upcoming' ? '' : 'past'}`}>
+      <div className="booking-header">
+        <div className="booking-date">{formatDate(booking.slot.startAt)}</div>
+        <div className="booking-status">{t(`status.${status}`)}</div>
+      </div>
+      <div className="booking-details">
+        <div className="booking-time">
+          <TimeRange startAt={booking.slot.startAt} endAt={booking.slot.endAt} />
+        </div>
+        <SlotDimensions slot={booking.slot} />
+        <div className="booking-meta">
+          {t('bookings.bookedOn', { time: formatDateTime(booking.createdAt) })}
+        </div>
+      </div>
+      <BookingIntake booking={booking} />
+      <div className="booking-actions">
+        {!isPast && (
+          <button
+            onClick={() => downloadBookingCalendar(booking, t)}
+            className="calendar-button"
+          >
+            📅 {status === 'cancelled' ? t('calendar.removeFromCalendar') : t('calendar.addToCalendar')}
+          </button>
+        )}
+        {canCancel && onReschedule && (
+          <button
+            onClick={() => onReschedule(booking)}
+            className="reschedule-button"
+          >
+            {t('bookings.reschedule')}
+          </button>
+        )}
+        {canCancel && onCancel && (
+          <button 
+            onClick={() => onCancel(booking.id)}
+            disabled={isCancelling}
+            className="cancel-button"
+          >
+            {isCancelling ? t('bookings.cancelling') : t('bookings.cancelBooking')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export const MyBookings = () => {
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [cancellingBooking, setCancellingBooking] = useState(null);
+  const [reschedule, setReschedule] = useState(null);
+  const { notify } = useNotifications();
+  const { t, formatDateTime } = useI18n();
+  const { syncBookings } = useReminders();
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      const response = await apiRequest('/my-bookings');
+      setBookings(response);
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  // Cancelling or moving a booking replaces its reminders straight away
+  useEffect(() => {
+    if (!loading) syncBookings(bookings);
+  }, [bookings, loading, syncBookings]);
+
+  // Undo books the same slot again, as long as nobody has taken it since. It
+  // is only offered by a backend that says it can restore the cancellation.
+  const restoreBooking = async (bookingId) => {
+    const restored = await apiRequest(`/bookings/${bookingId}/restore`, { method: 'POST' });
+    setBookings(prev => prev.map(booking => (booking.id === bookingId ? { ...booking, ...restored } : booking)));
+  };
+
+  const handleCancelBooking = async (bookingId) => {
+    setCancellingBooking(bookingId);
+    try {
+      const response = await apiRequest(`/bookings/${bookingId}`, {
+        method: 'DELETE'
+      });
+
+      notify(t('bookings.cancelSuccess'), 'success', {
+        undo: response?.canRestore ? () => restoreBooking(bookingId) : null
+      });
+      // Keep the booking around so its calendar event can be cancelled too,
+      // counting the cancellation the way the server does
+      setBookings(prev => prev.map(booking => (booking.id === bookingId ? {
+        ...booking,
+        status: 'cancelled',
+        ...(Number.isInteger(booking.sequence) && { sequence: booking.sequence + 1 }),
+        updatedAt: new Date().toISOString()
+      } : booking)));
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setCancellingBooking(null);
+    }
+  };
+
+  const openReschedule = useCallback((booking) => {
+    setReschedule({ booking, slot: null, saving: false, error: null, reloadKey: 0 });
+  }, []);
+
+  // The server swaps the booking atomically: if the new slot has been taken
+  // in the meantime the original booking is left untouched.
+  const handleConfirmReschedule = async () => {
+    const { booking, slot } = reschedule;
+    setReschedule(prev => ({ ...prev, saving: true, error: null }));
+    try {
+      const updated = await apiRequest(`/bookings/${booking.id}/reschedule`, {
+        method: 'POST',
+        body: JSON.stringify({ slotId: slot.id })
+      });
+
+      const moved = {
+        ...booking,
+        slot,
+        updatedAt: new Date().toISOString(),
+        ...(updated && updated.id === booking.id ? updated : {})
+      };
+      setBookings(prev => prev.map(b => (b.id === booking.id ? moved : b)));
+      setReschedule(null);
+      notify(t('bookings.rescheduleSuccess', { time: formatDateTime(slot.startAt) }), 'success', {
+        action: {
+          label: t('calendar.updateCalendar'),
+          onClick: () => downloadBookingCalendar(moved, t)
+        }
+      });
+    } catch (err) {
+      setReschedule(prev => ({
+        ...prev,
+        slot: null,
+        saving: false,
+        reloadKey: prev.reloadKey + 1,
+        error: t('bookings.rescheduleKept', { error: err.message, time: formatDateTime(booking.slot.startAt) })
+      }));
+    }
+  };
+
+  const { upcomingBookings, pastBookings, cancelledBookings } = useMemo(() => {
+    return bookings.reduce((acc, booking) => {
+      const status = getBookingStatus(booking);
+      if (status === 'cancelled') {
+        acc.cancelledBookings.push(booking);
+      } else if (status === 'upcoming') {
+        acc.upcomingBookings.push(booking);
+      } else {
+        acc.pastBookings.push(booking);
+      }
+      return acc;
+    }, { upcomingBookings: [], pastBookings: [], cancelledBookings: [] });
+  }, [bookings]);
+
+  // The feed also carries bookings cancelled in this session, so importing it
+  // again removes them from the calendar.
+  const exportUpcoming = () => {
+    const feed = [...upcomingBookings, ...cancelledBookings.filter(b => !isSlotInPast(b.slot.startAt))];
+    downloadCalendar(
+      'appointments.ics',
+      createCalendar(feed.map(booking => createBookingEvent(booking, t)), { name: t('calendar.feedName') })
+    );
+  };
+
+  if (loading) return <LoadingSpinner message={t('bookings.loading')} />;
+
+  return (
+    <div className="my-bookings">
+      <div className="section-header">
+        <h3>{t('bookings.title')}</h3>
+        <div className="header-actions">
+          <button
+            onClick={exportUpcoming}
+            disabled={upcomingBookings.length === 0 && cancelledBookings.length === 0}
+            className="refresh-button"
+          >
+            📅 {t('calendar.exportUpcoming')}
+          </button>
+          <button onClick={fetchBookings} className="refresh-button">
+            {t('common.refresh')}
+          </button>
+        </div>
+      </div>
+
+      <ReminderSettings />
+
+      {bookings.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">📋</div>
+          <h4>{t('bookings.emptyTitle')}</h4>
+          <p>{t('bookings.emptyHint')}</p>
+        </div>
+      ) : (
+        <>
+          {upcomingBookings.length > 0 && (
+            <div className="bookings-section">
+              <h4>{t('bookings.upcomingTitle', { count: upcomingBookings.length })}</h4>
+              <div className="bookings-list">
+                {upcomingBookings.map(booking => (
+                  <BookingCard
+                    key={booking.id}
+                    booking={booking}
+                    onCancel={handleCancelBooking}
+                    onReschedule={openReschedule}
+                    isCancelling={cancellingBooking === booking.id}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {pastBookings.length > 0 && (
+            <div className="bookings-section">
+              <h4>{t('bookings.pastTitle', { count: pastBookings.length })}</h4>
+              <div className="bookings-list">
+                {pastBookings.map(booking => (
+                  <BookingCard
+                    key={booking.id}
+                    booking={booking}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {cancelledBookings.length > 0 && (
+            <div className="bookings-section">
+              <h4>{t('bookings.cancelledTitle', { count: cancelledBookings.length })}</h4>
+              <p className="section-hint">{t('calendar.cancelledHint')}</p>
+              <div className="bookings-list">
+                {cancelledBookings.map(booking => (
+                  <BookingCard
+                    key={booking.id}
+                    booking={booking}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      {reschedule && (
+        <ConfirmDialog
+          title={t('bookings.rescheduleTitle')}
+          confirmLabel={t('bookings.confirmNewTime')}
+          wide
+          busy={reschedule.saving}
+          confirmDisabled={!reschedule.slot}
+          onConfirm={handleConfirmReschedule}
+          onCancel={() => setReschedule(null)}
+        >
+          {reschedule.error && <div className="message error-message">{reschedule.error}</div>}
+          <SlotPicker
+            selectedSlotId={reschedule.slot?.id}
+            excludeSlotId={reschedule.booking.slot.id}
+            reloadKey={reschedule.reloadKey}
+            onSelect={(slot) => setReschedule(prev => ({ ...prev, slot, error: null }))}
+          />
+          <div className="reschedule-compare">
+            <div className="reschedule-time old">
+              <span className="field-label">{t('bookings.current')}</span>
+              <span className="reschedule-value">{formatDateTime(reschedule.booking.slot.startAt)}</span>
+            </div>
+            <div className="reschedule-arrow">→</div>
+            <div className="reschedule-time new">
+              <span className="field-label">{t('bookings.new')}</span>
+              <span className="reschedule-value">
+                {reschedule.slot ? formatDateTime(reschedule.slot.startAt) : t('bookings.selectTime')}
+              </span>
+            </div>
+          </div>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,305 @@
+// The patient side of the waitlist: joining it, offers and the entries list.
+
+import { useState, useEffect, useCallback } from 'react';
+import { formatCountdown, getTodayKey } from './dates';
+import { apiRequest } from './api';
+import { useNow } from './hooks';
+import { useAuth } from './AuthProvider';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { useLiveUpdates } from './liveUpdates';
+import { ConfirmDialog, LoadingSpinner } from './components';
+import { downloadBookingCalendar } from './calendarEvents';
+
+// Days are required from the first one, the last day and the time window
+// are optional; all of them are read in the patient's time zone.
+export const WaitlistDialog = ({ initialRange, onJoined, onCancel }) => {
+  const { timeZone } = useTimezone();
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => {
+    const today = getTodayKey(timeZone);
+    return {
+      from: initialRange.from && initialRange.from > today ? initialRange.from : today,
+      to: initialRange.to && initialRange.to >= today ? initialRange.to : '',
+      startTime: '',
+      endTime: ''
+    };
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const validationError = !form.from
+    ? t('waitlist.fromRequired')
+    : form.to && form.from > form.to
+      ? t('analytics.rangeOrder')
+      : form.startTime && form.endTime && form.startTime >= form.endTime ? t('waitlist.windowOrder') : null;
+
+  const updateField = (field) => (e) => {
+    setForm(prev => ({ ...prev, [field]: e.target.value }));
+    setError(null);
+  };
+
+  const handleJoin = async () => {
+    setSaving(true);
+    try {
+      const entry = await apiRequest('/waitlist', {
+        method: 'POST',
+        body: JSON.stringify({ ...form, timeZone })
+      });
+      onJoined(entry);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ConfirmDialog
+      title={t('waitlist.joinTitle')}
+      confirmLabel={t('waitlist.join')}
+      busy={saving}
+      confirmDisabled={Boolean(validationError)}
+      onConfirm={handleJoin}
+      onCancel={onCancel}
+    >
+      <p className="section-hint">{t('waitlist.joinHint')}</p>
+      <div className="form-row">
+        <label>
+          {t('waitlist.firstDay')}
+          <input type="date" value={form.from} onChange={updateField('from')} />
+        </label>
+        <label>
+          {t('waitlist.lastDay')}
+          <input type="date" value={form.to} onChange={updateField('to')} />
+        </label>
+      </div>
+      <div className="form-row">
+        <label>
+          {t('waitlist.earliestTime')}
+          <input type="time" value={form.startTime} onChange={updateField('startTime')} />
+        </label>
+        <label>
+          {t('waitlist.latestTime')}
+          <input type="time" value={form.endTime} onChange={updateField('endTime')} />
+        </label>
+      </div>
+      <span className="zone-note">{t('waitlist.zoneNote', { zone: timeZone })}</span>
+      {(error || validationError) && (
+        <div className="message error-message" role="alert">{error || validationError}</div>
+      )}
+    </ConfirmDialog>
+  );
+};
+
+// The signed-in patient's waitlist. It is fetched again whenever the live
+// channel reports a change to one of their entries, and once an offer runs
+// out so the entry shows back in line.
+const useWaitlistEntries = (onError) => {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchEntries = useCallback(async (silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      const response = await apiRequest('/waitlist');
+      setEntries(response);
+    } catch (err) {
+      if (!silent && onError) onError(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [onError]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  useLiveUpdates((event) => {
+    if (event.entry && event.entry.userId === user.id) fetchEntries(true);
+  }, () => fetchEntries(true));
+
+  const offers = entries.filter(entry => entry.status === 'offered' && entry.offer);
+  const now = useNow(offers.length > 0);
+  const hasExpiredOffer = offers.some(entry => new Date(entry.offer.expiresAt) <= now);
+
+  useEffect(() => {
+    if (hasExpiredOffer) fetchEntries(true);
+  }, [hasExpiredOffer, fetchEntries]);
+
+  return { entries, setEntries, offers, loading, fetchEntries, now };
+};
+
+// The days and times an entry is waiting for
+export const WaitlistWindow = ({ entry }) => {
+  const { timeZone } = useTimezone();
+  const { t, formatDateKey, formatTimeOfDay } = useI18n();
+
+  const days = entry.to
+    ? `${formatDateKey(entry.from)} – ${formatDateKey(entry.to)}`
+    : t('waitlist.fromDay', { date: formatDateKey(entry.from) });
+  const times = entry.startTime && entry.endTime
+    ? `${formatTimeOfDay(entry.startTime)} – ${formatTimeOfDay(entry.endTime)}`
+    : entry.startTime
+      ? t('waitlist.after', { time: formatTimeOfDay(entry.startTime) })
+      : entry.endTime ? t('waitlist.before', { time: formatTimeOfDay(entry.endTime) }) : t('waitlist.anyTime');
+
+  return (
+    <div className="waitlist-window">
+      <span className="waitlist-days">{days}</span>
+      <span className="waitlist-times">
+        {times}
+        {(entry.startTime || entry.endTime) && entry.timeZone !== timeZone && (
+          <span className="clinic-time"> ({entry.timeZone.replace(/_/g, ' ')})</span>
+        )}
+      </span>
+    </div>
+  );
+};
+
+// Shown on the other patient pages while a slot is being held for them
+export const WaitlistOfferNotice = () => {
+  const { navigate } = useRouter();
+  const { t, formatDateTime } = useI18n();
+  const { offers, now } = useWaitlistEntries();
+  const offer = offers.find(entry => new Date(entry.offer.expiresAt) > now)?.offer;
+
+  if (!offer) return null;
+
+  return (
+    <div className="waitlist-notice" role="status">
+      <span>
+        🔔 {t('waitlist.offerNotice', {
+          time: formatDateTime(offer.slot.startAt),
+          countdown: formatCountdown(new Date(offer.expiresAt) - now)
+        })}
+      </span>
+      <button onClick={() => navigate('/waitlist')} className="primary-button">
+        {t('waitlist.viewOffer')}
+      </button>
+    </div>
+  );
+};
+
+export const MyWaitlist = () => {
+  const { notify } = useNotifications();
+  const { entries, setEntries, loading, fetchEntries, now } = useWaitlistEntries(notify);
+  const [pendingEntry, setPendingEntry] = useState(null);
+  const { navigate } = useRouter();
+  const { t, formatDateTime } = useI18n();
+
+  const handleClaim = async (entry) => {
+    setPendingEntry(entry.id);
+    try {
+      const booking = await apiRequest(`/waitlist/${entry.id}/claim`, { method: 'POST' });
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      notify(t('waitlist.claimed', { time: formatDateTime(entry.offer.slot.startAt) }), 'success', {
+        action: {
+          label: t('calendar.addToCalendar'),
+          onClick: () => downloadBookingCalendar({ ...booking, slot: booking.slot || entry.offer.slot }, t)
+        }
+      });
+    } catch (err) {
+      notify(err.message);
+      fetchEntries(true);
+    } finally {
+      setPendingEntry(null);
+    }
+  };
+
+  const handleDecline = async (entry) => {
+    setPendingEntry(entry.id);
+    try {
+      const updated = await apiRequest(`/waitlist/${entry.id}/decline`, { method: 'POST' });
+      setEntries(prev => prev.map(e => (e.id === entry.id ? updated : e)));
+      notify(t('waitlist.declined'), 'info');
+    } catch (err) {
+      notify(err.message);
+      fetchEntries(true);
+    } finally {
+      setPendingEntry(null);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    setPendingEntry(entry.id);
+    try {
+      await apiRequest(`/waitlist/${entry.id}`, { method: 'DELETE' });
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+      notify(t('waitlist.removed'), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setPendingEntry(null);
+    }
+  };
+
+  if (loading) return <LoadingSpinner message={t('waitlist.loading')} />;
+
+  return (
+    <div className="my-waitlist">
+      <div className="section-header">
+        <h3>{t('waitlist.title')}</h3>
+        <button onClick={() => fetchEntries()} className="refresh-button">
+          {t('common.refresh')}
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔔</div>
+          <h4>{t('waitlist.emptyTitle')}</h4>
+          <p>{t('waitlist.emptyHint')}</p>
+          <button onClick={() => navigate('/slots')} className="primary-button">
+            {t('nav.availableSlots')}
+          </button>
+        </div>
+      ) : (
+        <div className="bookings-list">
+          {entries.map(entry => {
+            const busy = pendingEntry === entry.id;
+            const offer = entry.status === 'offered' && entry.offer && new Date(entry.offer.expiresAt) > now
+              ? entry.offer
+              : null;
+
+            return (
+              <div key={entry.id} className={`booking-card waitlist-card ${offer ? 'offered' : ''}`}>
+                <div className="booking-header">
+                  <div className="booking-date">{t('waitlist.entryTitle')}</div>
+                  <div className="booking-status">{t(`waitlist.status.${offer ? 'offered' : 'waiting'}`)}</div>
+                </div>
+                <div className="booking-details">
+                  <WaitlistWindow entry={entry} />
+                  <div className="booking-meta">{t('waitlist.joinedOn', { time: formatDateTime(entry.createdAt) })}</div>
+                </div>
+                {offer && (
+                  <div className="waitlist-offer" role="status">
+                    <strong>{t('waitlist.offerFor', { time: formatDateTime(offer.slot.startAt) })}</strong>
+                    <span>{t('waitlist.expiresIn', { countdown: formatCountdown(new Date(offer.expiresAt) - now) })}</span>
+                  </div>
+                )}
+                <div className="booking-actions">
+                  {offer && (
+                    <>
+                      <button onClick={() => handleClaim(entry)} disabled={busy} className="primary-button">
+                        {t('waitlist.claim')}
+                      </button>
+                      <button onClick={() => handleDecline(entry)} disabled={busy} className="secondary-button">
+                        {t('waitlist.decline')}
+                      </button>
+                    </>
+                  )}
+                  <button onClick={() => handleRemove(entry)} disabled={busy} className="cancel-button">
+                    {t('waitlist.remove')}
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
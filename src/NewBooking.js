@@ -0,0 +1,357 @@
+// Booking on behalf of a patient.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { apiRequest } from './api';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { useLiveUpdates } from './liveUpdates';
+import { LoadingSpinner } from './components';
+import { EMPTY_SLOT_FILTERS, SlotDimensionSelects, useClinicCatalog } from './SlotDimensions';
+import { fetchAvailableSlots, groupSlotsByDate } from './slots';
+import { SEARCH_DEBOUNCE_MS } from './bookings';
+import { BookingDialog, EMPTY_BOOKING_DRAFT } from './BookingDialog';
+import { SlotGroups } from './SlotsList';
+
+const EMPTY_NEW_PATIENT = { name: '', email: '', phone: '' };
+const PATIENT_SEARCH_LIMIT = 8;
+
+// Finds the patient a staff booking is for by name, email or phone, or adds
+// one who has no account yet
+const PatientPicker = ({ onSelect }) => {
+  const { t } = useI18n();
+  const [search, setSearch] = useState('');
+  const [patients, setPatients] = useState(null);
+  const [error, setError] = useState(null);
+  const [newPatient, setNewPatient] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Search once the user pauses typing
+  useEffect(() => {
+    let active = true;
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams({ search: search.trim(), limit: PATIENT_SEARCH_LIMIT });
+      apiRequest(`/admin/patients?${params}`)
+        .then(response => {
+          if (active) setPatients(response.patients);
+        })
+        .catch(err => {
+          if (active) setError(err.message);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
+  const openNewPatient = () => {
+    setError(null);
+    // Whatever was searched for is the likeliest start for the new record
+    const term = search.trim();
+    setNewPatient({ ...EMPTY_NEW_PATIENT, [term.includes('@') ? 'email' : 'name']: term });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await apiRequest('/admin/patients', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: newPatient.name.trim(),
+          email: newPatient.email.trim(),
+          phone: newPatient.phone.trim()
+        })
+      });
+      onSelect(created);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (newPatient) {
+    const updateField = (field) => (e) => setNewPatient({ ...newPatient, [field]: e.target.value });
+    return (
+      <form className="profile-section" onSubmit={handleCreate}>
+        <h4>{t('newBooking.newPatientTitle')}</h4>
+        <p className="section-hint">{t('newBooking.newPatientHint')}</p>
+        <div className="form-row">
+          <label>
+            {t('profile.name')}
+            <input type="text" value={newPatient.name} onChange={updateField('name')} required />
+          </label>
+          <label>
+            {t('profile.email')}
+            <input type="email" value={newPatient.email} onChange={updateField('email')} required />
+          </label>
+          <label>
+            {t('profile.phone')}
+            <input type="tel" value={newPatient.phone} onChange={updateField('phone')} />
+          </label>
+        </div>
+        {error && <div className="message error-message" role="alert">{error}</div>}
+        <div className="dialog-actions">
+          <button type="button" onClick={() => setNewPatient(null)} className="secondary-button">
+            {t('common.cancel')}
+          </button>
+          <button type="submit" disabled={saving} className="primary-button">
+            {saving ? t('common.saving') : t('newBooking.createPatient')}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <section className="profile-section" aria-labelledby="new-booking-patient">
+      <h4 id="new-booking-patient">{t('newBooking.patientTitle')}</h4>
+      <div className="patient-search">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('newBooking.searchPlaceholder')}
+          aria-label={t('newBooking.searchLabel')}
+        />
+        <button type="button" onClick={openNewPatient} className="secondary-button">
+          + {t('newBooking.newPatient')}
+        </button>
+      </div>
+      {error && <div className="message error-message" role="alert">{error}</div>}
+      {patients === null ? (
+        <p className="picker-empty">{t('newBooking.searching')}</p>
+      ) : patients.length === 0 ? (
+        <p className="picker-empty">{t('newBooking.noPatients')}</p>
+      ) : (
+        <ul className="patient-results">
+          {patients.map(patient => (
+            <li key={patient.id}>
+              <button
+                type="button"
+                onClick={() => onSelect(patient)}
+                className="patient-result"
+                aria-label={t('newBooking.choosePatient', { name: patient.name })}
+              >
+                <strong>{patient.name}</strong>
+                <span>{[patient.email, patient.phone].filter(Boolean).join(' · ')}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+// Phone and walk-in bookings: pick the patient, then a slot, then confirm.
+// Ends on a summary so the next caller can be booked straight away. A
+// ?patient= id, as the patient page links with, skips the search.
+export const NewBooking = () => {
+  const { query, setQuery, navigate } = useRouter();
+  const { timeZone } = useTimezone();
+  const { t, formatDateTime } = useI18n();
+  const catalog = useClinicCatalog();
+  const [patient, setPatient] = useState(null);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [filters, setFilters] = useState(EMPTY_SLOT_FILTERS);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [takenSlotIds, setTakenSlotIds] = useState(() => new Set());
+  const [pendingSlot, setPendingSlot] = useState(null);
+  const [bookingDraft, setBookingDraft] = useState(EMPTY_BOOKING_DRAFT);
+  const [bookingError, setBookingError] = useState(null);
+  const [bookingSlot, setBookingSlot] = useState(null);
+  const [booked, setBooked] = useState(null);
+  const { notify } = useNotifications();
+  const patientParam = query.get('patient');
+
+  useEffect(() => {
+    if (!patientParam) return undefined;
+    let active = true;
+    apiRequest(`/admin/patients/${encodeURIComponent(patientParam)}`)
+      .then(response => {
+        if (active) setPatient(response);
+      })
+      .catch(err => {
+        if (!active) return;
+        notify(err.message);
+        setQuery({ patient: null }, { replace: true });
+      });
+    return () => {
+      active = false;
+    };
+  }, [patientParam, notify, setQuery]);
+
+  const changePatient = () => {
+    setPatient(null);
+    if (patientParam) setQuery({ patient: null }, { replace: true });
+  };
+
+  const fetchSlots = useCallback(async (silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      setSlots(await fetchAvailableSlots(dateRange, timeZone, filters));
+      setTakenSlotIds(new Set());
+    } catch (err) {
+      if (!silent) notify(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [dateRange, timeZone, filters, notify]);
+
+  useEffect(() => {
+    if (patient) fetchSlots();
+  }, [patient, fetchSlots]);
+
+  const markSlotTaken = (slotId) => {
+    setTakenSlotIds(prev => new Set(prev).add(slotId));
+  };
+
+  useLiveUpdates((event) => {
+    if (!patient) return;
+    if (event.type === 'slot.booked' || event.type === 'slot.deleted') {
+      if (slots.some(slot => slot.id === event.slot.id)) markSlotTaken(event.slot.id);
+    } else if (event.type === 'slot.released' || event.type === 'slot.created' || event.type === 'slot.updated') {
+      fetchSlots(true);
+    }
+  }, () => patient && fetchSlots(true));
+
+  const changeFilters = (changes) => {
+    setFilters(prev => ({
+      ...prev,
+      ...Object.fromEntries(Object.entries(changes).map(([dimension, value]) => [dimension, value || '']))
+    }));
+  };
+
+  const handleBookSlot = (slotId) => {
+    setBookingError(null);
+    setPendingSlot(slots.find(slot => slot.id === slotId) || null);
+  };
+
+  const handleConfirmBooking = async (details) => {
+    const slotId = pendingSlot.id;
+    setBookingSlot(slotId);
+    setBookingError(null);
+    try {
+      const booking = await apiRequest('/admin/bookings', {
+        method: 'POST',
+        body: JSON.stringify({ patientId: patient.id, slotId, ...details })
+      });
+      setBooked({ ...booking, slot: booking?.slot || pendingSlot });
+      setPendingSlot(null);
+      setBookingDraft(EMPTY_BOOKING_DRAFT);
+    } catch (err) {
+      if (err.status === 409) {
+        markSlotTaken(slotId);
+        setPendingSlot(null);
+        notify(t('newBooking.slotTaken', { time: formatDateTime(pendingSlot.startAt) }));
+      } else {
+        setBookingError(err.message);
+      }
+    } finally {
+      setBookingSlot(null);
+    }
+  };
+
+  const startOver = () => {
+    setBooked(null);
+    setSlots([]);
+    changePatient();
+  };
+
+  const groupedSlots = useMemo(() => groupSlotsByDate(slots, timeZone), [slots, timeZone]);
+
+  const renderSlots = () => (
+    <>
+      <div className="patient-summary">
+        <div className="patient-info">
+          <strong>{patient.name}</strong>
+          <span>{[patient.email, patient.phone].filter(Boolean).join(' · ')}</span>
+        </div>
+        <button type="button" onClick={changePatient} className="link-button">
+          {t('newBooking.changePatient')}
+        </button>
+      </div>
+
+      <div className="slot-filters">
+        <input
+          type="date"
+          value={dateRange.from}
+          onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+          aria-label={t('common.fromDate')}
+        />
+        <input
+          type="date"
+          value={dateRange.to}
+          onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+          aria-label={t('common.toDate')}
+        />
+        <SlotDimensionSelects catalog={catalog} filters={filters} onChange={changeFilters} />
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message={t('slots.loading')} />
+      ) : slots.length === 0 ? (
+        <p className="picker-empty">{t('slots.noneInRange')}</p>
+      ) : (
+        <SlotGroups
+          groupedSlots={groupedSlots}
+          onBook={handleBookSlot}
+          bookingSlot={bookingSlot}
+          takenSlotIds={takenSlotIds}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <div className="new-booking">
+      <div className="section-header">
+        <div>
+          <h3>{t('newBooking.title')}</h3>
+          <span className="zone-note">{t('newBooking.hint')}</span>
+        </div>
+        <button onClick={() => navigate('/admin/bookings')} className="link-button">
+          ← {t('nav.allBookings')}
+        </button>
+      </div>
+
+      {booked ? (
+        <div className="profile-section new-booking-done" role="status">
+          <h4>✅ {t('newBooking.doneTitle')}</h4>
+          <p>{t('newBooking.doneText', { name: patient.name, time: formatDateTime(booked.slot.startAt) })}</p>
+          <div className="dialog-actions">
+            <button onClick={() => navigate('/admin/bookings')} className="secondary-button">
+              {t('newBooking.viewAll')}
+            </button>
+            <button onClick={startOver} className="primary-button">
+              + {t('newBooking.another')}
+            </button>
+          </div>
+        </div>
+      ) : patient ? renderSlots() : patientParam ? (
+        <LoadingSpinner message={t('common.loading')} />
+      ) : (
+        <PatientPicker onSelect={setPatient} />
+      )}
+
+      {pendingSlot && (
+        <BookingDialog
+          slot={pendingSlot}
+          patient={patient}
+          draft={bookingDraft}
+          onChange={setBookingDraft}
+          error={bookingError}
+          busy={bookingSlot === pendingSlot.id}
+          onConfirm={handleConfirmBooking}
+          onCancel={() => setPendingSlot(null)}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,242 @@
+// Toasts, their undo actions and the notification history.
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+
+// Toasts and notification history
+const NotificationsContext = React.createContext();
+
+export const useNotifications = () => {
+  const context = React.useContext(NotificationsContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationsProvider');
+  }
+  return context;
+};
+
+// Kept apart from notify so that raising a toast doesn't re-render every view
+const NotificationHistoryContext = React.createContext();
+
+// How long a toast stays up, by severity; errors stay longest
+const NOTIFICATION_DURATIONS = { success: 4000, info: 6000, warning: 8000, error: 10000 };
+// How long the Undo button of a toast stays on offer
+const UNDO_WINDOW_MS = 8000;
+const MAX_VISIBLE_TOASTS = 5;
+const NOTIFICATION_HISTORY_LIMIT = 50;
+const NOTIFICATION_ICONS = { success: '✅', info: 'ℹ️', warning: '⚠️', error: '⛔' };
+
+const Toast = ({ toast, onDismiss, onUndo }) => {
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(false);
+  const remainingRef = useRef(toast.duration);
+
+  // A repeated message starts the countdown again
+  useEffect(() => {
+    remainingRef.current = toast.duration;
+  }, [toast.count, toast.duration]);
+
+  // Hovering or focusing the toast stops the countdown where it is
+  useEffect(() => {
+    if (paused) return undefined;
+    const startedAt = Date.now();
+    const timer = setTimeout(() => onDismiss(toast.id), remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current = Math.max(0, remainingRef.current - (Date.now() - startedAt));
+    };
+  }, [paused, toast.id, toast.count, onDismiss]);
+
+  return (
+    <li
+      className={`message toast ${toast.type}-message`}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span>
+        {toast.message}
+        {toast.count > 1 && <span className="toast-count"> ×{toast.count}</span>}
+      </span>
+      {toast.undo && (
+        <button onClick={() => onUndo(toast.id)} className="message-action">{t('common.undo')}</button>
+      )}
+      {toast.action && (
+        <button
+          onClick={() => {
+            toast.action.onClick();
+            onDismiss(toast.id);
+          }}
+          className="message-action"
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button onClick={() => onDismiss(toast.id)} aria-label={t('common.closeMessage')}>×</button>
+    </li>
+  );
+};
+
+// One toast stack for the whole app, so messages outlive the view that raised
+// them, plus a history of everything shown since the user signed in.
+export const NotificationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [toasts, setToasts] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [lastSeenId, setLastSeenId] = useState(0);
+  const toastsRef = useRef([]);
+  const nextIdRef = useRef(0);
+
+  // Only the newest toasts stay up
+  const updateToasts = useCallback((update) => {
+    toastsRef.current = update(toastsRef.current).slice(-MAX_VISIBLE_TOASTS);
+    setToasts(toastsRef.current);
+  }, []);
+
+  // options: action is a { label, onClick } button; undo, for a change that
+  // has already been saved, adds an Undo button that runs it and resolves once
+  // the server has reversed the change.
+  const notify = useCallback((message, type = 'error', { action = null, undo = null, duration } = {}) => {
+    const duplicate = !undo && toastsRef.current.find(toast => (
+      !toast.undo && toast.type === type && toast.message === message
+    ));
+    if (duplicate) {
+      updateToasts(prev => prev.map(toast => (
+        toast.id === duplicate.id ? { ...toast, count: toast.count + 1 } : toast
+      )));
+      setHistory(prev => prev.map(entry => (
+        entry.id === duplicate.id ? { ...entry, count: entry.count + 1, at: Date.now() } : entry
+      )));
+      return duplicate.id;
+    }
+
+    nextIdRef.current += 1;
+    const id = nextIdRef.current;
+    const toast = {
+      id,
+      message,
+      type,
+      action,
+      undo,
+      count: 1,
+      duration: duration || (undo ? UNDO_WINDOW_MS : NOTIFICATION_DURATIONS[type] || NOTIFICATION_DURATIONS.info)
+    };
+    updateToasts(prev => [...prev, toast]);
+    setHistory(prev => [{ id, message, type, count: 1, at: Date.now() }, ...prev].slice(0, NOTIFICATION_HISTORY_LIMIT));
+    return id;
+  }, [updateToasts]);
+
+  const dismiss = useCallback((id) => {
+    updateToasts(prev => prev.filter(toast => toast.id !== id));
+  }, [updateToasts]);
+
+  const undo = useCallback(async (id) => {
+    const toast = toastsRef.current.find(item => item.id === id);
+    dismiss(id);
+    if (!toast?.undo) return;
+    try {
+      await toast.undo();
+      setHistory(prev => prev.map(entry => (entry.id === id ? { ...entry, undone: true } : entry)));
+    } catch (err) {
+      notify(err.message);
+    }
+  }, [dismiss, notify]);
+
+  // Another account on this device doesn't see the previous one's history
+  const userId = user?.id ?? null;
+  const previousUserIdRef = useRef(userId);
+  useEffect(() => {
+    if (previousUserIdRef.current !== null && previousUserIdRef.current !== userId) {
+      setHistory([]);
+      setLastSeenId(0);
+    }
+    previousUserIdRef.current = userId;
+  }, [userId]);
+
+  const unreadCount = history.filter(entry => entry.id > lastSeenId).length;
+  const latestId = history[0]?.id ?? 0;
+  const markHistorySeen = useCallback(() => setLastSeenId(latestId), [latestId]);
+  const clearHistory = useCallback(() => setHistory([]), []);
+
+  const value = useMemo(() => ({ notify }), [notify]);
+  const historyValue = useMemo(() => ({
+    history,
+    unreadCount,
+    markHistorySeen,
+    clearHistory
+  }), [history, unreadCount, markHistorySeen, clearHistory]);
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      <NotificationHistoryContext.Provider value={historyValue}>
+        {children}
+      </NotificationHistoryContext.Provider>
+      <ul className="toast-stack" aria-label={t('notifications.toastsLabel')} aria-live="polite">
+        {toasts.map(toast => (
+          <Toast key={toast.id} toast={toast} onDismiss={dismiss} onUndo={undo} />
+        ))}
+      </ul>
+    </NotificationsContext.Provider>
+  );
+};
+
+// The bell in the dashboard header, listing recent notifications
+export const NotificationHistory = () => {
+  const { history, unreadCount, markHistorySeen, clearHistory } = React.useContext(NotificationHistoryContext);
+  const { t, formatTime } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  // Everything listed while the panel is open counts as read
+  useEffect(() => {
+    if (open) markHistorySeen();
+  }, [open, markHistorySeen]);
+
+  return (
+    <div className="notification-history">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setOpen(false);
+        }}
+        className="notification-bell"
+        aria-expanded={open}
+        aria-controls="notification-panel"
+        aria-label={unreadCount > 0
+          ? t('notifications.openWithUnread', { count: unreadCount })
+          : t('notifications.open')}
+      >
+        🔔
+        {unreadCount > 0 && <span className="notification-badge">{unreadCount}</span>}
+      </button>
+      {open && (
+        <div id="notification-panel" className="notification-panel">
+          <div className="notification-panel-header">
+            <h4 id="notification-panel-title">{t('notifications.title')}</h4>
+            {history.length > 0 && (
+              <button onClick={clearHistory} className="link-button">{t('notifications.clear')}</button>
+            )}
+          </div>
+          {history.length === 0 ? (
+            <p className="notification-empty">{t('notifications.empty')}</p>
+          ) : (
+            <ul aria-labelledby="notification-panel-title">
+              {history.map(entry => (
+                <li key={entry.id} className={`notification-entry ${entry.type}`}>
+                  <span aria-hidden="true">{NOTIFICATION_ICONS[entry.type] || NOTIFICATION_ICONS.info}</span>
+                  <span className="notification-message">
+                    {entry.message}
+                    {entry.count > 1 && ` ×${entry.count}`}
+                    {entry.undone && <em className="notification-undone"> {t('notifications.undone')}</em>}
+                  </span>
+                  <time dateTime={new Date(entry.at).toISOString()}>{formatTime(new Date(entry.at))}</time>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,152 @@
+// First sign-in steps for new patients.
+
+import { useState } from 'react';
+import { getTodayKey } from './dates';
+import { apiRequest } from './api';
+import { can } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+
+// The same check the backend makes, so a typo is caught before the last step
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+
+const ONBOARDING_CONSENTS = [
+  { id: 'terms', required: true },
+  { id: 'privacy', required: true },
+  { id: 'reminders', required: false }
+];
+
+// Only an explicit null asks; backends without onboarding omit the field
+export const needsOnboarding = (user) => can(user, 'book') && user.onboardedAt === null;
+
+// Asked once after a patient's first sign-in: contact details, then consent
+export const OnboardingFlow = () => {
+  const { user, updateUser } = useAuth();
+  const { timeZone } = useTimezone();
+  const { t } = useI18n();
+  const [step, setStep] = useState(0);
+  const [form, setForm] = useState(() => ({
+    phone: user.phone || '',
+    dateOfBirth: user.dateOfBirth || '',
+    consents: { terms: false, privacy: false, reminders: false }
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const today = getTodayKey(timeZone);
+  const consentsGiven = ONBOARDING_CONSENTS.every(consent => !consent.required || form.consents[consent.id]);
+  const steps = [t('onboarding.steps.details'), t('onboarding.steps.consent')];
+
+  const handleDetails = (e) => {
+    e.preventDefault();
+    if (!PHONE_PATTERN.test(form.phone.trim())) {
+      setError(t('onboarding.invalidPhone'));
+      return;
+    }
+    if (form.dateOfBirth >= today) {
+      setError(t('onboarding.invalidDateOfBirth'));
+      return;
+    }
+    setError(null);
+    setStep(1);
+  };
+
+  const handleFinish = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const profile = await apiRequest('/me/onboarding', {
+        method: 'PUT',
+        body: JSON.stringify({ ...form, phone: form.phone.trim() })
+      });
+      updateUser(profile?.onboardedAt ? profile : { ...form, onboardedAt: new Date().toISOString() });
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const toggleConsent = (id) => {
+    setForm(prev => ({ ...prev, consents: { ...prev.consents, [id]: !prev.consents[id] } }));
+  };
+
+  return (
+    <div className="dashboard">
+      <section className="onboarding" aria-labelledby="onboarding-title">
+        <h3 id="onboarding-title">{t('onboarding.title', { name: user.name })}</h3>
+        <p className="section-hint">{t('onboarding.intro')}</p>
+
+        <ol className="onboarding-steps">
+          {steps.map((label, index) => (
+            <li
+              key={label}
+              className={index === step ? 'active' : index < step ? 'done' : ''}
+              aria-current={index === step ? 'step' : undefined}
+            >
+              {t('onboarding.stepOf', { step: index + 1, total: steps.length })}: {label}
+            </li>
+          ))}
+        </ol>
+
+        {error && <div className="message error-message" role="alert">{error}</div>}
+
+        {step === 0 ? (
+          <form onSubmit={handleDetails}>
+            <div className="form-row">
+              <label>
+                {t('onboarding.phone')}
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                  required
+                  autoComplete="tel"
+                />
+              </label>
+              <label>
+                {t('onboarding.dateOfBirth')}
+                <input
+                  type="date"
+                  value={form.dateOfBirth}
+                  max={today}
+                  onChange={(e) => setForm({ ...form, dateOfBirth: e.target.value })}
+                  required
+                  autoComplete="bday"
+                />
+              </label>
+            </div>
+            <div className="dialog-actions">
+              <button type="submit" className="primary-button">{t('common.next')}</button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleFinish}>
+            <fieldset className="onboarding-consents">
+              <legend>{t('onboarding.consentLegend')}</legend>
+              {ONBOARDING_CONSENTS.map(consent => (
+                <label key={consent.id}>
+                  <input
+                    type="checkbox"
+                    checked={form.consents[consent.id]}
+                    onChange={() => toggleConsent(consent.id)}
+                  />
+                  {t(`onboarding.consents.${consent.id}`)}
+                  {consent.required && <span className="required-note"> ({t('onboarding.required')})</span>}
+                </label>
+              ))}
+            </fieldset>
+            <div className="dialog-actions">
+              <button type="button" onClick={() => setStep(0)} disabled={saving} className="secondary-button">
+                {t('onboarding.back')}
+              </button>
+              <button type="submit" disabled={saving || !consentsGiven} className="primary-button">
+                {saving ? t('common.saving') : t('onboarding.finish')}
+              </button>
+            </div>
+          </form>
+        )}
+      </section>
+    </div>
+  );
+};
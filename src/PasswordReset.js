@@ -0,0 +1,279 @@
+// Forgot-password and reset forms, and the password rules they share with
+// registration and the profile page.
+
+import { useState, useEffect } from 'react';
+import { apiRequest } from './api';
+import { useCooldown } from './hooks';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { LoadingSpinner } from './components';
+import { EMAIL_COOLDOWN_SECONDS } from './EmailVerification';
+
+// One point for each rule a password meets; new passwords must meet all of
+// them
+export const validatePassword = (password) => {
+  let strength = 0;
+  if (password.length >= 8) strength++;
+  if (/[a-z]/.test(password)) strength++;
+  if (/[A-Z]/.test(password)) strength++;
+  if (/\d/.test(password)) strength++;
+  if (/[@$!%*?&]/.test(password)) strength++;
+  return strength;
+};
+
+export const PASSWORD_MAX_STRENGTH = 5;
+
+export const PasswordStrength = ({ password }) => {
+  const { t } = useI18n();
+  if (!password) return null;
+
+  const strength = validatePassword(password);
+  const level = Math.max(0, strength - 1);
+  const text = t(`auth.strength.${['veryWeak', 'weak', 'fair', 'good', 'strong'][level] || 'veryWeak'}`);
+  const color = ['#ff4444', '#ff8800', '#ffaa00', '#88cc00', '#44cc44'][level] || '#ff4444';
+
+  return (
+    <div className="password-strength">
+      <div
+        className="strength-bar"
+        style={{
+          width: `${(strength / PASSWORD_MAX_STRENGTH) * 100}%`,
+          backgroundColor: color
+        }}
+      ></div>
+      <span style={{ color }}>
+        {text}
+      </span>
+    </div>
+  );
+};
+
+// The message key for why a new password cannot be used yet, or null
+export const getNewPasswordError = (password, confirmPassword) => {
+  if (password !== confirmPassword) return 'auth.passwordMismatch';
+  if (validatePassword(password) < PASSWORD_MAX_STRENGTH) return 'auth.passwordRequirements';
+  return null;
+};
+
+// A new password with its strength meter, and the confirmation that must match it
+export const NewPasswordFields = ({ password, confirmPassword, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <>
+      <div className="form-group">
+        <input
+          type="password"
+          placeholder={t('auth.passwordPlaceholder')}
+          value={password}
+          onChange={(e) => onChange({ password: e.target.value })}
+          required
+          autoComplete="new-password"
+        />
+        <PasswordStrength password={password} />
+      </div>
+      <div className="form-group">
+        <input
+          type="password"
+          placeholder={t('auth.confirmPasswordPlaceholder')}
+          value={confirmPassword}
+          onChange={(e) => onChange({ confirmPassword: e.target.value })}
+          required
+          autoComplete="new-password"
+        />
+        {confirmPassword && password !== confirmPassword && (
+          <div className="password-mismatch">{t('auth.passwordMismatch')}</div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export const ForgotPasswordForm = ({ onSwitchToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [secondsLeft, startCooldown] = useCooldown('password-reset-requested-at', EMAIL_COOLDOWN_SECONDS);
+  const { notify } = useNotifications();
+  const { t } = useI18n();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (secondsLeft > 0) return;
+    setLoading(true);
+
+    try {
+      await apiRequest('/password-reset', {
+        method: 'POST',
+        body: JSON.stringify({ email: email.trim() })
+      });
+      startCooldown();
+      setSentTo(email.trim());
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderSubmitLabel = () => {
+    if (loading) {
+      return (
+        <>
+          <span className="button-spinner"></span>
+          {t('auth.sendingResetLink')}
+        </>
+      );
+    }
+    if (secondsLeft > 0) return t('auth.resendIn', { count: secondsLeft });
+    return sentTo ? t('auth.resendResetLink') : t('auth.sendResetLink');
+  };
+
+  return (
+    <div className="auth-form">
+      <h2>{t('auth.forgotTitle')}</h2>
+
+      {sentTo ? (
+        <div className="message success-message auth-status" role="status">
+          {t('auth.resetLinkSent', { email: sentTo })}
+        </div>
+      ) : (
+        <p className="auth-intro">{t('auth.forgotIntro')}</p>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <input
+            type="email"
+            placeholder={t('auth.emailPlaceholder')}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            autoComplete="email"
+          />
+        </div>
+        <button type="submit" disabled={loading || secondsLeft > 0} className="submit-button">
+          {renderSubmitLabel()}
+        </button>
+      </form>
+
+      <div className="auth-footer">
+        <p>
+          {t('auth.rememberedPassword')}{' '}
+          <button className="link-button" onClick={onSwitchToLogin}>
+            {t('auth.signInLink')}
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export const ResetPasswordForm = ({ token, onSwitchToLogin, onRequestNewLink }) => {
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  // checking, ready, invalid, expired or done
+  const [status, setStatus] = useState(token ? 'checking' : 'invalid');
+  const [loading, setLoading] = useState(false);
+  const { notify } = useNotifications();
+  const { t } = useI18n();
+
+  // 404 means the link was never issued or has been used; 410 that it expired
+  const getTokenStatus = (err) => {
+    if (err.status === 410) return 'expired';
+    if (err.status === 404) return 'invalid';
+    return null;
+  };
+
+  // Check the link up front so nobody types a new password for nothing
+  useEffect(() => {
+    if (!token) return undefined;
+    let active = true;
+    apiRequest(`/password-reset/${encodeURIComponent(token)}`)
+      .then(() => {
+        if (active) setStatus('ready');
+      })
+      .catch(err => {
+        if (!active) return;
+        setStatus(getTokenStatus(err) || 'ready');
+      });
+    return () => {
+      active = false;
+    };
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordError = getNewPasswordError(formData.password, formData.confirmPassword);
+    if (passwordError) {
+      notify(t(passwordError));
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await apiRequest(`/password-reset/${encodeURIComponent(token)}`, {
+        method: 'POST',
+        body: JSON.stringify({ password: formData.password })
+      });
+      setStatus('done');
+    } catch (err) {
+      const tokenStatus = getTokenStatus(err);
+      if (tokenStatus) {
+        setStatus(tokenStatus);
+      } else {
+        notify(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (status === 'checking') {
+    return (
+      <div className="auth-form">
+        <LoadingSpinner message={t('auth.checkingResetLink')} />
+      </div>
+    );
+  }
+
+  if (status !== 'ready') {
+    const done = status === 'done';
+    return (
+      <div className="auth-form">
+        <h2>{t(done ? 'auth.resetDoneTitle' : `auth.resetLink.${status}Title`)}</h2>
+        <div className={`message ${done ? 'success-message' : 'error-message'} auth-status`} role={done ? 'status' : 'alert'}>
+          {t(done ? 'auth.resetDone' : `auth.resetLink.${status}`)}
+        </div>
+        <button className="submit-button" onClick={done ? onSwitchToLogin : onRequestNewLink}>
+          {done ? t('auth.signIn') : t('auth.requestNewLink')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-form">
+      <h2>{t('auth.resetTitle')}</h2>
+
+      <form onSubmit={handleSubmit}>
+        <NewPasswordFields
+          password={formData.password}
+          confirmPassword={formData.confirmPassword}
+          onChange={(changes) => setFormData({ ...formData, ...changes })}
+        />
+        <button type="submit" disabled={loading} className="submit-button">
+          {loading ? (
+            <>
+              <span className="button-spinner"></span>
+              {t('common.saving')}
+            </>
+          ) : (
+            t('auth.resetPassword')
+          )}
+        </button>
+      </form>
+    </div>
+  );
+};
@@ -0,0 +1,435 @@
+// The patient directory and each patient's record.
+
+import { useState, useEffect } from 'react';
+import { apiRequest } from './api';
+import { can } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useRouter } from './router';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { ConfirmDialog, LoadingSpinner, NotFound, Pagination, TimeRange } from './components';
+import { SlotDimensions } from './SlotDimensions';
+import { getBookingStatus } from './slots';
+import { SEARCH_DEBOUNCE_MS } from './bookings';
+
+const STAFF_NOTES_MAX_LENGTH = 2000;
+const MESSAGE_MAX_LENGTH = 2000;
+
+const PATIENT_PAGE_SIZE = 20;
+
+// Every patient, searchable by name, email or phone. Like the bookings table,
+// the search and page live in the URL.
+export const PatientDirectory = () => {
+  const { query, setQuery, navigate } = useRouter();
+  const { t } = useI18n();
+  const search = (query.get('q') || '').trim();
+  const currentPage = Math.max(1, parseInt(query.get('page'), 10) || 1);
+  const [searchInput, setSearchInput] = useState(search);
+  const [patients, setPatients] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: PATIENT_PAGE_SIZE, total: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+  const { notify } = useNotifications();
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    const params = new URLSearchParams({ search, page: currentPage, limit: PATIENT_PAGE_SIZE });
+    apiRequest(`/admin/patients?${params}`)
+      .then(response => {
+        if (!active) return;
+        setPatients(response.patients);
+        setPagination(response.pagination);
+      })
+      .catch(err => {
+        if (active) notify(err.message);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [search, currentPage, notify]);
+
+  // Follow the URL when it changes underneath the search box (back/forward)
+  useEffect(() => {
+    setSearchInput(search);
+  }, [search]);
+
+  useEffect(() => {
+    if (searchInput.trim() === search) return undefined;
+    const timer = setTimeout(() => {
+      setQuery({ q: searchInput.trim(), page: null }, { replace: true });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, search, setQuery]);
+
+  return (
+    <div className="patient-directory">
+      <div className="section-header">
+        <h3>{t('patients.title')}</h3>
+      </div>
+
+      <div className="bookings-filters">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder={t('newBooking.searchPlaceholder')}
+          aria-label={t('newBooking.searchLabel')}
+        />
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message={t('patients.loading')} />
+      ) : patients.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🗂️</div>
+          <h4>{t('patients.emptyTitle')}</h4>
+          <p>{search ? t('patients.emptySearch') : t('patients.emptyHint')}</p>
+        </div>
+      ) : (
+        <>
+          <div className="bookings-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>{t('admin.columns.patient')}</th>
+                  <th>{t('profile.phone')}</th>
+                  <th>{t('patients.columns.bookings')}</th>
+                  <th>{t('patients.columns.cancellations')}</th>
+                  <th>{t('admin.columns.status')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {patients.map(patient => (
+                  <tr key={patient.id}>
+                    <td>
+                      <div className="patient-info">
+                        <button
+                          onClick={() => navigate(`/admin/patients/${patient.id}`)}
+                          className="link-button patient-link"
+                        >
+                          {patient.name}
+                        </button>
+                        <span>{patient.email}</span>
+                      </div>
+                    </td>
+                    <td>{patient.phone || '—'}</td>
+                    <td>
+                      {patient.bookingCount}
+                      {patient.upcomingCount > 0 && (
+                        <span className="booked-by">{t('patients.upcomingCount', { count: patient.upcomingCount })}</span>
+                      )}
+                    </td>
+                    <td>{patient.cancelledCount}</td>
+                    <td><PatientStatusBadge patient={patient} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <Pagination pagination={pagination} onPageChange={(page) => setQuery({ page: page > 1 ? page : null })} />
+        </>
+      )}
+    </div>
+  );
+};
+
+const PatientStatusBadge = ({ patient }) => {
+  const { t } = useI18n();
+  return patient.deactivatedAt ? (
+    <span className="status-badge cancelled">{t('patients.deactivated')}</span>
+  ) : (
+    <span className="status-badge completed">{t('patients.active')}</span>
+  );
+};
+
+const PatientBookings = ({ title, bookings }) => {
+  const { t, formatDate } = useI18n();
+
+  return (
+    <section className="profile-section" aria-label={title}>
+      <h4>{title}</h4>
+      {bookings.length === 0 ? (
+        <p className="picker-empty">{t('patients.noBookings')}</p>
+      ) : (
+        <div className="bookings-table">
+          <table>
+            <thead>
+              <tr>
+                <th>{t('admin.columns.date')}</th>
+                <th>{t('admin.columns.time')}</th>
+                <th>{t('admin.columns.service')}</th>
+                <th>{t('intake.reason')}</th>
+                <th>{t('admin.columns.status')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bookings.map(booking => {
+                const status = getBookingStatus(booking);
+                return (
+                  <tr key={booking.id}>
+                    <td>{formatDate(booking.slot.startAt)}</td>
+                    <td className="time-cell">
+                      <TimeRange startAt={booking.slot.startAt} endAt={booking.slot.endAt} />
+                    </td>
+                    <td><SlotDimensions slot={booking.slot} /></td>
+                    <td>
+                      {booking.reason || '—'}
+                      {booking.notes && <span className="booked-by">📝 {booking.notes}</span>}
+                    </td>
+                    <td>
+                      <span className={`status-badge ${status}`} title={booking.cancelReason || undefined}>
+                        {t(`status.${status}`)}
+                      </span>
+                      {booking.createdBy && (
+                        <span className="booked-by">🛎️ {t('admin.bookedBy', { name: booking.createdBy.name })}</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+const EMPTY_PATIENT_MESSAGE = { subject: '', body: '' };
+
+// One patient's contact details, history and the clinic's notes about them,
+// with the actions staff take most often
+export const PatientDetail = ({ patientId }) => {
+  const { user } = useAuth();
+  const { navigate } = useRouter();
+  const { t, formatDate } = useI18n();
+  const [patient, setPatient] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [savingNotes, setSavingNotes] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [confirmingStatus, setConfirmingStatus] = useState(false);
+  const [changingStatus, setChangingStatus] = useState(false);
+  const { notify } = useNotifications();
+
+  useEffect(() => {
+    let active = true;
+    apiRequest(`/admin/patients/${encodeURIComponent(patientId)}`)
+      .then(response => {
+        if (!active) return;
+        setPatient(response);
+        setNotes(response.staffNotes || '');
+      })
+      .catch(err => {
+        if (!active) return;
+        if (err.status === 404) setNotFound(true);
+        else notify(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [patientId, notify]);
+
+  const handleSaveNotes = async (e) => {
+    e.preventDefault();
+    setSavingNotes(true);
+    try {
+      const updated = await apiRequest(`/admin/patients/${patient.id}/notes`, {
+        method: 'PUT',
+        body: JSON.stringify({ notes: notes.trim() })
+      });
+      setPatient(prev => ({ ...prev, staffNotes: updated?.staffNotes ?? notes.trim() }));
+      notify(t('patients.notesSaved'), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSavingNotes(false);
+    }
+  };
+
+  const handleSendMessage = async () => {
+    setSending(true);
+    try {
+      await apiRequest(`/admin/patients/${patient.id}/messages`, {
+        method: 'POST',
+        body: JSON.stringify({ subject: message.subject.trim(), body: message.body.trim() })
+      });
+      setMessage(null);
+      notify(t('patients.messageSent', { email: patient.email }), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleChangeStatus = async () => {
+    setChangingStatus(true);
+    try {
+      const action = patient.deactivatedAt ? 'reactivate' : 'deactivate';
+      const updated = await apiRequest(`/admin/patients/${patient.id}/${action}`, { method: 'POST' });
+      setPatient(prev => ({ ...prev, deactivatedAt: updated.deactivatedAt }));
+      setConfirmingStatus(false);
+      notify(t(updated.deactivatedAt ? 'patients.deactivatedNotice' : 'patients.reactivatedNotice', { name: patient.name }), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setChangingStatus(false);
+    }
+  };
+
+  if (notFound) {
+    return <NotFound title={t('patients.notFoundTitle')} message={t('patients.notFound')} />;
+  }
+
+  if (!patient) {
+    return <LoadingSpinner message={t('patients.loadingOne')} />;
+  }
+
+  const upcoming = patient.bookings
+    .filter(booking => getBookingStatus(booking) === 'upcoming')
+    .reverse();
+  const past = patient.bookings.filter(booking => getBookingStatus(booking) !== 'upcoming');
+  const stats = [
+    { key: 'total', value: patient.bookings.length },
+    { key: 'upcoming', value: upcoming.length },
+    { key: 'completed', value: past.filter(booking => getBookingStatus(booking) === 'completed').length },
+    { key: 'cancelled', value: patient.bookings.filter(booking => booking.status === 'cancelled').length }
+  ];
+
+  return (
+    <div className="patient-detail">
+      <div className="section-header">
+        <div>
+          <h3>{patient.name}</h3>
+          <PatientStatusBadge patient={patient} />
+        </div>
+        <button onClick={() => navigate('/admin/patients')} className="link-button">
+          ← {t('nav.patients')}
+        </button>
+      </div>
+
+      <div className="patient-actions">
+        {can(user, 'manageBookings') && (
+          <button
+            onClick={() => navigate(`/admin/bookings/new?patient=${patient.id}`)}
+            disabled={Boolean(patient.deactivatedAt)}
+            className="primary-button"
+          >
+            + {t('patients.book')}
+          </button>
+        )}
+        <button onClick={() => setMessage(EMPTY_PATIENT_MESSAGE)} className="secondary-button">
+          ✉️ {t('patients.message')}
+        </button>
+        {can(user, 'manageUsers') && (
+          <button
+            onClick={() => setConfirmingStatus(true)}
+            className={patient.deactivatedAt ? 'secondary-button' : 'danger-button'}
+          >
+            {patient.deactivatedAt ? t('patients.reactivate') : t('patients.deactivate')}
+          </button>
+        )}
+      </div>
+
+      <div className="patient-overview">
+        <section className="profile-section" aria-labelledby="patient-contact">
+          <h4 id="patient-contact">{t('patients.contactTitle')}</h4>
+          <dl className="patient-contact">
+            <dt>{t('profile.email')}</dt>
+            <dd>
+              <a href={`mailto:${patient.email}`}>{patient.email}</a>
+              {patient.emailVerified === false && <span className="booked-by">{t('patients.unverified')}</span>}
+            </dd>
+            <dt>{t('profile.phone')}</dt>
+            <dd>{patient.phone ? <a href={`tel:${patient.phone}`}>{patient.phone}</a> : '—'}</dd>
+            <dt>{t('onboarding.dateOfBirth')}</dt>
+            <dd>{patient.dateOfBirth ? formatDate(`${patient.dateOfBirth}T12:00:00Z`) : '—'}</dd>
+          </dl>
+        </section>
+
+        <div className="analytics-stats">
+          {stats.map(stat => (
+            <div key={stat.key} className="stat-card" role="group" aria-label={t(`patients.stats.${stat.key}`)}>
+              <span className="stat-number">{stat.value}</span>
+              <span className="stat-label">{t(`patients.stats.${stat.key}`)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <form className="profile-section" onSubmit={handleSaveNotes}>
+        <h4>{t('patients.notesTitle')}</h4>
+        <label className="dialog-field">
+          <span className="section-hint">{t('patients.notesHint')}</span>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            maxLength={STAFF_NOTES_MAX_LENGTH}
+            rows={4}
+          />
+        </label>
+        <div className="dialog-actions">
+          <button
+            type="submit"
+            disabled={savingNotes || notes.trim() === (patient.staffNotes || '')}
+            className="primary-button"
+          >
+            {savingNotes ? t('common.saving') : t('patients.saveNotes')}
+          </button>
+        </div>
+      </form>
+
+      <PatientBookings title={t('patients.upcomingTitle')} bookings={upcoming} />
+      <PatientBookings title={t('patients.pastTitle')} bookings={past} />
+
+      {message && (
+        <ConfirmDialog
+          title={t('patients.messageTitle', { name: patient.name })}
+          confirmLabel={t('patients.send')}
+          onConfirm={handleSendMessage}
+          onCancel={() => setMessage(null)}
+          busy={sending}
+          confirmDisabled={!message.subject.trim() || !message.body.trim()}
+          wide
+        >
+          <label className="dialog-field">
+            <span>{t('patients.subject')}</span>
+            <input
+              type="text"
+              value={message.subject}
+              onChange={(e) => setMessage({ ...message, subject: e.target.value })}
+            />
+          </label>
+          <label className="dialog-field">
+            <span>{t('patients.messageBody')}</span>
+            <textarea
+              value={message.body}
+              onChange={(e) => setMessage({ ...message, body: e.target.value })}
+              maxLength={MESSAGE_MAX_LENGTH}
+              rows={5}
+            />
+          </label>
+        </ConfirmDialog>
+      )}
+
+      {confirmingStatus && (
+        <ConfirmDialog
+          title={t(patient.deactivatedAt ? 'patients.reactivateTitle' : 'patients.deactivateTitle', { name: patient.name })}
+          confirmLabel={patient.deactivatedAt ? t('patients.reactivate') : t('patients.deactivate')}
+          onConfirm={handleChangeStatus}
+          onCancel={() => setConfirmingStatus(false)}
+          busy={changingStatus}
+          danger={!patient.deactivatedAt}
+        >
+          <p>{t(patient.deactivatedAt ? 'patients.reactivateHint' : 'patients.deactivateHint')}</p>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,58 @@
+// Language, hour-cycle and time zone selects for the header.
+
+import { useMemo } from 'react';
+import { LANGUAGES } from './i18n';
+import { BROWSER_TIME_ZONE, getAvailableTimeZones } from './dates';
+import { useTimezone } from './TimezoneProvider';
+import { HOUR_CYCLES, useI18n } from './I18nProvider';
+
+export const TimezoneSelect = () => {
+  const { timeZone, setTimeZone, clinicTimeZone } = useTimezone();
+  const { t } = useI18n();
+  const zones = useMemo(getAvailableTimeZones, []);
+
+  return (
+    <label className="timezone-select">
+      <span>🌐</span>
+      <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} aria-label={t('preferences.timeZone')}>
+        {zones.map(zone => (
+          <option key={zone} value={zone}>
+            {zone.replace(/_/g, ' ')}
+            {zone === BROWSER_TIME_ZONE ? ` (${t('preferences.thisDevice')})` : ''}
+            {zone === clinicTimeZone ? ` (${t('preferences.clinic')})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export const LanguageSelect = () => {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <label className="language-select">
+      <span>🗣️</span>
+      <select value={language} onChange={(e) => setLanguage(e.target.value)} aria-label={t('preferences.language')}>
+        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export const HourCycleSelect = () => {
+  const { hourCycle, setHourCycle, t } = useI18n();
+
+  return (
+    <label className="hour-cycle-select">
+      <span>🕒</span>
+      <select value={hourCycle} onChange={(e) => setHourCycle(e.target.value)} aria-label={t('preferences.clockLabel')}>
+        {HOUR_CYCLES.map(cycle => (
+          <option key={cycle} value={cycle}>{t(`preferences.clock.${cycle}`)}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
@@ -0,0 +1,272 @@
+// Account details, password and settings.
+
+import { useState, useEffect } from 'react';
+import { downloadFile } from './export';
+import { getTodayKey } from './dates';
+import { apiRequest } from './api';
+import { can } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { HourCycleSelect, LanguageSelect, TimezoneSelect } from './PreferenceSelects';
+import { useNotifications } from './NotificationsProvider';
+import { ConfirmDialog } from './components';
+import { ReminderSettings } from './RemindersProvider';
+import { ResendVerification } from './EmailVerification';
+import { PASSWORD_MAX_STRENGTH, PasswordStrength, validatePassword } from './PasswordReset';
+
+const EMPTY_PASSWORD_CHANGE = { current: '', next: '', confirm: '' };
+
+const getProfileDetails = (user) => ({ name: user.name || '', email: user.email || '', phone: user.phone || '' });
+
+// The signed-in user's own account: contact details, password, preferences,
+// a copy of their data and, for patients, deleting the account
+export const ProfilePage = () => {
+  const { user, updateUser, logout } = useAuth();
+  const { navigate } = useRouter();
+  const { t } = useI18n();
+  const { timeZone } = useTimezone();
+  const { notify } = useNotifications();
+  const [details, setDetails] = useState(() => getProfileDetails(user));
+  const [savingDetails, setSavingDetails] = useState(false);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORD_CHANGE);
+  const [changingPassword, setChangingPassword] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [deletion, setDeletion] = useState(null);
+
+  // The stored user may be out of date if the profile changed elsewhere
+  useEffect(() => {
+    let active = true;
+    apiRequest('/me')
+      .then(profile => {
+        if (!active || !profile) return;
+        updateUser(profile);
+        setDetails(getProfileDetails(profile));
+      })
+      .catch(() => {
+        // Keep what we have; saving reports any real problem
+      });
+    return () => {
+      active = false;
+    };
+  }, [updateUser]);
+
+  const detailsChanged = Object.entries(getProfileDetails(user)).some(([field, value]) => details[field].trim() !== value);
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    setSavingDetails(true);
+    try {
+      const changes = { name: details.name.trim(), email: details.email.trim(), phone: details.phone.trim() };
+      const updated = await apiRequest('/me', { method: 'PUT', body: JSON.stringify(changes) });
+      const saved = updated && updated.email ? updated : changes;
+      updateUser(saved);
+      setDetails(getProfileDetails(saved));
+      notify(t('profile.detailsSaved'), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSavingDetails(false);
+    }
+  };
+
+  const passwordStrength = validatePassword(passwords.next);
+  const canChangePassword = passwords.current
+    && passwordStrength === PASSWORD_MAX_STRENGTH
+    && passwords.next === passwords.confirm;
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setChangingPassword(true);
+    try {
+      await apiRequest('/me/password', {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword: passwords.current, newPassword: passwords.next })
+      });
+      setPasswords(EMPTY_PASSWORD_CHANGE);
+      notify(t('profile.passwordChanged'), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const data = await apiRequest('/me/export');
+      downloadFile(`my-data-${getTodayKey(timeZone)}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setDeletion(prev => ({ ...prev, busy: true, error: null }));
+    try {
+      await apiRequest('/me', { method: 'DELETE', body: JSON.stringify({ password: deletion.password }) });
+      logout(t('profile.deleted'));
+      navigate('/login');
+    } catch (err) {
+      setDeletion(prev => ({ ...prev, busy: false, error: err.message }));
+    }
+  };
+
+  return (
+    <div className="profile-page">
+      <div className="section-header">
+        <h3>{t('profile.title')}</h3>
+      </div>
+
+      <form className="profile-section" onSubmit={handleSaveDetails}>
+        <h4>{t('profile.detailsTitle')}</h4>
+        <div className="form-row">
+          <label>
+            {t('profile.name')}
+            <input
+              type="text"
+              value={details.name}
+              onChange={(e) => setDetails({ ...details, name: e.target.value })}
+              required
+              autoComplete="name"
+            />
+          </label>
+          <label>
+            {t('profile.email')}
+            <input
+              type="email"
+              value={details.email}
+              onChange={(e) => setDetails({ ...details, email: e.target.value })}
+              required
+              autoComplete="email"
+            />
+          </label>
+          <label>
+            {t('profile.phone')}
+            <input
+              type="tel"
+              value={details.phone}
+              onChange={(e) => setDetails({ ...details, phone: e.target.value })}
+              autoComplete="tel"
+            />
+          </label>
+        </div>
+        {user.emailVerified === false && (
+          <div className="profile-unverified">
+            <p className="section-hint">{t('profile.emailUnverified', { email: user.email })}</p>
+            <ResendVerification email={user.email} />
+          </div>
+        )}
+        <div className="dialog-actions">
+          <button type="submit" disabled={savingDetails || !detailsChanged} className="primary-button">
+            {savingDetails ? t('common.saving') : t('common.saveChanges')}
+          </button>
+        </div>
+      </form>
+
+      <form className="profile-section" onSubmit={handleChangePassword}>
+        <h4>{t('profile.passwordTitle')}</h4>
+        <div className="form-row">
+          <label>
+            {t('profile.currentPassword')}
+            <input
+              type="password"
+              value={passwords.current}
+              onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+              required
+              autoComplete="current-password"
+            />
+          </label>
+          <label>
+            {t('profile.newPassword')}
+            <input
+              type="password"
+              value={passwords.next}
+              onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+              required
+              autoComplete="new-password"
+            />
+          </label>
+          <label>
+            {t('profile.confirmPassword')}
+            <input
+              type="password"
+              value={passwords.confirm}
+              onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+              required
+              autoComplete="new-password"
+            />
+          </label>
+        </div>
+        <PasswordStrength password={passwords.next} />
+        {passwords.next && passwordStrength < PASSWORD_MAX_STRENGTH && (
+          <p className="section-hint">{t('auth.passwordRequirements')}</p>
+        )}
+        {passwords.confirm && passwords.next !== passwords.confirm && (
+          <div className="password-mismatch">{t('auth.passwordMismatch')}</div>
+        )}
+        <div className="dialog-actions">
+          <button type="submit" disabled={changingPassword || !canChangePassword} className="primary-button">
+            {changingPassword ? t('common.saving') : t('profile.changePassword')}
+          </button>
+        </div>
+      </form>
+
+      <section className="profile-section" aria-labelledby="profile-preferences">
+        <h4 id="profile-preferences">{t('profile.preferencesTitle')}</h4>
+        <div className="profile-preferences">
+          <LanguageSelect />
+          <HourCycleSelect />
+          <TimezoneSelect />
+        </div>
+        {can(user, 'book') && <ReminderSettings />}
+      </section>
+
+      <section className="profile-section" aria-labelledby="profile-data">
+        <h4 id="profile-data">{t('profile.dataTitle')}</h4>
+        <p className="section-hint">{t('profile.dataHint')}</p>
+        <button onClick={handleExport} disabled={exporting} className="secondary-button">
+          {exporting ? t('common.pleaseWait') : `⬇️ ${t('profile.downloadData')}`}
+        </button>
+      </section>
+
+      {can(user, 'deleteAccount') && (
+        <section className="profile-section danger-zone" aria-labelledby="profile-delete">
+          <h4 id="profile-delete">{t('profile.deleteTitle')}</h4>
+          <p className="section-hint">{t('profile.deleteHint')}</p>
+          <button onClick={() => setDeletion({ password: '', busy: false, error: null })} className="danger-button">
+            {t('profile.deleteAccount')}
+          </button>
+        </section>
+      )}
+
+      {deletion && (
+        <ConfirmDialog
+          title={t('profile.deleteTitle')}
+          confirmLabel={t('profile.deleteAccount')}
+          danger
+          busy={deletion.busy}
+          confirmDisabled={!deletion.password}
+          onConfirm={handleDelete}
+          onCancel={() => setDeletion(null)}
+        >
+          <p>{t('profile.deleteConfirm')}</p>
+          {deletion.error && <div className="message error-message" role="alert">{deletion.error}</div>}
+          <label className="dialog-field">
+            {t('profile.confirmWithPassword')}
+            <input
+              type="password"
+              value={deletion.password}
+              onChange={(e) => setDeletion(prev => ({ ...prev, password: e.target.value }))}
+              autoComplete="current-password"
+            />
+          </label>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
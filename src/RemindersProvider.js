@@ -0,0 +1,230 @@
+// Reminder settings and the scheduler that shows reminders; the browser side
+// lives in reminders.js.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  getNotificationPermission,
+  getReminderSchedule,
+  requestNotificationPermission,
+  showReminder,
+  syncReminderWorker
+} from './reminders';
+import { apiRequest } from './api';
+import { readStoredJson } from './hooks';
+import { can } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+import { useLiveUpdates } from './liveUpdates';
+
+const RemindersContext = React.createContext();
+
+export const useReminders = () => {
+  const context = React.useContext(RemindersContext);
+  if (!context) {
+    throw new Error('useReminders must be used within a RemindersProvider');
+  }
+  return context;
+};
+
+// Minutes before the appointment
+const REMINDER_LEAD_OPTIONS = [15, 60, 120, 1440, 2880];
+const DEFAULT_REMINDER_SETTINGS = { enabled: false, leadMinutes: [1440, 60] };
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+
+const readReminderSettings = (userId) => {
+  const stored = userId ? readStoredJson(`reminders:${userId}`, {}) : {};
+  const leadMinutes = Array.isArray(stored.leadMinutes)
+    ? stored.leadMinutes.filter(lead => REMINDER_LEAD_OPTIONS.includes(lead))
+    : DEFAULT_REMINDER_SETTINGS.leadMinutes;
+  return { enabled: stored.enabled === true, leadMinutes };
+};
+
+const formatLeadTime = (minutes, t) => {
+  if (minutes % 1440 === 0) return t('reminders.days', { count: minutes / 1440 });
+  if (minutes % 60 === 0) return t('reminders.hours', { count: minutes / 60 });
+  return t('schedule.minutes', { count: minutes });
+};
+
+// Shows reminders that fall due while the app is open and hands the schedule
+// to the service worker for when it isn't. Only mounted while reminders are
+// on, so turning them off or signing out stops it.
+const ReminderScheduler = ({ userId, leadMinutes, bookings, onBookings }) => {
+  const { t, formatDateTime } = useI18n();
+  const [sent, setSent] = useState(() => readStoredJson(`reminders-sent:${userId}`, []));
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      onBookings(await apiRequest('/my-bookings'));
+    } catch (err) {
+      // Keep the schedule we have until the next refresh
+    }
+  }, [onBookings]);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  // Cancelled or moved bookings drop out of the schedule on the next fetch
+  useLiveUpdates((event) => {
+    if (event.booking && (event.booking.userId ?? event.booking.user?.id) === userId) fetchBookings();
+  }, fetchBookings);
+
+  const schedule = useMemo(() => getReminderSchedule(bookings, leadMinutes), [bookings, leadMinutes]);
+
+  const reminders = useMemo(() => schedule.map(reminder => {
+    const booking = bookings.find(b => b.id === reminder.bookingId);
+    return {
+      ...reminder,
+      title: t('reminders.title'),
+      body: [
+        t('reminders.body', { time: formatDateTime(booking.slot.startAt) }),
+        booking.slot.service?.name,
+        booking.slot.location?.name
+      ].filter(Boolean).join(' · '),
+      url: '/bookings'
+    };
+  }), [schedule, bookings, t, formatDateTime]);
+
+  useEffect(() => {
+    const showDue = () => {
+      const now = Date.now();
+      const due = reminders.filter(reminder => reminder.at <= now && now < reminder.startAt && !sent.includes(reminder.id));
+      if (due.length === 0) return;
+      // When several lead times have passed (the app was closed), only the
+      // latest is shown; reminders are in time order
+      const latest = new Map(due.map(reminder => [reminder.bookingId, reminder]));
+      latest.forEach(reminder => showReminder(reminder));
+      // Only ids still in the schedule are worth remembering
+      const next = [...sent, ...due.map(reminder => reminder.id)]
+        .filter(id => reminders.some(reminder => reminder.id === id));
+      localStorage.setItem(`reminders-sent:${userId}`, JSON.stringify(next));
+      setSent(next);
+    };
+    showDue();
+    const interval = setInterval(showDue, REMINDER_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [reminders, sent, userId]);
+
+  useEffect(() => {
+    syncReminderWorker(reminders, sent);
+  }, [reminders, sent]);
+
+  return null;
+};
+
+// Reminder settings are kept per patient on this device
+export const RemindersProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = can(user, 'book') ? user.id || user.email : null;
+  const [settings, setSettings] = useState(() => readReminderSettings(userId));
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [bookings, setBookings] = useState([]);
+
+  useEffect(() => {
+    setSettings(readReminderSettings(userId));
+    setBookings([]);
+  }, [userId]);
+
+  const active = Boolean(userId && settings.enabled && permission === 'granted');
+
+  // Withdraws whatever the worker still has scheduled
+  useEffect(() => {
+    if (!active) syncReminderWorker([]);
+  }, [active]);
+
+  // Turning reminders on asks for permission first; they stay off unless it
+  // is granted. Resolves to the permission.
+  const updateSettings = useCallback(async (changes) => {
+    let result = getNotificationPermission();
+    if (changes.enabled && result !== 'granted') {
+      result = await requestNotificationPermission();
+      setPermission(result);
+      if (result !== 'granted') return result;
+    }
+    const next = { ...readReminderSettings(userId), ...changes };
+    localStorage.setItem(`reminders:${userId}`, JSON.stringify(next));
+    setSettings(next);
+    return result;
+  }, [userId]);
+
+  const value = useMemo(() => ({
+    settings,
+    permission,
+    updateSettings,
+    // Lets a view that has just changed the patient's bookings update the
+    // schedule without another request
+    syncBookings: setBookings
+  }), [settings, permission, updateSettings]);
+
+  return (
+    <RemindersContext.Provider value={value}>
+      {children}
+      {active && (
+        <ReminderScheduler
+          key={userId}
+          userId={userId}
+          leadMinutes={settings.leadMinutes}
+          bookings={bookings}
+          onBookings={setBookings}
+        />
+      )}
+    </RemindersContext.Provider>
+  );
+};
+
+export const ReminderSettings = () => {
+  const { settings, permission, updateSettings } = useReminders();
+  const { t } = useI18n();
+  const [requesting, setRequesting] = useState(false);
+
+  const toggleEnabled = async (enabled) => {
+    setRequesting(true);
+    try {
+      await updateSettings({ enabled });
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const toggleLead = (lead) => {
+    updateSettings({
+      leadMinutes: settings.leadMinutes.includes(lead)
+        ? settings.leadMinutes.filter(minutes => minutes !== lead)
+        : [...settings.leadMinutes, lead].sort((a, b) => b - a)
+    });
+  };
+
+  const enabled = settings.enabled && permission === 'granted';
+
+  return (
+    <section className="reminder-settings" aria-label={t('reminders.settingsTitle')}>
+      <label>
+        <input
+          type="checkbox"
+          checked={enabled}
+          disabled={requesting || permission === 'unsupported' || permission === 'denied'}
+          onChange={(e) => toggleEnabled(e.target.checked)}
+        />
+        ⏰ {t('reminders.enable')}
+      </label>
+      {enabled && (
+        <fieldset className="reminder-leads">
+          <legend>{t('reminders.leadLegend')}</legend>
+          {REMINDER_LEAD_OPTIONS.map(lead => (
+            <label key={lead}>
+              <input
+                type="checkbox"
+                checked={settings.leadMinutes.includes(lead)}
+                onChange={() => toggleLead(lead)}
+              />
+              {t('reminders.leadBefore', { lead: formatLeadTime(lead, t) })}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      {permission === 'unsupported' && <p className="section-hint">{t('reminders.unsupported')}</p>}
+      {permission === 'denied' && <p className="section-hint">{t('reminders.denied')}</p>}
+      {enabled && <p className="section-hint">{t('reminders.hint')}</p>}
+    </section>
+  );
+};
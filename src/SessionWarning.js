@@ -0,0 +1,51 @@
+// Warns before the session expires and offers to stay signed in.
+
+import { useState } from 'react';
+import { formatCountdown } from './dates';
+import { canRefreshSession } from './api';
+import { useNow } from './hooks';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+
+export const SessionWarning = () => {
+  const { sessionExpiresAt, extendSession, logout } = useAuth();
+  const now = useNow(Boolean(sessionExpiresAt));
+  const [extending, setExtending] = useState(false);
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  if (!sessionExpiresAt) return null;
+
+  const countdown = formatCountdown(sessionExpiresAt - now);
+
+  const handleExtend = async () => {
+    setExtending(true);
+    setError(null);
+    try {
+      await extendSession();
+    } catch (err) {
+      setError(t('session.extendFailed'));
+    } finally {
+      setExtending(false);
+    }
+  };
+
+  return (
+    <div className="session-warning" role="alert">
+      <span>
+        ⏳ {t('session.expiresIn', { countdown })}
+        {error && <span className="session-warning-error"> {error}</span>}
+      </span>
+      <div className="session-warning-actions">
+        {canRefreshSession() && (
+          <button onClick={handleExtend} disabled={extending} className="primary-button">
+            {extending ? t('session.extending') : t('session.staySignedIn')}
+          </button>
+        )}
+        <button onClick={() => logout(t('session.signInToContinue'))} className="secondary-button">
+          {t('session.signInAgain')}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,183 @@
+// Providers, services and locations: the clinic catalog and how slots are
+// filtered and labelled by them.
+
+import { useState, useEffect, useMemo } from 'react';
+import { apiRequest } from './api';
+import { useI18n } from './I18nProvider';
+
+// Providers, services and locations
+export const SLOT_DIMENSIONS = ['provider', 'service', 'location'];
+const EMPTY_CATALOG = { providers: [], services: [], locations: [] };
+
+// Slots carry their provider, service and location as { id, name, ... }
+export const matchesSlotDimensions = (slot, filters) => {
+  return SLOT_DIMENSIONS.every(dimension => !filters[dimension] || slot[dimension]?.id === filters[dimension]);
+};
+
+// Form values for a slot's dimensions, as <select> values
+export const EMPTY_SLOT_DIMENSIONS = { providerId: '', serviceId: '', locationId: '' };
+
+// Ids as sent to POST/PUT /slots; unset ones go as null
+export const getSlotDimensionIds = ({ providerId, serviceId, locationId }) => ({
+  providerId: providerId || null,
+  serviceId: serviceId || null,
+  locationId: locationId || null
+});
+
+export const EMPTY_SLOT_FILTERS = { provider: '', service: '', location: '' };
+
+export const readSlotDimensionFilters = (query) => {
+  return Object.fromEntries(SLOT_DIMENSIONS.map(dimension => [dimension, query.get(dimension) || '']));
+};
+
+// "Dr. Amara Okafor" -> "AO"
+const getInitials = (name) => {
+  const words = name.split(/\s+/).filter(word => word && !word.endsWith('.'));
+  return [words[0], words.length > 1 ? words[words.length - 1] : ''].map(word => (word ? word[0] : '')).join('').toUpperCase();
+};
+
+// The clinic's providers (with their profiles), services and locations. A
+// backend without these endpoints gets empty lists, which hides the filters.
+const fetchClinicCatalog = async () => {
+  const [providers, services, locations] = await Promise.all(
+    ['/providers', '/services', '/locations'].map(endpoint => apiRequest(endpoint).catch(() => []))
+  );
+  return { providers: providers || [], services: services || [], locations: locations || [] };
+};
+
+export const useClinicCatalog = () => {
+  const [catalog, setCatalog] = useState(EMPTY_CATALOG);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchClinicCatalog().then(result => {
+      if (!cancelled) setCatalog(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return catalog;
+};
+
+// The catalog as staff limited to one provider see it: only that provider is
+// offered in the filters
+export const useScopedCatalog = (ownProviderId) => {
+  const catalog = useClinicCatalog();
+  return useMemo(() => (ownProviderId === null ? catalog : {
+    ...catalog,
+    providers: catalog.providers.filter(provider => provider.id === ownProviderId)
+  }), [catalog, ownProviderId]);
+};
+
+// Service, provider and location of a slot, where the backend sends them.
+// With onShowProvider the provider's name opens their profile.
+export const SlotDimensions = ({ slot, onShowProvider }) => {
+  const { t } = useI18n();
+  const { service, provider, location } = slot;
+  if (!service && !provider && !location) return null;
+
+  return (
+    <div className="slot-dimensions">
+      {service && (
+        <span className="slot-service">
+          {service.name}
+          {service.durationMinutes ? ` · ${t('schedule.minutes', { count: service.durationMinutes })}` : ''}
+        </span>
+      )}
+      {provider && (onShowProvider ? (
+        <button onClick={() => onShowProvider(provider.id)} className="link-button slot-provider">
+          {provider.name}
+        </button>
+      ) : (
+        <span className="slot-provider">{provider.name}</span>
+      ))}
+      {location && <span className="slot-location">📍 {location.name}</span>}
+    </div>
+  );
+};
+
+// The provider's photo, or their initials when there is none or it fails to load
+const ProviderAvatar = ({ provider }) => {
+  const [failed, setFailed] = useState(false);
+
+  return provider.photoUrl && !failed ? (
+    <img src={provider.photoUrl} alt="" className="provider-avatar" onError={() => setFailed(true)} />
+  ) : (
+    <span className="provider-avatar" aria-hidden="true">{getInitials(provider.name)}</span>
+  );
+};
+
+export const ProviderCard = ({ provider, locations = [] }) => {
+  const { t } = useI18n();
+  const workplaces = locations.filter(location => (provider.locationIds || []).includes(location.id));
+
+  return (
+    <section className="provider-card" aria-label={provider.name}>
+      <ProviderAvatar provider={provider} />
+      <div className="provider-profile">
+        <h4>{provider.name}</h4>
+        {provider.title && <div className="provider-title">{provider.title}</div>}
+        {provider.bio && <p>{provider.bio}</p>}
+        {provider.specialties?.length > 0 && (
+          <ul className="provider-specialties" aria-label={t('providers.specialties')}>
+            {provider.specialties.map(specialty => <li key={specialty}>{specialty}</li>)}
+          </ul>
+        )}
+        {workplaces.length > 0 && (
+          <div className="provider-locations">📍 {workplaces.map(location => location.name).join(', ')}</div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+// One select per provider, service and location the backend knows about; a
+// dimension without any entries is left out.
+export const SlotDimensionSelects = ({ catalog, filters, onChange }) => {
+  const { t } = useI18n();
+
+  return SLOT_DIMENSIONS.map(dimension => {
+    const options = catalog[`${dimension}s`];
+    if (options.length === 0) return null;
+    return (
+      <select
+        key={dimension}
+        value={filters[dimension]}
+        onChange={(e) => onChange({ [dimension]: e.target.value || null })}
+        aria-label={t(`providers.filterBy.${dimension}`)}
+      >
+        <option value="">{t(`providers.all.${dimension}`)}</option>
+        {options.map(option => (
+          <option key={option.id} value={option.id}>{option.name}</option>
+        ))}
+      </select>
+    );
+  });
+};
+
+// Who, what and where for slots being created or edited
+export const SlotDimensionFields = ({ catalog, value, onChange }) => {
+  const { t } = useI18n();
+  if (SLOT_DIMENSIONS.every(dimension => catalog[`${dimension}s`].length === 0)) return null;
+
+  return (
+    <div className="form-row">
+      {SLOT_DIMENSIONS.map(dimension => (
+        <label key={dimension}>
+          {t(`admin.columns.${dimension}`)}
+          <select
+            value={value[`${dimension}Id`]}
+            onChange={(e) => onChange({ [`${dimension}Id`]: e.target.value })}
+          >
+            <option value="">{t('providers.notSet')}</option>
+            {catalog[`${dimension}s`].map(option => (
+              <option key={option.id} value={option.id}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+};
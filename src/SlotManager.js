@@ -0,0 +1,656 @@
+// The staff schedule: creating, editing, deleting and generating slots.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { createCalendar, downloadCalendar } from './ics';
+import {
+  addDaysToKey,
+  fromDateTimeInputValue,
+  getDateKey,
+  getTimeZoneLabel,
+  getTodayKey,
+  getWeekdayOfKey,
+  parseTimeOfDay,
+  toDateTimeInputValue,
+  zonedTimeToUtc
+} from './dates';
+import { apiRequest } from './api';
+import { can, getOwnProviderId } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { ConfirmDialog, LoadingSpinner } from './components';
+import {
+  EMPTY_SLOT_DIMENSIONS,
+  SlotDimensionFields,
+  SlotDimensions,
+  getSlotDimensionIds,
+  useScopedCatalog
+} from './SlotDimensions';
+import { groupSlotsByDate, isSlotBooked } from './slots';
+import { createScheduleEvent } from './calendarEvents';
+
+const slotsOverlap = (a, b) => {
+  return new Date(a.startAt) < new Date(b.endAt) && new Date(b.startAt) < new Date(a.endAt);
+};
+
+// Providers can see patients side by side, so only slots with the same
+// provider clash; a slot without one clashes with anything at that time.
+const findOverlappingSlots = (candidate, slots) => {
+  return slots.filter(slot => (
+    slot.id !== candidate.id
+    && (!slot.providerId || !candidate.providerId || slot.providerId === candidate.providerId)
+    && slotsOverlap(candidate, slot)
+  ));
+};
+
+const MAX_GENERATED_SLOTS = 500;
+
+// Expand a recurring schedule template into concrete slots. Times are wall
+// clock times in timeZone. Slots that would overlap a break are skipped and
+// generation resumes when the break ends.
+const generateSlots = ({ from, to, weekdays, startTime, endTime, slotMinutes, breaks = [] }, timeZone) => {
+  const slots = [];
+  if (!from || !to || !startTime || !endTime || !slotMinutes) return slots;
+
+  const dayStart = parseTimeOfDay(startTime);
+  const dayEnd = parseTimeOfDay(endTime);
+  const breakRanges = breaks
+    .filter(b => b.start && b.end)
+    .map(b => [parseTimeOfDay(b.start), parseTimeOfDay(b.end)]);
+
+  for (let day = from; day <= to && slots.length < MAX_GENERATED_SLOTS; day = addDaysToKey(day, 1)) {
+    if (!weekdays.includes(getWeekdayOfKey(day))) continue;
+
+    let minute = dayStart;
+    while (minute + slotMinutes <= dayEnd && slots.length < MAX_GENERATED_SLOTS) {
+      const start = minute;
+      const end = start + slotMinutes;
+      const clash = breakRanges.find(([breakStart, breakEnd]) => start < breakEnd && end > breakStart);
+      if (clash) {
+        minute = clash[1];
+        continue;
+      }
+
+      slots.push({
+        startAt: zonedTimeToUtc(day, start, timeZone).toISOString(),
+        endAt: zonedTimeToUtc(day, end, timeZone).toISOString()
+      });
+      minute = end;
+    }
+  }
+
+  return slots;
+};
+
+const OverlapWarning = ({ overlaps }) => {
+  const { clinicTimeZone } = useTimezone();
+  const { t, formatDateTime } = useI18n();
+  if (overlaps.length === 0) return null;
+
+  return (
+    <div className="overlap-warning">
+      ⚠️ {t('schedule.overlaps', { count: overlaps.length })}{' '}
+      {overlaps.slice(0, 3).map(slot => formatDateTime(slot.startAt, clinicTimeZone)).join(', ')}
+      {overlaps.length > 3 && '...'}
+    </div>
+  );
+};
+
+const SlotForm = ({ slot, existingSlots, catalog, onSubmit, onCancel, saving }) => {
+  const { clinicTimeZone } = useTimezone();
+  const { t } = useI18n();
+  const [formData, setFormData] = useState(() => ({
+    startAt: slot ? toDateTimeInputValue(slot.startAt, clinicTimeZone) : '',
+    endAt: slot ? toDateTimeInputValue(slot.endAt, clinicTimeZone) : '',
+    providerId: slot?.provider?.id || '',
+    serviceId: slot?.service?.id || '',
+    locationId: slot?.location?.id || ''
+  }));
+
+  const candidate = useMemo(() => {
+    if (!formData.startAt || !formData.endAt) return null;
+    return {
+      id: slot?.id,
+      startAt: fromDateTimeInputValue(formData.startAt, clinicTimeZone),
+      endAt: fromDateTimeInputValue(formData.endAt, clinicTimeZone),
+      ...getSlotDimensionIds(formData)
+    };
+  }, [formData, slot, clinicTimeZone]);
+
+  const overlaps = useMemo(() => {
+    return candidate ? findOverlappingSlots(candidate, existingSlots) : [];
+  }, [candidate, existingSlots]);
+
+  const isValidRange = candidate && new Date(candidate.endAt) > new Date(candidate.startAt);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isValidRange) {
+      onSubmit({ startAt: candidate.startAt, endAt: candidate.endAt, ...getSlotDimensionIds(formData) });
+    }
+  };
+
+  return (
+    <form className="admin-panel" onSubmit={handleSubmit}>
+      <h4>{slot ? t('schedule.editSlot') : t('schedule.createSlot')}</h4>
+      <div className="form-row">
+        <label>
+          {t('schedule.starts')}
+          <input
+            type="datetime-local"
+            value={formData.startAt}
+            onChange={(e) => setFormData({ ...formData, startAt: e.target.value })}
+            required
+          />
+        </label>
+        <label>
+          {t('schedule.ends')}
+          <input
+            type="datetime-local"
+            value={formData.endAt}
+            onChange={(e) => setFormData({ ...formData, endAt: e.target.value })}
+            required
+          />
+        </label>
+      </div>
+      <SlotDimensionFields
+        catalog={catalog}
+        value={formData}
+        onChange={(changes) => setFormData({ ...formData, ...changes })}
+      />
+      {candidate && !isValidRange && (
+        <div className="password-mismatch">{t('schedule.endAfterStart')}</div>
+      )}
+      <OverlapWarning overlaps={overlaps} />
+      <div className="dialog-actions">
+        <button type="button" onClick={onCancel} className="secondary-button">
+          {t('common.cancel')}
+        </button>
+        <button type="submit" disabled={saving || !isValidRange} className="primary-button">
+          {saving ? t('common.saving') : slot ? t('common.saveChanges') : t('schedule.createSlot')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const SlotGenerator = ({ existingSlots, catalog, onSubmit, onCancel, saving }) => {
+  const { clinicTimeZone } = useTimezone();
+  const { t, formatDateTime, formatTime, weekdayNames } = useI18n();
+  const [template, setTemplate] = useState(() => {
+    const today = getTodayKey(clinicTimeZone);
+    return {
+      from: today,
+      to: addDaysToKey(today, 14),
+      weekdays: [1, 2, 3, 4, 5],
+      startTime: '09:00',
+      endTime: '17:00',
+      slotMinutes: 30,
+      breaks: [{ start: '12:00', end: '13:00' }],
+      ...EMPTY_SLOT_DIMENSIONS
+    };
+  });
+  const [showPreview, setShowPreview] = useState(false);
+
+  const updateTemplate = (changes) => {
+    setTemplate(prev => ({ ...prev, ...changes }));
+    setShowPreview(false);
+  };
+
+  const toggleWeekday = (day) => {
+    updateTemplate({
+      weekdays: template.weekdays.includes(day)
+        ? template.weekdays.filter(d => d !== day)
+        : [...template.weekdays, day].sort()
+    });
+  };
+
+  const updateBreak = (index, changes) => {
+    updateTemplate({
+      breaks: template.breaks.map((b, i) => (i === index ? { ...b, ...changes } : b))
+    });
+  };
+
+  // Picking a service sizes the slots to its length
+  const updateDimensions = (changes) => {
+    const service = changes.serviceId && catalog.services.find(s => s.id === changes.serviceId);
+    updateTemplate(service?.durationMinutes ? { ...changes, slotMinutes: service.durationMinutes } : changes);
+  };
+
+  const preview = useMemo(() => {
+    return generateSlots(template, clinicTimeZone).map(slot => {
+      const generated = { ...slot, ...getSlotDimensionIds(template) };
+      return { ...generated, overlaps: findOverlappingSlots(generated, existingSlots) };
+    });
+  }, [template, existingSlots, clinicTimeZone]);
+
+  const overlapCount = preview.filter(slot => slot.overlaps.length > 0).length;
+
+  return (
+    <div className="admin-panel">
+      <h4>{t('schedule.generateTitle')}</h4>
+      <div className="form-row">
+        <label>
+          {t('common.from')}
+          <input type="date" value={template.from} onChange={(e) => updateTemplate({ from: e.target.value })} />
+        </label>
+        <label>
+          {t('common.to')}
+          <input type="date" value={template.to} onChange={(e) => updateTemplate({ to: e.target.value })} />
+        </label>
+      </div>
+
+      <div className="weekday-picker">
+        {weekdayNames.map((label, day) => (
+          <button
+            key={day}
+            type="button"
+            className={template.weekdays.includes(day) ? 'active' : ''}
+            onClick={() => toggleWeekday(day)}
+            aria-pressed={template.weekdays.includes(day)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="form-row">
+        <label>
+          {t('schedule.dayStarts')}
+          <input type="time" value={template.startTime} onChange={(e) => updateTemplate({ startTime: e.target.value })} />
+        </label>
+        <label>
+          {t('schedule.dayEnds')}
+          <input type="time" value={template.endTime} onChange={(e) => updateTemplate({ endTime: e.target.value })} />
+        </label>
+        <label>
+          {t('schedule.slotLength')}
+          <select
+            value={template.slotMinutes}
+            onChange={(e) => updateTemplate({ slotMinutes: Number(e.target.value) })}
+          >
+            {[...new Set([15, 20, 30, 45, 60, 90, template.slotMinutes])].sort((a, b) => a - b).map(minutes => (
+              <option key={minutes} value={minutes}>{t('schedule.minutes', { count: minutes })}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <SlotDimensionFields catalog={catalog} value={template} onChange={updateDimensions} />
+
+      <div className="breaks-list">
+        <span className="field-label">{t('schedule.breaks')}</span>
+        {template.breaks.map((b, index) => (
+          <div key={index} className="break-row">
+            <input type="time" value={b.start} onChange={(e) => updateBreak(index, { start: e.target.value })} />
+            <span>{t('schedule.breakTo')}</span>
+            <input type="time" value={b.end} onChange={(e) => updateBreak(index, { end: e.target.value })} />
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => updateTemplate({ breaks: template.breaks.filter((_, i) => i !== index) })}
+            >
+              {t('common.remove')}
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => updateTemplate({ breaks: [...template.breaks, { start: '', end: '' }] })}
+        >
+          + {t('schedule.addBreak')}
+        </button>
+      </div>
+
+      {showPreview && (
+        <div className="generator-preview">
+          <p>
+            {t('schedule.previewCount', { count: preview.length })}
+            {overlapCount > 0 && (
+              <span className="overlap-warning inline"> ⚠️ {t('schedule.previewOverlaps', { count: overlapCount })}</span>
+            )}
+          </p>
+          {preview.length >= MAX_GENERATED_SLOTS && (
+            <p className="overlap-warning">{t('schedule.generateLimit', { count: MAX_GENERATED_SLOTS })}</p>
+          )}
+          <ul className="preview-list">
+            {preview.map(slot => (
+              <li key={slot.startAt} className={slot.overlaps.length > 0 ? 'overlapping' : ''}>
+                {formatDateTime(slot.startAt, clinicTimeZone)} - {formatTime(slot.endAt, clinicTimeZone)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="dialog-actions">
+        <button type="button" onClick={onCancel} className="secondary-button">
+          {t('common.cancel')}
+        </button>
+        {showPreview ? (
+          <button
+            type="button"
+            disabled={saving || preview.length === 0}
+            onClick={() => onSubmit(preview.map(({ overlaps, ...slot }) => slot))}
+            className="primary-button"
+          >
+            {saving ? t('schedule.creating') : t('schedule.createCount', { count: preview.length })}
+          </button>
+        ) : (
+          <button type="button" onClick={() => setShowPreview(true)} className="primary-button">
+            {t('schedule.preview')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Any day's schedule, booked and open slots alike, as a calendar file
+const ScheduleExport = () => {
+  const { notify } = useNotifications();
+  const { clinicTimeZone } = useTimezone();
+  const { t, formatDateKey } = useI18n();
+  const [day, setDay] = useState(() => getTodayKey(clinicTimeZone));
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await apiRequest(`/admin/slots?from=${addDaysToKey(day, -1)}&to=${addDaysToKey(day, 1)}`);
+      const daySlots = response.filter(slot => getDateKey(slot.startAt, clinicTimeZone) === day);
+      if (daySlots.length === 0) {
+        notify(t('calendar.scheduleEmpty', { date: formatDateKey(day) }), 'info');
+        return;
+      }
+      downloadCalendar(
+        `schedule-${day}.ics`,
+        createCalendar(daySlots.map(slot => createScheduleEvent(slot, t)), {
+          name: t('calendar.scheduleName', { date: formatDateKey(day) })
+        })
+      );
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="schedule-export">
+      <input
+        type="date"
+        value={day}
+        onChange={(e) => setDay(e.target.value)}
+        aria-label={t('calendar.scheduleDay')}
+        required
+      />
+      <button onClick={handleExport} disabled={!day || exporting} className="secondary-button">
+        📅 {exporting ? t('calendar.exporting') : t('calendar.exportDay')}
+      </button>
+    </div>
+  );
+};
+
+export const SlotManager = () => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [panel, setPanel] = useState(null);
+  const [slotToDelete, setSlotToDelete] = useState(null);
+  const { user } = useAuth();
+  const { clinicTimeZone } = useTimezone();
+  const { t, formatDate, formatTime, formatDateKey } = useI18n();
+  const ownProviderId = getOwnProviderId(user);
+  const catalog = useScopedCatalog(ownProviderId);
+  const canManage = can(user, 'manageSlots');
+  const [dateRange, setDateRange] = useState(() => {
+    const today = getTodayKey(clinicTimeZone);
+    return { from: today, to: addDaysToKey(today, 14) };
+  });
+  const { notify } = useNotifications();
+
+  const fetchSlots = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiRequest(`/admin/slots?from=${dateRange.from}&to=${dateRange.to}`);
+      setSlots(response);
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [dateRange, notify]);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const handleCreateSlot = async (slotData) => {
+    setSaving(true);
+    try {
+      const created = await apiRequest('/slots', {
+        method: 'POST',
+        body: JSON.stringify(slotData)
+      });
+      notify(t('schedule.createSuccess'), 'success');
+      setSlots(prev => [...prev, created]);
+      setPanel(null);
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdateSlot = async (slotId, slotData) => {
+    setSaving(true);
+    try {
+      const updated = await apiRequest(`/slots/${slotId}`, {
+        method: 'PUT',
+        body: JSON.stringify(slotData)
+      });
+      notify(t('schedule.updateSuccess'), 'success');
+      setSlots(prev => prev.map(slot => (slot.id === slotId ? { ...slot, ...updated } : slot)));
+      setPanel(null);
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGenerateSlots = async (generated) => {
+    setSaving(true);
+    try {
+      const response = await apiRequest('/slots/bulk', {
+        method: 'POST',
+        body: JSON.stringify({ slots: generated })
+      });
+      const created = Array.isArray(response) ? response : response.slots || [];
+      notify(t('schedule.generateSuccess', { count: created.length || generated.length }), 'success');
+      setPanel(null);
+      fetchSlots();
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteSlot = async () => {
+    const slot = slotToDelete;
+    if (isSlotBooked(slot)) {
+      notify(t('schedule.deleteBooked'));
+      setSlotToDelete(null);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await apiRequest(`/slots/${slot.id}`, {
+        method: 'DELETE'
+      });
+      notify(t('schedule.deleteSuccess'), 'success');
+      setSlots(prev => prev.filter(s => s.id !== slot.id));
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSaving(false);
+      setSlotToDelete(null);
+    }
+  };
+
+  const groupedSlots = useMemo(() => {
+    const sorted = [...slots].sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+    return groupSlotsByDate(sorted, clinicTimeZone);
+  }, [slots, clinicTimeZone]);
+
+  return (
+    <div className="slot-manager">
+      <div className="section-header">
+        <div>
+          <h3>{t('schedule.title')}</h3>
+          <span className="zone-note">
+            {t('schedule.zoneNote', { zone: clinicTimeZone, label: getTimeZoneLabel(clinicTimeZone) })}
+          </span>
+          {ownProviderId !== null && <span className="zone-note">{t('schedule.ownOnly')}</span>}
+        </div>
+        <div className="date-filters">
+          <input
+            type="date"
+            value={dateRange.from}
+            onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))}
+          />
+          <input
+            type="date"
+            value={dateRange.to}
+            onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))}
+          />
+          <button onClick={fetchSlots} className="refresh-button">
+            {t('common.refresh')}
+          </button>
+        </div>
+      </div>
+
+      <div className="schedule-actions">
+        {canManage && (
+          <>
+            <button onClick={() => setPanel({ type: 'create' })} className="primary-button">
+              + {t('schedule.newSlot')}
+            </button>
+            <button onClick={() => setPanel({ type: 'generate' })} className="secondary-button">
+              {t('schedule.generateTitle')}
+            </button>
+          </>
+        )}
+        <ScheduleExport />
+      </div>
+
+      {panel?.type === 'create' && (
+        <SlotForm
+          existingSlots={slots}
+          catalog={catalog}
+          onSubmit={handleCreateSlot}
+          onCancel={() => setPanel(null)}
+          saving={saving}
+        />
+      )}
+      {panel?.type === 'edit' && (
+        <SlotForm
+          key={panel.slot.id}
+          slot={panel.slot}
+          existingSlots={slots}
+          catalog={catalog}
+          onSubmit={(slotData) => handleUpdateSlot(panel.slot.id, slotData)}
+          onCancel={() => setPanel(null)}
+          saving={saving}
+        />
+      )}
+      {panel?.type === 'generate' && (
+        <SlotGenerator
+          existingSlots={slots}
+          catalog={catalog}
+          onSubmit={handleGenerateSlots}
+          onCancel={() => setPanel(null)}
+          saving={saving}
+        />
+      )}
+
+      {loading ? (
+        <LoadingSpinner message={t('schedule.loading')} />
+      ) : slots.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🗓️</div>
+          <h4>{t('schedule.emptyTitle')}</h4>
+          <p>{t('schedule.emptyHint')}</p>
+        </div>
+      ) : (
+        <div className="slots-by-date">
+          {Object.entries(groupedSlots).map(([date, daySlots]) => (
+            <div key={date} className="day-group">
+              <h4 className="day-header">{formatDateKey(date)}</h4>
+              <ul className="schedule-list">
+                {daySlots.map(slot => {
+                  const booked = isSlotBooked(slot);
+                  const overlaps = findOverlappingSlots(slot, slots);
+                  return (
+                    <li key={slot.id} className={`schedule-row ${booked ? 'booked' : ''}`}>
+                      <span className="slot-time">
+                        {formatTime(slot.startAt, clinicTimeZone)} - {formatTime(slot.endAt, clinicTimeZone)}
+                      </span>
+                      <SlotDimensions slot={slot} />
+                      <span className={`status-badge ${booked ? 'upcoming' : 'open'}`}>
+                        {booked ? t('schedule.booked') : t('schedule.open')}
+                      </span>
+                      {overlaps.length > 0 && <span className="overlap-warning inline">⚠️ {t('schedule.overlapsBadge')}</span>}
+                      {canManage && (
+                        <div className="row-actions">
+                          <button
+                            onClick={() => setPanel({ type: 'edit', slot })}
+                            disabled={booked}
+                            className="link-button"
+                            title={booked ? t('schedule.cannotEdit') : undefined}
+                          >
+                            {t('common.edit')}
+                          </button>
+                          <button
+                            onClick={() => setSlotToDelete(slot)}
+                            disabled={booked}
+                            className="link-button danger"
+                            title={booked ? t('schedule.cannotDelete') : undefined}
+                          >
+                            {t('common.delete')}
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {slotToDelete && (
+        <ConfirmDialog
+          title={t('schedule.deleteTitle')}
+          confirmLabel={t('schedule.deleteSlot')}
+          danger
+          busy={saving}
+          onConfirm={handleDeleteSlot}
+          onCancel={() => setSlotToDelete(null)}
+        >
+          <p>
+            {formatDate(slotToDelete.startAt, clinicTimeZone)}, {formatTime(slotToDelete.startAt, clinicTimeZone)} -{' '}
+            {formatTime(slotToDelete.endAt, clinicTimeZone)}
+          </p>
+          <p>{t('common.cannotUndo')}</p>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,450 @@
+// Available slots for patients, as a list or a calendar.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { addDaysToKey, addMonthsToKey, getTodayKey, startOfWeekKey } from './dates';
+import { apiRequest } from './api';
+import { useAuth } from './AuthProvider';
+import { useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { useLiveUpdates } from './liveUpdates';
+import { ConfirmDialog, LoadingSpinner, TimeRange } from './components';
+import {
+  ProviderCard,
+  SLOT_DIMENSIONS,
+  SlotDimensionSelects,
+  SlotDimensions,
+  readSlotDimensionFilters,
+  useClinicCatalog
+} from './SlotDimensions';
+import { fetchAvailableSlots, groupSlotsByDate, isSlotInPast, isSlotSoon } from './slots';
+import { downloadBookingCalendar } from './calendarEvents';
+import { EmailVerificationBanner } from './EmailVerification';
+import { BookingDialog, EMPTY_BOOKING_DRAFT } from './BookingDialog';
+import { WaitlistDialog } from './MyWaitlist';
+import { MonthView, SLOT_VIEWS, WeekView, getCalendarRange } from './CalendarViews';
+
+// The count slots starting closest to target, before or after it, in
+// chronological order
+const findNearestSlots = (target, slots, count = 3) => {
+  const start = new Date(target.startAt).getTime();
+  return slots
+    .filter(slot => slot.id !== target.id && !isSlotInPast(slot.startAt))
+    .sort((a, b) => Math.abs(new Date(a.startAt) - start) - Math.abs(new Date(b.startAt) - start))
+    .slice(0, count)
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+};
+
+const SlotCard = React.memo(({ slot, onBook, onShowProvider, isBooking, isTaken = false, bookingBlocked = false }) => {
+  const { t, formatDate } = useI18n();
+  const isPast = isSlotInPast(slot.startAt);
+  const isSoon = isSlotSoon(slot.startAt);
+  const unavailable = isPast || isTaken;
+
+  const label = isBooking
+    ? t('slots.booking')
+    : isTaken ? t('slots.taken') : isPast ? t('slots.past') : t('slots.book');
+
+  return (
+    <div className={`slot-card ${isPast ? 'past' : ''} ${isSoon ? 'soon' : ''} ${isTaken ? 'taken' : ''}`}>
+      <div className="slot-date">{formatDate(slot.startAt)}</div>
+      <div className="slot-time">
+        <TimeRange startAt={slot.startAt} endAt={slot.endAt} />
+      </div>
+      <SlotDimensions slot={slot} onShowProvider={onShowProvider} />
+      <button 
+        onClick={() => onBook(slot.id)}
+        disabled={unavailable || isBooking || bookingBlocked}
+        className={`book-button ${unavailable ? 'disabled' : ''}`}
+      >
+        {label}
+      </button>
+      {isSoon && !isTaken && <div className="soon-badge">{t('slots.soon')}</div>}
+    </div>
+  );
+});
+
+// Slot cards under a heading per day, from groupSlotsByDate
+export const SlotGroups = ({ groupedSlots, onBook, onShowProvider, bookingSlot, takenSlotIds, bookingBlocked = false }) => {
+  const { formatDateKey } = useI18n();
+
+  return (
+    <div className="slots-by-date">
+      {Object.entries(groupedSlots).map(([date, daySlots]) => (
+        <div key={date} className="day-group">
+          <h4 className="day-header">{formatDateKey(date)}</h4>
+          <div className="slots-grid">
+            {daySlots.map(slot => (
+              <SlotCard
+                key={slot.id}
+                slot={slot}
+                onBook={onBook}
+                onShowProvider={onShowProvider}
+                isBooking={bookingSlot === slot.id}
+                isTaken={takenSlotIds.has(slot.id)}
+                bookingBlocked={bookingBlocked}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const SlotsList = () => {
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [bookingSlot, setBookingSlot] = useState(null);
+  const [selectedDay, setSelectedDay] = useState(null);
+  // Slots someone else booked since the list was loaded; shown as taken
+  // until the next refresh
+  const [takenSlotIds, setTakenSlotIds] = useState(() => new Set());
+  const [conflict, setConflict] = useState(null);
+  // The slot being confirmed, and what the patient has filled in so far. The
+  // draft outlives the dialog so it is still there when picking another time.
+  const [pendingSlot, setPendingSlot] = useState(null);
+  const [bookingDraft, setBookingDraft] = useState(EMPTY_BOOKING_DRAFT);
+  const [bookingError, setBookingError] = useState(null);
+  const [joiningWaitlist, setJoiningWaitlist] = useState(false);
+  const [profileId, setProfileId] = useState(null);
+  const { user } = useAuth();
+  const { query, setQuery, navigate } = useRouter();
+  const { timeZone } = useTimezone();
+  const { t, formatDateKey, formatMonth, formatDateTime } = useI18n();
+  // Only an explicit false blocks booking; backends without verification omit it
+  const canBook = user.emailVerified !== false;
+  const catalog = useClinicCatalog();
+  const from = query.get('from') || '';
+  const to = query.get('to') || '';
+  const { provider, service, location } = readSlotDimensionFilters(query);
+  const filters = useMemo(() => ({ provider, service, location }), [provider, service, location]);
+  const dateParam = query.get('date') || '';
+  const storedView = localStorage.getItem('slotsView');
+  const view = SLOT_VIEWS.find(v => v === query.get('view'))
+    || SLOT_VIEWS.find(v => v === storedView)
+    || 'list';
+  const anchor = dateParam || getTodayKey(timeZone);
+  const dateRange = useMemo(() => {
+    return view === 'list' ? { from, to } : getCalendarRange(view, anchor);
+  }, [view, from, to, anchor]);
+  const { notify } = useNotifications();
+
+  // Live refreshes are silent: no spinner, and errors wait for the next one
+  const fetchSlots = useCallback(async (silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      const response = await fetchAvailableSlots(dateRange, timeZone, filters);
+      setSlots(response);
+      setTakenSlotIds(new Set());
+    } catch (err) {
+      if (!silent) notify(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [dateRange, timeZone, filters, notify]);
+
+  const markSlotTaken = (slotId) => {
+    setTakenSlotIds(prev => new Set(prev).add(slotId));
+  };
+
+  useLiveUpdates((event) => {
+    if (event.type === 'slot.booked' || event.type === 'slot.deleted') {
+      if (slots.some(slot => slot.id === event.slot.id)) markSlotTaken(event.slot.id);
+    } else if (event.type === 'slot.released' || event.type === 'slot.created' || event.type === 'slot.updated') {
+      fetchSlots(true);
+    }
+  }, () => fetchSlots(true));
+
+  const changeView = (nextView) => {
+    localStorage.setItem('slotsView', nextView);
+    setSelectedDay(null);
+    setQuery({ view: nextView === 'list' ? null : nextView });
+  };
+
+  const moveAnchor = (direction) => {
+    const next = view === 'week'
+      ? addDaysToKey(anchor, 7 * direction)
+      : addMonthsToKey(anchor, direction);
+    setSelectedDay(null);
+    setQuery({ date: next });
+  };
+
+  const goToToday = () => {
+    setSelectedDay(null);
+    setQuery({ date: null });
+  };
+
+  const toggleDay = (day) => {
+    setSelectedDay(current => (current === day ? null : day));
+  };
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const handleBookSlot = (slotId) => {
+    if (!canBook) return;
+    setBookingError(null);
+    setPendingSlot(slots.find(slot => slot.id === slotId) || null);
+  };
+
+  const handleConfirmBooking = async (details) => {
+    const slotId = pendingSlot.id;
+    setBookingSlot(slotId);
+    setBookingError(null);
+    try {
+      const booking = await apiRequest('/book', {
+        method: 'POST',
+        body: JSON.stringify({ slotId, ...details })
+      });
+      const bookedSlot = booking?.slot || pendingSlot;
+
+      notify(t('slots.bookSuccess'), 'success', {
+        action: booking?.id && bookedSlot ? {
+          label: t('calendar.addToCalendar'),
+          onClick: () => downloadBookingCalendar({ ...booking, slot: bookedSlot }, t)
+        } : null
+      });
+      // Remove the booked slot from the list
+      setSlots(prev => prev.filter(slot => slot.id !== slotId));
+      setConflict(null);
+      setPendingSlot(null);
+      setBookingDraft(EMPTY_BOOKING_DRAFT);
+    } catch (err) {
+      if (err.status === 409) {
+        // Someone else got there first: offer the closest times instead
+        markSlotTaken(slotId);
+        setConflict(pendingSlot);
+        setPendingSlot(null);
+      } else {
+        setBookingError(err.message);
+      }
+    } finally {
+      setBookingSlot(null);
+    }
+  };
+
+  const changeFilters = (changes) => {
+    setSelectedDay(null);
+    setQuery(changes, { replace: true });
+  };
+
+  const showProviderSlots = (providerId) => {
+    setProfileId(null);
+    changeFilters({ provider: providerId });
+  };
+
+  const selectedProvider = catalog.providers.find(provider => provider.id === filters.provider);
+  const profile = catalog.providers.find(provider => provider.id === profileId);
+
+  const handleJoinedWaitlist = (entry) => {
+    setJoiningWaitlist(false);
+    notify(
+      entry.status === 'offered' ? t('waitlist.joinedWithOffer') : t('waitlist.joined'),
+      'success',
+      { action: { label: t('waitlist.view'), onClick: () => navigate('/waitlist') } }
+    );
+  };
+
+  const groupedSlots = useMemo(() => groupSlotsByDate(slots, timeZone), [slots, timeZone]);
+
+  // The calendars show only what can still be booked
+  const openSlots = useMemo(() => slots.filter(slot => !takenSlotIds.has(slot.id)), [slots, takenSlotIds]);
+
+  const alternatives = useMemo(() => (conflict ? findNearestSlots(conflict, openSlots) : []), [conflict, openSlots]);
+
+  const selectedDaySlots = selectedDay ? groupedSlots[selectedDay] || [] : [];
+
+  const calendarTitle = view === 'week'
+    ? `${formatDateKey(startOfWeekKey(anchor))} – ${formatDateKey(addDaysToKey(startOfWeekKey(anchor), 6))}`
+    : formatMonth(anchor);
+
+  const renderCalendar = () => (
+    <>
+      {view === 'week' ? (
+        <WeekView
+          slots={openSlots}
+          anchor={anchor}
+          onBook={handleBookSlot}
+          bookingSlot={bookingSlot}
+          selectedDay={selectedDay}
+          onSelectDay={toggleDay}
+          bookingBlocked={!canBook}
+        />
+      ) : (
+        <MonthView
+          slots={openSlots}
+          anchor={anchor}
+          selectedDay={selectedDay}
+          onSelectDay={toggleDay}
+        />
+      )}
+
+      {selectedDay && (
+        <div className="day-group selected-day">
+          <h4 className="day-header">{formatDateKey(selectedDay)}</h4>
+          {selectedDaySlots.length === 0 ? (
+            <p className="picker-empty day-empty">{t('slots.noneOnDay')}</p>
+          ) : (
+            <div className="slots-grid">
+              {selectedDaySlots.map(slot => (
+                <SlotCard
+                  key={slot.id}
+                  slot={slot}
+                  onBook={handleBookSlot}
+                  onShowProvider={setProfileId}
+                  isBooking={bookingSlot === slot.id}
+                  isTaken={takenSlotIds.has(slot.id)}
+                  bookingBlocked={!canBook}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+
+  const renderList = () => (slots.length === 0 ? (
+      <div className="empty-state">
+        <div className="empty-icon">📅</div>
+        <h4>{t('slots.emptyTitle')}</h4>
+        <p>{t('slots.emptyHint')}</p>
+        <button onClick={() => setJoiningWaitlist(true)} disabled={!canBook} className="primary-button">
+          🔔 {t('waitlist.join')}
+        </button>
+      </div>
+    ) : (
+      <SlotGroups
+        groupedSlots={groupedSlots}
+        onBook={handleBookSlot}
+        onShowProvider={setProfileId}
+        bookingSlot={bookingSlot}
+        takenSlotIds={takenSlotIds}
+        bookingBlocked={!canBook}
+      />
+    ));
+
+  return (
+    <div className="slots-list">
+      <div className="section-header">
+        <h3>{t('slots.title')}</h3>
+        <div className="view-switcher" role="group" aria-label={t('slots.viewLabel')}>
+          {SLOT_VIEWS.map(option => (
+            <button
+              key={option}
+              className={view === option ? 'active' : ''}
+              onClick={() => changeView(option)}
+              aria-pressed={view === option}
+            >
+              {t(`slots.views.${option}`)}
+            </button>
+          ))}
+        </div>
+        {view === 'list' ? (
+          <div className="date-filters">
+            <input
+              type="date"
+              value={dateRange.from}
+              onChange={(e) => setQuery({ from: e.target.value }, { replace: true })}
+              placeholder={t('common.fromDate')}
+            />
+            <input
+              type="date"
+              value={dateRange.to}
+              onChange={(e) => setQuery({ to: e.target.value }, { replace: true })}
+              placeholder={t('common.toDate')}
+            />
+            <button onClick={() => fetchSlots()} className="refresh-button">
+              {t('common.refresh')}
+            </button>
+          </div>
+        ) : (
+          <div className="calendar-nav">
+            <button onClick={() => moveAnchor(-1)} className="page-button" aria-label={t('common.previous')}>‹</button>
+            <span className="calendar-title">{calendarTitle}</span>
+            <button onClick={() => moveAnchor(1)} className="page-button" aria-label={t('common.next')}>›</button>
+            <button onClick={goToToday} className="refresh-button">{t('common.today')}</button>
+          </div>
+        )}
+      </div>
+
+      {SLOT_DIMENSIONS.some(dimension => catalog[`${dimension}s`].length > 0) && (
+        <div className="slot-filters">
+          <SlotDimensionSelects catalog={catalog} filters={filters} onChange={changeFilters} />
+        </div>
+      )}
+
+      {!canBook && <EmailVerificationBanner />}
+
+      {selectedProvider && <ProviderCard provider={selectedProvider} locations={catalog.locations} />}
+
+      {conflict && (
+        <div className="conflict-notice" role="alert">
+          <div className="conflict-header">
+            <strong>{t('slots.justTaken', { time: formatDateTime(conflict.startAt) })}</strong>
+            <button onClick={() => setConflict(null)} aria-label={t('common.closeMessage')}>×</button>
+          </div>
+          {alternatives.length > 0 ? (
+            <>
+              <p>{t('slots.nearestAlternatives')}</p>
+              <div className="picker-options">
+                {alternatives.map(slot => (
+                  <button
+                    key={slot.id}
+                    onClick={() => handleBookSlot(slot.id)}
+                    disabled={bookingSlot !== null}
+                    className="slot-option"
+                    aria-label={t('slots.bookAt', { time: formatDateTime(slot.startAt) })}
+                  >
+                    {formatDateTime(slot.startAt)}
+                  </button>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p>{t('slots.noAlternatives')}</p>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <LoadingSpinner message={t('slots.loading')} />
+      ) : view === 'list' ? renderList() : renderCalendar()}
+
+      {pendingSlot && (
+        <BookingDialog
+          slot={pendingSlot}
+          draft={bookingDraft}
+          onChange={setBookingDraft}
+          error={bookingError}
+          busy={bookingSlot === pendingSlot.id}
+          onConfirm={handleConfirmBooking}
+          onCancel={() => setPendingSlot(null)}
+        />
+      )}
+
+      {joiningWaitlist && (
+        <WaitlistDialog
+          initialRange={dateRange}
+          onJoined={handleJoinedWaitlist}
+          onCancel={() => setJoiningWaitlist(false)}
+        />
+      )}
+
+      {profile && (
+        <ConfirmDialog
+          title={t('providers.profileTitle')}
+          confirmLabel={t('providers.showSlots')}
+          onConfirm={() => showProviderSlots(profile.id)}
+          onCancel={() => setProfileId(null)}
+          wide
+        >
+          <ProviderCard provider={profile} locations={catalog.locations} />
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,38 @@
+// The time zone times are shown in, chosen by the user.
+
+import React, { useState, useCallback, useMemo } from 'react';
+import { BROWSER_TIME_ZONE, CLINIC_TIME_ZONE, getAvailableTimeZones } from './dates';
+
+const TimezoneContext = React.createContext();
+
+export const useTimezone = () => {
+  const context = React.useContext(TimezoneContext);
+  if (!context) {
+    throw new Error('useTimezone must be used within a TimezoneProvider');
+  }
+  return context;
+};
+
+export const TimezoneProvider = ({ children }) => {
+  const [timeZone, setTimeZoneState] = useState(() => {
+    const stored = localStorage.getItem('timezone');
+    return stored && getAvailableTimeZones().includes(stored) ? stored : BROWSER_TIME_ZONE;
+  });
+
+  const setTimeZone = useCallback((value) => {
+    localStorage.setItem('timezone', value);
+    setTimeZoneState(value);
+  }, []);
+
+  const value = useMemo(() => ({
+    timeZone,
+    setTimeZone,
+    clinicTimeZone: CLINIC_TIME_ZONE
+  }), [timeZone, setTimeZone]);
+
+  return (
+    <TimezoneContext.Provider value={value}>
+      {children}
+    </TimezoneContext.Provider>
+  );
+};
@@ -0,0 +1,128 @@
+// Staff accounts and their roles.
+
+import { useState, useEffect } from 'react';
+import { apiRequest } from './api';
+import { ROLES } from './permissions';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { LoadingSpinner } from './components';
+import { useClinicCatalog } from './SlotDimensions';
+
+// Role changes apply as soon as a select changes. Provider accounts need the
+// provider whose schedule they see, so switching to that role picks the first
+// one until another is chosen.
+export const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const { t } = useI18n();
+  const catalog = useClinicCatalog();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const { notify } = useNotifications();
+
+  useEffect(() => {
+    let cancelled = false;
+    apiRequest('/admin/users')
+      .then(response => {
+        if (!cancelled) setUsers(response);
+      })
+      .catch(err => {
+        if (!cancelled) notify(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [notify]);
+
+  const saveAccess = async (account, role, providerId) => {
+    setSavingId(account.id);
+    try {
+      const updated = await apiRequest(`/admin/users/${account.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ role, providerId: role === 'provider' ? providerId || catalog.providers[0]?.id : null })
+      });
+      setUsers(prev => prev.map(u => (u.id === updated.id ? updated : u)));
+      notify(t('users.updated', { name: updated.name, role: t(`roles.${updated.role}`) }), 'success');
+    } catch (err) {
+      notify(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="user-management">
+      <div className="section-header">
+        <div>
+          <h3>{t('users.title')}</h3>
+          <span className="zone-note">{t('users.hint')}</span>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message={t('users.loading')} />
+      ) : (
+        <div className="bookings-table">
+          <table>
+            <thead>
+              <tr>
+                <th>{t('users.columns.name')}</th>
+                <th>{t('users.columns.role')}</th>
+                <th>{t('users.columns.provider')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map(account => {
+                const isSelf = account.id === currentUser.id;
+                const busy = savingId === account.id;
+                return (
+                  <tr key={account.id}>
+                    <td>
+                      <div className="patient-info">
+                        <strong>{account.name}</strong>
+                        <span>{account.email}</span>
+                      </div>
+                    </td>
+                    <td>
+                      <select
+                        value={account.role}
+                        onChange={(e) => saveAccess(account, e.target.value, account.providerId)}
+                        disabled={isSelf || busy}
+                        aria-label={t('users.roleFor', { name: account.name })}
+                        title={isSelf ? t('users.cannotChangeOwn') : undefined}
+                      >
+                        {Object.keys(ROLES).map(role => (
+                          <option key={role} value={role}>{ROLES[role].icon} {t(`roles.${role}`)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      {account.role === 'provider' ? (
+                        <select
+                          value={account.providerId || ''}
+                          onChange={(e) => saveAccess(account, 'provider', e.target.value)}
+                          disabled={busy}
+                          aria-label={t('users.providerFor', { name: account.name })}
+                        >
+                          {catalog.providers.map(provider => (
+                            <option key={provider.id} value={provider.id}>{provider.name}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="zone-note">—</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,227 @@
+// Waitlist demand by day and hour, for staff.
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  addDaysToKey,
+  dateKeyToDate,
+  getTimeZoneLabel,
+  getTodayKey,
+  getZonedParts,
+  parseTimeOfDay,
+  zonedTimeToUtc
+} from './dates';
+import { apiRequest } from './api';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+import { useNotifications } from './NotificationsProvider';
+import { useLiveUpdates } from './liveUpdates';
+import { BarChart, LoadingSpinner } from './components';
+import { WaitlistWindow } from './MyWaitlist';
+import { DAY_HOURS, formatDuration, median } from './BookingAnalytics';
+
+const WAITLIST_DEMAND_DAYS = 28;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Minute of the day in toZone at the moment the wall clock in fromZone shows
+// value on the given day
+const shiftTimeOfDay = (value, day, fromZone, toZone) => {
+  const { hour, minute } = getZonedParts(zonedTimeToUtc(day, parseTimeOfDay(value), fromZone), toZone);
+  return hour * 60 + minute;
+};
+
+// Entries waiting for each of the next WAITLIST_DEMAND_DAYS days and for each
+// hour of the day, in timeZone. Entries without a time window count as
+// flexible rather than towards every hour.
+const computeWaitlistDemand = (entries, today, timeZone, now = Date.now()) => {
+  const days = Array.from({ length: WAITLIST_DEMAND_DAYS }, (_, i) => addDaysToKey(today, i));
+  const perDay = Object.fromEntries(days.map(day => [day, 0]));
+  const perHour = DAY_HOURS.map(() => 0);
+  let flexible = 0;
+
+  entries.forEach(entry => {
+    days.forEach(day => {
+      if (day >= entry.from && (!entry.to || day <= entry.to)) perDay[day] += 1;
+    });
+
+    if (!entry.startTime && !entry.endTime) {
+      flexible += 1;
+      return;
+    }
+    const day = entry.from > today ? entry.from : today;
+    const start = entry.startTime ? shiftTimeOfDay(entry.startTime, day, entry.timeZone, timeZone) : 0;
+    const end = entry.endTime ? shiftTimeOfDay(entry.endTime, day, entry.timeZone, timeZone) : MINUTES_PER_DAY;
+    DAY_HOURS.forEach(hour => {
+      const [hourStart, hourEnd] = [hour * 60, (hour + 1) * 60];
+      // A window can wrap past midnight once moved into another zone
+      const covered = start < end
+        ? hourStart < end && hourEnd > start
+        : hourStart < end || hourEnd > start;
+      if (covered) perHour[hour] += 1;
+    });
+  });
+
+  return {
+    total: entries.length,
+    offered: entries.filter(entry => entry.status === 'offered').length,
+    patients: new Set(entries.map(entry => entry.user?.id ?? entry.userId)).size,
+    flexible,
+    perDay,
+    perHour,
+    medianWait: median(entries.map(entry => now - new Date(entry.createdAt)))
+  };
+};
+
+// How many patients are waiting, for which days and at what times, so the
+// schedule can be opened up where the demand is
+export const WaitlistDemand = () => {
+  const { clinicTimeZone } = useTimezone();
+  const { t, locale, formatDateKey, formatDateTime, formatHour } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { notify } = useNotifications();
+
+  const fetchWaitlist = useCallback(async (silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      const response = await apiRequest('/admin/waitlist');
+      setEntries(response);
+    } catch (err) {
+      if (!silent) notify(err.message);
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  }, [notify]);
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [fetchWaitlist]);
+
+  useLiveUpdates((event) => {
+    if (event.type.startsWith('waitlist.')) fetchWaitlist(true);
+  }, () => fetchWaitlist(true));
+
+  const today = getTodayKey(clinicTimeZone);
+  const demand = useMemo(() => computeWaitlistDemand(entries, today, clinicTimeZone), [entries, today, clinicTimeZone]);
+
+  const shortDate = (key) => dateKeyToDate(key).toLocaleDateString(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+  const perDay = Object.entries(demand.perDay).map(([key, value]) => ({
+    key,
+    value,
+    label: formatDateKey(key),
+    shortLabel: shortDate(key)
+  }));
+  const requestedHours = DAY_HOURS.filter(hour => demand.perHour[hour] > 0);
+  const perHour = requestedHours.length === 0
+    ? []
+    : DAY_HOURS.slice(requestedHours[0], requestedHours[requestedHours.length - 1] + 1).map(hour => ({
+      key: hour,
+      value: demand.perHour[hour],
+      label: formatHour(hour)
+    }));
+
+  const stats = [
+    { key: 'total', value: demand.total, label: t('waitlistDemand.entries') },
+    { key: 'patients', value: demand.patients, label: t('waitlistDemand.patients') },
+    { key: 'offered', value: demand.offered, label: t('waitlistDemand.offersOpen') },
+    {
+      key: 'medianWait',
+      value: demand.medianWait === null ? '–' : formatDuration(demand.medianWait, locale),
+      label: t('waitlistDemand.medianWait')
+    }
+  ];
+
+  return (
+    <div className="analytics waitlist-demand">
+      <div className="section-header">
+        <div>
+          <h3>{t('waitlistDemand.title')}</h3>
+          <span className="zone-note">
+            {t('schedule.zoneNote', { zone: clinicTimeZone, label: getTimeZoneLabel(clinicTimeZone) })}
+          </span>
+        </div>
+        <button onClick={() => fetchWaitlist()} className="refresh-button">
+          {t('common.refresh')}
+        </button>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message={t('waitlistDemand.loading')} />
+      ) : entries.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔔</div>
+          <h4>{t('waitlistDemand.emptyTitle')}</h4>
+          <p>{t('waitlistDemand.emptyHint')}</p>
+        </div>
+      ) : (
+        <>
+          <div className="analytics-stats">
+            {stats.map(stat => (
+              <div key={stat.key} className="stat-card" role="group" aria-label={stat.label}>
+                <span className="stat-number">{stat.value}</span>
+                <span className="stat-label">{stat.label}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="analytics-charts">
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>{t('waitlistDemand.requestedDays')}</h4>
+              </div>
+              <BarChart title={t('waitlistDemand.waitingPerDay')} data={perDay} />
+            </div>
+
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>{t('waitlistDemand.requestedHours')}</h4>
+              </div>
+              {perHour.length === 0 ? (
+                <p className="picker-empty">{t('waitlistDemand.allFlexible')}</p>
+              ) : (
+                <BarChart title={t('waitlistDemand.waitingPerHour')} data={perHour} />
+              )}
+              {demand.flexible > 0 && perHour.length > 0 && (
+                <p className="section-hint">{t('waitlistDemand.flexible', { count: demand.flexible })}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="bookings-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>{t('admin.columns.patient')}</th>
+                  <th>{t('waitlistDemand.columns.window')}</th>
+                  <th>{t('waitlistDemand.columns.joined')}</th>
+                  <th>{t('admin.columns.status')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td>
+                      <div className="patient-info">
+                        <strong>{entry.user.name}</strong>
+                        <span>{entry.user.email}</span>
+                      </div>
+                    </td>
+                    <td><WaitlistWindow entry={entry} /></td>
+                    <td>{formatDateTime(entry.createdAt)}</td>
+                    <td>
+                      <span className={`status-badge ${entry.status === 'offered' ? 'upcoming' : 'waiting'}`}>
+                        {entry.status === 'offered' && entry.offer
+                          ? t('waitlistDemand.offeredSlot', { time: formatDateTime(entry.offer.slot.startAt) })
+                          : t('waitlist.status.waiting')}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,134 @@
+// Requests to the backend (or the mock, see mockApi.js) and the session they
+// run in: token expiry, refresh and sign-out shared across tabs.
+
+import { isMockApiEnabled, mockFetch } from './mockApi';
+import { translateActive } from './i18n';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'https://appointment-booking-backend-dayq.onrender.com/api';
+
+// All network access goes through here so the in-memory mock backend can
+// stand in for the real one.
+const apiFetch = (endpoint, config) => {
+  return isMockApiEnabled() ? mockFetch(endpoint, config) : fetch(`${API_URL}${endpoint}`, config);
+};
+
+// Session management
+export const SESSION_WARNING_MS = 5 * 60 * 1000;
+export const MAX_TIMER_DELAY_MS = 2147483647;
+const getSessionExpiredMessage = () => translateActive('session.expired');
+
+const decodeToken = (token) => {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getTokenExpiry = (token) => {
+  const payload = token && decodeToken(token);
+  return payload?.exp ? payload.exp * 1000 : null;
+};
+
+export const clearSessionStorage = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// apiRequest lives outside React, so it reports session changes to
+// AuthProvider through these listeners instead of reloading the page.
+const sessionListeners = new Set();
+
+export const subscribeToSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const emitSessionEvent = (type, detail) => {
+  sessionListeners.forEach(listener => listener(type, detail));
+};
+
+export const endSession = (message = getSessionExpiredMessage()) => {
+  clearSessionStorage();
+  emitSessionEvent('ended', { message });
+};
+
+export const canRefreshSession = () => Boolean(localStorage.getItem('refreshToken'));
+
+let refreshPromise = null;
+
+// Concurrent callers share one in-flight refresh, so every request that hit a
+// 401 while it was running is retried with the same new token.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const response = await apiFetch('/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.token) {
+        throw new Error(data.error?.message || translateActive('session.refreshFailed'));
+      }
+
+      localStorage.setItem('token', data.token);
+      if (data.refreshToken) {
+        localStorage.setItem('refreshToken', data.refreshToken);
+      }
+      emitSessionEvent('refreshed', { token: data.token });
+      return data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// API utility functions
+export const apiRequest = async (endpoint, options = {}, isRetry = false) => {
+  const token = localStorage.getItem('token');
+  const config = {
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    ...options
+  };
+
+  try {
+    const response = await apiFetch(endpoint, config);
+    const data = await response.json();
+
+    if (!response.ok) {
+      // Token expired or invalid: refresh once and retry, otherwise end the
+      // session. A 403 is a refusal the caller reports like any other error.
+      if (token && response.status === 401) {
+        if (!isRetry && canRefreshSession()) {
+          try {
+            await refreshSession();
+          } catch (refreshError) {
+            endSession();
+            throw new Error(getSessionExpiredMessage());
+          }
+          return apiRequest(endpoint, options, true);
+        }
+        endSession();
+        throw new Error(getSessionExpiredMessage());
+      }
+      // The status lets callers tell a conflict (409) from other failures
+      const error = new Error(data.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      throw new Error(translateActive('errors.connection'));
+    }
+    throw error;
+  }
+};
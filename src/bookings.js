@@ -0,0 +1,145 @@
+// Filtering, sorting and paging the admin bookings list, on the backend when
+// it supports it and in the browser when it doesn't.
+
+import { getDateKey } from './dates';
+import { apiRequest } from './api';
+import { SLOT_DIMENSIONS, matchesSlotDimensions, readSlotDimensionFilters } from './SlotDimensions';
+import { getBookingStatus } from './slots';
+
+export const BOOKING_STATUSES = ['upcoming', 'completed', 'cancelled'];
+const BOOKING_SORT_KEYS = ['patient', 'email', 'date', 'bookedOn', 'status'];
+export const SEARCH_DEBOUNCE_MS = 300;
+export const DEFAULT_BOOKING_SORT = 'date';
+export const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates sort newest first by default, text columns A to Z
+export const getDefaultSortOrder = (sort) => (sort === 'date' || sort === 'bookedOn' ? 'desc' : 'asc');
+
+// The table's filters as kept in the URL. Unknown values fall back to the
+// defaults so a hand-edited link still opens a sensible view.
+export const readBookingFilters = (query) => {
+  const sort = BOOKING_SORT_KEYS.includes(query.get('sort')) ? query.get('sort') : DEFAULT_BOOKING_SORT;
+  const order = ['asc', 'desc'].includes(query.get('order')) ? query.get('order') : getDefaultSortOrder(sort);
+  const from = query.get('from') || '';
+  const to = query.get('to') || '';
+  const status = query.get('status') || '';
+
+  return {
+    search: (query.get('q') || '').trim(),
+    from: DATE_KEY_PATTERN.test(from) ? from : '',
+    to: DATE_KEY_PATTERN.test(to) ? to : '',
+    status: BOOKING_STATUSES.includes(status) ? status : '',
+    ...readSlotDimensionFilters(query),
+    group: SLOT_DIMENSIONS.includes(query.get('group')) ? query.get('group') : '',
+    sort,
+    order
+  };
+};
+
+export const hasBookingFilters = ({ search, from, to, status, ...filters }) => {
+  return Boolean(search || from || to || status || SLOT_DIMENSIONS.some(dimension => filters[dimension]));
+};
+
+// Parameters for /all-bookings. Dates are calendar days in timeZone, which is
+// sent along so the backend can tell where each day starts.
+export const getBookingFilterParams = ({ search, from, to, status, sort, order, ...filters }, timeZone) => {
+  const params = { sort, order, timeZone };
+  if (search) params.search = search;
+  if (from) params.from = from;
+  if (to) params.to = to;
+  if (status) params.status = status;
+  SLOT_DIMENSIONS.forEach(dimension => {
+    if (filters[dimension]) params[dimension] = filters[dimension];
+  });
+  return params;
+};
+
+const getBookingSortValue = (booking, sort) => {
+  switch (sort) {
+    case 'patient':
+      return booking.user.name.toLowerCase();
+    case 'email':
+      return booking.user.email.toLowerCase();
+    case 'bookedOn':
+      return new Date(booking.createdAt).getTime();
+    case 'status':
+      return getBookingStatus(booking);
+    default:
+      return new Date(booking.slot.startAt).getTime();
+  }
+};
+
+const compareBookings = (a, b, { sort, order }) => {
+  const x = getBookingSortValue(a, sort);
+  const y = getBookingSortValue(b, sort);
+  const result = typeof x === 'string' ? x.localeCompare(y) : x - y;
+  return order === 'desc' ? -result : result;
+};
+
+export const matchesBookingFilters = (booking, { search, from, to, status, ...filters }, timeZone) => {
+  if (search) {
+    const needle = search.toLowerCase();
+    const { name, email } = booking.user;
+    if (!name.toLowerCase().includes(needle) && !email.toLowerCase().includes(needle)) return false;
+  }
+  if (!matchesSlotDimensions(booking.slot, filters)) return false;
+  const day = getDateKey(booking.slot.startAt, timeZone);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  return !status || getBookingStatus(booking) === status;
+};
+
+export const applyBookingFilters = (bookings, filters, timeZone) => {
+  return bookings
+    .filter(booking => matchesBookingFilters(booking, filters, timeZone))
+    .sort((a, b) => compareBookings(a, b, filters));
+};
+
+// Rows of one page grouped by provider, service or location, groups in name
+// order and rows keeping their sort order within each
+export const groupBookings = (bookings, dimension) => {
+  const groups = new Map();
+  bookings.forEach(booking => {
+    const value = booking.slot[dimension];
+    const key = value?.id ?? '';
+    if (!groups.has(key)) groups.set(key, { key, name: value?.name || '', bookings: [] });
+    groups.get(key).bookings.push(booking);
+  });
+  // Unassigned bookings go last
+  return [...groups.values()].sort((a, b) => (!a.key - !b.key) || a.name.localeCompare(b.name));
+};
+
+// A backend that filters, sorts and pages /all-bookings itself echoes the
+// parameters back as response.filters. Without them the table does all three
+// on the client.
+export const supportsBookingFilters = (response) => Boolean(response?.bookings && response.filters);
+
+const EXPORT_PAGE_SIZE = 100;
+
+// Walks every page of /all-bookings with the given query parameters.
+// onProgress gets the running totals after each page; the walk stops early,
+// returning null, once isCancelled() is true.
+export const fetchAllBookingPages = async (params = {}, { onProgress = () => {}, isCancelled = () => false } = {}) => {
+  const bookings = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const search = new URLSearchParams({ ...params, page, limit: EXPORT_PAGE_SIZE });
+    const response = await apiRequest(`/all-bookings?${search}`);
+    if (isCancelled()) return null;
+
+    if (!response.bookings) {
+      // Older API format: everything in one unpaginated array
+      onProgress({ page: 1, totalPages: 1, fetched: response.length, total: response.length });
+      return response;
+    }
+
+    bookings.push(...response.bookings);
+    totalPages = response.pagination?.totalPages || 1;
+    onProgress({ page, totalPages, fetched: bookings.length, total: response.pagination?.total ?? bookings.length });
+    page += 1;
+  } while (page <= totalPages);
+
+  return bookings;
+};
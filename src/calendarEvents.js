@@ -0,0 +1,53 @@
+// Calendar events for bookings and schedule slots, written with ics.js.
+
+import { createCalendar, createEvent, downloadCalendar, getBookingUid, getSequence, getSlotUid } from './ics';
+import { getDateKey } from './dates';
+import { isSlotBooked } from './slots';
+
+const getEventLocation = ({ location }) => {
+  return location ? [location.name, location.address].filter(Boolean).join(', ') : undefined;
+};
+
+export const createBookingEvent = (booking, t) => createEvent({
+  uid: getBookingUid(booking.id),
+  start: booking.slot.startAt,
+  end: booking.slot.endAt,
+  summary: t('calendar.appointmentTitle'),
+  description: [booking.slot.service?.name, booking.slot.provider?.name].filter(Boolean).join(', ') || undefined,
+  location: getEventLocation(booking.slot),
+  status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  sequence: getSequence(booking)
+});
+
+// A cancelled booking is sent as METHOD:CANCEL so importing it removes the
+// event added earlier under the same UID.
+export const downloadBookingCalendar = (booking, t) => {
+  downloadCalendar(
+    `appointment-${getDateKey(booking.slot.startAt)}.ics`,
+    createCalendar([createBookingEvent(booking, t)], {
+      method: booking.status === 'cancelled' ? 'CANCEL' : 'PUBLISH'
+    })
+  );
+};
+
+export const createScheduleEvent = (slot, t) => {
+  const { booking } = slot;
+  if (booking) {
+    return createEvent({
+      uid: getBookingUid(booking.id),
+      start: slot.startAt,
+      end: slot.endAt,
+      summary: t('calendar.scheduleBooked', { name: booking.user?.name || '' }),
+      description: booking.user?.email,
+      location: getEventLocation(slot),
+      sequence: getSequence(booking)
+    });
+  }
+  return createEvent({
+    uid: getSlotUid(slot.id),
+    start: slot.startAt,
+    end: slot.endAt,
+    summary: isSlotBooked(slot) ? t('schedule.booked') : t('calendar.scheduleOpen'),
+    transparent: !isSlotBooked(slot)
+  });
+};
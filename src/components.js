@@ -0,0 +1,157 @@
+// Components shared by several views.
+
+import { getTimeZoneLabel, getTimeZoneOffset } from './dates';
+import { useAuth } from './AuthProvider';
+import { getHomePath, useRouter } from './router';
+import { useTimezone } from './TimezoneProvider';
+import { useI18n } from './I18nProvider';
+
+export const LoadingSpinner = ({ message }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="loading-spinner">
+      <div className="spinner"></div>
+      <span>{message || t('common.loading')}</span>
+    </div>
+  );
+};
+
+export const ConfirmDialog = ({
+  title,
+  children,
+  confirmLabel,
+  onConfirm,
+  onCancel,
+  busy = false,
+  danger = false,
+  confirmDisabled = false,
+  wide = false
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="dialog-backdrop" role="presentation">
+      <div className={`dialog ${wide ? 'wide' : ''}`} role="dialog" aria-modal="true" aria-label={title}>
+        <h4>{title}</h4>
+        <div className="dialog-body">{children}</div>
+        <div className="dialog-actions">
+          <button type="button" onClick={onCancel} disabled={busy} className="secondary-button">
+            {t('common.cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={busy || confirmDisabled}
+            className={danger ? 'danger-button' : 'primary-button'}
+          >
+            {busy ? t('common.pleaseWait') : confirmLabel || t('common.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const zonesDiffer = (dateStr, zoneA, zoneB) => {
+  const date = new Date(dateStr);
+  return getTimeZoneOffset(date, zoneA) !== getTimeZoneOffset(date, zoneB);
+};
+
+// Times in the user's zone, plus the clinic's wall clock when the two differ
+export const TimeRange = ({ startAt, endAt }) => {
+  const { timeZone, clinicTimeZone } = useTimezone();
+  const { t, formatTime } = useI18n();
+  const differs = zonesDiffer(startAt, timeZone, clinicTimeZone);
+
+  return (
+    <>
+      {formatTime(startAt, timeZone)} - {formatTime(endAt, timeZone)}
+      {differs && <span className="zone-label"> {getTimeZoneLabel(timeZone, startAt)}</span>}
+      {differs && (
+        <span className="clinic-time">
+          {t('time.atClinic', {
+            range: `${formatTime(startAt, clinicTimeZone)} - ${formatTime(endAt, clinicTimeZone)}`,
+            zone: getTimeZoneLabel(clinicTimeZone, startAt)
+          })}
+        </span>
+      )}
+    </>
+  );
+};
+
+// Previous/next for a { page, totalPages, total } response; hidden when
+// everything fits on one page
+export const Pagination = ({ pagination, onPageChange }) => {
+  const { t } = useI18n();
+  if (pagination.totalPages <= 1) return null;
+
+  return (
+    <div className="pagination">
+      <button
+        onClick={() => onPageChange(pagination.page - 1)}
+        disabled={pagination.page <= 1}
+        className="page-button"
+      >
+        {t('common.previous')}
+      </button>
+
+      <div className="page-info">
+        {t('admin.pageOf', { page: pagination.page, totalPages: pagination.totalPages })}
+        <span className="total-count">{t('admin.totalCount', { count: pagination.total })}</span>
+      </div>
+
+      <button
+        onClick={() => onPageChange(pagination.page + 1)}
+        disabled={pagination.page >= pagination.totalPages}
+        className="page-button"
+      >
+        {t('common.next')}
+      </button>
+    </div>
+  );
+};
+
+// Bars are scaled to the largest value; each one is a list item labelled
+// with its value so the chart reads as a list to screen readers.
+export const BarChart = ({ title, data }) => {
+  const max = Math.max(1, ...data.map(item => item.value));
+  const labelEvery = Math.ceil(data.length / 14);
+
+  return (
+    <figure className="bar-chart">
+      <figcaption>{title}</figcaption>
+      <div className="bar-chart-bars" role="list" aria-label={title}>
+        {data.map((item, i) => (
+          <div key={item.key} className="bar-chart-item" role="listitem" aria-label={`${item.label}: ${item.value}`}>
+            <div className="bar-chart-track" title={`${item.label}: ${item.value}`}>
+              <div className="bar-chart-bar" style={{ height: `${(item.value / max) * 100}%` }} />
+            </div>
+            <span className="bar-chart-label" aria-hidden="true">
+              {i % labelEvery === 0 ? item.shortLabel || item.label : ''}
+            </span>
+          </div>
+        ))}
+      </div>
+    </figure>
+  );
+};
+
+export const NotFound = ({ title, message }) => {
+  const { navigate } = useRouter();
+  const { user } = useAuth();
+  const { t } = useI18n();
+
+  return (
+    <div className="not-found">
+      <div className="empty-state">
+        <div className="empty-icon">🧭</div>
+        <h4>{title || t('notFound.title')}</h4>
+        <p>{message || t('notFound.message')}</p>
+        <button onClick={() => navigate(user ? getHomePath(user) : '/login')} className="primary-button">
+          {user ? t('notFound.goToDashboard') : t('notFound.goToLogin')}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,173 @@
+// Dates, times and time zones. Calendar days are YYYY-MM-DD keys in an
+// explicit zone and times are shown in the zone the user picked.
+
+export const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+export const CLINIC_TIME_ZONE = process.env.REACT_APP_CLINIC_TIMEZONE || BROWSER_TIME_ZONE;
+
+// Formatters take the zone, locale and clock preference explicitly; components
+// get versions bound to the current user's preferences from useI18n().
+export const formatDateTime = (dateStr, { timeZone = BROWSER_TIME_ZONE, locale = 'en-US', hour12 } = {}) => {
+  const date = new Date(dateStr);
+  return date.toLocaleString(locale, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12,
+    timeZone
+  });
+};
+
+export const formatDate = (dateStr, { timeZone = BROWSER_TIME_ZONE, locale = 'en-US' } = {}) => {
+  const date = new Date(dateStr);
+  return date.toLocaleDateString(locale, {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone
+  });
+};
+
+export const formatTime = (dateStr, { timeZone = BROWSER_TIME_ZONE, locale = 'en-US', hour12 } = {}) => {
+  const date = new Date(dateStr);
+  return date.toLocaleTimeString(locale, {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12,
+    timeZone
+  });
+};
+
+// Short zone name such as "IST" or "GMT+2" at the given instant
+export const getTimeZoneLabel = (timeZone, dateStr = new Date()) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(dateStr))
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+export const getZonedParts = (dateStr, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+    .formatToParts(new Date(dateStr))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return parts;
+};
+
+// Calendar days are handled as YYYY-MM-DD keys (the format <input type="date">
+// uses) in an explicit time zone, never as local Date objects, so a slot lands
+// on the same day whatever zone the browser happens to be in.
+export const pad = (n) => String(n).padStart(2, '0');
+
+export const getDateKey = (dateStr, timeZone = BROWSER_TIME_ZONE) => {
+  const { year, month, day } = getZonedParts(dateStr, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+export const getTodayKey = (timeZone) => getDateKey(new Date(), timeZone);
+
+// Noon UTC keeps the calendar day stable when the key is formatted as UTC.
+export const dateKeyToDate = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 12));
+};
+
+export const formatDateKey = (key, options = {}) => formatDate(dateKeyToDate(key), { ...options, timeZone: 'UTC' });
+
+export const addDaysToKey = (key, days) => {
+  const date = dateKeyToDate(key);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+export const addMonthsToKey = (key, months) => {
+  const date = dateKeyToDate(key);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1, 12)).toISOString().split('T')[0];
+};
+
+export const getWeekdayOfKey = (key) => dateKeyToDate(key).getUTCDay();
+
+export const startOfWeekKey = (key) => addDaysToKey(key, -getWeekdayOfKey(key));
+
+export const formatHour = (hour, options = {}) => formatTime(new Date(Date.UTC(2000, 0, 1, hour)), { ...options, timeZone: 'UTC' });
+
+// Offset of the zone from UTC, in milliseconds, at the given instant
+export const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// The instant at which the wall clock in timeZone shows the given day and
+// minute of the day. Re-checks the offset so DST transitions resolve correctly.
+export const zonedTimeToUtc = (key, minuteOfDay, timeZone) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  let instant = new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone));
+  instant = new Date(wallClock - getTimeZoneOffset(instant, timeZone));
+  return instant;
+};
+
+// YYYY-MM-DDTHH:mm in timeZone, suitable for <input type="datetime-local">
+export const toDateTimeInputValue = (dateStr, timeZone) => {
+  const { hour, minute } = getZonedParts(dateStr, timeZone);
+  return `${getDateKey(dateStr, timeZone)}T${pad(hour)}:${pad(minute)}`;
+};
+
+export const fromDateTimeInputValue = (value, timeZone) => {
+  const [key, time] = value.split('T');
+  return zonedTimeToUtc(key, parseTimeOfDay(time), timeZone).toISOString();
+};
+
+export const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// An HH:MM wall clock time, as <input type="time"> gives it
+export const formatTimeOfDay = (value, options = {}) => {
+  return formatTime(new Date(Date.UTC(2000, 0, 1, 0, parseTimeOfDay(value))), { ...options, timeZone: 'UTC' });
+};
+
+// M:SS left of ms, never negative
+export const formatCountdown = (ms) => {
+  const secondsLeft = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(secondsLeft / 60)}:${pad(secondsLeft % 60)}`;
+};
+
+// Day numbers as returned by getWeekdayOfKey, Sunday first
+export const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const FALLBACK_TIME_ZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Australia/Sydney'
+];
+
+export const getAvailableTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIME_ZONES;
+  return Array.from(new Set([BROWSER_TIME_ZONE, CLINIC_TIME_ZONE, ...zones]));
+};
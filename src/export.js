@@ -0,0 +1,197 @@
+// Spreadsheet export: CSV text and a minimal single-sheet XLSX workbook, built
+// in the browser so no server-side export endpoint is needed.
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas, so
+// user-entered text such as names and notes is prefixed to keep it inert.
+const FORMULA_TRIGGERS = ['=', '+', '-', '@', '\t', '\r'];
+
+const neutralizeFormula = (value) => {
+  return FORMULA_TRIGGERS.includes(value.charAt(0)) ? `'${value}` : value;
+};
+
+const escapeCsvCell = (value) => {
+  const text = neutralizeFormula(value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows is an array of arrays, the first being the header. The byte order mark
+// makes Excel read the file as UTF-8.
+export const createCsv = (rows) => {
+  return `\uFEFF${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+const encodeUtf8 = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return Uint8Array.from(bytes);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const uint16 = (value) => [value & 0xff, (value >>> 8) & 0xff];
+const uint32 = (value) => [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+
+// An uncompressed (stored) zip archive, which is all an .xlsx needs to be.
+const createZip = (files) => {
+  const chunks = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encodeUtf8(name);
+    const data = encodeUtf8(content);
+    const crc = crc32(data);
+    // version 2.0, UTF-8 names, stored, no timestamp
+    const common = [...uint16(20), ...uint16(0x0800), ...uint16(0), ...uint16(0), ...uint16(0x21),
+      ...uint32(crc), ...uint32(data.length), ...uint32(data.length), ...uint16(nameBytes.length), ...uint16(0)];
+
+    const header = Uint8Array.from([...uint32(0x04034b50), ...common]);
+    chunks.push(header, nameBytes, data);
+    directory.push(Uint8Array.from([...uint32(0x02014b50), ...uint16(20), ...common,
+      ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(offset)]), nameBytes);
+    offset += header.length + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = Uint8Array.from([...uint32(0x06054b50), ...uint16(0), ...uint16(0),
+    ...uint16(files.length), ...uint16(files.length), ...uint32(directorySize), ...uint32(offset), ...uint16(0)]);
+
+  const parts = [...chunks, ...directory, end];
+  const zip = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  parts.forEach(chunk => {
+    zip.set(chunk, position);
+    position += chunk.length;
+  });
+  return zip;
+};
+
+// Characters XML 1.0 allows in a document; the rest would make Excel reject
+// the file
+const isXmlChar = (char) => {
+  const code = char.codePointAt(0);
+  return code === 0x9 || code === 0xA || code === 0xD
+    || (code >= 0x20 && code <= 0xD7FF)
+    || (code >= 0xE000 && code <= 0xFFFD)
+    || code >= 0x10000;
+};
+
+const escapeXml = (value) => [...String(value === null || value === undefined ? '' : value)]
+  .filter(isXmlChar)
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Cells are written as inline strings so values appear exactly as formatted
+// for the export; the header row is bold and frozen.
+export const createXlsx = (rows, { sheetName = 'Sheet1' } = {}) => {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => (
+      `<c r="${columnName(c)}${r + 1}" t="inlineStr"${r === 0 ? ' s="1"' : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+    )).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${XML_HEADER}<worksheet xmlns="${SHEET_NS}">`
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+};
+
+export const CSV_TYPE = 'text/csv;charset=utf-8';
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
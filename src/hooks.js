@@ -0,0 +1,48 @@
+// Hooks and local storage helpers shared by several views.
+
+import { useState, useEffect, useCallback } from 'react';
+
+// The current time, ticking every second while enabled
+export const useNow = (enabled) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [enabled]);
+
+  return now;
+};
+
+// Seconds left before an action may be repeated, and a function that starts
+// the wait. The start is stored, so reloading the page does not end it early.
+export const useCooldown = (storageKey, seconds) => {
+  const [until, setUntil] = useState(() => {
+    const end = Number(readStoredJson(storageKey, 0)) + seconds * 1000;
+    return end > Date.now() ? end : null;
+  });
+  const now = useNow(Boolean(until));
+  const secondsLeft = until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+
+  useEffect(() => {
+    if (until && secondsLeft === 0) setUntil(null);
+  }, [until, secondsLeft]);
+
+  const start = useCallback(() => {
+    const startedAt = Date.now();
+    localStorage.setItem(storageKey, JSON.stringify(startedAt));
+    setUntil(startedAt + seconds * 1000);
+  }, [storageKey, seconds]);
+
+  return [secondsLeft, start];
+};
+
+export const readStoredJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
@@ -0,0 +1,69 @@
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+
+// Supported UI languages. `locale` drives date, time and number formatting;
+// `dir` is applied to the document so RTL languages mirror the layout.
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US', dir: 'ltr', messages: en },
+  es: { label: 'Español', locale: 'es-ES', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', locale: 'ar-EG', dir: 'rtl', messages: ar }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+export const detectLanguage = () => {
+  const candidates = navigator.languages || [navigator.language];
+  const match = candidates
+    .filter(Boolean)
+    .map(tag => tag.split('-')[0].toLowerCase())
+    .find(isSupportedLanguage);
+  return match || DEFAULT_LANGUAGE;
+};
+
+const pluralRules = {};
+
+const getPluralRules = (locale) => {
+  if (!pluralRules[locale]) {
+    pluralRules[locale] = new Intl.PluralRules(locale);
+  }
+  return pluralRules[locale];
+};
+
+const interpolate = (template, params, locale) => {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+  });
+};
+
+// Look up a message and fill in its {placeholders}. Plural messages are
+// objects keyed by Intl.PluralRules category and chosen by params.count.
+// Missing keys fall back to English, then to the key itself.
+export const translate = (language, key, params = {}) => {
+  const { locale, messages } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const fallback = LANGUAGES[DEFAULT_LANGUAGE].messages[key];
+  let message = messages[key] !== undefined ? messages[key] : fallback;
+
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const category = getPluralRules(locale).select(params.count ?? 0);
+    message = message[category] ?? message.other ?? fallback?.other ?? key;
+  }
+
+  return interpolate(message, params, locale);
+};
+
+// Code outside React (such as apiRequest) translates with whatever language
+// the I18nProvider last activated.
+let activeLanguage = DEFAULT_LANGUAGE;
+
+export const setActiveLanguage = (language) => {
+  activeLanguage = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+};
+
+export const translateActive = (key, params) => translate(activeLanguage, key, params);
@@ -0,0 +1,103 @@
+// iCalendar (RFC 5545) export. Events carry stable UIDs and a SEQUENCE so a
+// re-downloaded file updates or cancels the copy already in a user's calendar
+// instead of adding a duplicate.
+
+import { downloadFile } from './export';
+
+const PRODID = '-//Appointment Booking//Appointments//EN';
+const UID_DOMAIN = 'appointment-booking';
+const MAX_LINE_OCTETS = 75;
+
+export const getBookingUid = (bookingId) => `booking-${bookingId}@${UID_DOMAIN}`;
+
+export const getSlotUid = (slotId) => `slot-${slotId}@${UID_DOMAIN}`;
+
+// Calendars only replace an event when its SEQUENCE goes up. The backend
+// counts changes to a booking's time and status in booking.sequence; without
+// it a cancellation still outranks the event it removes.
+export const getSequence = ({ sequence, status }) => {
+  if (Number.isInteger(sequence) && sequence >= 0) return sequence;
+  return status === 'cancelled' ? 1 : 0;
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 octets are folded onto continuation lines that start
+// with a space, without splitting a multi-byte character.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+export const createEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  status = 'CONFIRMED',
+  sequence = 0,
+  transparent = false,
+  stamp = new Date()
+}) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatUtc(stamp)}`,
+  `DTSTART:${formatUtc(start)}`,
+  `DTEND:${formatUtc(end)}`,
+  `SEQUENCE:${sequence}`,
+  `STATUS:${status}`,
+  `SUMMARY:${escapeText(summary)}`,
+  description && `DESCRIPTION:${escapeText(description)}`,
+  location && `LOCATION:${escapeText(location)}`,
+  transparent && 'TRANSP:TRANSPARENT',
+  'END:VEVENT'
+].filter(Boolean);
+
+// method is PUBLISH for a plain export and CANCEL when every event in the file
+// is being withdrawn.
+export const createCalendar = (events, { method = 'PUBLISH', name } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+export const downloadCalendar = (filename, content) => {
+  downloadFile(filename, content, 'text/calendar;charset=utf-8');
+};
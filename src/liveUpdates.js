@@ -0,0 +1,87 @@
+// Live slot, booking and waitlist changes from the backend.
+
+import { useEffect, useRef } from 'react';
+import { isMockApiEnabled, subscribeToMockEvents } from './mockApi';
+import { API_URL, subscribeToSession } from './api';
+
+const LIVE_POLL_INTERVAL_MS = 30 * 1000;
+// A burst of events reloads a view once, this long after the last of them
+export const LIVE_REFRESH_DEBOUNCE_MS = 500;
+
+// Events from the backend's server-sent event stream at /events, each
+// { type, slot, booking, entry } with type one of slot.booked, slot.released,
+// slot.created, slot.updated, slot.deleted, booking.updated, or
+// waitlist.offered and waitlist.updated for waitlist entries. Where the
+// stream is unavailable, or closes for good, onPoll runs on an interval
+// instead so the view still catches up. Returns a function that closes it.
+const openLiveChannel = ({ onEvent, onPoll, pollInterval = LIVE_POLL_INTERVAL_MS }) => {
+  let source = null;
+  let unsubscribe = null;
+  let unsubscribeSession = null;
+  let timer = null;
+
+  const startPolling = () => {
+    if (!timer) timer = setInterval(onPoll, pollInterval);
+  };
+
+  const stopPolling = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const connect = () => {
+    if (source) source.close();
+    // EventSource cannot send headers, so the token goes in the URL, where
+    // server and proxy logs can see it (see README)
+    const token = localStorage.getItem('token');
+    const stream = new EventSource(`${API_URL}/events${token ? `?token=${encodeURIComponent(token)}` : ''}`);
+    stream.onmessage = (message) => {
+      try {
+        onEvent(JSON.parse(message.data));
+      } catch (error) {
+        // Ignore anything that is not one of our events
+      }
+    };
+    stream.onerror = () => {
+      // Dropped connections are retried by EventSource itself; CLOSED means
+      // the server refused the stream
+      if (stream.readyState === EventSource.CLOSED) startPolling();
+    };
+    source = stream;
+  };
+
+  if (isMockApiEnabled()) {
+    unsubscribe = subscribeToMockEvents(onEvent);
+    if (!unsubscribe) startPolling();
+  } else if (typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    connect();
+    // EventSource reconnects with the URL it was opened with, so a refreshed
+    // token needs a new stream before the old one expires
+    unsubscribeSession = subscribeToSession((type) => {
+      if (type !== 'refreshed') return;
+      stopPolling();
+      connect();
+    });
+  }
+
+  return () => {
+    if (source) source.close();
+    if (unsubscribe) unsubscribe();
+    if (unsubscribeSession) unsubscribeSession();
+    stopPolling();
+  };
+};
+
+// Keeps one channel open for the component's lifetime while always calling
+// the latest handlers
+export const useLiveUpdates = (onEvent, onPoll) => {
+  const handlers = useRef({ onEvent, onPoll });
+  handlers.current = { onEvent, onPoll };
+
+  useEffect(() => openLiveChannel({
+    onEvent: (event) => handlers.current.onEvent(event),
+    onPoll: () => handlers.current.onPoll()
+  }), []);
+};
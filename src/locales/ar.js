@@ -0,0 +1,725 @@
+const ar = {
+  'app.title': 'نظام حجز المواعيد',
+  'app.shortTitle': 'حجز المواعيد',
+  'app.tagline': 'احجز مواعيدك بسهولة',
+  'app.initializing': 'جارٍ تشغيل التطبيق...',
+
+  'common.loading': 'جارٍ التحميل...',
+  'common.closeMessage': 'إغلاق الرسالة',
+  'common.undo': 'تراجع',
+  'common.cancel': 'إلغاء',
+  'common.confirm': 'تأكيد',
+  'common.pleaseWait': 'يرجى الانتظار...',
+  'common.refresh': 'تحديث',
+  'common.previous': 'السابق',
+  'common.next': 'التالي',
+  'common.today': 'اليوم',
+  'common.from': 'من',
+  'common.to': 'إلى',
+  'common.fromDate': 'من تاريخ',
+  'common.toDate': 'إلى تاريخ',
+  'common.edit': 'تعديل',
+  'common.delete': 'حذف',
+  'common.remove': 'إزالة',
+  'common.saving': 'جارٍ الحفظ...',
+  'common.saveChanges': 'حفظ التغييرات',
+  'common.cannotUndo': 'لا يمكن التراجع عن هذا الإجراء.',
+
+  'errors.connection': 'تعذّر الاتصال بالخادم. يرجى التحقق من اتصالك.',
+
+  'session.expired': 'انتهت جلستك. يرجى تسجيل الدخول مرة أخرى.',
+  'session.refreshFailed': 'تعذّر تجديد الجلسة',
+  'session.signedOutElsewhere': 'لقد سجّلت الخروج من علامة تبويب أخرى.',
+  'session.expiresIn': 'تنتهي جلستك خلال {countdown}.',
+  'session.extendFailed': 'تعذّر تمديد الجلسة. احفظ عملك وسجّل الدخول مرة أخرى.',
+  'session.extending': 'جارٍ التمديد...',
+  'session.staySignedIn': 'البقاء متصلاً',
+  'session.signInAgain': 'تسجيل الدخول مجددًا',
+  'session.signInToContinue': 'يرجى تسجيل الدخول مرة أخرى للمتابعة.',
+
+  'auth.loginTitle': 'تسجيل الدخول إلى حسابك',
+  'auth.registerTitle': 'إنشاء حساب جديد',
+  'auth.emailPlaceholder': 'البريد الإلكتروني',
+  'auth.passwordPlaceholder': 'كلمة المرور',
+  'auth.namePlaceholder': 'الاسم الكامل',
+  'auth.confirmPasswordPlaceholder': 'تأكيد كلمة المرور',
+  'auth.signIn': 'تسجيل الدخول',
+  'auth.loggingIn': 'جارٍ تسجيل الدخول...',
+  'auth.loginSuccess': 'تم تسجيل الدخول بنجاح!',
+  'auth.noAccount': 'ليس لديك حساب؟',
+  'auth.createAccountLink': 'أنشئ حسابًا',
+  'auth.haveAccount': 'لديك حساب بالفعل؟',
+  'auth.signInLink': 'سجّل الدخول',
+  'auth.createAccount': 'إنشاء الحساب',
+  'auth.creatingAccount': 'جارٍ إنشاء الحساب...',
+  'auth.registerSuccess': 'تم التسجيل بنجاح! يرجى تسجيل الدخول.',
+  'auth.passwordMismatch': 'كلمتا المرور غير متطابقتين',
+  'auth.passwordRequirements': 'يجب أن تتكون كلمة المرور من 8 أحرف على الأقل وتتضمن حرفًا كبيرًا وحرفًا صغيرًا ورقمًا ورمزًا خاصًا',
+  'auth.strength.veryWeak': 'ضعيفة جدًا',
+  'auth.strength.weak': 'ضعيفة',
+  'auth.strength.fair': 'مقبولة',
+  'auth.strength.good': 'جيدة',
+  'auth.strength.strong': 'قوية',
+  'auth.demoCredentials': 'بيانات تجريبية',
+  'auth.tryAsPatient': 'تجربة كمريض',
+  'auth.tryAsAdmin': 'تجربة كمسؤول',
+  'auth.tryAsReceptionist': 'تجربة كموظف استقبال',
+  'auth.tryAsProvider': 'تجربة كمقدم رعاية',
+  'auth.patientLabel': 'مريض:',
+  'auth.adminLabel': 'مسؤول:',
+  'auth.receptionistLabel': 'موظف استقبال:',
+  'auth.providerLabel': 'مقدم رعاية:',
+  'auth.forgotPassword': 'نسيت كلمة المرور؟',
+  'auth.forgotTitle': 'إعادة تعيين كلمة المرور',
+  'auth.forgotIntro': 'أدخل البريد الإلكتروني لحسابك وسنرسل إليك رابطًا لاختيار كلمة مرور جديدة.',
+  'auth.sendResetLink': 'إرسال الرابط',
+  'auth.sendingResetLink': 'جارٍ الإرسال...',
+  'auth.resendResetLink': 'إعادة إرسال الرابط',
+  'auth.resendIn': {
+    zero: 'إعادة الإرسال بعد {count} ثانية',
+    one: 'إعادة الإرسال بعد ثانية واحدة',
+    two: 'إعادة الإرسال بعد ثانيتين',
+    few: 'إعادة الإرسال بعد {count} ثوانٍ',
+    many: 'إعادة الإرسال بعد {count} ثانية',
+    other: 'إعادة الإرسال بعد {count} ثانية'
+  },
+  'auth.resetLinkSent': 'إذا كان هناك حساب للبريد {email} فقد أرسلنا إليه رابطًا لإعادة تعيين كلمة المرور. تحقق من صندوق الوارد ومجلد الرسائل غير المرغوب فيها.',
+  'auth.rememberedPassword': 'تذكرتها؟',
+  'auth.checkingResetLink': 'جارٍ التحقق من الرابط...',
+  'auth.resetTitle': 'اختر كلمة مرور جديدة',
+  'auth.resetPassword': 'إعادة تعيين كلمة المرور',
+  'auth.resetDoneTitle': 'تمت إعادة التعيين',
+  'auth.resetDone': 'تمت إعادة تعيين كلمة المرور وتسجيل الخروج من الجلسات الأخرى. سجّل الدخول بكلمة المرور الجديدة.',
+  'auth.resetLink.invalidTitle': 'رابط غير صالح',
+  'auth.resetLink.invalid': 'هذا الرابط غير صالح. ربما يكون ناقصًا أو استُخدم من قبل.',
+  'auth.resetLink.expiredTitle': 'انتهت صلاحية الرابط',
+  'auth.resetLink.expired': 'انتهت صلاحية هذا الرابط. اطلب رابطًا جديدًا لاختيار كلمة المرور.',
+  'auth.requestNewLink': 'طلب رابط جديد',
+
+  'verify.checkInboxTitle': 'تحقق من بريدك الإلكتروني',
+  'verify.checkInbox': 'أرسلنا رابط تحقق إلى {email}. افتحه لتأكيد أن العنوان لك؛ يلزمك ذلك قبل حجز المواعيد.',
+  'verify.continueToSignIn': 'المتابعة لتسجيل الدخول',
+  'verify.resend': 'إعادة إرسال رسالة التحقق',
+  'verify.resent': 'رابط تحقق جديد في طريقه إلى {email}.',
+  'verify.checking': 'جارٍ التحقق من بريدك الإلكتروني...',
+  'verify.verifiedTitle': 'تم التحقق من البريد',
+  'verify.verified': 'شكرًا، تم تأكيد بريدك الإلكتروني. يمكنك الآن حجز المواعيد.',
+  'verify.continue': 'متابعة',
+  'verify.failedTitle': 'تعذّر التحقق',
+  'verify.tryAgain': 'إعادة المحاولة',
+  'verify.link.invalidTitle': 'رابط غير صالح',
+  'verify.link.invalid': 'رابط التحقق هذا غير صالح. ربما يكون ناقصًا أو استُبدل برابط أحدث.',
+  'verify.link.expiredTitle': 'انتهت صلاحية الرابط',
+  'verify.link.expired': 'انتهت صلاحية رابط التحقق هذا.',
+  'verify.signInToResend': 'سجّل الدخول للحصول على رابط تحقق جديد.',
+  'verify.bannerTitle': 'يرجى تأكيد بريدك الإلكتروني',
+  'verify.bannerText': 'يمكنك حجز المواعيد بعد فتح الرابط الذي أرسلناه إلى {email}.',
+
+  'header.welcome': 'مرحبًا، {name}',
+  'header.signOut': 'تسجيل الخروج',
+  'roles.admin': 'مسؤول',
+  'roles.patient': 'مريض',
+  'roles.receptionist': 'موظف استقبال',
+  'roles.provider': 'مقدم رعاية',
+
+  'preferences.timeZone': 'المنطقة الزمنية',
+  'preferences.thisDevice': 'هذا الجهاز',
+  'preferences.clinic': 'العيادة',
+  'preferences.language': 'اللغة',
+  'preferences.clockLabel': 'تنسيق الساعة',
+  'preferences.clock.auto': 'الساعة: تلقائي',
+  'preferences.clock.h12': 'نظام 12 ساعة',
+  'preferences.clock.h24': 'نظام 24 ساعة',
+
+  'nav.availableSlots': 'المواعيد المتاحة',
+  'nav.myBookings': 'حجوزاتي',
+  'nav.allBookings': 'كل الحجوزات',
+  'nav.schedule': 'الجدول',
+  'nav.analytics': 'الإحصاءات',
+  'nav.myWaitlist': 'قائمة انتظاري',
+  'nav.waitlist': 'قائمة الانتظار',
+  'nav.profile': 'الملف الشخصي',
+  'nav.users': 'المستخدمون',
+  'nav.patients': 'المرضى',
+
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.message': 'الصفحة التي تبحث عنها غير موجودة.',
+  'notFound.goToDashboard': 'الذهاب إلى لوحة التحكم',
+  'notFound.goToLogin': 'الذهاب إلى تسجيل الدخول',
+  'accessDenied.title': 'تم رفض الوصول',
+  'accessDenied.message': 'لا يملك حسابك صلاحية عرض هذه الصفحة.',
+
+  'status.upcoming': 'قادم',
+  'status.completed': 'مكتمل',
+  'status.cancelled': 'ملغى',
+
+  'time.atClinic': '{range} {zone} بتوقيت العيادة',
+
+  'slots.title': 'المواعيد المتاحة',
+  'slots.viewLabel': 'طريقة العرض',
+  'slots.views.list': 'قائمة',
+  'slots.views.week': 'أسبوع',
+  'slots.views.month': 'شهر',
+  'slots.loading': 'جارٍ تحميل المواعيد المتاحة...',
+  'slots.book': 'احجز الموعد',
+  'slots.booking': 'جارٍ الحجز...',
+  'slots.past': 'منتهٍ',
+  'slots.taken': 'حُجز للتو',
+  'slots.justTaken': 'حجز شخص آخر موعد {time} للتو.',
+  'slots.nearestAlternatives': 'هذه أقرب المواعيد المتاحة:',
+  'slots.noAlternatives': 'لا توجد مواعيد أخرى متاحة في هذا النطاق. جرّب تواريخ مختلفة.',
+  'slots.soon': 'قريبًا!',
+  'slots.bookAt': 'احجز {time}',
+  'slots.bookSuccess': 'تم حجز الموعد بنجاح!',
+  'slots.emptyTitle': 'لا توجد مواعيد متاحة',
+  'slots.emptyHint': 'جرّب نطاقًا زمنيًا آخر أو عد لاحقًا.',
+  'slots.noneOnDay': 'لا توجد مواعيد متاحة في هذا اليوم.',
+  'slots.noneInRange': 'لا توجد مواعيد متاحة في هذا النطاق.',
+  'slots.count': {
+    zero: 'لا مواعيد',
+    one: 'موعد واحد',
+    two: 'موعدان',
+    few: '{count} مواعيد',
+    many: '{count} موعدًا',
+    other: '{count} موعد'
+  },
+  'slots.dayAvailability': {
+    zero: '{date}: لا مواعيد متاحة',
+    one: '{date}: موعد واحد متاح',
+    two: '{date}: موعدان متاحان',
+    few: '{date}: {count} مواعيد متاحة',
+    many: '{date}: {count} موعدًا متاحًا',
+    other: '{date}: {count} موعد متاح'
+  },
+
+  'bookings.title': 'مواعيدي',
+  'bookings.loading': 'جارٍ تحميل حجوزاتك...',
+  'bookings.emptyTitle': 'لا توجد مواعيد',
+  'bookings.emptyHint': 'لم تحجز أي موعد بعد.',
+  'bookings.upcomingTitle': {
+    zero: 'المواعيد القادمة ({count})',
+    one: 'الموعد القادم ({count})',
+    two: 'الموعدان القادمان ({count})',
+    few: 'المواعيد القادمة ({count})',
+    many: 'المواعيد القادمة ({count})',
+    other: 'المواعيد القادمة ({count})'
+  },
+  'bookings.pastTitle': {
+    zero: 'المواعيد السابقة ({count})',
+    one: 'الموعد السابق ({count})',
+    two: 'الموعدان السابقان ({count})',
+    few: 'المواعيد السابقة ({count})',
+    many: 'المواعيد السابقة ({count})',
+    other: 'المواعيد السابقة ({count})'
+  },
+  'bookings.cancelledTitle': {
+    zero: 'المواعيد الملغاة ({count})',
+    one: 'الموعد الملغى ({count})',
+    two: 'الموعدان الملغيان ({count})',
+    few: 'المواعيد الملغاة ({count})',
+    many: 'المواعيد الملغاة ({count})',
+    other: 'المواعيد الملغاة ({count})'
+  },
+  'bookings.bookedOn': 'تم الحجز في {time}',
+  'bookings.reschedule': 'تغيير الموعد',
+  'bookings.cancelBooking': 'إلغاء الحجز',
+  'bookings.cancelling': 'جارٍ الإلغاء...',
+  'bookings.cancelSuccess': 'تم إلغاء الحجز بنجاح!',
+  'bookings.rescheduleTitle': 'تغيير موعد الحجز',
+  'bookings.confirmNewTime': 'تأكيد الموعد الجديد',
+  'bookings.current': 'الحالي',
+  'bookings.new': 'الجديد',
+  'bookings.selectTime': 'اختر وقتًا من الأعلى',
+  'bookings.rescheduleSuccess': 'تم نقل الموعد إلى {time}.',
+  'bookings.rescheduleKept': '{error} تم الإبقاء على موعدك في {time}.',
+
+  'intake.title': 'تأكيد الحجز',
+  'intake.book': 'حجز الموعد',
+  'intake.reason': 'سبب الزيارة',
+  'intake.notes': 'ملاحظات للعيادة',
+  'intake.loadingQuestions': 'جارٍ تحميل الأسئلة...',
+  'intake.questionsTitle': 'بعض الأسئلة قبل زيارتك',
+  'intake.selectOption': 'اختر...',
+  'intake.yes': 'نعم',
+  'intake.no': 'لا',
+  'intake.reasonRequired': 'يرجى إدخال سبب زيارتك.',
+  'intake.answerRequired': 'يرجى الإجابة عن «{question}».',
+  'intake.noDetails': 'لا يوجد سبب أو إجابات استبيان لهذا الحجز.',
+
+  'admin.title': 'إدارة جميع الحجوزات',
+  'admin.loading': 'جارٍ تحميل جميع الحجوزات...',
+  'admin.total': 'الإجمالي',
+  'admin.matching': 'المطابقة',
+  'admin.viewAnalytics': 'عرض الإحصاءات',
+  'admin.emptyTitle': 'لا توجد حجوزات',
+  'admin.emptyHint': 'لم يتم حجز أي موعد بعد.',
+  'admin.search': 'البحث في الحجوزات',
+  'admin.searchPlaceholder': 'ابحث باسم المريض أو بريده الإلكتروني',
+  'admin.statusFilter': 'التصفية حسب الحالة',
+  'admin.allStatuses': 'كل الحالات',
+  'admin.clearFilters': 'مسح عوامل التصفية',
+  'admin.noMatchesTitle': 'لا توجد حجوزات مطابقة',
+  'admin.noMatchesHint': 'جرّب بحثًا أو نطاقًا زمنيًا أو حالة مختلفة.',
+  'admin.columns.patient': 'المريض',
+  'admin.columns.email': 'البريد الإلكتروني',
+  'admin.columns.date': 'تاريخ الموعد',
+  'admin.columns.time': 'الوقت',
+  'admin.columns.bookedOn': 'تاريخ الحجز',
+  'admin.columns.bookedBy': 'حجزها',
+  'admin.columns.status': 'الحالة',
+  'admin.columns.actions': 'الإجراءات',
+  'admin.columns.notes': 'الملاحظات',
+  'admin.columns.cancelReason': 'سبب الإلغاء',
+  'admin.columns.service': 'الخدمة',
+  'admin.columns.provider': 'مقدم الرعاية',
+  'admin.columns.location': 'الموقع',
+  'admin.note': 'ملاحظة',
+  'admin.notes': 'ملاحظات',
+  'admin.bookedBy': 'بواسطة {name}',
+  'admin.details': 'التفاصيل',
+  'admin.pageOf': 'الصفحة {page} من {totalPages}',
+  'admin.totalCount': {
+    zero: '(لا شيء)',
+    one: '(حجز واحد)',
+    two: '(حجزان)',
+    few: '({count} حجوزات)',
+    many: '({count} حجزًا)',
+    other: '({count} حجز)'
+  },
+  'admin.changeReverted': '{error} تم التراجع عن التغيير.',
+  'admin.rescheduleSuccess': 'تم تغيير موعد الحجز بنجاح!',
+  'admin.notesSuccess': 'تم حفظ الملاحظات بنجاح!',
+  'admin.newBooking': 'حجز جديد: {name} في {time}',
+  'admin.cancelTitle': 'إلغاء الحجز؟',
+  'admin.bookingOn': 'في {time}',
+  'admin.cancelReason': 'سبب الإلغاء',
+  'admin.rescheduleTitle': 'تغيير موعد الحجز',
+  'admin.moveBooking': 'نقل الحجز',
+  'admin.bookedFor': 'محجوز في {time}.',
+  'admin.moveTo': 'النقل إلى',
+  'admin.notesTitle': 'ملاحظات داخلية',
+  'admin.saveNotes': 'حفظ الملاحظات',
+  'admin.notesHint': 'تظهر للموظفين فقط.',
+  'admin.notesFor': 'ملاحظات عن {name}',
+
+  'schedule.title': 'إدارة الجدول',
+  'schedule.zoneNote': 'الأوقات معروضة بتوقيت العيادة ({zone}، {label})',
+  'schedule.ownOnly': 'يُعرض جدولك فقط',
+  'schedule.loading': 'جارٍ تحميل الجدول...',
+  'schedule.emptyTitle': 'لا توجد مواعيد مجدولة',
+  'schedule.emptyHint': 'أنشئ موعدًا أو ولّد جدولًا متكررًا لهذا النطاق الزمني.',
+  'schedule.newSlot': 'موعد جديد',
+  'schedule.createSlot': 'إنشاء موعد',
+  'schedule.editSlot': 'تعديل الموعد',
+  'schedule.starts': 'يبدأ',
+  'schedule.ends': 'ينتهي',
+  'schedule.endAfterStart': 'يجب أن يكون وقت الانتهاء بعد وقت البدء',
+  'schedule.overlaps': {
+    zero: 'يتداخل مع مواعيد موجودة:',
+    one: 'يتداخل مع موعد موجود:',
+    two: 'يتداخل مع موعدين موجودين:',
+    few: 'يتداخل مع {count} مواعيد موجودة:',
+    many: 'يتداخل مع {count} موعدًا موجودًا:',
+    other: 'يتداخل مع {count} موعد موجود:'
+  },
+  'schedule.overlapsBadge': 'متداخل',
+  'schedule.booked': 'محجوز',
+  'schedule.open': 'متاح',
+  'schedule.cannotEdit': 'لا يمكن تعديل المواعيد المحجوزة',
+  'schedule.cannotDelete': 'لا يمكن حذف المواعيد المحجوزة',
+  'schedule.createSuccess': 'تم إنشاء الموعد بنجاح!',
+  'schedule.updateSuccess': 'تم تحديث الموعد بنجاح!',
+  'schedule.deleteSuccess': 'تم حذف الموعد بنجاح!',
+  'schedule.deleteBooked': 'هذا الموعد محجوز ولا يمكن حذفه.',
+  'schedule.deleteTitle': 'حذف الموعد؟',
+  'schedule.deleteSlot': 'حذف الموعد',
+  'schedule.generateTitle': 'توليد مواعيد متكررة',
+  'schedule.dayStarts': 'بداية اليوم',
+  'schedule.dayEnds': 'نهاية اليوم',
+  'schedule.slotLength': 'مدة الموعد',
+  'schedule.minutes': {
+    one: 'دقيقة واحدة',
+    two: 'دقيقتان',
+    few: '{count} دقائق',
+    many: '{count} دقيقة',
+    other: '{count} دقيقة'
+  },
+  'schedule.breaks': 'الاستراحات',
+  'schedule.breakTo': 'إلى',
+  'schedule.addBreak': 'إضافة استراحة',
+  'schedule.preview': 'معاينة',
+  'schedule.previewCount': {
+    zero: 'لن يتم إنشاء أي موعد',
+    one: 'سيتم إنشاء موعد واحد',
+    two: 'سيتم إنشاء موعدين',
+    few: 'سيتم إنشاء {count} مواعيد',
+    many: 'سيتم إنشاء {count} موعدًا',
+    other: 'سيتم إنشاء {count} موعد'
+  },
+  'schedule.previewOverlaps': {
+    one: 'موعد واحد يتداخل مع مواعيد موجودة',
+    two: 'موعدان يتداخلان مع مواعيد موجودة',
+    few: '{count} مواعيد تتداخل مع مواعيد موجودة',
+    many: '{count} موعدًا يتداخل مع مواعيد موجودة',
+    other: '{count} موعد يتداخل مع مواعيد موجودة'
+  },
+  'schedule.generateLimit': 'يتم توليد أول {count} موعد فقط في كل مرة.',
+  'schedule.creating': 'جارٍ الإنشاء...',
+  'schedule.createCount': {
+    zero: 'إنشاء المواعيد',
+    one: 'إنشاء موعد واحد',
+    two: 'إنشاء موعدين',
+    few: 'إنشاء {count} مواعيد',
+    many: 'إنشاء {count} موعدًا',
+    other: 'إنشاء {count} موعد'
+  },
+  'schedule.generateSuccess': {
+    zero: 'لم يتم إنشاء أي موعد',
+    one: 'تم إنشاء موعد واحد بنجاح!',
+    two: 'تم إنشاء موعدين بنجاح!',
+    few: 'تم إنشاء {count} مواعيد بنجاح!',
+    many: 'تم إنشاء {count} موعدًا بنجاح!',
+    other: 'تم إنشاء {count} موعد بنجاح!'
+  },
+
+  'analytics.title': 'إحصاءات الحجوزات',
+  'analytics.loading': 'جارٍ تحميل الإحصاءات...',
+  'analytics.rangeOrder': 'يجب أن يكون تاريخ البداية في تاريخ النهاية أو قبله.',
+  'analytics.rangeTooLong': 'اختر نطاقًا لا يتجاوز {count} يومًا.',
+  'analytics.totalBookings': 'الحجوزات',
+  'analytics.cancellationRate': 'نسبة الإلغاء',
+  'analytics.cancelledCount': {
+    zero: 'لا توجد حجوزات ملغاة',
+    one: 'حجز واحد ملغى',
+    two: 'حجزان ملغيان',
+    few: '{count} حجوزات ملغاة',
+    many: '{count} حجزًا ملغى',
+    other: '{count} حجز ملغى'
+  },
+  'analytics.utilization': 'نسبة إشغال المواعيد',
+  'analytics.bookedOfOffered': {
+    zero: '{booked} من {count} موعد محجوز',
+    one: '{booked} من موعد واحد محجوز',
+    two: '{booked} من موعدين محجوز',
+    few: '{booked} من {count} مواعيد محجوزة',
+    many: '{booked} من {count} موعدًا محجوزًا',
+    other: '{booked} من {count} موعد محجوز'
+  },
+  'analytics.medianLeadTime': 'الوسيط بين الحجز والموعد',
+  'analytics.averageLeadTime': 'المتوسط {time}',
+  'analytics.peakHour': 'أكثر ساعة ازدحامًا',
+  'analytics.bookingsOverTime': 'الحجوزات عبر الزمن',
+  'analytics.groupBy': 'تجميع الحجوزات حسب',
+  'analytics.groupings.day': 'اليوم',
+  'analytics.groupings.week': 'الأسبوع',
+  'analytics.per.day': 'الحجوزات يوميًا',
+  'analytics.per.week': 'الحجوزات أسبوعيًا',
+  'analytics.weekOf': 'أسبوع {date}',
+  'analytics.peakHours': 'ساعات الذروة',
+  'analytics.bookingsByHour': 'الحجوزات حسب وقت البدء',
+  'analytics.noBookings': 'لا توجد مواعيد أو حجوزات في هذا النطاق.',
+
+  'waitlist.title': 'قائمة انتظاري',
+  'waitlist.loading': 'جارٍ تحميل قائمة انتظارك...',
+  'waitlist.join': 'الانضمام إلى قائمة الانتظار',
+  'waitlist.joinTitle': 'الانضمام إلى قائمة الانتظار',
+  'waitlist.joinHint': 'أخبرنا متى يمكنك الحضور. بمجرد توفر موعد مناسب سنحجزه لك لفترة قصيرة حتى تؤكده.',
+  'waitlist.firstDay': 'من',
+  'waitlist.lastDay': 'حتى (اختياري)',
+  'waitlist.earliestTime': 'أبكر بداية (اختياري)',
+  'waitlist.latestTime': 'آخر بداية (اختياري)',
+  'waitlist.zoneNote': 'الأوقات بتوقيت {zone}.',
+  'waitlist.fromRequired': 'اختر أول يوم يمكنك الحضور فيه.',
+  'waitlist.windowOrder': 'يجب أن تكون آخر بداية بعد أبكر بداية.',
+  'waitlist.joined': 'أنت الآن في قائمة الانتظار. سنعرض عليك موعدًا بمجرد توفره.',
+  'waitlist.joinedWithOffer': 'أنت الآن في قائمة الانتظار، وهناك موعد مناسب محجوز لك بالفعل.',
+  'waitlist.view': 'عرض قائمة الانتظار',
+  'waitlist.viewOffer': 'عرض العرض',
+  'waitlist.emptyTitle': 'لست في قائمة الانتظار',
+  'waitlist.emptyHint': 'إذا لم يناسبك أي موعد، انضم إلى قائمة الانتظار من صفحة المواعيد المتاحة.',
+  'waitlist.entryTitle': 'بانتظار موعد',
+  'waitlist.status.waiting': 'قيد الانتظار',
+  'waitlist.status.offered': 'موعد معروض',
+  'waitlist.fromDay': 'ابتداءً من {date}',
+  'waitlist.anyTime': 'أي وقت من اليوم',
+  'waitlist.after': 'يبدأ في {time} أو بعدها',
+  'waitlist.before': 'يبدأ قبل {time}',
+  'waitlist.joinedOn': 'انضممت في {time}',
+  'waitlist.offerFor': 'موعد في {time} محجوز لك.',
+  'waitlist.expiresIn': 'أكّده خلال {countdown}.',
+  'waitlist.offerNotice': 'توفر موعد كنت تنتظره في {time}. أكّده خلال {countdown}.',
+  'waitlist.claim': 'تأكيد الموعد',
+  'waitlist.decline': 'تخطي',
+  'waitlist.remove': 'مغادرة القائمة',
+  'waitlist.claimed': 'تم الحجز في {time}!',
+  'waitlist.declined': 'تم تخطي الموعد. ما زلت في قائمة الانتظار.',
+  'waitlist.removed': 'غادرت قائمة الانتظار.',
+
+  'waitlistDemand.title': 'الطلب في قائمة الانتظار',
+  'waitlistDemand.loading': 'جارٍ تحميل قائمة الانتظار...',
+  'waitlistDemand.emptyTitle': 'لا أحد في الانتظار',
+  'waitlistDemand.emptyHint': 'يمكن للمرضى الذين لا يجدون موعدًا مناسبًا الانضمام إلى قائمة الانتظار.',
+  'waitlistDemand.entries': 'طلبات الانتظار',
+  'waitlistDemand.patients': 'مرضى في الانتظار',
+  'waitlistDemand.offersOpen': 'عروض مفتوحة',
+  'waitlistDemand.medianWait': 'وسيط مدة الانتظار',
+  'waitlistDemand.requestedDays': 'الأيام المطلوبة',
+  'waitlistDemand.waitingPerDay': 'طلبات الانتظار لكل يوم',
+  'waitlistDemand.requestedHours': 'الأوقات المطلوبة',
+  'waitlistDemand.waitingPerHour': 'طلبات الانتظار لكل ساعة بدء',
+  'waitlistDemand.allFlexible': 'كل الطلبات تقبل أي وقت من اليوم.',
+  'waitlistDemand.flexible': {
+    zero: 'لا توجد طلبات أخرى تقبل أي وقت من اليوم.',
+    one: 'طلب آخر يقبل أي وقت من اليوم.',
+    two: 'طلبان آخران يقبلان أي وقت من اليوم.',
+    few: '{count} طلبات أخرى تقبل أي وقت من اليوم.',
+    many: '{count} طلبًا آخر يقبل أي وقت من اليوم.',
+    other: '{count} طلب آخر يقبل أي وقت من اليوم.'
+  },
+  'waitlistDemand.columns.window': 'بانتظار',
+  'waitlistDemand.columns.joined': 'تاريخ الانضمام',
+  'waitlistDemand.offeredSlot': 'معروض {time}',
+
+  'calendar.appointmentTitle': 'موعد في العيادة',
+  'calendar.addToCalendar': 'إضافة إلى التقويم',
+  'calendar.updateCalendar': 'تحديث التقويم',
+  'calendar.removeFromCalendar': 'إزالة من التقويم',
+  'calendar.exportUpcoming': 'تصدير المواعيد القادمة (.ics)',
+  'calendar.feedName': 'مواعيدي',
+  'calendar.cancelledHint': 'نزّل ملف الإلغاء لإزالة هذه المواعيد من تقويمك.',
+  'calendar.scheduleDay': 'يوم الجدول المراد تصديره',
+  'calendar.exportDay': 'تصدير اليوم (.ics)',
+  'calendar.exporting': 'جارٍ التصدير...',
+  'calendar.scheduleName': 'جدول العيادة، {date}',
+  'calendar.scheduleEmpty': 'لا توجد مواعيد مجدولة في {date}.',
+  'calendar.scheduleBooked': 'موعد: {name}',
+  'calendar.scheduleOpen': 'موعد متاح',
+
+  'export.button': 'تصدير',
+  'export.title': 'تصدير الحجوزات',
+  'export.hint': 'تُضمَّن كل صفحات الحجوزات المطابقة للعرض الحالي.',
+  'export.download': 'تنزيل',
+  'export.fileFormat': 'صيغة الملف',
+  'export.formats.csv': 'CSV (.csv)',
+  'export.formats.xlsx': 'Excel (.xlsx)',
+  'export.dateFormat': 'صيغة التاريخ',
+  'export.dateFormats.locale': 'حسب لغتي',
+  'export.dateFormats.iso': 'ISO (2024-01-31 14:30)',
+  'export.dateFormats.us': 'أمريكية (01/31/2024 2:30 PM)',
+  'export.dateFormats.eu': 'أوروبية (31/01/2024 14:30)',
+  'export.columns': 'الأعمدة',
+  'export.progressLabel': 'تقدم التصدير',
+  'export.starting': 'جارٍ جلب الحجوزات...',
+  'export.progress': {
+    zero: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من {count} حجز)',
+    one: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من حجز واحد)',
+    two: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من حجزين)',
+    few: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من {count} حجوزات)',
+    many: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من {count} حجزًا)',
+    other: 'تم جلب الصفحة {page} من {totalPages} ({fetched} من {count} حجز)'
+  },
+  'export.empty': 'لا توجد حجوزات للتصدير.',
+  'export.success': {
+    zero: 'لم يُصدَّر أي حجز.',
+    one: 'تم تصدير حجز واحد.',
+    two: 'تم تصدير حجزين.',
+    few: 'تم تصدير {count} حجوزات.',
+    many: 'تم تصدير {count} حجزًا.',
+    other: 'تم تصدير {count} حجز.'
+  },
+  'export.sheetName': 'الحجوزات',
+
+
+  'providers.filterBy.provider': 'التصفية حسب مقدم الرعاية',
+  'providers.filterBy.service': 'التصفية حسب الخدمة',
+  'providers.filterBy.location': 'التصفية حسب الموقع',
+  'providers.all.provider': 'جميع مقدمي الرعاية',
+  'providers.all.service': 'جميع الخدمات',
+  'providers.all.location': 'جميع المواقع',
+  'providers.unassigned.provider': 'بدون مقدم رعاية',
+  'providers.unassigned.service': 'بدون خدمة',
+  'providers.unassigned.location': 'بدون موقع',
+  'providers.groupBy': 'التجميع حسب',
+  'providers.noGrouping': 'بدون تجميع',
+  'providers.groupByOption.provider': 'حسب مقدم الرعاية',
+  'providers.groupByOption.service': 'حسب الخدمة',
+  'providers.groupByOption.location': 'حسب الموقع',
+  'providers.notSet': 'غير محدد',
+  'providers.specialties': 'التخصصات',
+  'providers.profileTitle': 'ملف مقدم الرعاية',
+  'providers.showSlots': 'عرض مواعيده',
+
+
+  'reminders.settingsTitle': 'تذكيرات المواعيد',
+  'reminders.enable': 'ذكّرني قبل مواعيدي',
+  'reminders.leadLegend': 'إرسال تذكير',
+  'reminders.leadBefore': 'قبل {lead}',
+  'reminders.hours': {
+    zero: '{count} ساعة',
+    one: 'ساعة واحدة',
+    two: 'ساعتين',
+    few: '{count} ساعات',
+    many: '{count} ساعة',
+    other: '{count} ساعة'
+  },
+  'reminders.days': {
+    zero: '{count} يوم',
+    one: 'يوم واحد',
+    two: 'يومين',
+    few: '{count} أيام',
+    many: '{count} يومًا',
+    other: '{count} يوم'
+  },
+  'reminders.hint': 'تظهر التذكيرات كإشعارات في المتصفح ما دام هذا التطبيق مفتوحًا في علامة تبويب. لا تستطيع معظم المتصفحات عرضها بعد إغلاقه.',
+  'reminders.unsupported': 'لا يستطيع هذا المتصفح عرض الإشعارات، لذا التذكيرات غير متاحة.',
+  'reminders.denied': 'الإشعارات محظورة لهذا الموقع. اسمح بها من إعدادات المتصفح لتصلك التذكيرات.',
+  'reminders.title': 'تذكير بموعد',
+  'reminders.body': 'لديك موعد في {time}.',
+
+  'profile.title': 'الملف الشخصي والإعدادات',
+  'profile.detailsTitle': 'البيانات الشخصية',
+  'profile.name': 'الاسم الكامل',
+  'profile.email': 'البريد الإلكتروني',
+  'profile.phone': 'الهاتف',
+  'profile.detailsSaved': 'تم حفظ بياناتك.',
+  'profile.emailUnverified': 'لم يتم التحقق من {email} بعد. افتح الرابط الذي أرسلناه إليه لتبدأ الحجز.',
+  'profile.passwordTitle': 'تغيير كلمة المرور',
+  'profile.currentPassword': 'كلمة المرور الحالية',
+  'profile.newPassword': 'كلمة المرور الجديدة',
+  'profile.confirmPassword': 'تأكيد كلمة المرور الجديدة',
+  'profile.changePassword': 'تغيير كلمة المرور',
+  'profile.passwordChanged': 'تم تغيير كلمة المرور.',
+  'profile.preferencesTitle': 'التفضيلات',
+  'profile.dataTitle': 'بياناتك',
+  'profile.dataHint': 'نزّل نسخة من ملفك الشخصي وحجوزاتك وقوائم الانتظار كملف JSON.',
+  'profile.downloadData': 'تنزيل بياناتي',
+  'profile.deleteTitle': 'حذف الحساب',
+  'profile.deleteHint': 'حذف حسابك يلغي مواعيدك القادمة ويزيل حجوزاتك وإدخالاتك في قوائم الانتظار. لا يمكن التراجع عن ذلك.',
+  'profile.deleteAccount': 'حذف الحساب',
+  'profile.deleteConfirm': 'ستُلغى مواعيدك القادمة وسيُحذف كل ما نحتفظ به عنك. لا يمكن التراجع عن ذلك.',
+  'profile.confirmWithPassword': 'أدخل كلمة المرور للتأكيد',
+  'profile.deleted': 'تم حذف حسابك.',
+
+  'onboarding.title': 'مرحبًا، {name}!',
+  'onboarding.intro': 'قبل الحجز نحتاج إلى بعض البيانات. لن يستغرق ذلك سوى دقيقة.',
+  'onboarding.stepOf': 'الخطوة {step} من {total}',
+  'onboarding.steps.details': 'بياناتك',
+  'onboarding.steps.consent': 'الموافقة',
+  'onboarding.phone': 'الهاتف',
+  'onboarding.dateOfBirth': 'تاريخ الميلاد',
+  'onboarding.invalidPhone': 'أدخل رقم هاتف صالحًا.',
+  'onboarding.invalidDateOfBirth': 'أدخل تاريخ ميلاد في الماضي.',
+  'onboarding.consentLegend': 'يرجى المراجعة والموافقة',
+  'onboarding.consents.terms': 'أوافق على شروط الخدمة',
+  'onboarding.consents.privacy': 'أوافق على معالجة بياناتي الصحية كما توضح سياسة الخصوصية',
+  'onboarding.consents.reminders': 'أرسلوا إليّ تذكيرات المواعيد وأخبار العيادة بالبريد والرسائل النصية',
+  'onboarding.required': 'مطلوب',
+  'onboarding.back': 'رجوع',
+  'onboarding.finish': 'إنهاء',
+
+
+  // المستخدمون والأدوار
+  'users.title': 'المستخدمون والأدوار',
+  'users.hint': 'تسري التغييرات في المرة التالية التي يحمّل فيها المستخدم صفحة',
+  'users.loading': 'جارٍ تحميل المستخدمين...',
+  'users.columns.name': 'المستخدم',
+  'users.columns.role': 'الدور',
+  'users.columns.provider': 'مقدم الرعاية',
+  'users.roleFor': 'دور {name}',
+  'users.providerFor': 'مقدم الرعاية لـ {name}',
+  'users.cannotChangeOwn': 'لا يمكنك تغيير دورك',
+  'users.updated': 'تم تغيير دور {name} إلى {role}',
+
+
+  // الحجز نيابةً عن مريض
+  'newBooking.button': 'حجز جديد',
+  'newBooking.title': 'حجز جديد',
+  'newBooking.hint': 'احجز موعدًا لمريض يتصل هاتفيًا أو حاضر في الاستقبال',
+  'newBooking.patientTitle': 'لمن هذا الموعد؟',
+  'newBooking.searchLabel': 'البحث عن المرضى',
+  'newBooking.searchPlaceholder': 'الاسم أو البريد الإلكتروني أو الهاتف',
+  'newBooking.searching': 'جارٍ البحث...',
+  'newBooking.noPatients': 'لا يوجد مرضى مطابقون. أضفه كمريض جديد.',
+  'newBooking.choosePatient': 'الحجز لـ {name}',
+  'newBooking.newPatient': 'مريض جديد',
+  'newBooking.newPatientTitle': 'مريض جديد',
+  'newBooking.newPatientHint': 'سنرسل إليه رابطًا لتأكيد بريده الإلكتروني. يمكنه تعيين كلمة مرور من "نسيت كلمة المرور؟".',
+  'newBooking.createPatient': 'إضافة المريض',
+  'newBooking.changePatient': 'تغيير المريض',
+  'newBooking.bookingFor': 'لـ {name}',
+  'newBooking.slotTaken': 'حُجز موعد {time} للتو. يرجى اختيار وقت آخر.',
+  'newBooking.doneTitle': 'تم حجز الموعد',
+  'newBooking.doneText': 'تم حجز موعد {name} في {time}.',
+  'newBooking.viewAll': 'عرض كل الحجوزات',
+  'newBooking.another': 'حجز آخر',
+
+
+  // دليل المرضى
+  'patients.title': 'المرضى',
+  'patients.loading': 'جارٍ تحميل المرضى...',
+  'patients.loadingOne': 'جارٍ تحميل بيانات المريض...',
+  'patients.emptyTitle': 'لم يتم العثور على مرضى',
+  'patients.emptySearch': 'لا يوجد مريض يطابق هذا الاسم أو البريد الإلكتروني أو رقم الهاتف.',
+  'patients.emptyHint': 'يظهر المرضى هنا بعد تسجيلهم أو إضافتهم من الحجز الجديد.',
+  'patients.open': 'فتح ملف المريض',
+  'patients.columns.bookings': 'الحجوزات',
+  'patients.columns.cancellations': 'الإلغاءات',
+  'patients.upcomingCount': {
+    zero: 'لا حجوزات قادمة',
+    one: 'حجز قادم واحد',
+    two: 'حجزان قادمان',
+    few: '{count} حجوزات قادمة',
+    many: '{count} حجزًا قادمًا',
+    other: '{count} حجز قادم'
+  },
+  'patients.active': 'نشط',
+  'patients.deactivated': 'معطّل',
+  'patients.notFoundTitle': 'المريض غير موجود',
+  'patients.notFound': 'هذا المريض غير موجود أو تم حذف حسابه.',
+  'patients.book': 'حجز موعد',
+  'patients.message': 'إرسال رسالة',
+  'patients.deactivate': 'تعطيل',
+  'patients.reactivate': 'إعادة التفعيل',
+  'patients.contactTitle': 'بيانات الاتصال',
+  'patients.unverified': 'البريد الإلكتروني لم يُؤكَّد بعد',
+  'patients.stats.total': 'إجمالي الحجوزات',
+  'patients.stats.upcoming': 'القادمة',
+  'patients.stats.completed': 'المكتملة',
+  'patients.stats.cancelled': 'الإلغاءات',
+  'patients.notesTitle': 'ملاحظات العيادة',
+  'patients.notesHint': 'لا يرى هذه الملاحظات إلا الموظفون.',
+  'patients.saveNotes': 'حفظ الملاحظات',
+  'patients.notesSaved': 'تم حفظ الملاحظات',
+  'patients.upcomingTitle': 'المواعيد القادمة',
+  'patients.pastTitle': 'المواعيد السابقة والملغاة',
+  'patients.noBookings': 'لا يوجد',
+  'patients.messageTitle': 'رسالة إلى {name}',
+  'patients.subject': 'الموضوع',
+  'patients.messageBody': 'الرسالة',
+  'patients.send': 'إرسال',
+  'patients.messageSent': 'تم إرسال الرسالة إلى {email}',
+  'patients.deactivateTitle': 'تعطيل حساب {name}؟',
+  'patients.deactivateHint': 'سيتم تسجيل خروجه ولن يتمكن من تسجيل الدخول أو الحجز له حتى تتم إعادة تفعيل الحساب. تبقى حجوزاته الحالية كما هي.',
+  'patients.reactivateTitle': 'إعادة تفعيل حساب {name}؟',
+  'patients.reactivateHint': 'سيتمكن من تسجيل الدخول والحجز مجددًا.',
+  'patients.deactivatedNotice': 'تم تعطيل حساب {name}',
+  'patients.reactivatedNotice': 'تمت إعادة تفعيل حساب {name}',
+
+  // الإشعارات
+  'notifications.toastsLabel': 'الإشعارات',
+  'notifications.title': 'الإشعارات الأخيرة',
+  'notifications.open': 'عرض الإشعارات الأخيرة',
+  'notifications.openWithUnread': {
+    zero: 'عرض الإشعارات الأخيرة، لا توجد إشعارات غير مقروءة',
+    one: 'عرض الإشعارات الأخيرة، إشعار واحد غير مقروء',
+    two: 'عرض الإشعارات الأخيرة، إشعاران غير مقروءين',
+    few: 'عرض الإشعارات الأخيرة، {count} إشعارات غير مقروءة',
+    many: 'عرض الإشعارات الأخيرة، {count} إشعارًا غير مقروء',
+    other: 'عرض الإشعارات الأخيرة، {count} إشعار غير مقروء'
+  },
+  'notifications.clear': 'مسح',
+  'notifications.empty': 'لا جديد منذ تسجيل دخولك.',
+  'notifications.undone': '(تم التراجع)'
+};
+
+export default ar;
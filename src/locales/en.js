@@ -0,0 +1,642 @@
+// English is the reference catalog: every key used by the app must exist here,
+// other languages fall back to it. Plural messages are keyed by
+// Intl.PluralRules category ("zero", "one", "two", "few", "many", "other").
+const en = {
+  'app.title': 'Appointment Booking System',
+  'app.shortTitle': 'Appointment Booking',
+  'app.tagline': 'Book your appointments with ease',
+  'app.initializing': 'Initializing application...',
+
+  'common.loading': 'Loading...',
+  'common.closeMessage': 'Close message',
+  'common.undo': 'Undo',
+  'common.cancel': 'Cancel',
+  'common.confirm': 'Confirm',
+  'common.pleaseWait': 'Please wait...',
+  'common.refresh': 'Refresh',
+  'common.previous': 'Previous',
+  'common.next': 'Next',
+  'common.today': 'Today',
+  'common.from': 'From',
+  'common.to': 'To',
+  'common.fromDate': 'From date',
+  'common.toDate': 'To date',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.remove': 'Remove',
+  'common.saving': 'Saving...',
+  'common.saveChanges': 'Save Changes',
+  'common.cannotUndo': 'This cannot be undone.',
+
+  'errors.connection': 'Unable to connect to server. Please check your connection.',
+
+  'session.expired': 'Your session has expired. Please sign in again.',
+  'session.refreshFailed': 'Unable to refresh session',
+  'session.signedOutElsewhere': 'You signed out in another tab.',
+  'session.expiresIn': 'Your session expires in {countdown}.',
+  'session.extendFailed': 'Unable to extend your session. Save your work and sign in again.',
+  'session.extending': 'Extending...',
+  'session.staySignedIn': 'Stay signed in',
+  'session.signInAgain': 'Sign in again',
+  'session.signInToContinue': 'Please sign in again to continue.',
+
+  'auth.loginTitle': 'Login to Your Account',
+  'auth.registerTitle': 'Create Your Account',
+  'auth.emailPlaceholder': 'Email address',
+  'auth.passwordPlaceholder': 'Password',
+  'auth.namePlaceholder': 'Full name',
+  'auth.confirmPasswordPlaceholder': 'Confirm password',
+  'auth.signIn': 'Sign In',
+  'auth.loggingIn': 'Logging in...',
+  'auth.loginSuccess': 'Login successful!',
+  'auth.noAccount': "Don't have an account?",
+  'auth.createAccountLink': 'Create account',
+  'auth.haveAccount': 'Already have an account?',
+  'auth.signInLink': 'Sign in',
+  'auth.createAccount': 'Create Account',
+  'auth.creatingAccount': 'Creating account...',
+  'auth.registerSuccess': 'Registration successful! Please log in.',
+  'auth.passwordMismatch': 'Passwords do not match',
+  'auth.passwordRequirements': 'Password must contain at least 8 characters with uppercase, lowercase, number, and special character',
+  'auth.strength.veryWeak': 'Very Weak',
+  'auth.strength.weak': 'Weak',
+  'auth.strength.fair': 'Fair',
+  'auth.strength.good': 'Good',
+  'auth.strength.strong': 'Strong',
+  'auth.demoCredentials': 'Demo Credentials',
+  'auth.tryAsPatient': 'Try as Patient',
+  'auth.tryAsAdmin': 'Try as Admin',
+  'auth.tryAsReceptionist': 'Try as Receptionist',
+  'auth.tryAsProvider': 'Try as Provider',
+  'auth.patientLabel': 'Patient:',
+  'auth.adminLabel': 'Admin:',
+  'auth.receptionistLabel': 'Receptionist:',
+  'auth.providerLabel': 'Provider:',
+  'auth.forgotPassword': 'Forgot password?',
+  'auth.forgotTitle': 'Reset Your Password',
+  'auth.forgotIntro': "Enter your account's email address and we'll send you a link to choose a new password.",
+  'auth.sendResetLink': 'Send Reset Link',
+  'auth.sendingResetLink': 'Sending...',
+  'auth.resendResetLink': 'Resend Link',
+  'auth.resendIn': {
+    one: 'Resend in {count} second',
+    other: 'Resend in {count} seconds'
+  },
+  'auth.resetLinkSent': 'If an account exists for {email}, we have sent it a link to reset the password. Check your inbox and spam folder.',
+  'auth.rememberedPassword': 'Remembered it?',
+  'auth.checkingResetLink': 'Checking your reset link...',
+  'auth.resetTitle': 'Choose a New Password',
+  'auth.resetPassword': 'Reset Password',
+  'auth.resetDoneTitle': 'Password Reset',
+  'auth.resetDone': 'Your password has been reset and any other sessions have been signed out. Sign in with your new password.',
+  'auth.resetLink.invalidTitle': 'Link Not Valid',
+  'auth.resetLink.invalid': 'This reset link is not valid. It may be incomplete or may have been used already.',
+  'auth.resetLink.expiredTitle': 'Link Expired',
+  'auth.resetLink.expired': 'This reset link has expired. Request a new one to choose your password.',
+  'auth.requestNewLink': 'Request a New Link',
+
+  'verify.checkInboxTitle': 'Verify Your Email',
+  'verify.checkInbox': 'We sent a verification link to {email}. Open it to confirm the address is yours; you need to do this before booking appointments.',
+  'verify.continueToSignIn': 'Continue to Sign In',
+  'verify.resend': 'Resend Verification Email',
+  'verify.resent': 'A new verification link is on its way to {email}.',
+  'verify.checking': 'Verifying your email...',
+  'verify.verifiedTitle': 'Email Verified',
+  'verify.verified': 'Thanks, your email address is confirmed. You can now book appointments.',
+  'verify.continue': 'Continue',
+  'verify.failedTitle': 'Verification Failed',
+  'verify.tryAgain': 'Try Again',
+  'verify.link.invalidTitle': 'Link Not Valid',
+  'verify.link.invalid': 'This verification link is not valid. It may be incomplete, or a newer link may have replaced it.',
+  'verify.link.expiredTitle': 'Link Expired',
+  'verify.link.expired': 'This verification link has expired.',
+  'verify.signInToResend': 'Sign in to get a new verification link.',
+  'verify.bannerTitle': 'Please verify your email address',
+  'verify.bannerText': 'You can book appointments once you have opened the link we sent to {email}.',
+
+  'header.welcome': 'Welcome, {name}',
+  'header.signOut': 'Sign Out',
+  'roles.admin': 'Administrator',
+  'roles.patient': 'Patient',
+  'roles.receptionist': 'Receptionist',
+  'roles.provider': 'Provider',
+
+  'preferences.timeZone': 'Time zone',
+  'preferences.thisDevice': 'this device',
+  'preferences.clinic': 'clinic',
+  'preferences.language': 'Language',
+  'preferences.clockLabel': 'Clock format',
+  'preferences.clock.auto': 'Clock: automatic',
+  'preferences.clock.h12': '12-hour clock',
+  'preferences.clock.h24': '24-hour clock',
+
+  'nav.availableSlots': 'Available Slots',
+  'nav.myBookings': 'My Bookings',
+  'nav.allBookings': 'All Bookings',
+  'nav.schedule': 'Schedule',
+  'nav.analytics': 'Analytics',
+  'nav.myWaitlist': 'My Waitlist',
+  'nav.waitlist': 'Waitlist',
+  'nav.profile': 'Profile',
+  'nav.users': 'Users',
+  'nav.patients': 'Patients',
+
+  'notFound.title': 'Page not found',
+  'notFound.message': "The page you're looking for doesn't exist.",
+  'notFound.goToDashboard': 'Go to dashboard',
+  'notFound.goToLogin': 'Go to login',
+  'accessDenied.title': 'Access denied',
+  'accessDenied.message': "Your account doesn't have permission to view this page.",
+
+  'status.upcoming': 'Upcoming',
+  'status.completed': 'Completed',
+  'status.cancelled': 'Cancelled',
+
+  'time.atClinic': '{range} {zone} at the clinic',
+
+  'slots.title': 'Available Appointments',
+  'slots.viewLabel': 'Slot view',
+  'slots.views.list': 'List',
+  'slots.views.week': 'Week',
+  'slots.views.month': 'Month',
+  'slots.loading': 'Loading available slots...',
+  'slots.book': 'Book Slot',
+  'slots.booking': 'Booking...',
+  'slots.past': 'Past',
+  'slots.taken': 'Just taken',
+  'slots.justTaken': 'The {time} slot was just taken by someone else.',
+  'slots.nearestAlternatives': 'These are the nearest times still available:',
+  'slots.noAlternatives': 'There are no other times available in this range. Try different dates.',
+  'slots.soon': 'Soon!',
+  'slots.bookAt': 'Book {time}',
+  'slots.bookSuccess': 'Slot booked successfully!',
+  'slots.emptyTitle': 'No available slots',
+  'slots.emptyHint': 'Please try a different date range or check back later.',
+  'slots.noneOnDay': 'No available slots on this day.',
+  'slots.noneInRange': 'No available slots in this range.',
+  'slots.count': {
+    one: '{count} slot',
+    other: '{count} slots'
+  },
+  'slots.dayAvailability': {
+    one: '{date}: {count} available slot',
+    other: '{date}: {count} available slots'
+  },
+
+  'bookings.title': 'My Appointments',
+  'bookings.loading': 'Loading your bookings...',
+  'bookings.emptyTitle': 'No appointments',
+  'bookings.emptyHint': "You haven't booked any appointments yet.",
+  'bookings.upcomingTitle': {
+    one: 'Upcoming Appointments ({count})',
+    other: 'Upcoming Appointments ({count})'
+  },
+  'bookings.pastTitle': {
+    one: 'Past Appointments ({count})',
+    other: 'Past Appointments ({count})'
+  },
+  'bookings.cancelledTitle': {
+    one: 'Cancelled Appointments ({count})',
+    other: 'Cancelled Appointments ({count})'
+  },
+  'bookings.bookedOn': 'Booked on {time}',
+  'bookings.reschedule': 'Reschedule',
+  'bookings.cancelBooking': 'Cancel Booking',
+  'bookings.cancelling': 'Cancelling...',
+  'bookings.cancelSuccess': 'Booking cancelled successfully!',
+  'bookings.rescheduleTitle': 'Reschedule appointment',
+  'bookings.confirmNewTime': 'Confirm New Time',
+  'bookings.current': 'Current',
+  'bookings.new': 'New',
+  'bookings.selectTime': 'Select a time above',
+  'bookings.rescheduleSuccess': 'Appointment moved to {time}.',
+  'bookings.rescheduleKept': '{error} Your appointment on {time} has been kept.',
+
+  'intake.title': 'Confirm booking',
+  'intake.book': 'Book appointment',
+  'intake.reason': 'Reason for visit',
+  'intake.notes': 'Notes for the clinic',
+  'intake.loadingQuestions': 'Loading questions...',
+  'intake.questionsTitle': 'A few questions before your visit',
+  'intake.selectOption': 'Select...',
+  'intake.yes': 'Yes',
+  'intake.no': 'No',
+  'intake.reasonRequired': 'Please enter a reason for your visit.',
+  'intake.answerRequired': 'Please answer "{question}".',
+  'intake.noDetails': 'No reason or intake answers were given for this booking.',
+
+  'admin.title': 'All Bookings Management',
+  'admin.loading': 'Loading all bookings...',
+  'admin.total': 'Total',
+  'admin.matching': 'Matching',
+  'admin.viewAnalytics': 'View analytics',
+  'admin.emptyTitle': 'No bookings found',
+  'admin.emptyHint': 'No appointments have been booked yet.',
+  'admin.search': 'Search bookings',
+  'admin.searchPlaceholder': 'Search by patient name or email',
+  'admin.statusFilter': 'Filter by status',
+  'admin.allStatuses': 'All statuses',
+  'admin.clearFilters': 'Clear filters',
+  'admin.noMatchesTitle': 'No matching bookings',
+  'admin.noMatchesHint': 'Try a different search, date range or status.',
+  'admin.columns.patient': 'Patient',
+  'admin.columns.email': 'Email',
+  'admin.columns.date': 'Appointment Date',
+  'admin.columns.time': 'Time Slot',
+  'admin.columns.bookedOn': 'Booked On',
+  'admin.columns.bookedBy': 'Booked By',
+  'admin.columns.status': 'Status',
+  'admin.columns.actions': 'Actions',
+  'admin.columns.notes': 'Notes',
+  'admin.columns.cancelReason': 'Cancellation Reason',
+  'admin.columns.service': 'Service',
+  'admin.columns.provider': 'Provider',
+  'admin.columns.location': 'Location',
+  'admin.note': 'Note',
+  'admin.notes': 'Notes',
+  'admin.bookedBy': 'by {name}',
+  'admin.details': 'Details',
+  'admin.pageOf': 'Page {page} of {totalPages}',
+  'admin.totalCount': {
+    one: '({count} total)',
+    other: '({count} total)'
+  },
+  'admin.changeReverted': '{error} The change has been reverted.',
+  'admin.rescheduleSuccess': 'Booking rescheduled successfully!',
+  'admin.notesSuccess': 'Notes saved successfully!',
+  'admin.newBooking': 'New booking: {name} on {time}',
+  'admin.cancelTitle': 'Cancel booking?',
+  'admin.bookingOn': 'on {time}',
+  'admin.cancelReason': 'Reason for cancellation',
+  'admin.rescheduleTitle': 'Reschedule booking',
+  'admin.moveBooking': 'Move Booking',
+  'admin.bookedFor': 'is booked for {time}.',
+  'admin.moveTo': 'Move to',
+  'admin.notesTitle': 'Internal notes',
+  'admin.saveNotes': 'Save Notes',
+  'admin.notesHint': 'Visible to staff only.',
+  'admin.notesFor': 'Notes for {name}',
+
+  'schedule.title': 'Schedule Management',
+  'schedule.zoneNote': 'Times shown in clinic time ({zone}, {label})',
+  'schedule.ownOnly': 'Showing only your own schedule',
+  'schedule.loading': 'Loading schedule...',
+  'schedule.emptyTitle': 'No slots scheduled',
+  'schedule.emptyHint': 'Create a slot or generate a recurring schedule for this date range.',
+  'schedule.newSlot': 'New Slot',
+  'schedule.createSlot': 'Create Slot',
+  'schedule.editSlot': 'Edit Slot',
+  'schedule.starts': 'Starts',
+  'schedule.ends': 'Ends',
+  'schedule.endAfterStart': 'End time must be after the start time',
+  'schedule.overlaps': {
+    one: 'Overlaps {count} existing slot:',
+    other: 'Overlaps {count} existing slots:'
+  },
+  'schedule.overlapsBadge': 'Overlaps',
+  'schedule.booked': 'Booked',
+  'schedule.open': 'Open',
+  'schedule.cannotEdit': 'Booked slots cannot be edited',
+  'schedule.cannotDelete': 'Booked slots cannot be deleted',
+  'schedule.createSuccess': 'Slot created successfully!',
+  'schedule.updateSuccess': 'Slot updated successfully!',
+  'schedule.deleteSuccess': 'Slot deleted successfully!',
+  'schedule.deleteBooked': 'This slot has a booking and cannot be deleted.',
+  'schedule.deleteTitle': 'Delete slot?',
+  'schedule.deleteSlot': 'Delete Slot',
+  'schedule.generateTitle': 'Generate Recurring Slots',
+  'schedule.dayStarts': 'Day starts',
+  'schedule.dayEnds': 'Day ends',
+  'schedule.slotLength': 'Slot length',
+  'schedule.minutes': {
+    one: '{count} min',
+    other: '{count} min'
+  },
+  'schedule.breaks': 'Breaks',
+  'schedule.breakTo': 'to',
+  'schedule.addBreak': 'Add break',
+  'schedule.preview': 'Preview',
+  'schedule.previewCount': {
+    one: '{count} slot will be created',
+    other: '{count} slots will be created'
+  },
+  'schedule.previewOverlaps': {
+    one: '{count} overlaps existing slots',
+    other: '{count} overlap existing slots'
+  },
+  'schedule.generateLimit': 'Only the first {count} slots are generated at a time.',
+  'schedule.creating': 'Creating...',
+  'schedule.createCount': {
+    one: 'Create {count} Slot',
+    other: 'Create {count} Slots'
+  },
+  'schedule.generateSuccess': {
+    one: '{count} slot created successfully!',
+    other: '{count} slots created successfully!'
+  },
+
+  'analytics.title': 'Booking Analytics',
+  'analytics.loading': 'Loading analytics...',
+  'analytics.rangeOrder': 'The start date must be on or before the end date.',
+  'analytics.rangeTooLong': 'Choose a range of at most {count} days.',
+  'analytics.totalBookings': 'Bookings',
+  'analytics.cancellationRate': 'Cancellation rate',
+  'analytics.cancelledCount': {
+    one: '{count} cancelled',
+    other: '{count} cancelled'
+  },
+  'analytics.utilization': 'Slot utilization',
+  'analytics.bookedOfOffered': {
+    one: '{booked} of {count} slot booked',
+    other: '{booked} of {count} slots booked'
+  },
+  'analytics.medianLeadTime': 'Median lead time',
+  'analytics.averageLeadTime': 'Average {time}',
+  'analytics.peakHour': 'Busiest hour',
+  'analytics.bookingsOverTime': 'Bookings over time',
+  'analytics.groupBy': 'Group bookings by',
+  'analytics.groupings.day': 'Day',
+  'analytics.groupings.week': 'Week',
+  'analytics.per.day': 'Bookings per day',
+  'analytics.per.week': 'Bookings per week',
+  'analytics.weekOf': 'Week of {date}',
+  'analytics.peakHours': 'Peak hours',
+  'analytics.bookingsByHour': 'Bookings by start time',
+  'analytics.noBookings': 'No slots or bookings in this range.',
+
+  'waitlist.title': 'My Waitlist',
+  'waitlist.loading': 'Loading your waitlist...',
+  'waitlist.join': 'Join the waitlist',
+  'waitlist.joinTitle': 'Join the waitlist',
+  'waitlist.joinHint': "Tell us when you could come in. As soon as a matching slot opens we'll hold it for you for a short time so you can claim it.",
+  'waitlist.firstDay': 'From',
+  'waitlist.lastDay': 'Until (optional)',
+  'waitlist.earliestTime': 'Earliest start (optional)',
+  'waitlist.latestTime': 'Latest start (optional)',
+  'waitlist.zoneNote': 'Times are in {zone}.',
+  'waitlist.fromRequired': 'Choose the first day you could come in.',
+  'waitlist.windowOrder': 'The latest start must be after the earliest start.',
+  'waitlist.joined': "You're on the waitlist. We'll offer you a slot as soon as one opens.",
+  'waitlist.joinedWithOffer': "You're on the waitlist, and a matching slot is already being held for you.",
+  'waitlist.view': 'View waitlist',
+  'waitlist.viewOffer': 'View offer',
+  'waitlist.emptyTitle': "You're not on the waitlist",
+  'waitlist.emptyHint': 'When no slots suit you, join the waitlist from the available slots page.',
+  'waitlist.entryTitle': 'Waiting for a slot',
+  'waitlist.status.waiting': 'Waiting',
+  'waitlist.status.offered': 'Slot offered',
+  'waitlist.fromDay': 'From {date}',
+  'waitlist.anyTime': 'Any time of day',
+  'waitlist.after': 'Starting at {time} or later',
+  'waitlist.before': 'Starting before {time}',
+  'waitlist.joinedOn': 'Joined on {time}',
+  'waitlist.offerFor': 'A slot on {time} is being held for you.',
+  'waitlist.expiresIn': 'Claim it within {countdown}.',
+  'waitlist.offerNotice': 'A slot you were waiting for is free on {time}. Claim it within {countdown}.',
+  'waitlist.claim': 'Claim slot',
+  'waitlist.decline': 'Pass',
+  'waitlist.remove': 'Leave waitlist',
+  'waitlist.claimed': 'Booked for {time}!',
+  'waitlist.declined': "Slot passed on. You're still on the waitlist.",
+  'waitlist.removed': 'You have left the waitlist.',
+
+  'waitlistDemand.title': 'Waitlist Demand',
+  'waitlistDemand.loading': 'Loading the waitlist...',
+  'waitlistDemand.emptyTitle': 'Nobody is waiting',
+  'waitlistDemand.emptyHint': 'Patients who find no suitable slot can join the waitlist.',
+  'waitlistDemand.entries': 'Waitlist entries',
+  'waitlistDemand.patients': 'Patients waiting',
+  'waitlistDemand.offersOpen': 'Offers open',
+  'waitlistDemand.medianWait': 'Median time waiting',
+  'waitlistDemand.requestedDays': 'Requested days',
+  'waitlistDemand.waitingPerDay': 'Entries waiting per day',
+  'waitlistDemand.requestedHours': 'Requested times',
+  'waitlistDemand.waitingPerHour': 'Entries waiting per start hour',
+  'waitlistDemand.allFlexible': 'Every entry accepts any time of day.',
+  'waitlistDemand.flexible': {
+    one: '{count} more entry accepts any time of day.',
+    other: '{count} more entries accept any time of day.'
+  },
+  'waitlistDemand.columns.window': 'Waiting for',
+  'waitlistDemand.columns.joined': 'Joined',
+  'waitlistDemand.offeredSlot': 'Offered {time}',
+
+  'calendar.appointmentTitle': 'Clinic appointment',
+  'calendar.addToCalendar': 'Add to calendar',
+  'calendar.updateCalendar': 'Update calendar',
+  'calendar.removeFromCalendar': 'Remove from calendar',
+  'calendar.exportUpcoming': 'Export upcoming (.ics)',
+  'calendar.feedName': 'My appointments',
+  'calendar.cancelledHint': 'Download the cancellation to remove these appointments from your calendar.',
+  'calendar.scheduleDay': 'Schedule day to export',
+  'calendar.exportDay': 'Export day (.ics)',
+  'calendar.exporting': 'Exporting...',
+  'calendar.scheduleName': 'Clinic schedule, {date}',
+  'calendar.scheduleEmpty': 'No slots scheduled on {date}.',
+  'calendar.scheduleBooked': 'Appointment: {name}',
+  'calendar.scheduleOpen': 'Open slot',
+
+  'export.button': 'Export',
+  'export.title': 'Export bookings',
+  'export.hint': 'Every page of bookings matching the current view is included.',
+  'export.download': 'Download',
+  'export.fileFormat': 'File format',
+  'export.formats.csv': 'CSV (.csv)',
+  'export.formats.xlsx': 'Excel (.xlsx)',
+  'export.dateFormat': 'Date format',
+  'export.dateFormats.locale': 'Match my language',
+  'export.dateFormats.iso': 'ISO (2024-01-31 14:30)',
+  'export.dateFormats.us': 'US (01/31/2024 2:30 PM)',
+  'export.dateFormats.eu': 'European (31/01/2024 14:30)',
+  'export.columns': 'Columns',
+  'export.progressLabel': 'Export progress',
+  'export.starting': 'Fetching bookings...',
+  'export.progress': {
+    one: 'Fetched page {page} of {totalPages} ({fetched} of {count} booking)',
+    other: 'Fetched page {page} of {totalPages} ({fetched} of {count} bookings)'
+  },
+  'export.empty': 'There are no bookings to export.',
+  'export.success': {
+    one: 'Exported {count} booking.',
+    other: 'Exported {count} bookings.'
+  },
+  'export.sheetName': 'Bookings',
+
+
+  'providers.filterBy.provider': 'Filter by provider',
+  'providers.filterBy.service': 'Filter by service',
+  'providers.filterBy.location': 'Filter by location',
+  'providers.all.provider': 'All providers',
+  'providers.all.service': 'All services',
+  'providers.all.location': 'All locations',
+  'providers.unassigned.provider': 'No provider',
+  'providers.unassigned.service': 'No service',
+  'providers.unassigned.location': 'No location',
+  'providers.groupBy': 'Group by',
+  'providers.noGrouping': 'No grouping',
+  'providers.groupByOption.provider': 'By provider',
+  'providers.groupByOption.service': 'By service',
+  'providers.groupByOption.location': 'By location',
+  'providers.notSet': 'Not set',
+  'providers.specialties': 'Specialties',
+  'providers.profileTitle': 'Provider profile',
+  'providers.showSlots': 'Show their times',
+
+
+  'reminders.settingsTitle': 'Appointment reminders',
+  'reminders.enable': 'Remind me before my appointments',
+  'reminders.leadLegend': 'Send a reminder',
+  'reminders.leadBefore': '{lead} before',
+  'reminders.hours': {
+    one: '{count} hour',
+    other: '{count} hours'
+  },
+  'reminders.days': {
+    one: '{count} day',
+    other: '{count} days'
+  },
+  'reminders.hint': 'Reminders appear as browser notifications while this app is open in a tab. Most browsers cannot show them once it is closed.',
+  'reminders.unsupported': 'This browser cannot show notifications, so reminders are unavailable.',
+  'reminders.denied': 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.',
+  'reminders.title': 'Appointment reminder',
+  'reminders.body': 'You have an appointment on {time}.',
+
+  'profile.title': 'Profile & Settings',
+  'profile.detailsTitle': 'Personal details',
+  'profile.name': 'Full name',
+  'profile.email': 'Email',
+  'profile.phone': 'Phone',
+  'profile.detailsSaved': 'Your details have been saved.',
+  'profile.emailUnverified': '{email} has not been verified yet. Open the link we sent to it to start booking.',
+  'profile.passwordTitle': 'Change password',
+  'profile.currentPassword': 'Current password',
+  'profile.newPassword': 'New password',
+  'profile.confirmPassword': 'Confirm new password',
+  'profile.changePassword': 'Change Password',
+  'profile.passwordChanged': 'Your password has been changed.',
+  'profile.preferencesTitle': 'Preferences',
+  'profile.dataTitle': 'Your data',
+  'profile.dataHint': 'Download a copy of your profile, bookings and waitlist entries as a JSON file.',
+  'profile.downloadData': 'Download My Data',
+  'profile.deleteTitle': 'Delete account',
+  'profile.deleteHint': 'Deleting your account cancels your upcoming appointments and removes your bookings and waitlist entries. This cannot be undone.',
+  'profile.deleteAccount': 'Delete Account',
+  'profile.deleteConfirm': 'Your upcoming appointments will be cancelled and everything stored about you will be removed. This cannot be undone.',
+  'profile.confirmWithPassword': 'Enter your password to confirm',
+  'profile.deleted': 'Your account has been deleted.',
+
+  'onboarding.title': 'Welcome, {name}!',
+  'onboarding.intro': 'Before you book, we need a few details. This only takes a minute.',
+  'onboarding.stepOf': 'Step {step} of {total}',
+  'onboarding.steps.details': 'Your details',
+  'onboarding.steps.consent': 'Consent',
+  'onboarding.phone': 'Phone',
+  'onboarding.dateOfBirth': 'Date of birth',
+  'onboarding.invalidPhone': 'Enter a valid phone number.',
+  'onboarding.invalidDateOfBirth': 'Enter a date of birth in the past.',
+  'onboarding.consentLegend': 'Please review and accept',
+  'onboarding.consents.terms': 'I accept the terms of service',
+  'onboarding.consents.privacy': 'I agree to my health information being processed as described in the privacy policy',
+  'onboarding.consents.reminders': 'Send me appointment reminders and clinic updates by email and text message',
+  'onboarding.required': 'required',
+  'onboarding.back': 'Back',
+  'onboarding.finish': 'Finish',
+
+
+  // Users and roles
+  'users.title': 'Users & Roles',
+  'users.hint': 'Changes take effect the next time the user loads a page',
+  'users.loading': 'Loading users...',
+  'users.columns.name': 'User',
+  'users.columns.role': 'Role',
+  'users.columns.provider': 'Provider',
+  'users.roleFor': 'Role for {name}',
+  'users.providerFor': 'Provider for {name}',
+  'users.cannotChangeOwn': 'You cannot change your own role',
+  'users.updated': "{name}'s role is now {role}",
+
+
+  // Booking on a patient's behalf
+  'newBooking.button': 'New Booking',
+  'newBooking.title': 'New Booking',
+  'newBooking.hint': 'Book an appointment for a patient calling in or at the front desk',
+  'newBooking.patientTitle': 'Who is the appointment for?',
+  'newBooking.searchLabel': 'Search patients',
+  'newBooking.searchPlaceholder': 'Name, email or phone',
+  'newBooking.searching': 'Searching...',
+  'newBooking.noPatients': 'No patients match. Add them as a new patient.',
+  'newBooking.choosePatient': 'Book for {name}',
+  'newBooking.newPatient': 'New Patient',
+  'newBooking.newPatientTitle': 'New patient',
+  'newBooking.newPatientHint': "We'll email them a link to confirm their address. They can set a password with \"Forgot password?\".",
+  'newBooking.createPatient': 'Add Patient',
+  'newBooking.changePatient': 'Change patient',
+  'newBooking.bookingFor': 'For {name}',
+  'newBooking.slotTaken': 'The {time} slot was just taken. Please choose another time.',
+  'newBooking.doneTitle': 'Appointment booked',
+  'newBooking.doneText': '{name} is booked for {time}.',
+  'newBooking.viewAll': 'View All Bookings',
+  'newBooking.another': 'Book Another',
+
+
+  // Patient directory
+  'patients.title': 'Patients',
+  'patients.loading': 'Loading patients...',
+  'patients.loadingOne': 'Loading patient...',
+  'patients.emptyTitle': 'No patients found',
+  'patients.emptySearch': 'No patient matches that name, email or phone number.',
+  'patients.emptyHint': 'Patients appear here once they register or are added from New Booking.',
+  'patients.open': 'Open patient record',
+  'patients.columns.bookings': 'Bookings',
+  'patients.columns.cancellations': 'Cancellations',
+  'patients.upcomingCount': {
+    one: '{count} upcoming',
+    other: '{count} upcoming'
+  },
+  'patients.active': 'Active',
+  'patients.deactivated': 'Deactivated',
+  'patients.notFoundTitle': 'Patient not found',
+  'patients.notFound': 'This patient does not exist or their account was deleted.',
+  'patients.book': 'Book Appointment',
+  'patients.message': 'Send Message',
+  'patients.deactivate': 'Deactivate',
+  'patients.reactivate': 'Reactivate',
+  'patients.contactTitle': 'Contact',
+  'patients.unverified': 'Email not verified yet',
+  'patients.stats.total': 'Total bookings',
+  'patients.stats.upcoming': 'Upcoming',
+  'patients.stats.completed': 'Completed',
+  'patients.stats.cancelled': 'Cancellations',
+  'patients.notesTitle': 'Clinic Notes',
+  'patients.notesHint': 'Only staff can see these notes.',
+  'patients.saveNotes': 'Save Notes',
+  'patients.notesSaved': 'Notes saved',
+  'patients.upcomingTitle': 'Upcoming Appointments',
+  'patients.pastTitle': 'Past and Cancelled Appointments',
+  'patients.noBookings': 'None',
+  'patients.messageTitle': 'Message {name}',
+  'patients.subject': 'Subject',
+  'patients.messageBody': 'Message',
+  'patients.send': 'Send',
+  'patients.messageSent': 'Message sent to {email}',
+  'patients.deactivateTitle': 'Deactivate {name}?',
+  'patients.deactivateHint': 'They will be signed out and cannot sign in or be booked until the account is reactivated. Their existing bookings are kept.',
+  'patients.reactivateTitle': 'Reactivate {name}?',
+  'patients.reactivateHint': 'They will be able to sign in and book again.',
+  'patients.deactivatedNotice': "{name}'s account has been deactivated",
+  'patients.reactivatedNotice': "{name}'s account has been reactivated",
+
+  // Notifications
+  'notifications.toastsLabel': 'Notifications',
+  'notifications.title': 'Recent notifications',
+  'notifications.open': 'Show recent notifications',
+  'notifications.openWithUnread': {
+    one: 'Show recent notifications, 1 unread',
+    other: 'Show recent notifications, {count} unread'
+  },
+  'notifications.clear': 'Clear',
+  'notifications.empty': 'Nothing new since you signed in.',
+  'notifications.undone': '(undone)'
+};
+
+export default en;
@@ -0,0 +1,639 @@
+const es = {
+  'app.title': 'Sistema de reserva de citas',
+  'app.shortTitle': 'Reserva de citas',
+  'app.tagline': 'Reserva tus citas fácilmente',
+  'app.initializing': 'Iniciando la aplicación...',
+
+  'common.loading': 'Cargando...',
+  'common.closeMessage': 'Cerrar mensaje',
+  'common.undo': 'Deshacer',
+  'common.cancel': 'Cancelar',
+  'common.confirm': 'Confirmar',
+  'common.pleaseWait': 'Espera un momento...',
+  'common.refresh': 'Actualizar',
+  'common.previous': 'Anterior',
+  'common.next': 'Siguiente',
+  'common.today': 'Hoy',
+  'common.from': 'Desde',
+  'common.to': 'Hasta',
+  'common.fromDate': 'Fecha inicial',
+  'common.toDate': 'Fecha final',
+  'common.edit': 'Editar',
+  'common.delete': 'Eliminar',
+  'common.remove': 'Quitar',
+  'common.saving': 'Guardando...',
+  'common.saveChanges': 'Guardar cambios',
+  'common.cannotUndo': 'Esta acción no se puede deshacer.',
+
+  'errors.connection': 'No se pudo conectar con el servidor. Revisa tu conexión.',
+
+  'session.expired': 'Tu sesión ha caducado. Inicia sesión de nuevo.',
+  'session.refreshFailed': 'No se pudo renovar la sesión',
+  'session.signedOutElsewhere': 'Cerraste sesión en otra pestaña.',
+  'session.expiresIn': 'Tu sesión caduca en {countdown}.',
+  'session.extendFailed': 'No se pudo ampliar la sesión. Guarda tu trabajo e inicia sesión de nuevo.',
+  'session.extending': 'Ampliando...',
+  'session.staySignedIn': 'Mantener la sesión',
+  'session.signInAgain': 'Volver a iniciar sesión',
+  'session.signInToContinue': 'Inicia sesión de nuevo para continuar.',
+
+  'auth.loginTitle': 'Inicia sesión en tu cuenta',
+  'auth.registerTitle': 'Crea tu cuenta',
+  'auth.emailPlaceholder': 'Correo electrónico',
+  'auth.passwordPlaceholder': 'Contraseña',
+  'auth.namePlaceholder': 'Nombre completo',
+  'auth.confirmPasswordPlaceholder': 'Confirmar contraseña',
+  'auth.signIn': 'Iniciar sesión',
+  'auth.loggingIn': 'Iniciando sesión...',
+  'auth.loginSuccess': '¡Sesión iniciada!',
+  'auth.noAccount': '¿No tienes cuenta?',
+  'auth.createAccountLink': 'Crear cuenta',
+  'auth.haveAccount': '¿Ya tienes cuenta?',
+  'auth.signInLink': 'Inicia sesión',
+  'auth.createAccount': 'Crear cuenta',
+  'auth.creatingAccount': 'Creando cuenta...',
+  'auth.registerSuccess': '¡Registro completado! Ya puedes iniciar sesión.',
+  'auth.passwordMismatch': 'Las contraseñas no coinciden',
+  'auth.passwordRequirements': 'La contraseña debe tener al menos 8 caracteres con mayúsculas, minúsculas, un número y un carácter especial',
+  'auth.strength.veryWeak': 'Muy débil',
+  'auth.strength.weak': 'Débil',
+  'auth.strength.fair': 'Aceptable',
+  'auth.strength.good': 'Buena',
+  'auth.strength.strong': 'Fuerte',
+  'auth.demoCredentials': 'Credenciales de prueba',
+  'auth.tryAsPatient': 'Probar como paciente',
+  'auth.tryAsAdmin': 'Probar como administrador',
+  'auth.tryAsReceptionist': 'Probar como recepcionista',
+  'auth.tryAsProvider': 'Probar como profesional',
+  'auth.patientLabel': 'Paciente:',
+  'auth.adminLabel': 'Administrador:',
+  'auth.receptionistLabel': 'Recepcionista:',
+  'auth.providerLabel': 'Profesional:',
+  'auth.forgotPassword': '¿Olvidaste tu contraseña?',
+  'auth.forgotTitle': 'Restablece tu contraseña',
+  'auth.forgotIntro': 'Introduce el correo electrónico de tu cuenta y te enviaremos un enlace para elegir una nueva contraseña.',
+  'auth.sendResetLink': 'Enviar enlace',
+  'auth.sendingResetLink': 'Enviando...',
+  'auth.resendResetLink': 'Reenviar enlace',
+  'auth.resendIn': {
+    one: 'Reenviar en {count} segundo',
+    other: 'Reenviar en {count} segundos'
+  },
+  'auth.resetLinkSent': 'Si existe una cuenta para {email}, le hemos enviado un enlace para restablecer la contraseña. Revisa tu bandeja de entrada y la carpeta de spam.',
+  'auth.rememberedPassword': '¿La recordaste?',
+  'auth.checkingResetLink': 'Comprobando el enlace...',
+  'auth.resetTitle': 'Elige una nueva contraseña',
+  'auth.resetPassword': 'Restablecer contraseña',
+  'auth.resetDoneTitle': 'Contraseña restablecida',
+  'auth.resetDone': 'Tu contraseña se ha restablecido y se han cerrado las demás sesiones. Inicia sesión con tu nueva contraseña.',
+  'auth.resetLink.invalidTitle': 'Enlace no válido',
+  'auth.resetLink.invalid': 'Este enlace no es válido. Puede estar incompleto o ya se ha usado.',
+  'auth.resetLink.expiredTitle': 'Enlace caducado',
+  'auth.resetLink.expired': 'Este enlace ha caducado. Solicita uno nuevo para elegir tu contraseña.',
+  'auth.requestNewLink': 'Solicitar un nuevo enlace',
+
+  'verify.checkInboxTitle': 'Verifica tu correo',
+  'verify.checkInbox': 'Hemos enviado un enlace de verificación a {email}. Ábrelo para confirmar que la dirección es tuya; debes hacerlo antes de reservar citas.',
+  'verify.continueToSignIn': 'Continuar para iniciar sesión',
+  'verify.resend': 'Reenviar correo de verificación',
+  'verify.resent': 'Un nuevo enlace de verificación va de camino a {email}.',
+  'verify.checking': 'Verificando tu correo...',
+  'verify.verifiedTitle': 'Correo verificado',
+  'verify.verified': 'Gracias, tu dirección de correo está confirmada. Ya puedes reservar citas.',
+  'verify.continue': 'Continuar',
+  'verify.failedTitle': 'No se pudo verificar',
+  'verify.tryAgain': 'Reintentar',
+  'verify.link.invalidTitle': 'Enlace no válido',
+  'verify.link.invalid': 'Este enlace de verificación no es válido. Puede estar incompleto o haber sido sustituido por uno más reciente.',
+  'verify.link.expiredTitle': 'Enlace caducado',
+  'verify.link.expired': 'Este enlace de verificación ha caducado.',
+  'verify.signInToResend': 'Inicia sesión para recibir un nuevo enlace de verificación.',
+  'verify.bannerTitle': 'Verifica tu dirección de correo',
+  'verify.bannerText': 'Podrás reservar citas cuando abras el enlace que enviamos a {email}.',
+
+  'header.welcome': 'Hola, {name}',
+  'header.signOut': 'Cerrar sesión',
+  'roles.admin': 'Administrador',
+  'roles.patient': 'Paciente',
+  'roles.receptionist': 'Recepcionista',
+  'roles.provider': 'Profesional',
+
+  'preferences.timeZone': 'Zona horaria',
+  'preferences.thisDevice': 'este dispositivo',
+  'preferences.clinic': 'clínica',
+  'preferences.language': 'Idioma',
+  'preferences.clockLabel': 'Formato de hora',
+  'preferences.clock.auto': 'Hora: automática',
+  'preferences.clock.h12': 'Reloj de 12 horas',
+  'preferences.clock.h24': 'Reloj de 24 horas',
+
+  'nav.availableSlots': 'Horarios disponibles',
+  'nav.myBookings': 'Mis reservas',
+  'nav.allBookings': 'Todas las reservas',
+  'nav.schedule': 'Agenda',
+  'nav.analytics': 'Estadísticas',
+  'nav.myWaitlist': 'Mi lista de espera',
+  'nav.waitlist': 'Lista de espera',
+  'nav.profile': 'Perfil',
+  'nav.users': 'Usuarios',
+  'nav.patients': 'Pacientes',
+
+  'notFound.title': 'Página no encontrada',
+  'notFound.message': 'La página que buscas no existe.',
+  'notFound.goToDashboard': 'Ir al panel',
+  'notFound.goToLogin': 'Ir a iniciar sesión',
+  'accessDenied.title': 'Acceso denegado',
+  'accessDenied.message': 'Tu cuenta no tiene permiso para ver esta página.',
+
+  'status.upcoming': 'Próxima',
+  'status.completed': 'Completada',
+  'status.cancelled': 'Cancelada',
+
+  'time.atClinic': '{range} {zone} en la clínica',
+
+  'slots.title': 'Citas disponibles',
+  'slots.viewLabel': 'Vista de horarios',
+  'slots.views.list': 'Lista',
+  'slots.views.week': 'Semana',
+  'slots.views.month': 'Mes',
+  'slots.loading': 'Cargando horarios disponibles...',
+  'slots.book': 'Reservar',
+  'slots.booking': 'Reservando...',
+  'slots.past': 'Pasado',
+  'slots.taken': 'Recién reservado',
+  'slots.justTaken': 'Otra persona acaba de reservar el horario del {time}.',
+  'slots.nearestAlternatives': 'Estos son los horarios disponibles más cercanos:',
+  'slots.noAlternatives': 'No hay otros horarios disponibles en este rango. Prueba con otras fechas.',
+  'slots.soon': '¡Pronto!',
+  'slots.bookAt': 'Reservar {time}',
+  'slots.bookSuccess': '¡Horario reservado!',
+  'slots.emptyTitle': 'No hay horarios disponibles',
+  'slots.emptyHint': 'Prueba con otras fechas o vuelve más tarde.',
+  'slots.noneOnDay': 'No hay horarios disponibles este día.',
+  'slots.noneInRange': 'No hay horarios disponibles en estas fechas.',
+  'slots.count': {
+    one: '{count} horario',
+    other: '{count} horarios'
+  },
+  'slots.dayAvailability': {
+    one: '{date}: {count} horario disponible',
+    other: '{date}: {count} horarios disponibles'
+  },
+
+  'bookings.title': 'Mis citas',
+  'bookings.loading': 'Cargando tus reservas...',
+  'bookings.emptyTitle': 'No tienes citas',
+  'bookings.emptyHint': 'Todavía no has reservado ninguna cita.',
+  'bookings.upcomingTitle': {
+    one: 'Próxima cita ({count})',
+    other: 'Próximas citas ({count})'
+  },
+  'bookings.pastTitle': {
+    one: 'Cita pasada ({count})',
+    other: 'Citas pasadas ({count})'
+  },
+  'bookings.cancelledTitle': {
+    one: 'Cita cancelada ({count})',
+    other: 'Citas canceladas ({count})'
+  },
+  'bookings.bookedOn': 'Reservada el {time}',
+  'bookings.reschedule': 'Cambiar hora',
+  'bookings.cancelBooking': 'Cancelar reserva',
+  'bookings.cancelling': 'Cancelando...',
+  'bookings.cancelSuccess': '¡Reserva cancelada!',
+  'bookings.rescheduleTitle': 'Cambiar la hora de la cita',
+  'bookings.confirmNewTime': 'Confirmar nueva hora',
+  'bookings.current': 'Actual',
+  'bookings.new': 'Nueva',
+  'bookings.selectTime': 'Elige una hora arriba',
+  'bookings.rescheduleSuccess': 'Cita movida al {time}.',
+  'bookings.rescheduleKept': '{error} Se mantiene tu cita del {time}.',
+
+  'intake.title': 'Confirmar reserva',
+  'intake.book': 'Reservar cita',
+  'intake.reason': 'Motivo de la visita',
+  'intake.notes': 'Notas para la clínica',
+  'intake.loadingQuestions': 'Cargando preguntas...',
+  'intake.questionsTitle': 'Unas preguntas antes de tu visita',
+  'intake.selectOption': 'Selecciona...',
+  'intake.yes': 'Sí',
+  'intake.no': 'No',
+  'intake.reasonRequired': 'Indica el motivo de tu visita.',
+  'intake.answerRequired': 'Responde a «{question}».',
+  'intake.noDetails': 'Esta reserva no tiene motivo ni respuestas del cuestionario.',
+
+  'admin.title': 'Gestión de reservas',
+  'admin.loading': 'Cargando todas las reservas...',
+  'admin.total': 'Total',
+  'admin.matching': 'Coincidencias',
+  'admin.viewAnalytics': 'Ver estadísticas',
+  'admin.emptyTitle': 'No hay reservas',
+  'admin.emptyHint': 'Todavía no se ha reservado ninguna cita.',
+  'admin.search': 'Buscar reservas',
+  'admin.searchPlaceholder': 'Buscar por nombre o correo del paciente',
+  'admin.statusFilter': 'Filtrar por estado',
+  'admin.allStatuses': 'Todos los estados',
+  'admin.clearFilters': 'Quitar filtros',
+  'admin.noMatchesTitle': 'Ninguna reserva coincide',
+  'admin.noMatchesHint': 'Prueba con otra búsqueda, otro rango de fechas u otro estado.',
+  'admin.columns.patient': 'Paciente',
+  'admin.columns.email': 'Correo',
+  'admin.columns.date': 'Fecha de la cita',
+  'admin.columns.time': 'Horario',
+  'admin.columns.bookedOn': 'Reservada el',
+  'admin.columns.bookedBy': 'Reservada por',
+  'admin.columns.status': 'Estado',
+  'admin.columns.actions': 'Acciones',
+  'admin.columns.notes': 'Notas',
+  'admin.columns.cancelReason': 'Motivo de cancelación',
+  'admin.columns.service': 'Servicio',
+  'admin.columns.provider': 'Profesional',
+  'admin.columns.location': 'Centro',
+  'admin.note': 'Nota',
+  'admin.notes': 'Notas',
+  'admin.bookedBy': 'por {name}',
+  'admin.details': 'Detalles',
+  'admin.pageOf': 'Página {page} de {totalPages}',
+  'admin.totalCount': {
+    one: '({count} en total)',
+    other: '({count} en total)'
+  },
+  'admin.changeReverted': '{error} Se ha deshecho el cambio.',
+  'admin.rescheduleSuccess': '¡Reserva movida!',
+  'admin.notesSuccess': '¡Notas guardadas!',
+  'admin.newBooking': 'Nueva reserva: {name}, {time}',
+  'admin.cancelTitle': '¿Cancelar la reserva?',
+  'admin.bookingOn': 'el {time}',
+  'admin.cancelReason': 'Motivo de la cancelación',
+  'admin.rescheduleTitle': 'Cambiar la hora de la reserva',
+  'admin.moveBooking': 'Mover reserva',
+  'admin.bookedFor': 'tiene cita el {time}.',
+  'admin.moveTo': 'Mover a',
+  'admin.notesTitle': 'Notas internas',
+  'admin.saveNotes': 'Guardar notas',
+  'admin.notesHint': 'Solo visibles para el personal.',
+  'admin.notesFor': 'Notas sobre {name}',
+
+  'schedule.title': 'Gestión de la agenda',
+  'schedule.zoneNote': 'Horas en la zona de la clínica ({zone}, {label})',
+  'schedule.ownOnly': 'Solo se muestra tu propia agenda',
+  'schedule.loading': 'Cargando agenda...',
+  'schedule.emptyTitle': 'No hay horarios programados',
+  'schedule.emptyHint': 'Crea un horario o genera una agenda recurrente para estas fechas.',
+  'schedule.newSlot': 'Nuevo horario',
+  'schedule.createSlot': 'Crear horario',
+  'schedule.editSlot': 'Editar horario',
+  'schedule.starts': 'Empieza',
+  'schedule.ends': 'Termina',
+  'schedule.endAfterStart': 'La hora de fin debe ser posterior a la de inicio',
+  'schedule.overlaps': {
+    one: 'Se solapa con {count} horario existente:',
+    other: 'Se solapa con {count} horarios existentes:'
+  },
+  'schedule.overlapsBadge': 'Solapado',
+  'schedule.booked': 'Reservado',
+  'schedule.open': 'Libre',
+  'schedule.cannotEdit': 'Los horarios reservados no se pueden editar',
+  'schedule.cannotDelete': 'Los horarios reservados no se pueden eliminar',
+  'schedule.createSuccess': '¡Horario creado!',
+  'schedule.updateSuccess': '¡Horario actualizado!',
+  'schedule.deleteSuccess': '¡Horario eliminado!',
+  'schedule.deleteBooked': 'Este horario tiene una reserva y no se puede eliminar.',
+  'schedule.deleteTitle': '¿Eliminar el horario?',
+  'schedule.deleteSlot': 'Eliminar horario',
+  'schedule.generateTitle': 'Generar horarios recurrentes',
+  'schedule.dayStarts': 'Inicio de jornada',
+  'schedule.dayEnds': 'Fin de jornada',
+  'schedule.slotLength': 'Duración',
+  'schedule.minutes': {
+    one: '{count} min',
+    other: '{count} min'
+  },
+  'schedule.breaks': 'Descansos',
+  'schedule.breakTo': 'a',
+  'schedule.addBreak': 'Añadir descanso',
+  'schedule.preview': 'Vista previa',
+  'schedule.previewCount': {
+    one: 'Se creará {count} horario',
+    other: 'Se crearán {count} horarios'
+  },
+  'schedule.previewOverlaps': {
+    one: '{count} se solapa con horarios existentes',
+    other: '{count} se solapan con horarios existentes'
+  },
+  'schedule.generateLimit': 'Solo se generan los primeros {count} horarios cada vez.',
+  'schedule.creating': 'Creando...',
+  'schedule.createCount': {
+    one: 'Crear {count} horario',
+    other: 'Crear {count} horarios'
+  },
+  'schedule.generateSuccess': {
+    one: '¡{count} horario creado!',
+    other: '¡{count} horarios creados!'
+  },
+
+  'analytics.title': 'Estadísticas de reservas',
+  'analytics.loading': 'Cargando estadísticas...',
+  'analytics.rangeOrder': 'La fecha de inicio debe ser anterior o igual a la fecha final.',
+  'analytics.rangeTooLong': 'Elige un rango de {count} días como máximo.',
+  'analytics.totalBookings': 'Reservas',
+  'analytics.cancellationRate': 'Tasa de cancelación',
+  'analytics.cancelledCount': {
+    one: '{count} cancelada',
+    other: '{count} canceladas'
+  },
+  'analytics.utilization': 'Ocupación de horarios',
+  'analytics.bookedOfOffered': {
+    one: '{booked} de {count} horario reservado',
+    other: '{booked} de {count} horarios reservados'
+  },
+  'analytics.medianLeadTime': 'Antelación mediana',
+  'analytics.averageLeadTime': 'Media {time}',
+  'analytics.peakHour': 'Hora de más demanda',
+  'analytics.bookingsOverTime': 'Reservas en el tiempo',
+  'analytics.groupBy': 'Agrupar reservas por',
+  'analytics.groupings.day': 'Día',
+  'analytics.groupings.week': 'Semana',
+  'analytics.per.day': 'Reservas por día',
+  'analytics.per.week': 'Reservas por semana',
+  'analytics.weekOf': 'Semana del {date}',
+  'analytics.peakHours': 'Horas punta',
+  'analytics.bookingsByHour': 'Reservas por hora de inicio',
+  'analytics.noBookings': 'No hay horarios ni reservas en este rango.',
+
+  'waitlist.title': 'Mi lista de espera',
+  'waitlist.loading': 'Cargando tu lista de espera...',
+  'waitlist.join': 'Unirme a la lista de espera',
+  'waitlist.joinTitle': 'Unirme a la lista de espera',
+  'waitlist.joinHint': 'Indícanos cuándo podrías venir. En cuanto se libere un horario que encaje te lo reservaremos durante un breve tiempo para que lo confirmes.',
+  'waitlist.firstDay': 'Desde',
+  'waitlist.lastDay': 'Hasta (opcional)',
+  'waitlist.earliestTime': 'Inicio más temprano (opcional)',
+  'waitlist.latestTime': 'Inicio más tardío (opcional)',
+  'waitlist.zoneNote': 'Horas en {zone}.',
+  'waitlist.fromRequired': 'Elige el primer día en que podrías venir.',
+  'waitlist.windowOrder': 'El inicio más tardío debe ser posterior al más temprano.',
+  'waitlist.joined': 'Estás en la lista de espera. Te ofreceremos un horario en cuanto se libere uno.',
+  'waitlist.joinedWithOffer': 'Estás en la lista de espera y ya te estamos reservando un horario que encaja.',
+  'waitlist.view': 'Ver lista de espera',
+  'waitlist.viewOffer': 'Ver oferta',
+  'waitlist.emptyTitle': 'No estás en la lista de espera',
+  'waitlist.emptyHint': 'Si ningún horario te viene bien, únete a la lista de espera desde la página de horarios disponibles.',
+  'waitlist.entryTitle': 'Esperando un horario',
+  'waitlist.status.waiting': 'En espera',
+  'waitlist.status.offered': 'Horario ofrecido',
+  'waitlist.fromDay': 'Desde el {date}',
+  'waitlist.anyTime': 'A cualquier hora',
+  'waitlist.after': 'A partir de las {time}',
+  'waitlist.before': 'Antes de las {time}',
+  'waitlist.joinedOn': 'En la lista desde el {time}',
+  'waitlist.offerFor': 'Te estamos reservando un horario el {time}.',
+  'waitlist.expiresIn': 'Confírmalo en {countdown}.',
+  'waitlist.offerNotice': 'Se ha liberado un horario que esperabas el {time}. Confírmalo en {countdown}.',
+  'waitlist.claim': 'Confirmar horario',
+  'waitlist.decline': 'Rechazar',
+  'waitlist.remove': 'Salir de la lista',
+  'waitlist.claimed': '¡Reservado para el {time}!',
+  'waitlist.declined': 'Horario rechazado. Sigues en la lista de espera.',
+  'waitlist.removed': 'Has salido de la lista de espera.',
+
+  'waitlistDemand.title': 'Demanda en lista de espera',
+  'waitlistDemand.loading': 'Cargando la lista de espera...',
+  'waitlistDemand.emptyTitle': 'Nadie está esperando',
+  'waitlistDemand.emptyHint': 'Los pacientes que no encuentran un horario adecuado pueden unirse a la lista de espera.',
+  'waitlistDemand.entries': 'Solicitudes en espera',
+  'waitlistDemand.patients': 'Pacientes esperando',
+  'waitlistDemand.offersOpen': 'Ofertas abiertas',
+  'waitlistDemand.medianWait': 'Mediana de espera',
+  'waitlistDemand.requestedDays': 'Días solicitados',
+  'waitlistDemand.waitingPerDay': 'Solicitudes en espera por día',
+  'waitlistDemand.requestedHours': 'Horas solicitadas',
+  'waitlistDemand.waitingPerHour': 'Solicitudes en espera por hora de inicio',
+  'waitlistDemand.allFlexible': 'Todas las solicitudes aceptan cualquier hora.',
+  'waitlistDemand.flexible': {
+    one: '{count} solicitud más acepta cualquier hora.',
+    other: '{count} solicitudes más aceptan cualquier hora.'
+  },
+  'waitlistDemand.columns.window': 'Espera',
+  'waitlistDemand.columns.joined': 'Desde',
+  'waitlistDemand.offeredSlot': 'Ofrecido {time}',
+
+  'calendar.appointmentTitle': 'Cita en la clínica',
+  'calendar.addToCalendar': 'Añadir al calendario',
+  'calendar.updateCalendar': 'Actualizar calendario',
+  'calendar.removeFromCalendar': 'Quitar del calendario',
+  'calendar.exportUpcoming': 'Exportar próximas (.ics)',
+  'calendar.feedName': 'Mis citas',
+  'calendar.cancelledHint': 'Descarga la cancelación para quitar estas citas de tu calendario.',
+  'calendar.scheduleDay': 'Día de la agenda a exportar',
+  'calendar.exportDay': 'Exportar día (.ics)',
+  'calendar.exporting': 'Exportando...',
+  'calendar.scheduleName': 'Agenda de la clínica, {date}',
+  'calendar.scheduleEmpty': 'No hay horarios el {date}.',
+  'calendar.scheduleBooked': 'Cita: {name}',
+  'calendar.scheduleOpen': 'Horario libre',
+
+  'export.button': 'Exportar',
+  'export.title': 'Exportar reservas',
+  'export.hint': 'Se incluyen todas las páginas de reservas que coinciden con la vista actual.',
+  'export.download': 'Descargar',
+  'export.fileFormat': 'Formato de archivo',
+  'export.formats.csv': 'CSV (.csv)',
+  'export.formats.xlsx': 'Excel (.xlsx)',
+  'export.dateFormat': 'Formato de fecha',
+  'export.dateFormats.locale': 'Según mi idioma',
+  'export.dateFormats.iso': 'ISO (2024-01-31 14:30)',
+  'export.dateFormats.us': 'EE. UU. (01/31/2024 2:30 PM)',
+  'export.dateFormats.eu': 'Europeo (31/01/2024 14:30)',
+  'export.columns': 'Columnas',
+  'export.progressLabel': 'Progreso de la exportación',
+  'export.starting': 'Obteniendo reservas...',
+  'export.progress': {
+    one: 'Página {page} de {totalPages} obtenida ({fetched} de {count} reserva)',
+    other: 'Página {page} de {totalPages} obtenida ({fetched} de {count} reservas)'
+  },
+  'export.empty': 'No hay reservas para exportar.',
+  'export.success': {
+    one: 'Se exportó {count} reserva.',
+    other: 'Se exportaron {count} reservas.'
+  },
+  'export.sheetName': 'Reservas',
+
+
+  'providers.filterBy.provider': 'Filtrar por profesional',
+  'providers.filterBy.service': 'Filtrar por servicio',
+  'providers.filterBy.location': 'Filtrar por centro',
+  'providers.all.provider': 'Todos los profesionales',
+  'providers.all.service': 'Todos los servicios',
+  'providers.all.location': 'Todos los centros',
+  'providers.unassigned.provider': 'Sin profesional',
+  'providers.unassigned.service': 'Sin servicio',
+  'providers.unassigned.location': 'Sin centro',
+  'providers.groupBy': 'Agrupar por',
+  'providers.noGrouping': 'Sin agrupar',
+  'providers.groupByOption.provider': 'Por profesional',
+  'providers.groupByOption.service': 'Por servicio',
+  'providers.groupByOption.location': 'Por centro',
+  'providers.notSet': 'Sin asignar',
+  'providers.specialties': 'Especialidades',
+  'providers.profileTitle': 'Perfil del profesional',
+  'providers.showSlots': 'Ver sus horarios',
+
+
+  'reminders.settingsTitle': 'Recordatorios de citas',
+  'reminders.enable': 'Recordarme mis citas',
+  'reminders.leadLegend': 'Enviar un recordatorio',
+  'reminders.leadBefore': '{lead} antes',
+  'reminders.hours': {
+    one: '{count} hora',
+    other: '{count} horas'
+  },
+  'reminders.days': {
+    one: '{count} día',
+    other: '{count} días'
+  },
+  'reminders.hint': 'Los recordatorios aparecen como notificaciones del navegador mientras esta aplicación está abierta en una pestaña. La mayoría de los navegadores no pueden mostrarlos cuando está cerrada.',
+  'reminders.unsupported': 'Este navegador no puede mostrar notificaciones, así que los recordatorios no están disponibles.',
+  'reminders.denied': 'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador para recibir recordatorios.',
+  'reminders.title': 'Recordatorio de cita',
+  'reminders.body': 'Tienes una cita el {time}.',
+
+  'profile.title': 'Perfil y ajustes',
+  'profile.detailsTitle': 'Datos personales',
+  'profile.name': 'Nombre completo',
+  'profile.email': 'Correo electrónico',
+  'profile.phone': 'Teléfono',
+  'profile.detailsSaved': 'Tus datos se han guardado.',
+  'profile.emailUnverified': '{email} aún no está verificado. Abre el enlace que te enviamos para empezar a reservar.',
+  'profile.passwordTitle': 'Cambiar contraseña',
+  'profile.currentPassword': 'Contraseña actual',
+  'profile.newPassword': 'Nueva contraseña',
+  'profile.confirmPassword': 'Confirmar nueva contraseña',
+  'profile.changePassword': 'Cambiar contraseña',
+  'profile.passwordChanged': 'Tu contraseña se ha cambiado.',
+  'profile.preferencesTitle': 'Preferencias',
+  'profile.dataTitle': 'Tus datos',
+  'profile.dataHint': 'Descarga una copia de tu perfil, tus reservas y tus entradas en listas de espera como archivo JSON.',
+  'profile.downloadData': 'Descargar mis datos',
+  'profile.deleteTitle': 'Eliminar cuenta',
+  'profile.deleteHint': 'Al eliminar tu cuenta se cancelan tus próximas citas y se borran tus reservas y entradas en listas de espera. No se puede deshacer.',
+  'profile.deleteAccount': 'Eliminar cuenta',
+  'profile.deleteConfirm': 'Tus próximas citas se cancelarán y se borrará todo lo que guardamos sobre ti. No se puede deshacer.',
+  'profile.confirmWithPassword': 'Introduce tu contraseña para confirmar',
+  'profile.deleted': 'Tu cuenta se ha eliminado.',
+
+  'onboarding.title': '¡Bienvenido, {name}!',
+  'onboarding.intro': 'Antes de reservar necesitamos algunos datos. Solo te llevará un minuto.',
+  'onboarding.stepOf': 'Paso {step} de {total}',
+  'onboarding.steps.details': 'Tus datos',
+  'onboarding.steps.consent': 'Consentimiento',
+  'onboarding.phone': 'Teléfono',
+  'onboarding.dateOfBirth': 'Fecha de nacimiento',
+  'onboarding.invalidPhone': 'Introduce un número de teléfono válido.',
+  'onboarding.invalidDateOfBirth': 'Introduce una fecha de nacimiento pasada.',
+  'onboarding.consentLegend': 'Revisa y acepta',
+  'onboarding.consents.terms': 'Acepto las condiciones del servicio',
+  'onboarding.consents.privacy': 'Acepto que mis datos de salud se traten según la política de privacidad',
+  'onboarding.consents.reminders': 'Quiero recibir recordatorios de citas y novedades de la clínica por correo y SMS',
+  'onboarding.required': 'obligatorio',
+  'onboarding.back': 'Atrás',
+  'onboarding.finish': 'Finalizar',
+
+
+  // Usuarios y roles
+  'users.title': 'Usuarios y roles',
+  'users.hint': 'Los cambios se aplican la próxima vez que el usuario cargue una página',
+  'users.loading': 'Cargando usuarios...',
+  'users.columns.name': 'Usuario',
+  'users.columns.role': 'Rol',
+  'users.columns.provider': 'Profesional',
+  'users.roleFor': 'Rol de {name}',
+  'users.providerFor': 'Profesional de {name}',
+  'users.cannotChangeOwn': 'No puedes cambiar tu propio rol',
+  'users.updated': 'Rol de {name} cambiado a {role}',
+
+
+  // Reservas en nombre de un paciente
+  'newBooking.button': 'Nueva reserva',
+  'newBooking.title': 'Nueva reserva',
+  'newBooking.hint': 'Reserva una cita para un paciente que llama o está en recepción',
+  'newBooking.patientTitle': '¿Para quién es la cita?',
+  'newBooking.searchLabel': 'Buscar pacientes',
+  'newBooking.searchPlaceholder': 'Nombre, correo o teléfono',
+  'newBooking.searching': 'Buscando...',
+  'newBooking.noPatients': 'Ningún paciente coincide. Añádelo como paciente nuevo.',
+  'newBooking.choosePatient': 'Reservar para {name}',
+  'newBooking.newPatient': 'Paciente nuevo',
+  'newBooking.newPatientTitle': 'Paciente nuevo',
+  'newBooking.newPatientHint': 'Le enviaremos un enlace para confirmar su correo. Podrá elegir una contraseña con "¿Olvidaste tu contraseña?".',
+  'newBooking.createPatient': 'Añadir paciente',
+  'newBooking.changePatient': 'Cambiar paciente',
+  'newBooking.bookingFor': 'Para {name}',
+  'newBooking.slotTaken': 'El horario de las {time} se acaba de ocupar. Elige otra hora.',
+  'newBooking.doneTitle': 'Cita reservada',
+  'newBooking.doneText': '{name} tiene cita el {time}.',
+  'newBooking.viewAll': 'Ver todas las reservas',
+  'newBooking.another': 'Reservar otra',
+
+
+  // Directorio de pacientes
+  'patients.title': 'Pacientes',
+  'patients.loading': 'Cargando pacientes...',
+  'patients.loadingOne': 'Cargando paciente...',
+  'patients.emptyTitle': 'No se encontraron pacientes',
+  'patients.emptySearch': 'Ningún paciente coincide con ese nombre, correo o teléfono.',
+  'patients.emptyHint': 'Los pacientes aparecen aquí al registrarse o al añadirlos desde Nueva reserva.',
+  'patients.open': 'Abrir ficha del paciente',
+  'patients.columns.bookings': 'Reservas',
+  'patients.columns.cancellations': 'Cancelaciones',
+  'patients.upcomingCount': {
+    one: '{count} próxima',
+    other: '{count} próximas'
+  },
+  'patients.active': 'Activo',
+  'patients.deactivated': 'Desactivado',
+  'patients.notFoundTitle': 'Paciente no encontrado',
+  'patients.notFound': 'Este paciente no existe o su cuenta se eliminó.',
+  'patients.book': 'Reservar cita',
+  'patients.message': 'Enviar mensaje',
+  'patients.deactivate': 'Desactivar',
+  'patients.reactivate': 'Reactivar',
+  'patients.contactTitle': 'Contacto',
+  'patients.unverified': 'Correo aún sin verificar',
+  'patients.stats.total': 'Reservas en total',
+  'patients.stats.upcoming': 'Próximas',
+  'patients.stats.completed': 'Completadas',
+  'patients.stats.cancelled': 'Cancelaciones',
+  'patients.notesTitle': 'Notas de la clínica',
+  'patients.notesHint': 'Solo el personal puede ver estas notas.',
+  'patients.saveNotes': 'Guardar notas',
+  'patients.notesSaved': 'Notas guardadas',
+  'patients.upcomingTitle': 'Próximas citas',
+  'patients.pastTitle': 'Citas pasadas y canceladas',
+  'patients.noBookings': 'Ninguna',
+  'patients.messageTitle': 'Mensaje para {name}',
+  'patients.subject': 'Asunto',
+  'patients.messageBody': 'Mensaje',
+  'patients.send': 'Enviar',
+  'patients.messageSent': 'Mensaje enviado a {email}',
+  'patients.deactivateTitle': '¿Desactivar a {name}?',
+  'patients.deactivateHint': 'Se cerrará su sesión y no podrá iniciar sesión ni recibir reservas hasta que se reactive la cuenta. Sus reservas actuales se mantienen.',
+  'patients.reactivateTitle': '¿Reactivar a {name}?',
+  'patients.reactivateHint': 'Podrá volver a iniciar sesión y reservar.',
+  'patients.deactivatedNotice': 'Se ha desactivado la cuenta de {name}',
+  'patients.reactivatedNotice': 'Se ha reactivado la cuenta de {name}',
+
+  // Notificaciones
+  'notifications.toastsLabel': 'Notificaciones',
+  'notifications.title': 'Notificaciones recientes',
+  'notifications.open': 'Ver notificaciones recientes',
+  'notifications.openWithUnread': {
+    one: 'Ver notificaciones recientes, 1 sin leer',
+    other: 'Ver notificaciones recientes, {count} sin leer'
+  },
+  'notifications.clear': 'Borrar',
+  'notifications.empty': 'Nada nuevo desde que iniciaste sesión.',
+  'notifications.undone': '(deshecho)'
+};
+
+export default es;
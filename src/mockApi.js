@@ -0,0 +1,1366 @@
+// In-memory stand-in for the booking backend. Enable it with
+// REACT_APP_USE_MOCK_API=true to develop or demo without network access;
+// the test suite drives it directly through configureMockApi/resetMockApi.
+
+const DEMO_PASSWORD = 'Passw0rd!';
+const TOKEN_TTL_SECONDS = 60 * 60;
+const WAITLIST_OFFER_MINUTES = 15;
+const REASON_MAX_LENGTH = 200;
+const PATIENT_NOTES_MAX_LENGTH = 1000;
+const STAFF_NOTES_MAX_LENGTH = 2000;
+const MESSAGE_MAX_LENGTH = 2000;
+const PASSWORD_MIN_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFICATION_TOKEN_TTL_HOURS = 48;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Mirrors ROLES in App.js; the client hides what a role cannot do, and these
+// checks refuse it anyway. Staff without viewAllProviders only see the slots
+// and bookings of the provider linked to their account.
+const ROLE_PERMISSIONS = {
+  patient: ['book', 'deleteAccount'],
+  provider: ['viewBookings', 'viewSchedule'],
+  receptionist: ['viewBookings', 'manageBookings', 'viewSchedule', 'viewWaitlist', 'viewAllProviders', 'viewPatients'],
+  admin: [
+    'viewBookings', 'manageBookings', 'viewSchedule', 'manageSlots', 'viewAnalytics', 'viewWaitlist',
+    'viewAllProviders', 'viewPatients', 'manageUsers'
+  ]
+};
+
+// The clinic's intake questionnaire, asked when booking
+const INTAKE_QUESTIONS = [
+  { id: 'first-visit', label: 'Is this your first visit?', type: 'yesno', required: true },
+  {
+    id: 'symptom-duration',
+    label: 'How long have you had these symptoms?',
+    type: 'choice',
+    options: ['Less than a week', '1-4 weeks', 'More than a month', 'Not applicable'],
+    required: false
+  },
+  { id: 'medications', label: 'Current medications', type: 'text', required: false }
+];
+const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const LOCATIONS = [
+  { id: 'downtown', name: 'Downtown Clinic', address: '12 Market Street' },
+  { id: 'riverside', name: 'Riverside Clinic', address: '48 River Road' }
+];
+
+const SERVICES = [
+  { id: 'consultation', name: 'General consultation', durationMinutes: 30 },
+  { id: 'physiotherapy', name: 'Physiotherapy session', durationMinutes: 60 },
+  { id: 'skin-check', name: 'Skin check', durationMinutes: 45 }
+];
+
+const PROVIDERS = [
+  {
+    id: 'amara-okafor',
+    name: 'Dr. Amara Okafor',
+    title: 'General Practitioner',
+    photoUrl: null,
+    bio: 'Amara has looked after families at the clinic for over ten years, with a focus on prevention.',
+    specialties: ['Family medicine', 'Preventive care', 'Chronic conditions'],
+    serviceIds: ['consultation'],
+    locationIds: ['downtown']
+  },
+  {
+    id: 'liam-chen',
+    name: 'Liam Chen',
+    title: 'Physiotherapist',
+    photoUrl: null,
+    bio: 'Liam helps patients recover from injuries and surgery, and works with local sports clubs.',
+    specialties: ['Sports injuries', 'Back and neck pain', 'Post-operative rehabilitation'],
+    serviceIds: ['physiotherapy'],
+    locationIds: ['downtown', 'riverside']
+  },
+  {
+    id: 'sofia-reyes',
+    name: 'Dr. Sofía Reyes',
+    title: 'Dermatologist',
+    photoUrl: null,
+    bio: 'Sofía runs the skin clinic at Riverside and also sees general patients there.',
+    specialties: ['Skin cancer screening', 'Eczema', 'Acne'],
+    serviceIds: ['skin-check', 'consultation'],
+    locationIds: ['riverside']
+  }
+];
+
+const defaultConfig = () => ({
+  enabled: process.env.REACT_APP_USE_MOCK_API === 'true',
+  latency: Number(process.env.REACT_APP_MOCK_LATENCY || 300),
+  errorRate: Number(process.env.REACT_APP_MOCK_ERROR_RATE || 0),
+  offline: false,
+  // false behaves like a backend that ignores the /all-bookings filters
+  bookingFilters: true,
+  // false behaves like a backend that cannot undo a cancellation
+  bookingRestore: true,
+  // false behaves like a backend without the /events stream
+  liveEvents: true
+});
+
+let config = defaultConfig();
+let queuedFailures = [];
+let db = null;
+let nextId = 1;
+
+const generateId = () => nextId++;
+
+const addHours = (date, hours) => new Date(date.getTime() + hours * 60 * 60 * 1000);
+
+const atHour = (date, hour) => {
+  const result = new Date(date);
+  result.setHours(hour, 0, 0, 0);
+  return result;
+};
+
+const createSeedData = () => {
+  nextId = 1;
+  // The demo accounts have verified their email and finished onboarding
+  const onboardedAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const account = (fields, dateOfBirth) => ({
+    ...fields,
+    password: DEMO_PASSWORD,
+    emailVerified: true,
+    dateOfBirth,
+    consents: { terms: true, privacy: true, reminders: true, acceptedAt: onboardedAt },
+    onboardedAt
+  });
+  const users = [
+    account({ id: generateId(), name: 'Demo Patient', email: 'patient@example.com', phone: '+1 555 0100', role: 'patient' }, '1985-06-14'),
+    account({ id: generateId(), name: 'Demo Admin', email: 'admin@example.com', phone: '', role: 'admin' }, ''),
+    account({ id: generateId(), name: 'Jane Cooper', email: 'jane@example.com', phone: '+1 555 0142', role: 'patient' }, '1992-11-03'),
+    account({ id: generateId(), name: 'Front Desk', email: 'reception@example.com', phone: '', role: 'receptionist' }, ''),
+    account({
+      id: generateId(), name: 'Dr. Amara Okafor', email: 'provider@example.com', phone: '', role: 'provider', providerId: PROVIDERS[0].id
+    }, '')
+  ];
+
+  // Hourly weekday slots from 9:00 to 17:00, starting a week ago and running
+  // two weeks ahead, so both past and upcoming bookings can be seeded. The
+  // providers take turns, each offering one of their services at the
+  // location they work at that day.
+  const slots = [];
+  const today = new Date();
+  for (let offset = -7; offset <= 14; offset++) {
+    const day = new Date(today);
+    day.setDate(today.getDate() + offset);
+    if (day.getDay() === 0 || day.getDay() === 6) continue;
+    for (let hour = 9; hour < 17; hour++) {
+      if (hour === 12) continue;
+      const startAt = atHour(day, hour);
+      const provider = PROVIDERS[(((offset + hour) % PROVIDERS.length) + PROVIDERS.length) % PROVIDERS.length];
+      const service = SERVICES.find(s => s.id === provider.serviceIds[hour % provider.serviceIds.length]);
+      slots.push({
+        id: generateId(),
+        startAt: startAt.toISOString(),
+        endAt: new Date(startAt.getTime() + service.durationMinutes * 60 * 1000).toISOString(),
+        providerId: provider.id,
+        serviceId: service.id,
+        locationId: provider.locationIds[day.getDay() % provider.locationIds.length]
+      });
+    }
+  }
+
+  const now = Date.now();
+  const pastSlots = slots.filter(slot => new Date(slot.startAt) < now);
+  const futureSlots = slots.filter(slot => new Date(slot.startAt) > now);
+  const bookings = [];
+  const seedBooking = (user, slot, createdAt, details = {}) => {
+    if (!slot) return;
+    bookings.push({
+      id: generateId(),
+      userId: user.id,
+      slotId: slot.id,
+      status: 'confirmed',
+      // Raised whenever the time or status changes, for calendar clients
+      sequence: 0,
+      notes: '',
+      reason: '',
+      patientNotes: '',
+      intake: [],
+      ...details,
+      createdAt: createdAt.toISOString()
+    });
+  };
+
+  seedBooking(users[0], pastSlots[2], addHours(new Date(pastSlots[2]?.startAt || now), -48));
+  seedBooking(users[0], futureSlots[3], new Date(now - 24 * 60 * 60 * 1000), {
+    reason: 'Annual check-up',
+    intake: [
+      { questionId: 'first-visit', question: INTAKE_QUESTIONS[0].label, answer: false },
+      { questionId: 'symptom-duration', question: INTAKE_QUESTIONS[1].label, answer: 'Not applicable' }
+    ]
+  });
+  seedBooking(users[2], futureSlots[1], new Date(now - 2 * 60 * 60 * 1000));
+  seedBooking(users[2], pastSlots[5], addHours(new Date(pastSlots[5]?.startAt || now), -72));
+
+  // Jane is waiting for a morning slot beyond the seeded schedule
+  const toKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const waitFrom = new Date(today);
+  waitFrom.setDate(today.getDate() + 15);
+  const waitTo = new Date(today);
+  waitTo.setDate(today.getDate() + 21);
+  const waitlist = [{
+    id: generateId(),
+    userId: users[2].id,
+    from: toKey(waitFrom),
+    to: toKey(waitTo),
+    startTime: '09:00',
+    endTime: '12:00',
+    timeZone: LOCAL_TIME_ZONE,
+    status: 'waiting',
+    offer: null,
+    passedSlotIds: [],
+    createdAt: new Date(now - 3 * 24 * 60 * 60 * 1000).toISOString()
+  }];
+
+  return {
+    users,
+    slots,
+    bookings,
+    waitlist,
+    // Deleted slots that cancelled bookings still point at
+    deletedSlots: [],
+    intakeQuestions: INTAKE_QUESTIONS.map(question => ({ ...question })),
+    refreshTokens: {},
+    passwordResets: [],
+    emailVerifications: [],
+    // Emails the backend would have sent, newest last
+    outbox: []
+  };
+};
+
+const ensureDb = () => {
+  if (!db) {
+    db = createSeedData();
+  }
+  return db;
+};
+
+export const configureMockApi = (options) => {
+  config = { ...config, ...options };
+};
+
+export const isMockApiEnabled = () => config.enabled;
+
+export const resetMockApi = () => {
+  config = defaultConfig();
+  queuedFailures = [];
+  db = createSeedData();
+};
+
+// Make the next matching request fail, e.g.
+// simulateMockError({ endpoint: '/book', status: 409, message: 'Slot already booked' }).
+export const simulateMockError = ({ endpoint = null, method = null, status = 500, message = 'Simulated server error' }) => {
+  queuedFailures.push({ endpoint, method, status, message });
+};
+
+export const getMockDb = () => ensureDb();
+
+// Stand-in for the backend's /events stream. Returns null when live events
+// are switched off, so the app falls back to polling.
+const eventListeners = new Set();
+
+export const subscribeToMockEvents = (listener) => {
+  if (!config.liveEvents) return null;
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+};
+
+// Delivered after the response that caused them, as a real stream would be
+const emitEvent = (type, slot, booking = null, entry = null) => {
+  const event = JSON.parse(JSON.stringify({ type, slot, booking, entry }));
+  setTimeout(() => eventListeners.forEach(listener => listener(event)), 0);
+};
+
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  500: 'Internal Server Error'
+};
+
+const createResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: STATUS_TEXT[status] || '',
+  json: async () => JSON.parse(JSON.stringify(body))
+});
+
+const encodeBase64 = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '');
+
+const issueToken = (user) => {
+  const payload = {
+    sub: user.id,
+    role: user.role,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+  };
+  return `${encodeBase64({ alg: 'none', typ: 'JWT' })}.${encodeBase64(payload)}.mock`;
+};
+
+const issueRefreshToken = (user) => {
+  const refreshToken = `refresh-${user.id}-${Math.random().toString(36).slice(2)}`;
+  db.refreshTokens[refreshToken] = user.id;
+  return refreshToken;
+};
+
+// Staff notes about a patient are never shown to the patient
+const publicUser = ({ password, staffNotes, ...user }) => user;
+
+const sendEmail = (to, subject, link, body = '') => {
+  db.outbox.push({ to, subject, link, body, sentAt: new Date().toISOString() });
+};
+
+const revokeRefreshTokens = (userId) => {
+  Object.keys(db.refreshTokens)
+    .filter(token => db.refreshTokens[token] === userId)
+    .forEach(token => delete db.refreshTokens[token]);
+};
+
+// Only the newest link works, so one sent to an earlier address cannot
+// verify a new one
+const sendVerificationEmail = (user) => {
+  const token = `${generateId().toString(36)}${Math.random().toString(36).slice(2)}`;
+  db.emailVerifications = db.emailVerifications.filter(v => v.userId !== user.id);
+  db.emailVerifications.push({
+    token,
+    userId: user.id,
+    expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+  sendEmail(user.email, 'Verify your email address', `/verify-email?token=${encodeURIComponent(token)}`);
+};
+
+const findPasswordReset = (token) => {
+  const reset = db.passwordResets.find(r => r.token === token);
+  if (!reset) throw new MockHttpError(404, 'This reset link is not valid');
+  if (new Date(reset.expiresAt) <= new Date()) throw new MockHttpError(410, 'This reset link has expired');
+  return reset;
+};
+
+const authenticate = (headers = {}) => {
+  const header = headers.Authorization || headers.authorization;
+  if (!header) throw new MockHttpError(401, 'Authentication required');
+
+  try {
+    const payload = JSON.parse(atob(header.replace('Bearer ', '').split('.')[1]));
+    const user = db.users.find(u => u.id === payload.sub);
+    if (!user || user.deactivatedAt || payload.exp * 1000 <= Date.now()) throw new Error('expired');
+    return user;
+  } catch (error) {
+    throw new MockHttpError(401, 'Invalid or expired token');
+  }
+};
+
+const hasPermission = (user, permission) => (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+const requirePermission = (user, permission) => {
+  if (!hasPermission(user, permission)) throw new MockHttpError(403, 'You do not have permission to do this');
+};
+
+// The provider a staff member is limited to, or null when they see everyone
+const getOwnProviderId = (user) => (hasPermission(user, 'viewAllProviders') ? null : user.providerId || '');
+
+const requireVerifiedEmail = (user) => {
+  if (!user.emailVerified) throw new MockHttpError(403, 'Verify your email address before booking');
+};
+
+const findSlot = (slotId) => {
+  const slot = db.slots.find(s => String(s.id) === String(slotId));
+  if (!slot) throw new MockHttpError(404, 'Slot not found');
+  return slot;
+};
+
+const findBooking = (bookingId) => {
+  const booking = db.bookings.find(b => String(b.id) === String(bookingId));
+  if (!booking) throw new MockHttpError(404, 'Booking not found');
+  return booking;
+};
+
+// A booking's slot, or the copy kept once the slot has been deleted
+const findBookingSlot = (booking) => {
+  return db.slots.find(s => s.id === booking.slotId) || db.deletedSlots.find(s => s.id === booking.slotId);
+};
+
+const activeBookingForSlot = (slotId) => {
+  return db.bookings.find(b => b.slotId === slotId && b.status !== 'cancelled');
+};
+
+const findProvider = (providerId) => PROVIDERS.find(p => p.id === providerId) || null;
+const findService = (serviceId) => SERVICES.find(s => s.id === serviceId) || null;
+const findLocation = (locationId) => LOCATIONS.find(l => l.id === locationId) || null;
+
+// Slots carry the provider, service and location alongside their ids
+const serializeSlot = (slot) => {
+  if (!slot) return slot;
+  const provider = findProvider(slot.providerId);
+  return {
+    ...slot,
+    provider: provider && { id: provider.id, name: provider.name, title: provider.title, photoUrl: provider.photoUrl },
+    service: findService(slot.serviceId),
+    location: findLocation(slot.locationId)
+  };
+};
+
+// The provider, service and location of a new or edited slot; each is optional
+const readSlotDimensions = (body) => {
+  const { providerId = null, serviceId = null, locationId = null } = body;
+  if (providerId && !findProvider(providerId)) throw new MockHttpError(400, 'Unknown provider');
+  if (serviceId && !findService(serviceId)) throw new MockHttpError(400, 'Unknown service');
+  if (locationId && !findLocation(locationId)) throw new MockHttpError(400, 'Unknown location');
+  return { providerId, serviceId, locationId };
+};
+
+const matchesSlotDimensions = (slot, query) => {
+  return ['provider', 'service', 'location'].every(dimension => (
+    !query.get(dimension) || slot[`${dimension}Id`] === query.get(dimension)
+  ));
+};
+
+const serializeBooking = (booking) => {
+  const user = db.users.find(u => u.id === booking.userId);
+  return {
+    ...booking,
+    slot: serializeSlot(findBookingSlot(booking)),
+    user: { id: user.id, name: user.name, email: user.email }
+  };
+};
+
+const getBookingStatus = (booking) => {
+  if (booking.status === 'cancelled') return 'cancelled';
+  return new Date(booking.slot.startAt) < new Date() ? 'completed' : 'upcoming';
+};
+
+const getZonedParts = (dateStr, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+    .formatToParts(new Date(dateStr))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return parts;
+};
+
+// YYYY-MM-DD of the instant in timeZone
+const getDateKey = (dateStr, timeZone) => {
+  const { year, month, day } = getZonedParts(dateStr, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+// HH:mm of the instant in timeZone
+const getTimeOfDay = (dateStr, timeZone) => {
+  const { hour, minute } = getZonedParts(dateStr, timeZone);
+  return `${hour}:${minute}`;
+};
+
+const BOOKING_SORT_VALUES = {
+  patient: booking => booking.user.name.toLowerCase(),
+  email: booking => booking.user.email.toLowerCase(),
+  date: booking => new Date(booking.slot.startAt).getTime(),
+  bookedOn: booking => new Date(booking.createdAt).getTime(),
+  status: getBookingStatus
+};
+
+const filterBookings = (bookings, query) => {
+  const search = (query.get('search') || '').toLowerCase();
+  const from = query.get('from');
+  const to = query.get('to');
+  const status = query.get('status');
+  const timeZone = query.get('timeZone') || 'UTC';
+
+  return bookings.filter(booking => {
+    const { name, email } = booking.user;
+    if (search && !name.toLowerCase().includes(search) && !email.toLowerCase().includes(search)) return false;
+    if (!matchesSlotDimensions(booking.slot, query)) return false;
+    const day = getDateKey(booking.slot.startAt, timeZone);
+    if ((from && day < from) || (to && day > to)) return false;
+    return !status || getBookingStatus(booking) === status;
+  });
+};
+
+// The filter and sort parameters /all-bookings understands, echoed back in
+// its response so the client knows they were applied
+const BOOKING_QUERY_PARAMS = ['search', 'from', 'to', 'status', 'provider', 'service', 'location', 'sort', 'order', 'timeZone'];
+
+const echoBookingQuery = (query) => Object.fromEntries(
+  BOOKING_QUERY_PARAMS.filter(param => query.get(param)).map(param => [param, query.get(param)])
+);
+
+const sortBookings = (bookings, query) => {
+  const getValue = BOOKING_SORT_VALUES[query.get('sort')] || BOOKING_SORT_VALUES.date;
+  const direction = query.get('order') === 'asc' ? 1 : -1;
+  return bookings.sort((a, b) => {
+    const x = getValue(a);
+    const y = getValue(b);
+    return direction * (typeof x === 'string' ? x.localeCompare(y) : x - y);
+  });
+};
+
+// Waitlist. An entry asks for any slot on or after from (and up to to, when
+// set), optionally starting between startTime and endTime, all in the
+// patient's time zone. When a matching slot opens, the longest-waiting entry
+// is offered it and the slot is held for them until the offer is claimed,
+// declined or expires; then it passes to the next entry in line.
+const slotMatchesEntry = (slot, entry) => {
+  const day = getDateKey(slot.startAt, entry.timeZone);
+  if (day < entry.from || (entry.to && day > entry.to)) return false;
+  const time = getTimeOfDay(slot.startAt, entry.timeZone);
+  if (entry.startTime && time < entry.startTime) return false;
+  return !entry.endTime || time < entry.endTime;
+};
+
+const findOfferForSlot = (slotId) => {
+  return db.waitlist.find(entry => entry.status === 'offered' && entry.offer.slotId === slotId);
+};
+
+const isSlotOpen = (slot) => {
+  return new Date(slot.startAt) > new Date() && !activeBookingForSlot(slot.id) && !findOfferForSlot(slot.id);
+};
+
+const serializeWaitlistEntry = ({ passedSlotIds, ...entry }) => {
+  const user = db.users.find(u => u.id === entry.userId);
+  return {
+    ...entry,
+    offer: entry.offer ? { ...entry.offer, slot: serializeSlot(db.slots.find(s => s.id === entry.offer.slotId)) } : null,
+    user: { id: user.id, name: user.name, email: user.email }
+  };
+};
+
+const makeOffer = (entry, slot) => {
+  entry.status = 'offered';
+  entry.offer = {
+    slotId: slot.id,
+    expiresAt: new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000).toISOString()
+  };
+  emitEvent('waitlist.offered', slot, null, serializeWaitlistEntry(entry));
+};
+
+// Offer a slot that just became free to the first entry waiting for it
+const offerSlot = (slot) => {
+  if (!slot || !isSlotOpen(slot)) return;
+  const entry = db.waitlist
+    .filter(e => e.status === 'waiting' && !e.passedSlotIds.includes(slot.id) && slotMatchesEntry(slot, e))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+  if (entry) makeOffer(entry, slot);
+};
+
+// Offer a new entry the earliest open slot it matches, if there is one
+const offerEntry = (entry) => {
+  const slot = db.slots
+    .filter(s => isSlotOpen(s) && !entry.passedSlotIds.includes(s.id) && slotMatchesEntry(s, entry))
+    .sort(byStartAt)[0];
+  if (slot) makeOffer(entry, slot);
+};
+
+// Puts the entry back in line and passes its offered slot on
+const withdrawOffer = (entry) => {
+  const slot = db.slots.find(s => s.id === entry.offer.slotId);
+  entry.passedSlotIds.push(entry.offer.slotId);
+  entry.status = 'waiting';
+  entry.offer = null;
+  offerSlot(slot);
+};
+
+const expireOffers = () => {
+  const now = new Date();
+  db.waitlist
+    .filter(entry => entry.status === 'offered' && new Date(entry.offer.expiresAt) <= now)
+    .forEach(withdrawOffer);
+};
+
+const findOwnWaitlistEntry = (user, entryId) => {
+  const entry = db.waitlist.find(e => String(e.id) === String(entryId));
+  if (!entry || entry.userId !== user.id) throw new MockHttpError(404, 'Waitlist entry not found');
+  return entry;
+};
+
+const trimText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// The reason, notes and intake answers sent with a booking. Answers are only
+// checked against the required questions when the client sent any, so older
+// clients that book with just a slotId keep working.
+const readBookingDetails = (body) => {
+  const reason = trimText(body.reason);
+  const patientNotes = trimText(body.patientNotes);
+  if (reason.length > REASON_MAX_LENGTH) {
+    throw new MockHttpError(400, `The reason for visit must be at most ${REASON_MAX_LENGTH} characters`);
+  }
+  if (patientNotes.length > PATIENT_NOTES_MAX_LENGTH) {
+    throw new MockHttpError(400, `Notes must be at most ${PATIENT_NOTES_MAX_LENGTH} characters`);
+  }
+  if (!Array.isArray(body.intake)) return { reason, patientNotes, intake: [] };
+
+  const answers = new Map(body.intake.map(item => [item.questionId, item.answer]));
+  const intake = [];
+  db.intakeQuestions.forEach(question => {
+    const raw = answers.get(question.id);
+    const answer = typeof raw === 'string' ? raw.trim() : raw;
+    if (answer === undefined || answer === null || answer === '') {
+      if (question.required) throw new MockHttpError(400, `Please answer "${question.label}"`);
+      return;
+    }
+    const valid = question.type === 'yesno'
+      ? typeof answer === 'boolean'
+      : typeof answer === 'string' && (question.type !== 'choice' || question.options.includes(answer));
+    if (!valid) throw new MockHttpError(400, `Invalid answer to "${question.label}"`);
+    intake.push({ questionId: question.id, question: question.label, answer });
+  });
+  return { reason, patientNotes, intake };
+};
+
+const createBooking = (user, slot, details = { reason: '', patientNotes: '', intake: [] }) => {
+  const booking = {
+    id: generateId(),
+    userId: user.id,
+    slotId: slot.id,
+    status: 'confirmed',
+    sequence: 0,
+    notes: '',
+    ...details,
+    createdAt: new Date().toISOString()
+  };
+  db.bookings.push(booking);
+  emitEvent('slot.booked', slot, serializeBooking(booking));
+  return booking;
+};
+
+// A patient as staff see them: contact details, notes and booking counts
+const serializePatient = (patient) => {
+  const bookings = db.bookings.filter(b => b.userId === patient.id);
+  const now = new Date();
+  return {
+    ...publicUser(patient),
+    staffNotes: patient.staffNotes || '',
+    deactivatedAt: patient.deactivatedAt || null,
+    bookingCount: bookings.length,
+    upcomingCount: bookings.filter(b => b.status !== 'cancelled' && new Date(findBookingSlot(b).startAt) > now).length,
+    cancelledCount: bookings.filter(b => b.status === 'cancelled').length
+  };
+};
+
+const findPatient = (patientId) => {
+  const patient = db.users.find(u => String(u.id) === String(patientId));
+  if (!patient || !hasPermission(patient, 'book')) throw new MockHttpError(404, 'Patient not found');
+  return patient;
+};
+
+// Refuses a slot patient cannot take, and takes it off the waitlist if it was
+// held for them
+const claimSlotFor = (patient, slot) => {
+  if (new Date(slot.startAt) <= new Date()) throw new MockHttpError(400, 'This slot is in the past');
+  if (activeBookingForSlot(slot.id)) throw new MockHttpError(409, 'This slot has already been booked');
+  const offer = findOfferForSlot(slot.id);
+  if (offer && offer.userId !== patient.id) {
+    throw new MockHttpError(409, 'This slot is being held for a patient on the waitlist');
+  }
+  if (offer) db.waitlist = db.waitlist.filter(entry => entry !== offer);
+};
+
+// Books body.slotId for patient. createdBy records the staff member booking on
+// their behalf.
+const bookSlotFor = (patient, body, createdBy = null) => {
+  const slot = findSlot(body.slotId);
+  const details = readBookingDetails(body);
+  claimSlotFor(patient, slot);
+  return createBooking(patient, slot, createdBy ? { ...details, createdBy } : details);
+};
+
+const serializeAdminSlot = (slot) => {
+  const booking = activeBookingForSlot(slot.id);
+  return {
+    ...serializeSlot(slot),
+    isBooked: Boolean(booking),
+    booking: booking ? serializeBooking(booking) : null
+  };
+};
+
+const inRange = (slot, from, to) => {
+  const start = new Date(slot.startAt);
+  if (from && start < new Date(`${from}T00:00:00`)) return false;
+  if (to && start > new Date(`${to}T23:59:59.999`)) return false;
+  return true;
+};
+
+const byStartAt = (a, b) => new Date(a.startAt) - new Date(b.startAt);
+
+const validateSlotTimes = ({ startAt, endAt }) => {
+  if (!startAt || !endAt || new Date(endAt) <= new Date(startAt)) {
+    throw new MockHttpError(400, 'A slot needs a start time before its end time');
+  }
+};
+
+const routes = [
+  ['POST', '/login', ({ body }) => {
+    const user = db.users.find(u => u.email === body.email?.toLowerCase() && u.password === body.password);
+    if (!user) throw new MockHttpError(401, 'Invalid email or password');
+    if (user.deactivatedAt) throw new MockHttpError(403, 'This account has been deactivated. Please contact the clinic.');
+    return {
+      token: issueToken(user),
+      refreshToken: issueRefreshToken(user),
+      user: publicUser(user),
+      role: user.role
+    };
+  }],
+
+  ['POST', '/register', ({ body }) => {
+    if (!body.name || !body.email || !body.password) {
+      throw new MockHttpError(400, 'Name, email and password are required');
+    }
+    if (db.users.some(u => u.email === body.email.toLowerCase())) {
+      throw new MockHttpError(409, 'An account with this email already exists');
+    }
+    const user = {
+      id: generateId(),
+      name: body.name,
+      email: body.email.toLowerCase(),
+      phone: '',
+      password: body.password,
+      role: 'patient',
+      emailVerified: false,
+      dateOfBirth: '',
+      consents: null,
+      onboardedAt: null
+    };
+    db.users.push(user);
+    sendVerificationEmail(user);
+    return [201, { message: 'Registration successful', user: publicUser(user) }];
+  }],
+
+  // Like a password reset request, the answer does not reveal whether the
+  // account exists or is already verified
+  ['POST', '/verify-email/resend', ({ body }) => {
+    const email = trimText(body.email).toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) throw new MockHttpError(400, 'Enter a valid email address');
+    const user = db.users.find(u => u.email === email);
+    if (user && !user.emailVerified) sendVerificationEmail(user);
+    return [202, { message: 'If this address still needs verifying, a new link is on its way' }];
+  }],
+
+  // Opening a link again once the address is verified is harmless, so it
+  // succeeds rather than reporting the link as used
+  ['POST', '/verify-email/:token', ({ params }) => {
+    const verification = db.emailVerifications.find(v => v.token === params.token);
+    const user = verification && db.users.find(u => u.id === verification.userId);
+    if (!user) throw new MockHttpError(404, 'This verification link is not valid');
+    if (user.emailVerified) return { message: 'Email already verified', user: publicUser(user) };
+    if (new Date(verification.expiresAt) <= new Date()) throw new MockHttpError(410, 'This verification link has expired');
+    user.emailVerified = true;
+    return { message: 'Email verified', user: publicUser(user) };
+  }],
+
+  ['POST', '/refresh', ({ body }) => {
+    const userId = db.refreshTokens[body.refreshToken];
+    const user = db.users.find(u => u.id === userId);
+    if (!user || user.deactivatedAt) throw new MockHttpError(401, 'Invalid refresh token');
+    delete db.refreshTokens[body.refreshToken];
+    return { token: issueToken(user), refreshToken: issueRefreshToken(user) };
+  }],
+
+  // Answers the same whether or not the account exists, so the form cannot be
+  // used to find out who is registered. Only the newest link for a user works.
+  ['POST', '/password-reset', ({ body }) => {
+    const email = trimText(body.email).toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) throw new MockHttpError(400, 'Enter a valid email address');
+    const user = db.users.find(u => u.email === email);
+    if (user) {
+      const token = `${generateId().toString(36)}${Math.random().toString(36).slice(2)}`;
+      db.passwordResets = db.passwordResets.filter(r => r.userId !== user.id);
+      db.passwordResets.push({
+        token,
+        userId: user.id,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString()
+      });
+      sendEmail(user.email, 'Reset your password', `/reset-password?token=${encodeURIComponent(token)}`);
+    }
+    return [202, { message: 'If an account exists for this email, a reset link is on its way' }];
+  }],
+
+  ['GET', '/password-reset/:token', ({ params }) => {
+    const { expiresAt } = findPasswordReset(params.token);
+    return { expiresAt };
+  }],
+
+  // Signs the user out everywhere, since the old password may be known to someone else
+  ['POST', '/password-reset/:token', ({ params, body }) => {
+    const reset = findPasswordReset(params.token);
+    if (typeof body.password !== 'string' || body.password.length < PASSWORD_MIN_LENGTH) {
+      throw new MockHttpError(400, `The new password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    const user = db.users.find(u => u.id === reset.userId);
+    user.password = body.password;
+    db.passwordResets = db.passwordResets.filter(r => r !== reset);
+    revokeRefreshTokens(user.id);
+    return { message: 'Password reset' };
+  }],
+
+  ['GET', '/me', ({ user }) => publicUser(user)],
+
+  ['PUT', '/me', ({ user, body }) => {
+    const name = trimText(body.name);
+    const email = trimText(body.email).toLowerCase();
+    const phone = trimText(body.phone);
+    if (!name || !email) throw new MockHttpError(400, 'Name and email are required');
+    if (!EMAIL_PATTERN.test(email)) throw new MockHttpError(400, 'Enter a valid email address');
+    if (phone && !PHONE_PATTERN.test(phone)) throw new MockHttpError(400, 'Enter a valid phone number');
+    if (db.users.some(u => u !== user && u.email === email)) {
+      throw new MockHttpError(409, 'An account with this email already exists');
+    }
+    // A new address has to be verified again
+    const emailChanged = email !== user.email;
+    Object.assign(user, { name, email, phone });
+    if (emailChanged) {
+      user.emailVerified = false;
+      sendVerificationEmail(user);
+    }
+    return publicUser(user);
+  }],
+
+  ['POST', '/me/password', ({ user, body }) => {
+    if (body.currentPassword !== user.password) throw new MockHttpError(400, 'Current password is incorrect');
+    if (typeof body.newPassword !== 'string' || body.newPassword.length < PASSWORD_MIN_LENGTH) {
+      throw new MockHttpError(400, `The new password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    user.password = body.newPassword;
+    return { message: 'Password changed' };
+  }],
+
+  // Everything held about the signed-in user
+  ['PUT', '/me/onboarding', ({ user, body }) => {
+    const phone = trimText(body.phone);
+    const dateOfBirth = trimText(body.dateOfBirth);
+    const consents = body.consents || {};
+    if (!PHONE_PATTERN.test(phone)) throw new MockHttpError(400, 'Enter a valid phone number');
+    if (!DATE_PATTERN.test(dateOfBirth) || Number.isNaN(Date.parse(dateOfBirth)) || new Date(dateOfBirth) >= new Date()) {
+      throw new MockHttpError(400, 'Enter a valid date of birth');
+    }
+    if (consents.terms !== true || consents.privacy !== true) {
+      throw new MockHttpError(400, 'The terms of service and privacy policy must be accepted');
+    }
+    const now = new Date().toISOString();
+    Object.assign(user, {
+      phone,
+      dateOfBirth,
+      consents: { terms: true, privacy: true, reminders: consents.reminders === true, acceptedAt: now },
+      onboardedAt: user.onboardedAt || now
+    });
+    return publicUser(user);
+  }],
+
+  ['GET', '/me/export', ({ user }) => ({
+    exportedAt: new Date().toISOString(),
+    profile: publicUser(user),
+    bookings: db.bookings.filter(b => b.userId === user.id).map(serializeBooking),
+    waitlist: db.waitlist.filter(e => e.userId === user.id).map(serializeWaitlistEntry)
+  })],
+
+  // Removes the account with its bookings and waitlist entries; upcoming
+  // slots it held go back on offer
+  ['DELETE', '/me', ({ user, body }) => {
+    if (!hasPermission(user, 'deleteAccount')) throw new MockHttpError(403, 'Staff accounts cannot be deleted');
+    if (body.password !== user.password) throw new MockHttpError(400, 'Password is incorrect');
+
+    const now = new Date();
+    const released = db.bookings
+      .filter(b => b.userId === user.id && b.status !== 'cancelled')
+      .map(b => findSlot(b.slotId))
+      .filter(slot => new Date(slot.startAt) > now);
+    const offered = db.waitlist
+      .filter(e => e.userId === user.id && e.offer)
+      .map(e => db.slots.find(slot => slot.id === e.offer.slotId));
+
+    db.bookings = db.bookings.filter(b => b.userId !== user.id);
+    db.waitlist = db.waitlist.filter(e => e.userId !== user.id);
+    db.users = db.users.filter(u => u !== user);
+    db.passwordResets = db.passwordResets.filter(r => r.userId !== user.id);
+    db.emailVerifications = db.emailVerifications.filter(v => v.userId !== user.id);
+    revokeRefreshTokens(user.id);
+
+    released.forEach(slot => emitEvent('slot.released', slot));
+    [...released, ...offered].forEach(offerSlot);
+    return { message: 'Account deleted' };
+  }],
+
+  ['GET', '/slots', ({ query }) => {
+    const now = new Date();
+    return db.slots
+      .filter(slot => inRange(slot, query.get('from'), query.get('to')))
+      .filter(slot => matchesSlotDimensions(slot, query))
+      .filter(slot => new Date(slot.startAt) > now && !activeBookingForSlot(slot.id))
+      // Slots held for a waitlist offer only show up for that patient's claim
+      .filter(slot => !findOfferForSlot(slot.id))
+      .sort(byStartAt)
+      .map(serializeSlot);
+  }],
+
+  ['GET', '/providers', () => PROVIDERS],
+
+  ['GET', '/services', () => SERVICES],
+
+  ['GET', '/locations', () => LOCATIONS],
+
+  ['GET', '/intake-questions', () => db.intakeQuestions],
+
+  ['POST', '/book', ({ user, body }) => {
+    requireVerifiedEmail(user);
+    return [201, serializeBooking(bookSlotFor(user, body))];
+  }],
+
+  ['GET', '/my-bookings', ({ user }) => {
+    return db.bookings
+      .filter(b => b.userId === user.id && b.status !== 'cancelled')
+      .map(serializeBooking);
+  }],
+
+  ['DELETE', '/bookings/:id', ({ user, params }) => {
+    const booking = findBooking(params.id);
+    if (booking.userId !== user.id && !hasPermission(user, 'manageBookings')) {
+      throw new MockHttpError(403, 'You can only cancel your own bookings');
+    }
+    booking.status = 'cancelled';
+    booking.sequence += 1;
+    booking.updatedAt = new Date().toISOString();
+    emitEvent('slot.released', findSlot(booking.slotId), serializeBooking(booking));
+    offerSlot(findSlot(booking.slotId));
+    return { message: 'Booking cancelled', canRestore: config.bookingRestore };
+  }],
+
+  // Undoes a cancellation while the slot is still free. An offer the
+  // cancellation made to the waitlist is taken back, and the entry keeps its
+  // place in line.
+  ['POST', '/bookings/:id/restore', ({ user, params }) => {
+    if (!config.bookingRestore) throw new MockHttpError(404, 'Not found');
+    const booking = findBooking(params.id);
+    if (booking.userId !== user.id && !hasPermission(user, 'manageBookings')) {
+      throw new MockHttpError(403, 'You can only restore your own bookings');
+    }
+    if (booking.status !== 'cancelled') return serializeBooking(booking);
+    const slot = db.slots.find(s => s.id === booking.slotId);
+    if (!slot || new Date(slot.startAt) <= new Date() || activeBookingForSlot(slot.id)) {
+      throw new MockHttpError(409, 'This time is no longer available, so the booking cannot be restored');
+    }
+    const offer = findOfferForSlot(slot.id);
+    if (offer) {
+      offer.status = 'waiting';
+      offer.offer = null;
+      emitEvent('waitlist.updated', slot, null, serializeWaitlistEntry(offer));
+    }
+    booking.status = 'confirmed';
+    delete booking.cancelReason;
+    booking.sequence += 1;
+    booking.updatedAt = new Date().toISOString();
+    emitEvent('slot.booked', slot, serializeBooking(booking));
+    return serializeBooking(booking);
+  }],
+
+  ['POST', '/bookings/:id/cancel', ({ user, params, body }) => {
+    requirePermission(user, 'manageBookings');
+    const booking = findBooking(params.id);
+    booking.status = 'cancelled';
+    booking.cancelReason = body.reason || '';
+    booking.sequence += 1;
+    booking.updatedAt = new Date().toISOString();
+    emitEvent('slot.released', findSlot(booking.slotId), serializeBooking(booking));
+    offerSlot(findSlot(booking.slotId));
+    return { ...serializeBooking(booking), canRestore: config.bookingRestore };
+  }],
+
+  ['POST', '/bookings/:id/reschedule', ({ user, params, body }) => {
+    const booking = findBooking(params.id);
+    if (booking.userId !== user.id && !hasPermission(user, 'manageBookings')) {
+      throw new MockHttpError(403, 'You can only reschedule your own bookings');
+    }
+    if (booking.status === 'cancelled') throw new MockHttpError(409, 'Cancelled bookings cannot be rescheduled');
+    const slot = findSlot(body.slotId);
+    claimSlotFor(db.users.find(u => u.id === booking.userId), slot);
+    const previousSlot = findSlot(booking.slotId);
+    booking.slotId = slot.id;
+    booking.sequence += 1;
+    booking.updatedAt = new Date().toISOString();
+    emitEvent('slot.released', previousSlot, serializeBooking(booking));
+    emitEvent('slot.booked', slot, serializeBooking(booking));
+    offerSlot(previousSlot);
+    return serializeBooking(booking);
+  }],
+
+  ['PUT', '/bookings/:id/notes', ({ user, params, body }) => {
+    requirePermission(user, 'manageBookings');
+    const booking = findBooking(params.id);
+    booking.notes = body.notes || '';
+    booking.updatedAt = new Date().toISOString();
+    emitEvent('booking.updated', findBookingSlot(booking), serializeBooking(booking));
+    return serializeBooking(booking);
+  }],
+
+  ['GET', '/all-bookings', ({ user, query }) => {
+    requirePermission(user, 'viewBookings');
+    const page = Math.max(1, Number(query.get('page')) || 1);
+    const limit = Math.max(1, Number(query.get('limit')) || 20);
+    const ownProviderId = getOwnProviderId(user);
+    const serialized = db.bookings
+      .filter(booking => ownProviderId === null || findBookingSlot(booking).providerId === ownProviderId)
+      .map(serializeBooking);
+    const all = config.bookingFilters
+      ? sortBookings(filterBookings(serialized, query), query)
+      : serialized.sort((a, b) => new Date(b.slot.startAt) - new Date(a.slot.startAt));
+    return {
+      bookings: all.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: all.length, totalPages: Math.ceil(all.length / limit) },
+      ...(config.bookingFilters && { filters: echoBookingQuery(query) })
+    };
+  }],
+
+  ['GET', '/waitlist', ({ user }) => {
+    return db.waitlist
+      .filter(entry => entry.userId === user.id)
+      .map(serializeWaitlistEntry);
+  }],
+
+  ['POST', '/waitlist', ({ user, body }) => {
+    requireVerifiedEmail(user);
+    const { from, to = '', startTime = '', endTime = '', timeZone = LOCAL_TIME_ZONE } = body;
+    if (!from) throw new MockHttpError(400, 'Choose the first day you could come in');
+    if (to && from > to) throw new MockHttpError(400, 'Choose a start date on or before the end date');
+    if (startTime && endTime && startTime >= endTime) {
+      throw new MockHttpError(400, 'The time window must end after it starts');
+    }
+    const entry = {
+      id: generateId(),
+      userId: user.id,
+      from,
+      to,
+      startTime,
+      endTime,
+      timeZone,
+      status: 'waiting',
+      offer: null,
+      passedSlotIds: [],
+      createdAt: new Date().toISOString()
+    };
+    db.waitlist.push(entry);
+    offerEntry(entry);
+    emitEvent('waitlist.updated', null, null, serializeWaitlistEntry(entry));
+    return [201, serializeWaitlistEntry(entry)];
+  }],
+
+  ['DELETE', '/waitlist/:id', ({ user, params }) => {
+    const entry = findOwnWaitlistEntry(user, params.id);
+    db.waitlist = db.waitlist.filter(e => e !== entry);
+    if (entry.offer) offerSlot(db.slots.find(s => s.id === entry.offer.slotId));
+    emitEvent('waitlist.updated', null, null, serializeWaitlistEntry(entry));
+    return { message: 'Removed from the waitlist' };
+  }],
+
+  ['POST', '/waitlist/:id/claim', ({ user, params }) => {
+    const entry = findOwnWaitlistEntry(user, params.id);
+    if (entry.status !== 'offered') throw new MockHttpError(409, 'This offer has expired');
+    const slot = findSlot(entry.offer.slotId);
+    db.waitlist = db.waitlist.filter(e => e !== entry);
+    emitEvent('waitlist.updated', slot, null, serializeWaitlistEntry(entry));
+    return [201, serializeBooking(createBooking(user, slot))];
+  }],
+
+  ['POST', '/waitlist/:id/decline', ({ user, params }) => {
+    const entry = findOwnWaitlistEntry(user, params.id);
+    if (entry.status !== 'offered') throw new MockHttpError(409, 'This offer has expired');
+    withdrawOffer(entry);
+    emitEvent('waitlist.updated', null, null, serializeWaitlistEntry(entry));
+    return serializeWaitlistEntry(entry);
+  }],
+
+  ['GET', '/admin/waitlist', ({ user }) => {
+    requirePermission(user, 'viewWaitlist');
+    return db.waitlist
+      .slice()
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(serializeWaitlistEntry);
+  }],
+
+  // Patients matching a name, email or phone number, for staff booking on
+  // their behalf
+  ['GET', '/admin/patients', ({ user, query }) => {
+    requirePermission(user, 'viewPatients');
+    const search = (query.get('search') || '').trim().toLowerCase();
+    const page = Math.max(1, Number(query.get('page')) || 1);
+    const limit = Math.max(1, Number(query.get('limit')) || 20);
+    const all = db.users
+      .filter(u => hasPermission(u, 'book'))
+      .filter(u => !search || [u.name, u.email, u.phone].some(value => (value || '').toLowerCase().includes(search)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      patients: all.slice((page - 1) * limit, page * limit).map(serializePatient),
+      pagination: { page, limit, total: all.length, totalPages: Math.ceil(all.length / limit) }
+    };
+  }],
+
+  // Walk-ins and callers without an account. They get no password; the
+  // verification email lets them claim the account, and "Forgot password?"
+  // sets one.
+  ['POST', '/admin/patients', ({ user, body }) => {
+    requirePermission(user, 'manageBookings');
+    const name = trimText(body.name);
+    const email = trimText(body.email).toLowerCase();
+    const phone = trimText(body.phone);
+    if (!name) throw new MockHttpError(400, 'Name is required');
+    if (!EMAIL_PATTERN.test(email)) throw new MockHttpError(400, 'Enter a valid email address');
+    if (phone && !PHONE_PATTERN.test(phone)) throw new MockHttpError(400, 'Enter a valid phone number');
+    if (db.users.some(u => u.email === email)) {
+      throw new MockHttpError(409, 'An account with this email already exists');
+    }
+    const patient = {
+      id: generateId(),
+      name,
+      email,
+      phone,
+      password: null,
+      role: 'patient',
+      emailVerified: false,
+      dateOfBirth: '',
+      consents: null,
+      onboardedAt: null
+    };
+    db.users.push(patient);
+    sendVerificationEmail(patient);
+    return [201, serializePatient(patient)];
+  }],
+
+  // Every booking the patient has made, newest appointment first
+  ['GET', '/admin/patients/:id', ({ user, params }) => {
+    requirePermission(user, 'viewPatients');
+    const patient = findPatient(params.id);
+    const bookings = db.bookings
+      .filter(b => b.userId === patient.id)
+      .map(serializeBooking)
+      .sort((a, b) => new Date(b.slot.startAt) - new Date(a.slot.startAt));
+    return { ...serializePatient(patient), bookings };
+  }],
+
+  ['PUT', '/admin/patients/:id/notes', ({ user, params, body }) => {
+    requirePermission(user, 'viewPatients');
+    const patient = findPatient(params.id);
+    const notes = trimText(body.notes);
+    if (notes.length > STAFF_NOTES_MAX_LENGTH) {
+      throw new MockHttpError(400, `Notes must be at most ${STAFF_NOTES_MAX_LENGTH} characters`);
+    }
+    patient.staffNotes = notes;
+    return serializePatient(patient);
+  }],
+
+  // Sent by email from the clinic
+  ['POST', '/admin/patients/:id/messages', ({ user, params, body }) => {
+    requirePermission(user, 'viewPatients');
+    const patient = findPatient(params.id);
+    const subject = trimText(body.subject);
+    const text = trimText(body.body);
+    if (!subject || !text) throw new MockHttpError(400, 'A subject and a message are required');
+    if (text.length > MESSAGE_MAX_LENGTH) {
+      throw new MockHttpError(400, `Messages must be at most ${MESSAGE_MAX_LENGTH} characters`);
+    }
+    sendEmail(patient.email, subject, null, text);
+    return [201, { message: 'Message sent' }];
+  }],
+
+  // Deactivated patients cannot sign in and are signed out everywhere. Their
+  // bookings stay, so staff can still see and cancel them.
+  ['POST', '/admin/patients/:id/deactivate', ({ user, params }) => {
+    requirePermission(user, 'manageUsers');
+    const patient = findPatient(params.id);
+    patient.deactivatedAt = patient.deactivatedAt || new Date().toISOString();
+    revokeRefreshTokens(patient.id);
+    return serializePatient(patient);
+  }],
+
+  ['POST', '/admin/patients/:id/reactivate', ({ user, params }) => {
+    requirePermission(user, 'manageUsers');
+    const patient = findPatient(params.id);
+    patient.deactivatedAt = null;
+    return serializePatient(patient);
+  }],
+
+  // Phone and front-desk bookings; the patient's email need not be verified
+  ['POST', '/admin/bookings', ({ user, body }) => {
+    requirePermission(user, 'manageBookings');
+    const patient = findPatient(body.patientId);
+    if (patient.deactivatedAt) throw new MockHttpError(400, 'This patient account has been deactivated');
+    const createdBy = { id: user.id, name: user.name, role: user.role };
+    return [201, serializeBooking(bookSlotFor(patient, body, createdBy))];
+  }],
+
+  ['GET', '/admin/users', ({ user }) => {
+    requirePermission(user, 'manageUsers');
+    return db.users
+      .map(publicUser)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }],
+
+  // Provider accounts are linked to the provider whose schedule they see
+  ['PUT', '/admin/users/:id', ({ user, params, body }) => {
+    requirePermission(user, 'manageUsers');
+    const target = db.users.find(u => String(u.id) === String(params.id));
+    if (!target) throw new MockHttpError(404, 'User not found');
+    if (!ROLE_PERMISSIONS[body.role]) throw new MockHttpError(400, 'Unknown role');
+    if (target === user && body.role !== user.role) throw new MockHttpError(400, 'You cannot change your own role');
+    const providerId = body.role === 'provider' ? body.providerId : null;
+    if (body.role === 'provider' && !findProvider(providerId)) {
+      throw new MockHttpError(400, 'Choose the provider this account belongs to');
+    }
+    target.role = body.role;
+    target.providerId = providerId;
+    return publicUser(target);
+  }],
+
+  ['GET', '/admin/slots', ({ user, query }) => {
+    requirePermission(user, 'viewSchedule');
+    const ownProviderId = getOwnProviderId(user);
+    return db.slots
+      .filter(slot => ownProviderId === null || slot.providerId === ownProviderId)
+      .filter(slot => inRange(slot, query.get('from'), query.get('to')))
+      .sort(byStartAt)
+      .map(serializeAdminSlot);
+  }],
+
+  ['POST', '/slots/bulk', ({ user, body }) => {
+    requirePermission(user, 'manageSlots');
+    const created = (body.slots || []).map(slotData => {
+      validateSlotTimes(slotData);
+      const slot = { id: generateId(), startAt: slotData.startAt, endAt: slotData.endAt, ...readSlotDimensions(slotData) };
+      db.slots.push(slot);
+      emitEvent('slot.created', slot);
+      return slot;
+    });
+    created.forEach(offerSlot);
+    return [201, created.map(serializeAdminSlot)];
+  }],
+
+  ['POST', '/slots', ({ user, body }) => {
+    requirePermission(user, 'manageSlots');
+    validateSlotTimes(body);
+    const slot = { id: generateId(), startAt: body.startAt, endAt: body.endAt, ...readSlotDimensions(body) };
+    db.slots.push(slot);
+    emitEvent('slot.created', slot);
+    offerSlot(slot);
+    return [201, serializeAdminSlot(slot)];
+  }],
+
+  ['PUT', '/slots/:id', ({ user, params, body }) => {
+    requirePermission(user, 'manageSlots');
+    const slot = findSlot(params.id);
+    if (activeBookingForSlot(slot.id)) throw new MockHttpError(409, 'Booked slots cannot be edited');
+    validateSlotTimes(body);
+    Object.assign(slot, { startAt: body.startAt, endAt: body.endAt }, readSlotDimensions(body));
+    emitEvent('slot.updated', slot);
+    offerSlot(slot);
+    return serializeAdminSlot(slot);
+  }],
+
+  ['DELETE', '/slots/:id', ({ user, params }) => {
+    requirePermission(user, 'manageSlots');
+    const slot = findSlot(params.id);
+    if (activeBookingForSlot(slot.id)) throw new MockHttpError(409, 'Booked slots cannot be deleted');
+    // Cancelled bookings are still listed with their time
+    if (db.bookings.some(b => b.slotId === slot.id)) db.deletedSlots.push(slot);
+    const offer = findOfferForSlot(slot.id);
+    if (offer) withdrawOffer(offer);
+    db.slots = db.slots.filter(s => s.id !== slot.id);
+    emitEvent('slot.deleted', slot);
+    return { message: 'Slot deleted' };
+  }]
+];
+
+const PUBLIC_ENDPOINTS = [
+  '/login',
+  '/register',
+  '/refresh',
+  '/password-reset',
+  '/password-reset/:token',
+  '/verify-email/resend',
+  '/verify-email/:token'
+];
+
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/');
+  const pathParts = pathname.split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+const takeQueuedFailure = (method, pathname) => {
+  const index = queuedFailures.findIndex(failure => (
+    (!failure.endpoint || failure.endpoint === pathname) && (!failure.method || failure.method === method)
+  ));
+  return index === -1 ? null : queuedFailures.splice(index, 1)[0];
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same contract as window.fetch for the subset apiRequest relies on.
+export const mockFetch = async (endpoint, options = {}) => {
+  ensureDb();
+  if (config.latency > 0) {
+    await delay(config.latency);
+  }
+  if (config.offline) {
+    throw new TypeError('Failed to fetch');
+  }
+
+  const method = (options.method || 'GET').toUpperCase();
+  const [pathname, search = ''] = endpoint.split('?');
+
+  const failure = takeQueuedFailure(method, pathname);
+  if (failure) {
+    return createResponse(failure.status, { error: { message: failure.message } });
+  }
+  if (config.errorRate > 0 && Math.random() < config.errorRate) {
+    return createResponse(500, { error: { message: 'Simulated server error' } });
+  }
+
+  expireOffers();
+
+  for (const [routeMethod, pattern, handler] of routes) {
+    const params = routeMethod === method ? matchPath(pattern, pathname) : null;
+    if (!params) continue;
+
+    try {
+      const user = PUBLIC_ENDPOINTS.includes(pattern) ? null : authenticate(options.headers);
+      const body = options.body ? JSON.parse(options.body) : {};
+      const result = handler({ user, params, body, query: new URLSearchParams(search) });
+      const [status, data] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+      return createResponse(status, data);
+    } catch (error) {
+      if (error instanceof MockHttpError) {
+        return createResponse(error.status, { error: { message: error.message } });
+      }
+      throw error;
+    }
+  }
+
+  return createResponse(404, { error: { message: `No mock handler for ${method} ${pathname}` } });
+};
@@ -0,0 +1,26 @@
+// Permission checks shared by routing, navigation and the views.
+
+// What each role may do. Routes, navigation and table actions ask can()
+// instead of checking role names, and the backend enforces the same rules.
+// Staff without viewAllProviders only see the schedule and bookings of the
+// provider linked to their account.
+export const ROLES = {
+  patient: { icon: '👤', permissions: ['book', 'deleteAccount'] },
+  provider: { icon: '🩺', permissions: ['viewBookings', 'viewSchedule'] },
+  receptionist: {
+    icon: '🛎️',
+    permissions: ['viewBookings', 'manageBookings', 'viewSchedule', 'viewWaitlist', 'viewAllProviders', 'viewPatients']
+  },
+  admin: {
+    icon: '👑',
+    permissions: [
+      'viewBookings', 'manageBookings', 'viewSchedule', 'manageSlots', 'viewAnalytics', 'viewWaitlist',
+      'viewAllProviders', 'viewPatients', 'manageUsers'
+    ]
+  }
+};
+
+export const can = (user, permission) => Boolean(user && ROLES[user.role]?.permissions.includes(permission));
+
+// The provider a staff member is limited to, or null when they see everyone
+export const getOwnProviderId = (user) => (can(user, 'viewAllProviders') ? null : user.providerId || '');
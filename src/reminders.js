@@ -0,0 +1,98 @@
+// Appointment reminders as browser notifications. While the app is open it
+// shows them itself. A service worker (public/reminder-sw.js) keeps a copy of
+// the schedule for when the app is closed, but it can only act on it through
+// notification triggers, which no stable browser ships, or periodic background
+// sync, which only installed apps get. In practice reminders need an open tab.
+
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/reminder-sw.js`;
+const PERIODIC_SYNC_TAG = 'appointment-reminders';
+const PERIODIC_SYNC_MIN_INTERVAL = 15 * 60 * 1000;
+// Notifications for the same reminder share a tag (the worker uses the same
+// prefix), so one shown by both the page and the worker appears only once
+const TAG_PREFIX = 'reminder:';
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () => {
+  return isNotificationSupported() ? window.Notification.permission : 'unsupported';
+};
+
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  if (window.Notification.permission !== 'default') return window.Notification.permission;
+  return window.Notification.requestPermission();
+};
+
+// One reminder per booking and lead time, { id, bookingId, at, startAt } in
+// epoch milliseconds, for bookings that are still going ahead
+export const getReminderSchedule = (bookings, leadMinutes, now = Date.now()) => {
+  return bookings
+    .filter(booking => booking.status !== 'cancelled' && new Date(booking.slot.startAt).getTime() > now)
+    .flatMap(booking => {
+      const startAt = new Date(booking.slot.startAt).getTime();
+      // The start time is part of the id, so moving a booking replaces its
+      // reminders rather than counting them as already shown
+      return leadMinutes.map(lead => ({
+        id: `${booking.id}:${startAt}:${lead}`,
+        bookingId: booking.id,
+        at: startAt - lead * 60 * 1000,
+        startAt
+      }));
+    })
+    .sort((a, b) => a.at - b.at);
+};
+
+let workerRegistration = null;
+
+// Resolves to the worker's registration, or null where service workers are
+// unavailable; registering again returns the same one.
+export const registerReminderWorker = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+  if (!workerRegistration) {
+    workerRegistration = navigator.serviceWorker.register(WORKER_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .then(async (registration) => {
+        if ('periodicSync' in registration) {
+          try {
+            await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_MIN_INTERVAL });
+          } catch (error) {
+            // Only installed apps may sync periodically
+          }
+        }
+        return registration;
+      })
+      .catch(() => null);
+  }
+  return workerRegistration;
+};
+
+// The worker registered on an earlier visit, if any, without registering it
+const findReminderWorker = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+  return navigator.serviceWorker.getRegistration(WORKER_URL).catch(() => null);
+};
+
+// Replaces the worker's schedule. reminders carry their notification title,
+// body and url, since the worker has no access to the app's translations;
+// sent lists the ones already shown. An empty list cancels everything.
+export const syncReminderWorker = async (reminders, sent = []) => {
+  const registration = reminders.length > 0 ? await registerReminderWorker() : await findReminderWorker();
+  if (registration?.active) {
+    registration.active.postMessage({ type: 'reminders', reminders, sent });
+  }
+};
+
+export const showReminder = async ({ id, title, body, url }) => {
+  const options = { body, tag: `${TAG_PREFIX}${id}`, data: { url } };
+  const registration = await registerReminderWorker();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else if (isNotificationSupported()) {
+    const notification = new window.Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  }
+};
@@ -0,0 +1,132 @@
+// History-based routing: the route table, the current location and
+// redirects.
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { can } from './permissions';
+
+const RouterContext = React.createContext();
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search
+});
+
+export const useRouter = () => {
+  const context = React.useContext(RouterContext);
+  if (!context) {
+    throw new Error('useRouter must be used within a RouterProvider');
+  }
+  return context;
+};
+
+export const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((to, { replace = false } = {}) => {
+    if (replace) {
+      window.history.replaceState(null, '', to);
+    } else {
+      window.history.pushState(null, '', to);
+    }
+    setLocation(readLocation());
+  }, []);
+
+  const query = useMemo(() => new URLSearchParams(location.search), [location.search]);
+
+  // Merge params into the current query string. Empty values are dropped so
+  // the URL only carries what differs from the defaults.
+  const setQuery = useCallback((params, { replace = false } = {}) => {
+    const next = new URLSearchParams(window.location.search);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    const search = next.toString();
+    navigate(`${window.location.pathname}${search ? `?${search}` : ''}`, { replace });
+  }, [navigate]);
+
+  return (
+    <RouterContext.Provider value={{ location, query, navigate, setQuery }}>
+      {children}
+    </RouterContext.Provider>
+  );
+};
+
+export const Redirect = ({ to }) => {
+  const { navigate } = useRouter();
+
+  useEffect(() => {
+    navigate(to, { replace: true });
+  }, [navigate, to]);
+
+  return null;
+};
+
+export const AUTH_PATHS = ['/login', '/register', '/forgot-password', '/reset-password'];
+
+// Open whether or not someone is signed in, since the link may be opened on
+// another device
+export const VERIFY_EMAIL_PATH = '/verify-email';
+
+// Routes with a label make up the dashboard navigation, in this order. Routes
+// without a permission are open to anyone signed in. A :name segment matches
+// any value and is passed to the view as route.params.name.
+const ROUTES = [
+  { path: '/slots', permission: 'book', view: 'slots', icon: '🗓️', label: 'nav.availableSlots' },
+  { path: '/bookings', permission: 'book', view: 'bookings', icon: '📋', label: 'nav.myBookings' },
+  { path: '/waitlist', permission: 'book', view: 'waitlist', icon: '🔔', label: 'nav.myWaitlist' },
+  { path: '/admin/bookings', permission: 'viewBookings', view: 'bookings', icon: '📊', label: 'nav.allBookings' },
+  { path: '/admin/bookings/new', permission: 'manageBookings', view: 'newBooking' },
+  { path: '/admin/patients', permission: 'viewPatients', view: 'patients', icon: '🗂️', label: 'nav.patients' },
+  { path: '/admin/patients/:id', permission: 'viewPatients', view: 'patient' },
+  { path: '/admin/schedule', permission: 'viewSchedule', view: 'schedule', icon: '🗓️', label: 'nav.schedule' },
+  { path: '/admin/analytics', permission: 'viewAnalytics', view: 'analytics', icon: '📈', label: 'nav.analytics' },
+  { path: '/admin/waitlist', permission: 'viewWaitlist', view: 'waitlist', icon: '🔔', label: 'nav.waitlist' },
+  { path: '/admin/users', permission: 'manageUsers', view: 'users', icon: '👥', label: 'nav.users' },
+  { path: '/profile', permission: null, view: 'profile' }
+];
+
+const matchRoutePath = (pattern, pathname) => {
+  const patternParts = pattern.split('/');
+  const parts = pathname.split('/');
+  if (patternParts.length !== parts.length) return null;
+  const params = {};
+  const matches = patternParts.every((part, index) => {
+    if (!part.startsWith(':')) return part === parts[index];
+    params[part.slice(1)] = decodeURIComponent(parts[index]);
+    return parts[index] !== '';
+  });
+  return matches ? params : null;
+};
+
+export const findRoute = (pathname) => {
+  const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  for (const route of ROUTES) {
+    const params = matchRoutePath(route.path, normalized);
+    if (params) return { ...route, params };
+  }
+  return undefined;
+};
+
+export const canOpenRoute = (user, route) => !route.permission || can(user, route.permission);
+
+export const getNavRoutes = (user) => ROUTES.filter(route => route.label && canOpenRoute(user, route));
+
+export const getHomePath = (user) => getNavRoutes(user)[0]?.path || '/profile';
+
+// Only follow same-origin paths so a crafted ?redirect= cannot send users elsewhere.
+export const getSafeRedirect = (value) => {
+  if (value && value.startsWith('/') && !value.startsWith('//') && !AUTH_PATHS.includes(value.split('?')[0])) {
+    return value;
+  }
+  return null;
+};
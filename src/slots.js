@@ -0,0 +1,63 @@
+// Slot and booking state shared by the patient and staff views.
+
+import { BROWSER_TIME_ZONE, addDaysToKey, getDateKey, getTodayKey } from './dates';
+import { apiRequest } from './api';
+import { SLOT_DIMENSIONS, matchesSlotDimensions } from './SlotDimensions';
+
+export const isSlotInPast = (dateStr) => {
+  return new Date(dateStr) <= new Date();
+};
+
+export const isSlotSoon = (dateStr) => {
+  const slotTime = new Date(dateStr);
+  const now = new Date();
+  const hoursDiff = (slotTime - now) / (1000 * 60 * 60);
+  return hoursDiff <= 24 && hoursDiff > 0;
+};
+
+export const isSlotBooked = (slot) => {
+  return Boolean(slot.isBooked || slot.booking || slot.bookingCount > 0);
+};
+
+export const getBookingStatus = (booking) => {
+  if (booking.status === 'cancelled') return 'cancelled';
+  return isSlotInPast(booking.slot.startAt) ? 'completed' : 'upcoming';
+};
+
+export const groupSlotsByDate = (slots, timeZone = BROWSER_TIME_ZONE) => {
+  const groups = {};
+  slots.forEach(slot => {
+    const date = getDateKey(slot.startAt, timeZone);
+    if (!groups[date]) {
+      groups[date] = [];
+    }
+    groups[date].push(slot);
+  });
+
+  // Sort slots within each date
+  Object.keys(groups).forEach(date => {
+    groups[date].sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+  });
+
+  return groups;
+};
+
+// The backend filters by calendar date in its own zone, so ask for a day
+// either side and keep the slots that fall inside the range in timeZone.
+// Provider, service and location filters are applied here too, in case the
+// backend doesn't support them.
+export const fetchAvailableSlots = async (dateRange, timeZone = BROWSER_TIME_ZONE, filters = {}) => {
+  const today = getTodayKey(timeZone);
+  const fromDate = dateRange.from || today;
+  const toDate = dateRange.to || addDaysToKey(today, 7);
+
+  const params = new URLSearchParams({ from: addDaysToKey(fromDate, -1), to: addDaysToKey(toDate, 1) });
+  SLOT_DIMENSIONS.forEach(dimension => {
+    if (filters[dimension]) params.set(dimension, filters[dimension]);
+  });
+  const response = await apiRequest(`/slots?${params}`);
+  return response.filter(slot => {
+    const date = getDateKey(slot.startAt, timeZone);
+    return date >= fromDate && date <= toDate && matchesSlotDimensions(slot, filters);
+  });
+};